@@ -3,6 +3,8 @@
 // State lives in chrome.storage.session so it survives SW termination/restart
 // within the browser session.
 
+importScripts('shared.js');
+
 const STORAGE_PREFIX = 'tab:';
 const tabKey = (tabId) => `${STORAGE_PREFIX}${tabId}`;
 const RELOAD_ANALYSIS_PREFIX = 'reload-analysis:';
@@ -55,6 +57,166 @@ async function clearLastReloadAt(tabId) {
   await chrome.storage.session.remove(lastReloadKey(tabId));
 }
 
+// ---------------------------------------------------------------------------
+// Analysis history
+//
+// Unlike the per-tab result above, history is durable: every completed run is
+// appended to chrome.storage.local under `history:<normalized url>` so we can
+// answer "did this page get better after the deploy?" across navigations and
+// browser restarts. Entries are compact summaries — full snapshots (page text,
+// bot bodies) would blow through the local storage quota in a few dozen runs.
+//
+// `historyIndex` holds one row per URL (run count, latest run) so the history
+// page doesn't have to read all of storage. It also drives eviction: past
+// HISTORY_MAX_URLS URLs or HISTORY_MAX_TOTAL_RUNS runs, the URLs analyzed
+// least recently are dropped whole, so history can't crowd out the watchlist
+// and crawl state.
+// ---------------------------------------------------------------------------
+
+const HISTORY_PREFIX = 'history:';
+const HISTORY_INDEX_KEY = 'historyIndex';
+const historyKey = (normalizedUrl) => `${HISTORY_PREFIX}${normalizedUrl}`;
+const HISTORY_MAX_RUNS_PER_URL = 100;
+const HISTORY_MAX_URLS = 200;
+const HISTORY_MAX_TOTAL_RUNS = 5000;
+
+// Tracking params that never change what the server renders. Dropping them
+// keeps `?utm_source=newsletter` from starting a separate history.
+const HISTORY_IGNORED_PARAMS = /^(utm_[a-z]+|gclid|fbclid|msclkid|mc_cid|mc_eid|_ga)$/i;
+
+// Normalize a page URL into a stable history key: lowercase host, no default
+// port, no fragment, no tracking params, sorted query, and no trailing slash
+// on non-root paths. Returns null for anything that isn't http(s).
+function normalizeHistoryUrl(url) {
+  let u;
+  try { u = new URL(url); } catch (_) { return null; }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+  u.hash = '';
+  const params = [...u.searchParams.entries()]
+    .filter(([k]) => !HISTORY_IGNORED_PARAMS.test(k))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  u.search = new URLSearchParams(params).toString();
+  let path = u.pathname;
+  if (path.length > 1 && path.endsWith('/')) path = path.replace(/\/+$/, '');
+  return `${u.protocol}//${u.host.toLowerCase()}${path}${u.search}`;
+}
+
+// Headline visibility percentage — MIN(textRatio, contentOverlap), the same
+// value the popup shows in #score. Null when the server fetch failed.
+function visibilityPctOf(results) {
+  const server = (results && results.server) || {};
+  const textRatio = typeof server.textRatio === 'number' ? server.textRatio : null;
+  const overlap = typeof server.contentOverlap === 'number' ? server.contentOverlap : textRatio;
+  return textRatio == null || overlap == null
+    ? null
+    : Math.round(Math.min(textRatio, overlap) * 100);
+}
+
+function summarizeForHistory(results, url) {
+  const server = results.server || {};
+  const probes = results.botProbes || {};
+  return {
+    timestamp: results.timestamp || Date.now(),
+    url,
+    score: typeof results.score === 'number' ? results.score : null,
+    segment: results.segment || 'unknown',
+    visibilityPct: visibilityPctOf(results),
+    textRatio: typeof server.textRatio === 'number' ? server.textRatio : null,
+    contentOverlap: typeof server.contentOverlap === 'number' ? server.contentOverlap : null,
+    renderedTextLength: server.rendered ? server.rendered.textLength : null,
+    profile: results.profile ? results.profile.name : null,
+    botProbes: probes.enabled
+      ? (probes.results || []).map((r) => ({ key: r.key, name: r.name, status: r.status, statusCode: r.statusCode }))
+      : null,
+    issues: (results.issues || []).map((i) => ({ type: i.type, severity: i.severity, message: i.message }))
+  };
+}
+
+async function getHistory(url) {
+  const normalized = normalizeHistoryUrl(url);
+  if (!normalized) return [];
+  const key = historyKey(normalized);
+  const obj = await chrome.storage.local.get(key);
+  return (obj[key] && obj[key].runs) || [];
+}
+
+// normalized URL → { url, runCount, latest }. History written before the
+// index existed is indexed once, on first read.
+async function getHistoryIndex() {
+  const obj = await chrome.storage.local.get(HISTORY_INDEX_KEY);
+  if (obj[HISTORY_INDEX_KEY]) return obj[HISTORY_INDEX_KEY];
+  const all = await chrome.storage.local.get(null);
+  const index = {};
+  for (const [key, value] of Object.entries(all)) {
+    if (!key.startsWith(HISTORY_PREFIX) || !value || !Array.isArray(value.runs) || value.runs.length === 0) continue;
+    index[value.url] = { url: value.url, runCount: value.runs.length, latest: value.runs[value.runs.length - 1] };
+  }
+  await chrome.storage.local.set({ [HISTORY_INDEX_KEY]: index });
+  return index;
+}
+
+// Least recently analyzed URLs first, until both caps hold.
+function historyEvictions(index) {
+  const rows = Object.values(index).sort((a, b) => a.latest.timestamp - b.latest.timestamp);
+  let totalRuns = rows.reduce((sum, r) => sum + r.runCount, 0);
+  let urls = rows.length;
+  const evicted = [];
+  for (const row of rows) {
+    if (urls <= HISTORY_MAX_URLS && totalRuns <= HISTORY_MAX_TOTAL_RUNS) break;
+    evicted.push(row.url);
+    totalRuns -= row.runCount;
+    urls--;
+  }
+  return evicted;
+}
+
+// Writes read-modify-write the shared index (and the first read may build
+// it), so index access runs one task at a time.
+let historyTasks = Promise.resolve();
+function queueHistoryTask(fn) {
+  const run = historyTasks.then(fn);
+  historyTasks = run.catch(() => {});
+  return run;
+}
+
+function appendHistory(url, results) {
+  return queueHistoryTask(() => appendHistoryNow(url, results));
+}
+
+async function appendHistoryNow(url, results) {
+  const normalized = normalizeHistoryUrl(url);
+  if (!normalized) return;
+  const key = historyKey(normalized);
+  const [obj, index] = await Promise.all([chrome.storage.local.get(key), getHistoryIndex()]);
+  const runs = [...((obj[key] && obj[key].runs) || []), summarizeForHistory(results, url)]
+    .slice(-HISTORY_MAX_RUNS_PER_URL);
+  index[normalized] = { url: normalized, runCount: runs.length, latest: runs[runs.length - 1] };
+  const evicted = historyEvictions(index);
+  for (const u of evicted) delete index[u];
+  if (evicted.length > 0) await chrome.storage.local.remove(evicted.map(historyKey));
+  await chrome.storage.local.set({
+    [key]: { url: normalized, runs },
+    [HISTORY_INDEX_KEY]: index
+  });
+}
+
+// One row per URL with its most recent run — drives the history page index.
+async function listHistory() {
+  return Object.values(await queueHistoryTask(getHistoryIndex))
+    .sort((a, b) => b.latest.timestamp - a.latest.timestamp);
+}
+
+function clearHistory(url) {
+  const normalized = normalizeHistoryUrl(url);
+  if (!normalized) return Promise.resolve();
+  return queueHistoryTask(async () => {
+    const index = await getHistoryIndex();
+    delete index[normalized];
+    await chrome.storage.local.remove(historyKey(normalized));
+    await chrome.storage.local.set({ [HISTORY_INDEX_KEY]: index });
+  });
+}
+
 async function injectAnalysisScript(tabId) {
   await chrome.scripting.executeScript({
     target: { tabId },
@@ -62,16 +224,26 @@ async function injectAnalysisScript(tabId) {
   });
   await chrome.scripting.executeScript({
     target: { tabId },
-    files: ['content.js']
+    files: ['shared.js', 'content.js']
   });
 }
 
-async function handleAnalysisComplete(analysisData, tabId) {
+async function handleAnalysisComplete(analysisData, tabId, url) {
   if (tabId === undefined) return;
   const entry = {
     type: 'ok',
     results: { ...analysisData, timestamp: Date.now() }
   };
+  // Append history before publishing the result so the popup's trend (read
+  // right after GET_ANALYSIS succeeds) already includes this run.
+  if (url) {
+    try {
+      await appendHistory(url, entry.results);
+    } catch (error) {
+      // The live result still stands; the popup says this run wasn't saved.
+      entry.results.historyError = (error && error.message) || String(error);
+    }
+  }
   await setStoredResult(tabId, entry);
   await updateBadge(tabId, entry);
 }
@@ -93,12 +265,7 @@ async function updateBadge(tabId, entry) {
 
   // Keep badge colors aligned with the popup's segment semantics.
   const segment = results.segment;
-  const server = results.server || {};
-  const textRatio = typeof server.textRatio === 'number' ? server.textRatio : null;
-  const overlap = typeof server.contentOverlap === 'number' ? server.contentOverlap : textRatio;
-  const visibilityPct = textRatio == null || overlap == null
-    ? null
-    : Math.round(Math.min(textRatio, overlap) * 100);
+  const visibilityPct = visibilityPctOf(results);
 
   let badgeText = '';
   let badgeColor = '';
@@ -155,39 +322,100 @@ async function clearBadge(tabId) {
 const MAX_BODY_BYTES = 2_000_000;
 const DEFAULT_FETCH_TIMEOUT_MS = 6000;
 
-// Single session rule ID reused across sequential bot probes. We always
-// remove-then-add so concurrent probes can't see each other's UA.
-const PROBE_RULE_ID = 1;
-const PROBE_RULE_LOCK = { busy: false, queue: [] };
+// Every in-flight probe gets its own DNR session rule ID from this range, so
+// probes for different URLs run in parallel. Startup cleanup removes the
+// whole range.
+const PROBE_RULE_ID_MIN = 1;
+const PROBE_RULE_ID_MAX = 200;
+const PROBE_RULE_POOL = { inUse: new Set(), next: PROBE_RULE_ID_MIN, waiters: [] };
+
+// DNR can't match on request headers, so a UA rule matches every SW request
+// for its URL. Requests take turns per URL (see withRequestLock) instead of
+// tagging the URL, which would skip CDN caches and trip WAFs and make the bot
+// fetch a different URL than Chrome's.
+const requestLocks = new Map(); // request URL → tail of the queue
 
-// Serialize probe requests so a stale rule from a prior probe can't leak into
-// the next one. Each waiter resolves after the previous probe finishes.
-function acquireProbeLock() {
+// Hand out a free rule ID, or wait for one when every ID is in flight.
+function acquireProbeRuleId() {
   return new Promise((resolve) => {
-    if (!PROBE_RULE_LOCK.busy) {
-      PROBE_RULE_LOCK.busy = true;
-      resolve();
-    } else {
-      PROBE_RULE_LOCK.queue.push(resolve);
+    const span = PROBE_RULE_ID_MAX - PROBE_RULE_ID_MIN + 1;
+    if (PROBE_RULE_POOL.inUse.size >= span) {
+      PROBE_RULE_POOL.waiters.push(resolve);
+      return;
     }
+    let id = PROBE_RULE_POOL.next;
+    while (PROBE_RULE_POOL.inUse.has(id)) {
+      id = id >= PROBE_RULE_ID_MAX ? PROBE_RULE_ID_MIN : id + 1;
+    }
+    PROBE_RULE_POOL.inUse.add(id);
+    PROBE_RULE_POOL.next = id >= PROBE_RULE_ID_MAX ? PROBE_RULE_ID_MIN : id + 1;
+    resolve(id);
+  });
+}
+function releaseProbeRuleId(id) {
+  const next = PROBE_RULE_POOL.waiters.shift();
+  if (next) next(id);
+  else PROBE_RULE_POOL.inUse.delete(id);
+}
+
+// Runs `fn` once every earlier holder of `url` is done. Held from installing
+// a hop's UA rule until its response headers arrive, so a probe's rule never
+// touches another probe's or a plain fetch's request for the same URL.
+function withRequestLock(url, fn) {
+  const previous = requestLocks.get(url) || Promise.resolve();
+  const run = previous.then(fn);
+  const tail = run.catch(() => {});
+  requestLocks.set(url, tail);
+  tail.then(() => {
+    if (requestLocks.get(url) === tail) requestLocks.delete(url);
   });
+  return run;
 }
-function releaseProbeLock() {
-  const next = PROBE_RULE_LOCK.queue.shift();
-  if (next) next();
-  else PROBE_RULE_LOCK.busy = false;
+
+// A single fetch() under its URL's request lock, released once the headers
+// are in; the body is read after. For SW fetches that don't go through
+// fetchFollowingRedirects.
+function lockedFetch(url, init) {
+  return withRequestLock(requestKey(url), () => fetch(url, init));
 }
 
+// On SW startup, defensively clear any stale UA-override session rules. Session
+// rules normally clear on browser exit, but if an SW died mid-probe a rule
+// could outlive the analysis it was scoped to. probeUrlAs waits for this so
+// the sweep can't remove a live probe's rule.
+const probeRulesReady = (async () => {
+  try {
+    const rules = await chrome.declarativeNetRequest.getSessionRules();
+    const stale = rules
+      .map((r) => r.id)
+      .filter((id) => id >= PROBE_RULE_ID_MIN && id <= PROBE_RULE_ID_MAX);
+    if (stale.length > 0) {
+      await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: stale });
+    }
+  } catch (_) { /* nothing to clear */ }
+})();
+
 // Install a DNR session rule that rewrites the User-Agent header for the
-// specific URL we're about to probe. Scoped to xmlhttprequest so the user's
-// regular page navigation isn't affected. Rule is removed in `finally`.
+// URL we're about to probe. Scoped to xmlhttprequest so the user's regular
+// page navigation isn't affected. fetchUrl follows redirects hop by hop, and
+// each hop points the rule at that hop's URL while it holds the URL's request
+// lock, so the bot UA holds across the whole chain and nothing else picks it
+// up. Rule is removed again in `finally`.
 async function probeUrlAs(url, userAgent, timeoutMs) {
-  await acquireProbeLock();
-  try {
+  await probeRulesReady;
+  const ruleId = await acquireProbeRuleId();
+  const removeRule = async () => {
+    try {
+      await chrome.declarativeNetRequest.updateSessionRules({
+        removeRuleIds: [ruleId]
+      });
+    } catch (_) { /* ignore — rule may already be gone */ }
+  };
+  const pointRuleAt = async (hopUrl) => {
     await chrome.declarativeNetRequest.updateSessionRules({
-      removeRuleIds: [PROBE_RULE_ID],
+      removeRuleIds: [ruleId],
       addRules: [{
-        id: PROBE_RULE_ID,
+        id: ruleId,
         priority: 1,
         action: {
           type: 'modifyHeaders',
@@ -198,59 +426,425 @@ async function probeUrlAs(url, userAgent, timeoutMs) {
         condition: {
           // Anchored exact-URL match: leading | + url + trailing | means
           // "request URL is exactly this string."
-          urlFilter: '|' + url + '|',
+          urlFilter: '|' + hopUrl + '|',
           resourceTypes: ['xmlhttprequest']
         }
       }]
     });
-
-    return await fetchUrl(url, timeoutMs);
+    return removeRule;
+  };
+  try {
+    return await fetchUrl(url, timeoutMs, { prepareHop: pointRuleAt });
   } catch (error) {
     return {
       ok: false,
       error: (error && error.message) || String(error)
     };
   } finally {
-    try {
-      await chrome.declarativeNetRequest.updateSessionRules({
-        removeRuleIds: [PROBE_RULE_ID]
-      });
-    } catch (_) { /* ignore — rule may already be gone */ }
-    releaseProbeLock();
+    await removeRule();
+    releaseProbeRuleId(ruleId);
+  }
+}
+
+// fetch() with redirect: 'manual' only hands back an opaque response — no
+// status, no Location. webRequest still sees the real 3xx, so each hop
+// registers the URL it's about to request and the listener below fills in
+// the answer.
+const REDIRECT_MAX_HOPS = 10;
+const REDIRECT_INFO_GRACE_MS = 1000;
+const pendingRedirectInfo = new Map(); // request URL → [resolve, …]
+
+// webRequest reports the URL as Chrome serialized it (lowercased host,
+// percent-encoded path, default port dropped), so both the pending map and
+// the DNR urlFilter key on that form, not on the string we were handed.
+function requestKey(url) {
+  try {
+    return new URL(url).href;
+  } catch (_) {
+    return url;
+  }
+}
+
+function expectRedirectInfo(url) {
+  url = requestKey(url);
+  let resolveInfo;
+  const promise = new Promise((resolve) => { resolveInfo = resolve; });
+  const queue = pendingRedirectInfo.get(url) || [];
+  queue.push(resolveInfo);
+  pendingRedirectInfo.set(url, queue);
+  const cancel = () => {
+    const q = pendingRedirectInfo.get(url);
+    if (q && q.includes(resolveInfo)) {
+      q.splice(q.indexOf(resolveInfo), 1);
+      if (q.length === 0) pendingRedirectInfo.delete(url);
+    }
+    resolveInfo(null);
+  };
+  return {
+    cancel,
+    wait: (ms) => {
+      const timer = setTimeout(cancel, ms);
+      return promise.finally(() => clearTimeout(timer));
+    }
+  };
+}
+
+chrome.webRequest.onHeadersReceived.addListener((details) => {
+  if (details.statusCode < 300 || details.statusCode >= 400) return;
+  const key = requestKey(details.url);
+  const queue = pendingRedirectInfo.get(key);
+  if (!queue) return;
+  const resolve = queue.shift();
+  if (queue.length === 0) pendingRedirectInfo.delete(key);
+  const location = (details.responseHeaders || []).find((h) => h.name.toLowerCase() === 'location');
+  resolve({ status: details.statusCode, location: location ? location.value : null });
+}, { urls: ['<all_urls>'], tabId: -1 }, ['responseHeaders']);
+
+// Follows redirects one hop at a time, recording { url, status, location, ms }
+// per hop. Each hop runs under its URL's request lock; `hooks.prepareHop(url)`
+// (bot probes) runs first inside it and may return a function to undo it once
+// the headers are in, and `hooks.onStart()` runs once the first hop holds the
+// lock, so callers can start their clocks after any wait in line. Stops on a
+// loop or after REDIRECT_MAX_HOPS, returning no response. If a hop's details
+// never arrive we let fetch follow the rest blind and mark the hop
+// `unresolved` — except under prepareHop, whose rule only covers this hop, so
+// the rest would go out with Chrome's UA; that chain stops `unresolved`.
+async function fetchFollowingRedirects(url, init, hooks = {}) {
+  const { prepareHop, onStart } = hooks;
+  const hops = [];
+  const seen = new Set([requestKey(url)]);
+  let current = url;
+  for (;;) {
+    const requestUrl = requestKey(current);
+    const hop = await withRequestLock(requestUrl, async () => {
+      const undoHop = prepareHop ? await prepareHop(requestUrl) : null;
+      try {
+        if (hops.length === 0 && onStart) onStart();
+        const info = expectRedirectInfo(requestUrl);
+        const hopStartedAt = performance.now();
+        let response;
+        try {
+          response = await fetch(requestUrl, { ...init, redirect: 'manual' });
+        } catch (error) {
+          info.cancel();
+          throw error;
+        }
+        if (response.type !== 'opaqueredirect') {
+          info.cancel();
+          return { response };
+        }
+        const redirect = await info.wait(REDIRECT_INFO_GRACE_MS);
+        const ms = Math.round(performance.now() - hopStartedAt);
+        let next = null;
+        try {
+          if (redirect && redirect.location) next = new URL(redirect.location, requestUrl).href;
+        } catch (_) { /* unparseable Location — follow blind */ }
+        const rest = next || prepareHop ? null : await fetch(requestUrl, { ...init, redirect: 'follow' });
+        return { redirect, next, rest, ms };
+      } finally {
+        if (undoHop) await undoHop();
+      }
+    });
+    if (hop.response) return { response: hop.response, hops };
+    const { redirect, next, rest, ms } = hop;
+    if (!next) {
+      hops.push({ url: current, status: redirect ? redirect.status : null, location: rest ? rest.url : null, ms, unresolved: true });
+      return { response: rest, hops, unresolved: !rest };
+    }
+    hops.push({ url: current, status: redirect.status, location: next, ms });
+    if (seen.has(next)) return { response: null, hops, loop: true };
+    if (hops.length >= REDIRECT_MAX_HOPS) return { response: null, hops, loop: false };
+    seen.add(next);
+    current = next;
+  }
+}
+
+// Arrival checkpoints for the raw-HTML timeline (ms since the request
+// started). The last one also bounds how long a timeline fetch keeps reading
+// past the crawler budget, so we can show what arrived too late.
+const TIMELINE_CHECKPOINTS_MS = [250, 500, 1000, 2000, 5000];
+
+function decoderFor(contentType) {
+  const m = /charset\s*=\s*["']?([\w-]+)/i.exec(contentType || '');
+  try {
+    return new TextDecoder(m ? m[1] : 'utf-8');
+  } catch (_) {
+    return new TextDecoder('utf-8');
   }
 }
 
-async function fetchUrl(url, timeoutMs) {
+// Streams the body. By default a response that isn't complete within
+// `timeoutMs` is a 'timeout' failure, as before. With `options.partial` it
+// instead returns whatever arrived within the budget, flagged `timedOut` —
+// that's what a crawler with this budget gets. Support files (robots.txt,
+// sitemaps) stay all-or-nothing: half a robots.txt is worse than none.
+//
+// With `options.timeline`, keeps reading up to the last checkpoint and adds
+// `timeline`: bytes and visible text at each checkpoint, plus `lateHtml` — the
+// part of the body that arrived after the budget. `text` is still only what
+// arrived within the budget, since that's what a crawler with this budget gets.
+//
+// Redirects are followed hop by hop (see fetchFollowingRedirects); every
+// result carries `redirects`, and a loop or an over-long chain fails with
+// 'redirect-loop' / 'too-many-redirects'. `options.prepareHop` is passed
+// through; a probe hop whose redirect can't be read fails with
+// 'redirect-unresolved' rather than following it with the wrong UA. The
+// budget, checkpoints and timings start once the first hop holds its URL's
+// request lock, so probes queued behind each other aren't charged the wait.
+async function fetchUrl(url, timeoutMs, options = {}) {
   const timeout = typeof timeoutMs === 'number' && timeoutMs > 0
     ? timeoutMs
     : DEFAULT_FETCH_TIMEOUT_MS;
+  const wantTimeline = !!options.timeline;
+  const allowPartial = wantTimeline || !!options.partial;
+  const stopAfter = wantTimeline
+    ? Math.max(timeout, TIMELINE_CHECKPOINTS_MS[TIMELINE_CHECKPOINTS_MS.length - 1])
+    : timeout;
   const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeout);
+  let startedAt = performance.now();
+  const timers = [];
+
+  let html = '';
+  let bytes = 0;
+  let finished = false;
+  let atBudget = null;      // { html, bytes } once the budget passes mid-body
+  let headersMs = null;
+  const checkpoints = [];
+  const checkpointAt = (ms) => ({ ms, bytes, textLength: extractHtmlSnapshot(html).textLength });
+
+  const start = () => {
+    startedAt = performance.now();
+    if (wantTimeline) {
+      for (const ms of TIMELINE_CHECKPOINTS_MS) {
+        timers.push(setTimeout(() => { if (!finished) checkpoints.push(checkpointAt(ms)); }, ms));
+      }
+    }
+    timers.push(setTimeout(() => { if (!finished) atBudget = { html, bytes }; }, timeout));
+    timers.push(setTimeout(() => controller.abort(), stopAfter));
+  };
+
   try {
-    const response = await fetch(url, {
+    const chain = await fetchFollowingRedirects(url, {
       credentials: 'omit',
       cache: 'no-store',
-      redirect: 'follow',
       signal: controller.signal
-    });
-    let text = await response.text();
-    let truncated = false;
-    if (text.length > MAX_BODY_BYTES) {
-      text = text.slice(0, MAX_BODY_BYTES);
-      truncated = true;
+    }, { prepareHop: options.prepareHop, onStart: start });
+    if (!chain.response) {
+      return {
+        ok: false,
+        error: chain.unresolved ? 'redirect-unresolved' : chain.loop ? 'redirect-loop' : 'too-many-redirects',
+        redirects: chain.hops,
+        redirectLoop: !!chain.loop
+      };
     }
+    const response = chain.response;
+    headersMs = Math.round(performance.now() - startedAt);
     const headers = {};
     response.headers.forEach((value, key) => {
       headers[key.toLowerCase()] = value;
     });
-    return {
+
+    let truncated = false;
+    let complete = false;
+    if (response.body) {
+      const reader = response.body.getReader();
+      const decoder = decoderFor(headers['content-type']);
+      try {
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) {
+            html += decoder.decode();
+            complete = true;
+            break;
+          }
+          bytes += value.byteLength;
+          html += decoder.decode(value, { stream: true });
+          if (html.length > MAX_BODY_BYTES) {
+            html = html.slice(0, MAX_BODY_BYTES);
+            truncated = true;
+            complete = true;
+            reader.cancel().catch(() => {});
+            break;
+          }
+        }
+      } catch (error) {
+        // Aborted mid-body: keep what arrived. Anything else is a real failure.
+        if (!controller.signal.aborted) throw error;
+      }
+    } else {
+      complete = true;
+    }
+    finished = true;
+    const elapsedMs = Math.round(performance.now() - startedAt);
+    if (!allowPartial && (atBudget || !complete)) return { ok: false, error: 'timeout' };
+
+    const result = {
       ok: true,
       status: response.status,
-      redirected: response.redirected,
+      redirected: chain.hops.length > 0,
+      redirects: chain.hops,
       finalUrl: response.url,
       headers,
-      text,
-      truncated
+      text: atBudget ? atBudget.html : html,
+      truncated,
+      timedOut: !!atBudget || !complete
+    };
+    if (wantTimeline) {
+      // Checkpoints after the body finished all see the whole body.
+      for (const ms of TIMELINE_CHECKPOINTS_MS) {
+        if (complete && !checkpoints.some((c) => c.ms === ms)) checkpoints.push(checkpointAt(ms));
+      }
+      checkpoints.sort((a, b) => a.ms - b.ms);
+      result.timeline = {
+        budgetMs: timeout,
+        headersMs,
+        completeMs: complete ? elapsedMs : null,
+        totalBytes: bytes,
+        budgetBytes: atBudget ? atBudget.bytes : bytes,
+        checkpoints,
+        lateHtml: atBudget ? html.slice(atBudget.html.length) : ''
+      };
+    }
+    return result;
+  } catch (error) {
+    return {
+      ok: false,
+      error: error && error.name === 'AbortError' ? 'timeout' : (error && error.message) || String(error)
+    };
+  } finally {
+    finished = true;
+    timers.forEach(clearTimeout);
+  }
+}
+
+// Whether each URL resolves, for link lists like llms.txt. HEAD first so we
+// don't download every page; servers that refuse HEAD get a GET whose body
+// we drop unread. Redirects are followed, so `status` is the final one.
+const LINK_CHECK_CONCURRENCY = 4;
+
+async function checkUrl(url, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs || DEFAULT_FETCH_TIMEOUT_MS);
+  const init = { credentials: 'omit', cache: 'no-store', redirect: 'follow', signal: controller.signal };
+  try {
+    let response = await lockedFetch(url, { ...init, method: 'HEAD' });
+    if (response.status === 405 || response.status === 501) {
+      response = await lockedFetch(url, { ...init, method: 'GET' });
+      if (response.body) response.body.cancel().catch(() => {});
+    }
+    return {
+      url,
+      ok: response.ok,
+      status: response.status,
+      redirected: response.redirected,
+      finalUrl: response.url,
+      contentType: response.headers.get('content-type') || null
+    };
+  } catch (error) {
+    return {
+      url,
+      ok: false,
+      status: null,
+      error: error && error.name === 'AbortError' ? 'timeout' : (error && error.message) || String(error)
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function checkUrls(urls, timeoutMs) {
+  const results = new Array(urls.length);
+  let cursor = 0;
+  const worker = async () => {
+    while (cursor < urls.length) {
+      const i = cursor++;
+      results[i] = await checkUrl(urls[i], timeoutMs);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(LINK_CHECK_CONCURRENCY, urls.length) }, worker));
+  return results;
+}
+
+// The live robots.txt for the popup's tester and the policy page, fetched
+// when they open rather than carried in every analysis result. Only an
+// available file has text; past ROBOTS_MAX_BYTES nothing is read anyway.
+async function fetchRobotsText(origin) {
+  const { robotsFromResponse, ROBOTS_MAX_BYTES } = self.AIVisibility;
+  const res = await fetchUrl(origin + '/robots.txt', DEFAULT_FETCH_TIMEOUT_MS);
+  const parsed = robotsFromResponse(res);
+  return {
+    availability: parsed.availability,
+    text: parsed.availability === 'available' ? (res.text || '').slice(0, ROBOTS_MAX_BYTES) : ''
+  };
+}
+
+// Sitemaps can be gzipped files (`.xml.gz`) rather than gzip-encoded
+// responses, and fetch only undoes Content-Encoding — so we read raw bytes
+// and gunzip when the body starts with the gzip magic number. Reading stops
+// one byte past `maxBytes`: by default sitemaps.org's 50 MB uncompressed
+// limit, enough to tell the file is oversize without holding all of it. A
+// smaller budget marks the file `truncated` instead.
+const SITEMAP_MAX_BYTES = 50 * 1024 * 1024;
+
+// `partial` keeps what was read when the stream errors, which is how a gzip
+// stream cut off by the byte budget ends.
+async function readCapped(stream, cap, partial = false) {
+  const reader = stream.getReader();
+  const chunks = [];
+  let total = 0;
+  for (;;) {
+    let step;
+    try {
+      step = await reader.read();
+    } catch (error) {
+      if (!partial) throw error;
+      break;
+    }
+    const { value, done } = step;
+    if (done) break;
+    chunks.push(value);
+    total += value.byteLength;
+    if (total > cap) {
+      reader.cancel().catch(() => {});
+      break;
+    }
+  }
+  const bytes = new Uint8Array(Math.min(total, cap + 1));
+  let offset = 0;
+  for (const chunk of chunks) {
+    const part = chunk.subarray(0, bytes.length - offset);
+    bytes.set(part, offset);
+    offset += part.byteLength;
+    if (offset >= bytes.length) break;
+  }
+  return bytes;
+}
+
+async function fetchSitemap(url, timeoutMs, maxBytes = SITEMAP_MAX_BYTES) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs || DEFAULT_FETCH_TIMEOUT_MS);
+  const cap = Math.min(maxBytes, SITEMAP_MAX_BYTES);
+  try {
+    const response = await lockedFetch(url, { credentials: 'omit', cache: 'no-store', signal: controller.signal });
+    let bytes = response.body ? await readCapped(response.body, cap) : new Uint8Array(0);
+    const transferBytes = bytes.byteLength;
+    const gzip = bytes[0] === 0x1f && bytes[1] === 0x8b;
+    if (gzip) {
+      bytes = await readCapped(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip')), cap, transferBytes > cap);
+    }
+    const overCap = bytes.byteLength > cap || (gzip && transferBytes > cap);
+    return {
+      ok: true,
+      status: response.status,
+      finalUrl: response.url,
+      redirected: response.redirected,
+      contentType: response.headers.get('content-type') || null,
+      gzip,
+      transferBytes,
+      bytes: Math.min(bytes.byteLength, cap),
+      oversize: overCap && cap === SITEMAP_MAX_BYTES,
+      truncated: overCap,
+      text: new TextDecoder().decode(bytes.byteLength > cap ? bytes.subarray(0, cap) : bytes)
     };
   } catch (error) {
     return {
@@ -262,9 +856,859 @@ async function fetchUrl(url, timeoutMs) {
   }
 }
 
+// The popup run's sitemap read: the SW fetches and parses, and only counts,
+// lastmod stats, this page's entry and the first listed URLs go back to the
+// content script, which checks that sample for redirects, failures and
+// robots.txt. The byte budget covers the whole walk, not each file, and the
+// walk stops once the page or its canonical turns up; the audit of every
+// listed URL is the site crawl's job.
+const SITEMAP_SUMMARY_MAX_FILES = 20;
+const SITEMAP_SUMMARY_MAX_BYTES = 4 * 1024 * 1024;
+const SITEMAP_SUMMARY_SAMPLE = 20;
+
+async function summarizeSitemaps(seeds, pageUrl, canonicalUrl, timeoutMs) {
+  const { parseSitemapXml, isWellFormedXml, sitemapLastmodStats, SITEMAP_MAX_URLS } = self.AIVisibility;
+  const normalize = (u, base) => {
+    try {
+      const x = new URL(u, base);
+      x.hash = '';
+      return x.href;
+    } catch (_) {
+      return null;
+    }
+  };
+  const page = normalize(pageUrl);
+  const canonical = canonicalUrl ? normalize(canonicalUrl, pageUrl) : null;
+
+  const queue = [...new Set(seeds)];
+  const seen = new Set();
+  const files = [];
+  const lastmods = [];
+  const sample = [];
+  let urlCount = 0;
+  let budget = SITEMAP_SUMMARY_MAX_BYTES;
+  let pageEntry = null;
+  let pageListed = null;
+  let truncated = false;
+
+  while (queue.length > 0 && !pageEntry) {
+    if (seen.size >= SITEMAP_SUMMARY_MAX_FILES || budget <= 0) break;
+    const url = queue.shift();
+    if (seen.has(url)) continue;
+    seen.add(url);
+
+    const res = await fetchSitemap(url, timeoutMs, budget);
+    const file = { url, ok: false, status: res.status || null, gzip: !!res.gzip, bytes: res.bytes || 0 };
+    files.push(file);
+    if (!res.ok || res.status !== 200) {
+      file.error = res.error || `HTTP ${res.status}`;
+      continue;
+    }
+    budget -= res.bytes;
+    const parsed = parseSitemapXml(res.text);
+    file.ok = true;
+    file.type = parsed.type;
+    file.entries = parsed.entries.length;
+    // A file cut off by the budget can't close its root element, so only
+    // the shape is checked for it.
+    file.malformed = parsed.type === 'unknown' || (!res.truncated && !isWellFormedXml(res.text));
+    file.oversize = !!res.oversize || parsed.entries.length > SITEMAP_MAX_URLS;
+    if (res.truncated) {
+      file.truncated = true;
+      truncated = true;
+    }
+    if (parsed.type === 'index') {
+      parsed.entries.forEach((e) => {
+        const loc = normalize(e.loc, url);
+        if (loc && !seen.has(loc)) queue.push(loc);
+      });
+      continue;
+    }
+    for (const e of parsed.entries) {
+      urlCount += 1;
+      if (e.lastmod) lastmods.push({ lastmod: e.lastmod });
+      if (sample.length < SITEMAP_SUMMARY_SAMPLE) sample.push(e.loc);
+      const loc = normalize(e.loc, url);
+      if (!pageEntry && loc && (loc === page || loc === canonical)) {
+        pageEntry = { loc: e.loc, lastmod: e.lastmod || null, alternates: e.alternates || [] };
+        pageListed = loc === page ? 'page' : 'canonical';
+      }
+    }
+  }
+
+  const lastmod = sitemapLastmodStats(lastmods);
+  lastmod.total = urlCount;
+  return {
+    files,
+    urlCount,
+    // Every reachable file was read in full: only then does "not listed" mean
+    // the page isn't in the sitemap.
+    complete: !truncated && queue.every((u) => seen.has(u)),
+    pageListed,
+    pageEntry,
+    lastmod,
+    sample
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Site crawl
+//
+// Runs the server-side half of the content-script Analyzer for every URL in
+// the site's sitemaps: raw fetch, robots.txt check per path, and bot probes.
+// There is no rendered DOM here, so a page's segment is scored against the
+// rendered text length recorded the last time the full analyzer ran on it
+// (see summarizeForHistory). Pages that were never opened get a segment
+// estimated from the server HTML alone (estimateServerVisibility), marked
+// `segmentSource: 'server'` so the dashboard can say how many that is.
+//
+// One crawl at a time. State is mirrored into chrome.storage.local after
+// every page so the dashboard can follow along via storage.onChanged, and so
+// the many storage calls keep the SW alive for the length of the crawl.
+// ---------------------------------------------------------------------------
+
+const SITE_CRAWL_KEY = 'siteCrawl';
+const SITE_CRAWL_DEFAULTS = {
+  maxPages: 50,
+  concurrency: 3,
+  maxSitemaps: 20,
+  fetchTimeoutMs: 2000,
+  probeTimeoutMs: 3000,
+  probeBots: true
+};
+const SITE_CRAWL_LIMITS = {
+  maxPages: [1, 1000],
+  concurrency: [1, 8],
+  maxSitemaps: [1, 100],
+  fetchTimeoutMs: [500, 30000],
+  probeTimeoutMs: [500, 30000]
+};
+const CRAWL_SEVERITY_WEIGHT = { high: 3, medium: 2, low: 1 };
+const CRAWL_SEGMENT_RANK = {
+  invisible: 5, js_dependent: 4, slipping: 3, partially_accessible: 2, mostly_visible: 1, fully_accessible: 0
+};
+// Server-only estimate: server HTML that carries at least this much visible
+// text, or this share of its markup as text, counts as fully served.
+const CRAWL_CONTENT_MIN_CHARS = 1500;
+const CRAWL_CONTENT_TEXT_SHARE = 0.15;
+// An empty app mount point: the page's content is yet to be rendered.
+const CRAWL_EMPTY_MOUNT_RE = /<(div|main)\b[^>]*\bid\s*=\s*["']?(?:root|app|__next|__nuxt|___gatsby|svelte)["']?[^>]*>\s*<\/\1>/i;
+
+let activeCrawl = null;
+
+function clampCrawlOptions(options) {
+  const out = { ...SITE_CRAWL_DEFAULTS };
+  for (const [key, [min, max]] of Object.entries(SITE_CRAWL_LIMITS)) {
+    const v = Number(options && options[key]);
+    if (Number.isFinite(v)) out[key] = Math.max(min, Math.min(max, Math.round(v)));
+  }
+  if (options && typeof options.probeBots === 'boolean') out.probeBots = options.probeBots;
+  return out;
+}
+
+function codePointToString(n) {
+  return n > 0 && n <= 0x10ffff ? String.fromCodePoint(n) : '';
+}
+
+function decodeHtmlEntities(s) {
+  return s
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#(\d+);/g, (_, n) => codePointToString(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => codePointToString(parseInt(n, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// Minimal snapshot of raw HTML for the SW, which has no DOMParser. Mirrors the
+// fields of content.js captureSnapshot that the crawl needs: body text (tags
+// stripped, entities decoded — script text included, like textContent),
+// heading count, and the <meta name> tags that can carry robots directives
+// (content.js readRobotsMetas).
+function extractHtmlSnapshot(html) {
+  const src = html || '';
+  const bodyMatch = src.match(/<body[^>]*>([\s\S]*?)(?:<\/body>|$)/i);
+  const body = bodyMatch ? bodyMatch[1] : src;
+  const text = decodeHtmlEntities(body
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<[^>]+>/g, ''))
+    .trim();
+  const metaNames = new Set(['robots', ...self.AIVisibility.AI_CRAWLERS.map((b) => b.name.toLowerCase())]);
+  const attr = (tag, name) => {
+    const m = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return m ? (m[1] != null ? m[1] : m[2] != null ? m[2] : m[3]) : null;
+  };
+  const robotsMetas = (src.match(/<meta\s[^>]*>/gi) || [])
+    .map((tag) => ({ name: (attr(tag, 'name') || '').trim(), content: attr(tag, 'content') || '', side: 'server' }))
+    .filter((m) => metaNames.has(m.name.toLowerCase()));
+  const htmlLang = src.match(/<html[^>]*\slang\s*=\s*["']?([\w-]+)/i);
+  return {
+    text,
+    textLength: text.length,
+    totalHeadings: (body.match(/<h[1-6][\s>]/gi) || []).length,
+    robotsMetas,
+    htmlLang: htmlLang ? htmlLang[1] : null
+  };
+}
+
+// A 0–1 stand-in for the server/rendered text ratio when there is no
+// rendered baseline. Content pages carry plenty of visible text for their
+// markup; a JavaScript shell is an empty mount point plus scripts, so script
+// and style bodies don't count as markup here. Next to an empty mount point,
+// only the amount of text counts: nav and footer alone can look text-dense.
+function estimateServerVisibility(html) {
+  const markup = (html || '')
+    .replace(/<(script|style|noscript|template)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '');
+  if (markup.length === 0) return 0;
+  const bodyMatch = markup.match(/<body[^>]*>([\s\S]*?)(?:<\/body>|$)/i);
+  const text = decodeHtmlEntities((bodyMatch ? bodyMatch[1] : markup).replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+  const byLength = text.length / CRAWL_CONTENT_MIN_CHARS;
+  if (CRAWL_EMPTY_MOUNT_RE.test(markup)) return Math.min(1, byLength);
+  return Math.min(1, Math.max(byLength, text.length / markup.length / CRAWL_CONTENT_TEXT_SHARE));
+}
+
+async function persistCrawl(state) {
+  await chrome.storage.local.set({ [SITE_CRAWL_KEY]: state });
+}
+
+async function getSiteCrawl() {
+  const obj = await chrome.storage.local.get(SITE_CRAWL_KEY);
+  return obj[SITE_CRAWL_KEY] || null;
+}
+
+// Where a crawl or llms.txt draft starts: the sitemaps the caller passed,
+// else the ones robots.txt declares, else /sitemap.xml.
+function sitemapSeeds(origin, seedSitemaps, robots) {
+  if (seedSitemaps.length > 0) return seedSitemaps;
+  return robots && robots.sitemaps && robots.sitemaps.length > 0 ? robots.sitemaps : [origin + '/sitemap.xml'];
+}
+
+// Walk sitemaps breadth-first, following sitemap indexes, and collect
+// same-origin page URLs up to maxPages. Files are read up to the 50 MB limit
+// and checked for well-formedness, the audit the popup run leaves to us.
+async function discoverSitemapUrls(origin, seedSitemaps, options, state) {
+  const queue = [...new Set(seedSitemaps)];
+  const seenSitemaps = new Set();
+  const pages = new Set();
+  while (queue.length > 0 && seenSitemaps.size < options.maxSitemaps && pages.size < options.maxPages) {
+    if (state.cancelled) break;
+    const sitemapUrl = queue.shift();
+    if (seenSitemaps.has(sitemapUrl)) continue;
+    seenSitemaps.add(sitemapUrl);
+
+    const res = await fetchSitemap(sitemapUrl, DEFAULT_FETCH_TIMEOUT_MS);
+    if (!res.ok || res.status !== 200) {
+      state.sitemaps.push({ url: sitemapUrl, ok: false, error: res.error || `HTTP ${res.status}` });
+      continue;
+    }
+    const { parseSitemapXml, isWellFormedXml, SITEMAP_MAX_URLS } = self.AIVisibility;
+    const parsed = parseSitemapXml(res.text);
+    state.sitemaps.push({
+      url: sitemapUrl,
+      ok: true,
+      type: parsed.type,
+      entries: parsed.entries.length,
+      malformed: parsed.type === 'unknown' || (!res.oversize && !isWellFormedXml(res.text)),
+      oversize: !!res.oversize || parsed.entries.length > SITEMAP_MAX_URLS
+    });
+    for (const entry of parsed.entries) {
+      if (parsed.type === 'index') {
+        if (!seenSitemaps.has(entry.loc)) queue.push(entry.loc);
+        continue;
+      }
+      let u;
+      try { u = new URL(entry.loc, sitemapUrl); } catch (_) { continue; }
+      if (u.origin !== origin) continue;
+      u.hash = '';
+      pages.add(u.href);
+      if (pages.size >= options.maxPages) break;
+    }
+  }
+  return [...pages];
+}
+
+// Latest rendered-text length the full analyzer recorded for this URL — the
+// crawl's stand-in for a rendered DOM.
+async function renderedBaselineFromHistory(url) {
+  const runs = await getHistory(url);
+  const last = [...runs].reverse().find((r) => typeof r.renderedTextLength === 'number' && r.renderedTextLength > 0);
+  return last ? { textLength: last.renderedTextLength, text: null } : null;
+}
+
+// The user's enabled probe bots (options page), same list the popup run uses.
+async function loadBotProbes() {
+  const { BOT_PROBE_CATALOG_KEY, enabledBotProbes } = self.AIVisibility;
+  try {
+    const obj = await chrome.storage.local.get(BOT_PROBE_CATALOG_KEY);
+    return enabledBotProbes(obj[BOT_PROBE_CATALOG_KEY]);
+  } catch (_) {
+    return enabledBotProbes(null);
+  }
+}
+
+// The active analysis profile's thresholds, so crawl and monitoring verdicts
+// agree with the popup's. Crawl timeouts stay under the crawl's own options.
+async function loadAnalysisSettings() {
+  const { ANALYSIS_PROFILES_KEY, ACTIVE_PROFILE_KEY, selectAnalysisProfile } = self.AIVisibility;
+  try {
+    const obj = await chrome.storage.local.get([ANALYSIS_PROFILES_KEY, ACTIVE_PROFILE_KEY]);
+    return selectAnalysisProfile(obj[ANALYSIS_PROFILES_KEY], obj[ACTIVE_PROFILE_KEY]).settings;
+  } catch (_) {
+    return selectAnalysisProfile(null, null).settings;
+  }
+}
+
+// What crawlPage needs from storage, read once per crawl or watch check. The
+// site crawl adds `fromSitemap`, so listed URLs that redirect are flagged.
+async function loadCrawlContext() {
+  const [settings, botProbes] = await Promise.all([loadAnalysisSettings(), loadBotProbes()]);
+  return { settings, botProbes };
+}
+
+// Server-side check of one URL. `baseline` is the rendered page to score the
+// server HTML against ({ textLength, fingerprint } or { textLength, text });
+// with a fingerprint or text we can also compute word overlap, without either
+// the segment rests on text length alone. Without a baseline the segment is
+// estimated from the server HTML. `context` is loadCrawlContext output.
+async function crawlPage(url, robots, options, baseline, context) {
+  const {
+    AI_CRAWLERS, checkAIBotAccess, classifyProbeResponse, textFingerprint, fingerprintSimilarity, segmentForVisibility, redirectChainIssues,
+    auditResponseHeaders, simulateByteLimit, pageRobotsDirectives, pageDirectiveIssues
+  } = self.AIVisibility;
+  const { settings, botProbes } = context;
+  const page = {
+    url,
+    statusCode: null,
+    error: null,
+    redirected: false,
+    redirects: [],
+    finalUrl: null,
+    serverTextLength: 0,
+    serverHeadings: 0,
+    textRatio: null,
+    contentOverlap: null,
+    segment: null,
+    segmentSource: null,
+    robotsBlocked: [],
+    pageDirectives: [],
+    probes: [],
+    issues: []
+  };
+  const issue = (type, severity, message) => page.issues.push({ type, severity, message });
+
+  const res = await fetchUrl(url, options.fetchTimeoutMs, { partial: true });
+  page.redirects = res.redirects || [];
+  let htmlLang = null;
+  if (!res.ok) {
+    page.error = res.error;
+    issue('fetch_failed', 'high', res.error === 'timeout'
+      ? `No response within ${(options.fetchTimeoutMs / 1000).toFixed(1)}s`
+      : `Fetch failed: ${res.error}`);
+  } else {
+    page.statusCode = res.status;
+    page.redirected = res.redirected;
+    page.finalUrl = res.finalUrl;
+    if (res.status >= 400) issue('http_error', 'high', `HTTP ${res.status}`);
+    // A sitemap should list final URLs; every listed redirect costs a fetch.
+    if (context.fromSitemap && res.redirected && res.finalUrl && res.finalUrl !== url) {
+      issue('sitemap_url_redirects', 'low', `Listed in the sitemap but redirects to ${res.finalUrl}`);
+    }
+
+    const snap = extractHtmlSnapshot(res.text);
+    page.serverTextLength = snap.textLength;
+    page.serverHeadings = snap.totalHeadings;
+    htmlLang = snap.htmlLang;
+
+    const directives = pageRobotsDirectives(snap.robotsMetas, res.headers['x-robots-tag']);
+    page.pageDirectives = directives
+      .filter((d) => d.noindex || d.nofollow || d.noai || d.noimageai)
+      .map((d) => ({ name: d.name, directives: d.directives }));
+    for (const i of pageDirectiveIssues(directives)) issue(i.type, i.severity, i.message);
+
+    if (baseline && baseline.textLength > 0) {
+      page.textRatio = Math.min(1, snap.textLength / baseline.textLength);
+      // Entries pinned before fingerprints stored the (truncated) text itself.
+      const fingerprint = baseline.fingerprint || (baseline.text ? textFingerprint(baseline.text) : null);
+      if (fingerprint) page.contentOverlap = fingerprintSimilarity(fingerprint, snap.text);
+      page.segment = segmentForVisibility(page.contentOverlap == null
+        ? page.textRatio
+        : Math.min(page.textRatio, page.contentOverlap), settings.segmentTiers);
+      page.segmentSource = 'rendered';
+      if (page.textRatio < settings.serverRatioHealthy) {
+        issue('low_server_visibility', page.textRatio < settings.serverRatioSevere ? 'high' : 'medium',
+          `Server has only ${Math.round(page.textRatio * 100)}% of the page text`);
+      }
+    } else if (res.status < 400) {
+      page.segment = segmentForVisibility(estimateServerVisibility(res.text), settings.segmentTiers);
+      page.segmentSource = 'server';
+    }
+  }
+
+  if (robots) {
+    const path = (() => { try { const u = new URL(url); return u.pathname + u.search; } catch (_) { return '/'; } })();
+    const verdicts = AI_CRAWLERS.map((b) => ({ name: b.name, ...checkAIBotAccess(robots, b.name, path) }));
+    const blocked = verdicts.filter((v) => v.status === 'blocked');
+    page.robotsBlocked = blocked.map((v) => v.name);
+    if (robots.availability === 'unreachable') {
+      issue('robots_unreachable', 'high',
+        robots.httpStatus ? `robots.txt returns HTTP ${robots.httpStatus}` : 'robots.txt is unreachable');
+    }
+    const specific = blocked.filter((v) => v.source === 'specific');
+    if (specific.length > 0) {
+      issue('ai_crawlers_blocked_specific', 'high',
+        `${specific.length} AI crawler${specific.length > 1 ? 's' : ''} blocked from this page`);
+    }
+    if (blocked.some((v) => v.source === 'wildcard')) {
+      issue('ai_crawlers_blocked_wildcard', 'high', 'This page blocked for all crawlers');
+    }
+  }
+
+  let botChains = [];
+  const botResponses = [];
+  if (options.probeBots) {
+    const chromeText = res.ok ? (res.text || '') : '';
+    const probeResults = await Promise.all(
+      botProbes.map((probe) => probeUrlAs(url, probe.userAgent, options.probeTimeoutMs))
+    );
+    botChains = botProbes.map((probe, i) => ({ name: probe.name, ...probeResults[i] }));
+    botProbes.forEach((probe, i) => {
+      const verdict = classifyProbeResponse(probeResults[i], chromeText, settings);
+      page.probes.push({ key: probe.key, name: probe.name, status: verdict.status, statusCode: verdict.statusCode });
+      const headers = probeResults[i].headers || {};
+      botResponses.push({ name: probe.name, status: verdict.statusCode, retryAfter: headers['retry-after'] || null });
+    });
+    const blocked = page.probes.filter((p) => p.status === 'blocked' || p.status === 'challenged');
+    const servedLess = page.probes.filter((p) => p.status === 'served_less');
+    if (blocked.length > 0) {
+      issue('bot_probe_blocked', 'high', `${blocked.length} bot${blocked.length > 1 ? 's' : ''} blocked at the edge`);
+    }
+    if (servedLess.length > 0) {
+      issue('bot_probe_served_less', 'medium', `${servedLess.length} bot${servedLess.length > 1 ? 's' : ''} served less content`);
+    }
+
+    // Byte-limit cut per bot (see simulateCrawlerLimits in content.js), on the
+    // bot's own HTML when its probe got a page, else on Chrome's.
+    const cuts = botProbes.map((probe, i) => {
+      const own = probeResults[i];
+      const html = own.ok && own.status < 400 ? (own.text || '') : chromeText;
+      const cut = simulateByteLimit(html, probe.byteLimit);
+      if (!cut) return null;
+      const full = extractHtmlSnapshot(html).textLength;
+      const lost = Math.max(0, full - extractHtmlSnapshot(cut.html).textLength);
+      const base = Math.max(full, baseline ? baseline.textLength : 0);
+      return { name: probe.name, byteLimit: probe.byteLimit, share: base > 0 ? lost / base : 0 };
+    }).filter((c) => c && c.share >= 0.01);
+    if (cuts.length > 0) {
+      const worst = cuts.reduce((a, b) => (b.share > a.share ? b : a));
+      issue('content_beyond_crawler_limit', worst.share >= 0.3 ? 'high' : 'medium',
+        `Content beyond crawler limit: ${Math.round(worst.share * 100)}% of the page text is past ${worst.name}'s ${Math.round(worst.byteLimit / 1024)} KB cutoff`);
+    }
+  }
+
+  redirectChainIssues(res, botChains).forEach((i) => issue(i.type, i.severity, i.message));
+  if (res.ok) {
+    auditResponseHeaders(res.headers, {
+      dynamicRendering: page.probes.filter((p) => p.status === 'dynamic_rendering').map((p) => p.name),
+      bodyLength: (res.text || '').length,
+      htmlLang,
+      botResponses
+    }).forEach((f) => issue(f.type, f.severity, f.message));
+  }
+
+  page.severity = page.issues.reduce((sum, i) => sum + (CRAWL_SEVERITY_WEIGHT[i.severity] || 0), 0)
+    + (page.segment ? CRAWL_SEGMENT_RANK[page.segment] * 2 : 0);
+  return page;
+}
+
+function summarizeCrawl(pages) {
+  const segments = {};
+  const issueTypes = {};
+  let estimatedPages = 0;
+  for (const page of pages) {
+    const seg = page.segment || 'not_rendered';
+    segments[seg] = (segments[seg] || 0) + 1;
+    if (page.segmentSource === 'server') estimatedPages++;
+    for (const i of page.issues) {
+      if (!issueTypes[i.type]) issueTypes[i.type] = { type: i.type, severity: i.severity, count: 0, example: i.message };
+      issueTypes[i.type].count++;
+    }
+  }
+  const worstPages = pages
+    .filter((p) => p.severity > 0)
+    .sort((a, b) => b.severity - a.severity)
+    .slice(0, 10)
+    .map((p) => p.url);
+  return {
+    segments,
+    estimatedPages,
+    worstPages,
+    commonIssues: Object.values(issueTypes).sort((a, b) => b.count - a.count).slice(0, 10)
+  };
+}
+
+async function runSiteCrawl(origin, seedSitemaps, rawOptions) {
+  const options = clampCrawlOptions(rawOptions);
+  const state = {
+    status: 'discovering',
+    origin,
+    options,
+    startedAt: Date.now(),
+    finishedAt: null,
+    sitemaps: [],
+    total: 0,
+    pages: [],
+    summary: null,
+    error: null,
+    cancelled: false
+  };
+  activeCrawl = state;
+
+  try {
+    await persistCrawl(state);
+    const robotsRes = await fetchUrl(origin + '/robots.txt', DEFAULT_FETCH_TIMEOUT_MS);
+    const robots = self.AIVisibility.robotsFromResponse(robotsRes);
+    const seeds = sitemapSeeds(origin, seedSitemaps, robots);
+
+    const urls = await discoverSitemapUrls(origin, seeds, options, state);
+    const context = { ...(await loadCrawlContext()), fromSitemap: true };
+    state.total = urls.length;
+    state.status = urls.length > 0 ? 'crawling' : 'done';
+    if (urls.length === 0) state.error = 'No page URLs found in the sitemap.';
+    await persistCrawl(state);
+
+    // Fixed-size worker pool pulling from a shared cursor.
+    let cursor = 0;
+    const worker = async () => {
+      while (!state.cancelled && cursor < urls.length) {
+        const url = urls[cursor++];
+        const page = await crawlPage(url, robots, options, await renderedBaselineFromHistory(url), context);
+        state.pages.push(page);
+        state.summary = summarizeCrawl(state.pages);
+        await persistCrawl(state);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(options.concurrency, urls.length) }, worker));
+
+    state.status = state.cancelled ? 'cancelled' : 'done';
+  } catch (error) {
+    state.status = 'error';
+    state.error = (error && error.message) || String(error);
+  } finally {
+    state.finishedAt = Date.now();
+    state.summary = summarizeCrawl(state.pages);
+    // Release the crawl even when storage is full, or every later start would
+    // be refused as crawl-in-progress.
+    if (activeCrawl === state) activeCrawl = null;
+    try {
+      await persistCrawl(state);
+    } catch (_) { /* the dashboard keeps the last state that fit */ }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// llms.txt draft
+//
+// Feeds the llms.txt generator page: every page URL in the site's sitemaps
+// with its title, meta description and first H1 from the server HTML. Pages
+// whose server HTML carries little of the page text are flagged, since an
+// AI tool following the link gets the same empty shell a crawler does —
+// scored against the last rendered run in history when there is one, and
+// against a bare minimum of text otherwise.
+// ---------------------------------------------------------------------------
+
+const LLMS_DRAFT_DEFAULTS = { maxPages: 100, maxSitemaps: 20, concurrency: 4, fetchTimeoutMs: 5000 };
+const LLMS_DRAFT_MIN_TEXT_CHARS = 250;
+
+// Title, meta description and first H1, tags stripped and entities decoded.
+function extractPageMetadata(html) {
+  const src = html || '';
+  const clean = (s) => (s == null ? null : decodeHtmlEntities(s.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim() || null);
+  const title = src.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const h1 = src.match(/<h1(?:\s[^>]*)?>([\s\S]*?)<\/h1>/i);
+  const metaTag = (src.match(/<meta\s[^>]*>/gi) || [])
+    .find((tag) => /\sname\s*=\s*["']?description["'\s>]/i.test(tag));
+  const content = metaTag && metaTag.match(/\scontent\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+  return {
+    title: clean(title && title[1]),
+    description: clean(content && [content[1], content[2], content[3]].find((v) => v != null)),
+    h1: clean(h1 && h1[1])
+  };
+}
+
+async function draftLlmsPage(url, options, settings) {
+  const page = { url, statusCode: null, title: null, description: null, h1: null, serverTextLength: 0, textRatio: null, flag: null };
+  const res = await fetchUrl(url, options.fetchTimeoutMs, { partial: true });
+  if (!res.ok) {
+    page.flag = res.error === 'timeout' ? 'No response in time' : `Fetch failed: ${res.error}`;
+    return page;
+  }
+  page.statusCode = res.status;
+  if (res.status >= 400) {
+    page.flag = `HTTP ${res.status}`;
+    return page;
+  }
+  Object.assign(page, extractPageMetadata(res.text));
+  const snap = extractHtmlSnapshot(res.text);
+  page.serverTextLength = snap.textLength;
+
+  const directives = self.AIVisibility.pageRobotsDirectives(snap.robotsMetas, res.headers['x-robots-tag']);
+  const baseline = await renderedBaselineFromHistory(url);
+  if (baseline) page.textRatio = Math.min(1, snap.textLength / baseline.textLength);
+  if (directives.length > 0 && directives.every((d) => d.noindex)) {
+    page.flag = 'noindex';
+  } else if (page.textRatio != null && page.textRatio < settings.serverRatioHealthy) {
+    page.flag = `Server HTML has ${Math.round(page.textRatio * 100)}% of the text`;
+  } else if (page.textRatio == null && snap.textLength < LLMS_DRAFT_MIN_TEXT_CHARS) {
+    page.flag = 'Little text in the server HTML';
+  }
+  return page;
+}
+
+async function draftLlmsTxt(origin, seedSitemaps) {
+  const options = LLMS_DRAFT_DEFAULTS;
+  const state = { sitemaps: [], cancelled: false };
+  const robotsRes = await fetchUrl(origin + '/robots.txt', DEFAULT_FETCH_TIMEOUT_MS);
+  const robots = self.AIVisibility.robotsFromResponse(robotsRes);
+  const seeds = sitemapSeeds(origin, seedSitemaps, robots);
+  const urls = await discoverSitemapUrls(origin, seeds, options, state);
+  const settings = await loadAnalysisSettings();
+
+  const pages = new Array(urls.length);
+  let cursor = 0;
+  const worker = async () => {
+    while (cursor < urls.length) {
+      const i = cursor++;
+      pages[i] = await draftLlmsPage(urls[i], options, settings);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(options.concurrency, urls.length) }, worker));
+  return { sitemaps: state.sitemaps, pages };
+}
+
+// ---------------------------------------------------------------------------
+// Watched URLs — scheduled monitoring
+//
+// Users pin key pages from the popup. A chrome.alarms tick re-runs the crawl's
+// server-side check (crawlPage → fetchUrl / probeUrlAs) on each one and
+// compares it with the previous check. Two regressions raise a notification
+// and land in the regression log:
+//
+//   segment_drop  — the page fell to a worse segment tier
+//   probe_blocked — a bot probe flipped to blocked / challenged
+//
+// The rendered baseline is captured when the page is pinned (the popup has the
+// live analysis at hand), so overlap is scored the same way as in the popup.
+// ---------------------------------------------------------------------------
+
+const WATCHLIST_KEY = 'watchlist';
+const REGRESSION_LOG_KEY = 'regressionLog';
+const WATCH_INTERVAL_KEY = 'watchIntervalMinutes';
+const WATCH_ALARM = 'watch-check';
+const WATCH_DEFAULT_INTERVAL_MINUTES = 360;
+const REGRESSION_LOG_MAX = 200;
+const SEGMENT_ORDER = self.AIVisibility.SEGMENT_TIERS.map((t) => t.key);
+
+// One check at a time. Requests that arrive while one runs are queued here
+// (`all`, or the normalized keys asked for) and run right after it.
+const watchCheckQueue = { all: false, keys: new Set() };
+let watchCheckRun = null;
+
+async function getWatchlist() {
+  const obj = await chrome.storage.local.get([WATCHLIST_KEY, REGRESSION_LOG_KEY, WATCH_INTERVAL_KEY]);
+  return {
+    entries: obj[WATCHLIST_KEY] || {},
+    log: obj[REGRESSION_LOG_KEY] || [],
+    intervalMinutes: obj[WATCH_INTERVAL_KEY] || WATCH_DEFAULT_INTERVAL_MINUTES
+  };
+}
+
+async function ensureWatchAlarm() {
+  const { entries, intervalMinutes } = await getWatchlist();
+  if (Object.keys(entries).length === 0) {
+    await chrome.alarms.clear(WATCH_ALARM);
+    return;
+  }
+  const existing = await chrome.alarms.get(WATCH_ALARM);
+  if (existing && existing.periodInMinutes === intervalMinutes) return;
+  await chrome.alarms.create(WATCH_ALARM, { delayInMinutes: intervalMinutes, periodInMinutes: intervalMinutes });
+}
+
+async function watchUrl(url, baseline) {
+  const normalized = normalizeHistoryUrl(url);
+  if (!normalized) throw new Error('unsupported-url');
+  const { entries } = await getWatchlist();
+  // The full rendered text can be too big for storage; keep a bounded token
+  // fingerprint of all of it, so long pages aren't scored on a prefix.
+  const fingerprint = baseline && typeof baseline.text === 'string'
+    ? self.AIVisibility.textFingerprint(baseline.text)
+    : null;
+  entries[normalized] = {
+    url,
+    addedAt: Date.now(),
+    baseline: {
+      textLength: baseline && typeof baseline.textLength === 'number' ? baseline.textLength : null,
+      fingerprint
+    },
+    lastCheck: null
+  };
+  await chrome.storage.local.set({ [WATCHLIST_KEY]: entries });
+  await ensureWatchAlarm();
+  // First check right away: it becomes the reference the next scheduled
+  // check is compared with, measured the same (SW-side) way.
+  checkWatchedUrls([normalized]).catch(() => { /* the next scheduled check retries */ });
+}
+
+async function unwatchUrl(url) {
+  const normalized = normalizeHistoryUrl(url);
+  const { entries } = await getWatchlist();
+  delete entries[normalized];
+  await chrome.storage.local.set({ [WATCHLIST_KEY]: entries });
+  await ensureWatchAlarm();
+}
+
+function detectRegressions(previous, current) {
+  const out = [];
+  if (!previous) return out;
+  const before = SEGMENT_ORDER.indexOf(previous.segment);
+  const after = SEGMENT_ORDER.indexOf(current.segment);
+  if (before !== -1 && after !== -1 && after > before) {
+    out.push({ kind: 'segment_drop', from: previous.segment, to: current.segment });
+  }
+  const prevProbes = new Map((previous.probes || []).map((p) => [p.key, p]));
+  for (const probe of current.probes || []) {
+    const prev = prevProbes.get(probe.key);
+    const isBlocked = probe.status === 'blocked' || probe.status === 'challenged';
+    const wasBlocked = prev && (prev.status === 'blocked' || prev.status === 'challenged');
+    if (prev && isBlocked && !wasBlocked) {
+      out.push({ kind: 'probe_blocked', bot: probe.name, from: prev.status, to: probe.status });
+    }
+  }
+  return out;
+}
+
+const SEGMENT_NAMES = {
+  fully_accessible: 'Fully Visible',
+  mostly_visible: 'Mostly Visible',
+  partially_accessible: 'Partially Visible',
+  slipping: 'Half Visible',
+  js_dependent: 'Barely Visible',
+  invisible: 'Invisible'
+};
+
+function describeRegression(r) {
+  if (r.kind === 'segment_drop') {
+    return `Dropped from ${SEGMENT_NAMES[r.from] || r.from} to ${SEGMENT_NAMES[r.to] || r.to}`;
+  }
+  return `${r.bot} is now ${r.to === 'challenged' ? 'getting a challenge page' : 'blocked'}`;
+}
+
+async function notifyRegressions(url, regressions) {
+  let host = url;
+  try { host = new URL(url).host + new URL(url).pathname; } catch (_) { /* keep raw url */ }
+  try {
+    await chrome.notifications.create(`regression:${Date.now()}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon-128.png',
+      title: `AI visibility regression: ${host}`,
+      message: regressions.map(describeRegression).join('\n'),
+      priority: 1
+    });
+  } catch (_) { /* notifications disabled at the OS level */ }
+}
+
+// Check every watched URL, or only `onlyKeys` (normalized URLs) when given.
+// Resolves once the request has been checked, including when it had to wait
+// for a check already in progress.
+function checkWatchedUrls(onlyKeys) {
+  if (onlyKeys) onlyKeys.forEach((key) => watchCheckQueue.keys.add(key));
+  else watchCheckQueue.all = true;
+  if (!watchCheckRun) watchCheckRun = drainWatchChecks();
+  return watchCheckRun;
+}
+
+async function drainWatchChecks() {
+  try {
+    while (watchCheckQueue.all || watchCheckQueue.keys.size > 0) {
+      const onlyKeys = watchCheckQueue.all ? null : [...watchCheckQueue.keys];
+      watchCheckQueue.all = false;
+      watchCheckQueue.keys.clear();
+      await runWatchCheck(onlyKeys);
+    }
+  } finally {
+    watchCheckRun = null;
+  }
+}
+
+async function runWatchCheck(onlyKeys) {
+  const { entries } = await getWatchlist();
+  const context = await loadCrawlContext();
+  const robotsByOrigin = new Map();
+  const newLogEntries = [];
+
+  for (const [key, entry] of Object.entries(entries)) {
+    if (onlyKeys && !onlyKeys.includes(key)) continue;
+    let origin;
+    try { origin = new URL(entry.url).origin; } catch (_) { continue; }
+    if (!robotsByOrigin.has(origin)) {
+      const res = await fetchUrl(origin + '/robots.txt', DEFAULT_FETCH_TIMEOUT_MS);
+      robotsByOrigin.set(origin, self.AIVisibility.robotsFromResponse(res));
+    }
+    const baseline = entry.baseline && entry.baseline.textLength
+      ? entry.baseline
+      : await renderedBaselineFromHistory(entry.url);
+    const page = await crawlPage(entry.url, robotsByOrigin.get(origin), { ...SITE_CRAWL_DEFAULTS }, baseline, context);
+
+    const check = {
+      timestamp: Date.now(),
+      statusCode: page.statusCode,
+      error: page.error,
+      segment: page.segment,
+      textRatio: page.textRatio,
+      contentOverlap: page.contentOverlap,
+      probes: page.probes,
+      issues: page.issues
+    };
+    const regressions = detectRegressions(entry.lastCheck, check);
+    if (regressions.length > 0) {
+      for (const r of regressions) newLogEntries.push({ timestamp: check.timestamp, url: entry.url, ...r });
+      await notifyRegressions(entry.url, regressions);
+    }
+
+    // Re-read before writing: the user may have pinned/unpinned mid-check.
+    const latest = (await getWatchlist()).entries;
+    if (latest[key]) {
+      latest[key].lastCheck = check;
+      await chrome.storage.local.set({ [WATCHLIST_KEY]: latest });
+    }
+  }
+
+  if (newLogEntries.length > 0) {
+    const { log } = await getWatchlist();
+    await chrome.storage.local.set({
+      [REGRESSION_LOG_KEY]: [...newLogEntries, ...log].slice(0, REGRESSION_LOG_MAX)
+    });
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === WATCH_ALARM) {
+    checkWatchedUrls().catch(() => { /* storage or network failure — the next alarm retries */ });
+  }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith('regression:')) return;
+  chrome.tabs.create({ url: chrome.runtime.getURL('monitor.html') });
+  chrome.notifications.clear(notificationId);
+});
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'ANALYSIS_COMPLETE') {
-    handleAnalysisComplete(message.data, sender.tab && sender.tab.id)
+    handleAnalysisComplete(message.data, sender.tab && sender.tab.id, message.url)
       .finally(() => sendResponse({ success: true }));
     return true;
   }
@@ -279,6 +1723,24 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     });
     return true;
   }
+  if (message.type === 'GET_HISTORY') {
+    getHistory(message.url)
+      .then((runs) => sendResponse({ success: true, runs }))
+      .catch((error) => sendResponse({ success: false, error: (error && error.message) || String(error) }));
+    return true;
+  }
+  if (message.type === 'LIST_HISTORY') {
+    listHistory()
+      .then((pages) => sendResponse({ success: true, pages }))
+      .catch((error) => sendResponse({ success: false, error: (error && error.message) || String(error) }));
+    return true;
+  }
+  if (message.type === 'CLEAR_HISTORY') {
+    clearHistory(message.url)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: (error && error.message) || String(error) }));
+    return true;
+  }
   if (message.type === 'CLEAR_ANALYSIS') {
     Promise.all([
       clearStoredResult(message.tabId),
@@ -321,8 +1783,104 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     })();
     return true;
   }
+  if (message.type === 'START_SITE_CRAWL') {
+    if (activeCrawl) {
+      sendResponse({ success: false, error: 'crawl-in-progress' });
+      return false;
+    }
+    let origin;
+    try { origin = new URL(message.origin).origin; } catch (_) {
+      sendResponse({ success: false, error: 'invalid-origin' });
+      return false;
+    }
+    const sitemaps = Array.isArray(message.sitemaps) ? message.sitemaps.filter((u) => typeof u === 'string') : [];
+    runSiteCrawl(origin, sitemaps, message.options).catch(() => { /* failures end up in the persisted state */ });
+    sendResponse({ success: true });
+    return false;
+  }
+  if (message.type === 'CANCEL_SITE_CRAWL') {
+    if (activeCrawl) activeCrawl.cancelled = true;
+    sendResponse({ success: true });
+    return false;
+  }
+  if (message.type === 'GET_SITE_CRAWL') {
+    getSiteCrawl().then((state) => sendResponse(state || {}));
+    return true;
+  }
+  if (message.type === 'WATCH_URL') {
+    watchUrl(message.url, message.baseline)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: (error && error.message) || String(error) }));
+    return true;
+  }
+  if (message.type === 'UNWATCH_URL') {
+    unwatchUrl(message.url)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: (error && error.message) || String(error) }));
+    return true;
+  }
+  if (message.type === 'GET_WATCHLIST') {
+    getWatchlist().then((data) => {
+      const normalized = message.url ? normalizeHistoryUrl(message.url) : null;
+      sendResponse({
+        success: true,
+        ...data,
+        watched: normalized ? !!data.entries[normalized] : undefined
+      });
+    }).catch((error) => sendResponse({ success: false, error: (error && error.message) || String(error) }));
+    return true;
+  }
+  if (message.type === 'SET_WATCH_INTERVAL') {
+    const minutes = Math.max(15, Math.min(7 * 24 * 60, Math.round(Number(message.intervalMinutes) || WATCH_DEFAULT_INTERVAL_MINUTES)));
+    chrome.storage.local.set({ [WATCH_INTERVAL_KEY]: minutes })
+      .then(() => ensureWatchAlarm())
+      .finally(() => sendResponse({ success: true, intervalMinutes: minutes }));
+    return true;
+  }
+  if (message.type === 'CHECK_WATCHED_NOW') {
+    checkWatchedUrls()
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: (error && error.message) || String(error) }));
+    return true;
+  }
   if (message.type === 'FETCH_URL') {
-    fetchUrl(message.url, message.timeoutMs).then((result) => sendResponse(result));
+    fetchUrl(message.url, message.timeoutMs, { timeline: !!message.timeline })
+      .then((result) => sendResponse(result));
+    return true;
+  }
+  if (message.type === 'FETCH_ROBOTS_TEXT') {
+    let origin;
+    try { origin = new URL(message.origin).origin; } catch (_) {
+      sendResponse({ success: false, error: 'invalid-origin' });
+      return false;
+    }
+    fetchRobotsText(origin)
+      .then((robots) => sendResponse({ success: true, ...robots }))
+      .catch((error) => sendResponse({ success: false, error: (error && error.message) || String(error) }));
+    return true;
+  }
+  if (message.type === 'DRAFT_LLMS_TXT') {
+    let origin;
+    try { origin = new URL(message.origin).origin; } catch (_) {
+      sendResponse({ success: false, error: 'invalid-origin' });
+      return false;
+    }
+    const sitemaps = Array.isArray(message.sitemaps) ? message.sitemaps.filter((u) => typeof u === 'string') : [];
+    draftLlmsTxt(origin, sitemaps)
+      .then((draft) => sendResponse({ success: true, ...draft }))
+      .catch((error) => sendResponse({ success: false, error: (error && error.message) || String(error) }));
+    return true;
+  }
+  if (message.type === 'SUMMARIZE_SITEMAPS') {
+    const seeds = Array.isArray(message.sitemaps) ? message.sitemaps.filter((u) => typeof u === 'string') : [];
+    summarizeSitemaps(seeds, message.pageUrl, message.canonicalUrl, message.timeoutMs)
+      .then((summary) => sendResponse({ success: true, ...summary }))
+      .catch((error) => sendResponse({ success: false, error: (error && error.message) || String(error) }));
+    return true;
+  }
+  if (message.type === 'CHECK_URLS') {
+    checkUrls(Array.isArray(message.urls) ? message.urls : [], message.timeoutMs)
+      .then((results) => sendResponse({ ok: true, results }));
     return true;
   }
   if (message.type === 'PROBE_URL') {
@@ -358,13 +1916,19 @@ chrome.tabs.onRemoved.addListener((tabId) => {
   clearLastReloadAt(tabId);
 });
 
-// On SW startup, defensively clear any stale UA-override session rule. Session
-// rules normally clear on browser exit, but if an SW died mid-probe the rule
-// could outlive the analysis it was scoped to.
+// Alarms normally persist across browser restarts, but recreate the watch
+// alarm if it went missing (e.g. extension reloaded during development).
+ensureWatchAlarm().catch(() => { /* storage unavailable — next add retries */ });
+
+// A crawl can't survive SW termination (its worker pool lives in memory), so
+// a persisted 'discovering' or 'crawling' state on startup means it was cut
+// off mid-way.
 (async () => {
   try {
-    await chrome.declarativeNetRequest.updateSessionRules({
-      removeRuleIds: [PROBE_RULE_ID]
-    });
-  } catch (_) { /* nothing to clear */ }
+    const state = await getSiteCrawl();
+    if (activeCrawl) return; // a new crawl started while we were reading
+    if (state && (state.status === 'discovering' || state.status === 'crawling')) {
+      await persistCrawl({ ...state, status: 'interrupted', finishedAt: Date.now() });
+    }
+  } catch (_) { /* nothing to recover */ }
 })();
@@ -23,113 +23,154 @@
   // Constants
   // ---------------------------------------------------------------------------
 
-  const RAW_FETCH_TIMEOUT_MS = 2000;       // 2s budget for raw HTML
-  const SUPPORT_FETCH_TIMEOUT_MS = 6000;   // robots.txt / llms.txt / sitemap.xml
-  const BOT_PROBE_TIMEOUT_MS = 3000;       // bot probes get a slightly looser budget
-
-  // Bot UAs we probe with when V2 is enabled. UAs are real strings the bots
-  // publish, so well-behaved servers can route them correctly. If a server
-  // serves dynamic-rendered HTML to known bots, this is the path that catches
-  // it.
-  const BOT_PROBES = [
-    {
-      key: 'gptbot',
-      name: 'GPTBot',
-      vendor: 'OpenAI',
-      userAgent: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; GPTBot/1.2; +https://openai.com/gptbot)'
+  // llms.txt links we check for resolving, in file order. Big docs sites
+  // list hundreds; the first few are enough to spot a stale file.
+  const LLMS_LINK_CHECK_LIMIT = 25;
+
+  // Top-level microdata / RDFa items read per syntax. Listing pages can mark
+  // up hundreds of products; the first ones show how the markup is built.
+  const MARKUP_MAX_ITEMS = 50;
+
+  // Language alternates fetched to check they link back to this page.
+  const HREFLANG_CHECK_LIMIT = 10;
+
+  // Open Graph and Twitter card tags read from both snapshots. Answer
+  // engines take a citation's title, blurb and thumbnail from these; the
+  // required ones are reported when missing.
+  const SOCIAL_META_TAGS = [
+    'og:title', 'og:description', 'og:image', 'og:url', 'og:type', 'og:site_name',
+    'twitter:card', 'twitter:title', 'twitter:description', 'twitter:image'
+  ];
+  const SOCIAL_META_REQUIRED = ['og:title', 'og:description', 'og:image', 'twitter:card'];
+
+  // Framework-specific fixes for content that only renders in the browser:
+  // `csr` when the server sends an app shell, `partial` when the server
+  // renders but some of the content still arrives client-side.
+  const RENDERING_ADVICE = {
+    nextjs: {
+      csr: 'Fetch page data on the server — in Server Components (app router) or getServerSideProps / getStaticProps (pages router) — instead of in useEffect, and don’t load main content with dynamic(…, { ssr: false }).',
+      partial: 'Next.js renders this page on the server, but some content still loads in the browser. Move that data fetching out of useEffect and client components into Server Components or getStaticProps, and avoid dynamic(…, { ssr: false }) and Suspense fallbacks for main content.',
+      resources: ['Next.js rendering docs', 'Next.js data fetching']
+    },
+    nuxt: {
+      csr: 'Turn SSR back on (ssr: true in nuxt.config, or prerender / isr routeRules for this route) and fetch with useAsyncData or useFetch instead of onMounted.',
+      partial: 'Nuxt renders this page on the server, but some content is client-only. Move it out of <ClientOnly> and .client components, and fetch it with useAsyncData or useFetch so it is in the server HTML.',
+      resources: ['Nuxt rendering modes', 'Nuxt data fetching']
+    },
+    remix: {
+      csr: 'Turn off SPA mode for content routes and load their data in loader functions, so the HTML is rendered on the server.',
+      partial: 'Load the missing content in the route’s loader instead of useEffect or clientLoader, and avoid <ClientOnly> for main content.',
+      resources: ['Remix data loading']
+    },
+    gatsby: {
+      csr: 'Query the content at build time (page queries or createPages) instead of fetching it in the browser, or use getServerData for pages that must be dynamic.',
+      partial: 'Gatsby prerenders this page, but some content is fetched in the browser. Pull it in at build time with page queries, or use Deferred Static Generation.',
+      resources: ['Gatsby rendering options']
+    },
+    astro: {
+      csr: 'Replace client:only components with static Astro components or client:load / client:visible islands, which are rendered to HTML first.',
+      partial: 'Some content comes from client:only islands, which render nothing on the server. Use client:load, client:visible or client:idle (or a static component) so the island’s HTML ships with the page.',
+      resources: ['Astro islands', 'Astro client directives']
+    },
+    sveltekit: {
+      csr: 'Keep server rendering on (don’t export ssr = false) and load data in +page.server.js or +page.js load functions.',
+      partial: 'Load the missing content in a load function instead of onMount, so SvelteKit renders it on the server.',
+      resources: ['SvelteKit page options', 'SvelteKit loading data']
+    },
+    qwik: {
+      csr: 'Fetch content with routeLoader$ instead of useVisibleTask$, so Qwik renders it into the server HTML.',
+      partial: 'Move data fetching from useVisibleTask$ to routeLoader$ or useResource$ so it is part of the server HTML.',
+      resources: ['Qwik City route loaders']
     },
-    {
-      key: 'claudebot',
-      name: 'ClaudeBot',
-      vendor: 'Anthropic',
-      userAgent: 'Mozilla/5.0 (compatible; ClaudeBot/1.0; +claudebot@anthropic.com)'
+    solidstart: {
+      csr: 'Keep SSR enabled in app.config and load data with query and createAsync so it resolves on the server.',
+      partial: 'Avoid clientOnly() for main content, and load its data with query and createAsync so it resolves on the server.',
+      resources: ['SolidStart data loading']
     },
-    {
-      key: 'perplexitybot',
-      name: 'PerplexityBot',
-      vendor: 'Perplexity',
-      userAgent: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; PerplexityBot/1.0; +https://perplexity.ai/perplexitybot)'
+    ember: {
+      csr: 'Add FastBoot (ember-cli-fastboot) to render routes on the server, or prember to prerender them at build time.',
+      partial: 'FastBoot renders this page, but some content only loads in the browser. Load it in the route’s model hook so FastBoot waits for it.',
+      resources: ['Ember FastBoot', 'prember']
+    },
+    preact: {
+      csr: 'Prerender routes at build time (preact-iso or the Vite prerender plugin) or render on the server with preact-render-to-string.',
+      partial: 'Render the missing components with preact-render-to-string, or prerender them at build time.',
+      resources: ['Preact server-side rendering']
+    },
+    react: {
+      csr: 'Render on the server with a framework (Next.js, Remix / React Router) or prerender routes at build time.',
+      partial: 'Fetch the missing content before render instead of in useEffect, so renderToString includes it.',
+      resources: ['Next.js SSR', 'React Router framework mode']
+    },
+    vue: {
+      csr: 'Render on the server with Nuxt, or prerender routes with vite-ssg.',
+      partial: 'Fetch the missing content in serverPrefetch so server rendering includes it.',
+      resources: ['Nuxt.js', 'Vue SSR guide']
+    },
+    angular: {
+      csr: 'Enable server rendering with @angular/ssr, or prerender routes at build time.',
+      partial: 'Resolve the missing content in a route resolver so server rendering waits for it, and don’t gate it on isPlatformBrowser.',
+      resources: ['Angular SSR guide']
+    },
+    svelte: {
+      csr: 'Move to SvelteKit with server rendering or prerendering.',
+      partial: 'Load the missing content in a SvelteKit load function instead of onMount.',
+      resources: ['SvelteKit']
     }
-  ];
-
-  // Patterns that suggest the server returned an interstitial (Cloudflare,
-  // Akamai, Datadome, hCaptcha, etc.) instead of real content. We use these
-  // when the bot fetch is much shorter than the Chrome fetch — short alone
-  // is ambiguous (could just be unauthenticated content).
-  const CHALLENGE_PATTERNS = [
-    /just a moment/i,
-    /attention required/i,
-    /cloudflare/i,
-    /verify you (?:are|'re) human/i,
-    /please complete the security check/i,
-    /captcha/i,
-    /enable javascript and cookies to continue/i,
-    /access denied/i
-  ];
-
-  const AI_CRAWLERS = [
-    { name: 'GPTBot',            vendor: 'OpenAI',     purpose: 'Training data for ChatGPT' },
-    { name: 'OAI-SearchBot',     vendor: 'OpenAI',     purpose: 'ChatGPT Search index' },
-    { name: 'ChatGPT-User',      vendor: 'OpenAI',     purpose: 'Live browse from ChatGPT' },
-    { name: 'ClaudeBot',         vendor: 'Anthropic',  purpose: 'Training / search index' },
-    { name: 'anthropic-ai',      vendor: 'Anthropic',  purpose: 'Anthropic crawler (legacy)' },
-    { name: 'Claude-Web',        vendor: 'Anthropic',  purpose: 'Live browse from Claude' },
-    { name: 'PerplexityBot',     vendor: 'Perplexity', purpose: 'Perplexity index' },
-    { name: 'Perplexity-User',   vendor: 'Perplexity', purpose: 'Live browse from Perplexity' },
-    { name: 'Google-Extended',   vendor: 'Google',     purpose: 'Gemini / Vertex AI training' },
-    { name: 'CCBot',             vendor: 'CommonCrawl', purpose: 'Open dataset (used by many LLMs)' },
-    { name: 'Bytespider',        vendor: 'ByteDance',  purpose: 'Doubao / training' },
-    { name: 'Applebot-Extended', vendor: 'Apple',      purpose: 'Apple Intelligence training' }
-  ];
-
-  // Score weights — Performance has been dropped; load speed now applies as
-  // a multiplicative penalty on the final score (see computeScores).
-  const SCORE_WEIGHTS = {
-    serverVisibility: 40,
-    crawlerAccess:    30,
-    structuredData:   18,
-    robotsRestrictions: 12
   };
 
-  // Segment tiers, driven by MIN(textRatio, contentOverlap) — the same
-  // value the user sees as the headline percentage. Ordered top-down: the
-  // first tier whose `min` clears wins.
-  //   Fully Visible       ≥ 90%
-  //   Mostly Visible      80–89%
-  //   Partially Visible   65–79%
-  //   Slipping            50–64%
-  //   Failing             25–49%
-  //   Invisible           < 25%
-  const SEGMENT_TIERS = [
-    { key: 'fully_accessible',     min: 0.90 },
-    { key: 'mostly_visible',       min: 0.80 },
-    { key: 'partially_accessible', min: 0.65 },
-    { key: 'slipping',             min: 0.50 },
-    { key: 'js_dependent',         min: 0.25 },
-    { key: 'invisible',            min: 0    }
-  ];
+  // Timeouts, score weights, segment tiers and ratio thresholds come from the
+  // active analysis profile (options page) — defaults in shared.js
+  // DEFAULT_ANALYSIS_SETTINGS.
+
+  // Crawler catalog, robots.txt matching and probe classification live in
+  // shared.js (injected just before this file) so the SW crawl agrees with us.
+  const {
+    BOT_PROBE_CATALOG_KEY,
+    enabledBotProbes,
+    DEFAULT_ANALYSIS_SETTINGS,
+    ANALYSIS_PROFILES_KEY,
+    ACTIVE_PROFILE_KEY,
+    selectAnalysisProfile,
+    AI_CRAWLERS,
+    jaccardSimilarity,
+    robotsFromResponse,
+    checkAIBotAccess,
+    pageRobotsDirectives,
+    pageDirectiveScore,
+    pageDirectiveIssues,
+    parseTdmRep,
+    tdmReservationFor,
+    aiUsagePolicy,
+    parseLlmsTxt,
+    llmsMarkdownUrl,
+    llmsLinkForPage,
+    classifyProbeResponse,
+    redirectChainIssues,
+    HEADER_AUDIT_FIXES,
+    auditResponseHeaders,
+    FRAMEWORK_LABELS,
+    RENDERING_MODE_LABELS,
+    schemaTypeName,
+    SCHEMA_FORMAT_LABELS,
+    ENTITY_MAX_DEPTH,
+    entityText,
+    addEntityValue,
+    jsonLdEntities,
+    diffStructuredData,
+    structuredDataConflicts,
+    validateStructuredData,
+    simulateByteLimit,
+    SITEMAP_MAX_URLS,
+    validateHreflang,
+    parseHreflangLinkHeader,
+    segmentForVisibility
+  } = self.AIVisibility;
 
   // ---------------------------------------------------------------------------
   // Helpers
   // ---------------------------------------------------------------------------
 
-  // Token set used by Jaccard similarity. Filters short tokens (<3 chars) and
-  // pure numeric tokens to reduce noise from punctuation, articles, and prices.
-  function tokenize(text) {
-    const matches = (text || '').toLowerCase().match(/[a-z][a-z0-9']{2,}/g);
-    return new Set(matches || []);
-  }
-
-  function jaccardSimilarity(textA, textB) {
-    const a = tokenize(textA);
-    const b = tokenize(textB);
-    if (a.size === 0 && b.size === 0) return 1;
-    if (a.size === 0 || b.size === 0) return 0;
-    let intersect = 0;
-    for (const w of a) if (b.has(w)) intersect++;
-    return intersect / (a.size + b.size - intersect);
-  }
-
   // Symmetric snapshot — same shape for raw HTML and live DOM so they can be
   // compared field-for-field.
   function captureSnapshot(doc, hostname) {
@@ -158,9 +199,7 @@
       } catch (_) { /* malformed href — count as external/skip */ }
     }
 
-    const title = (doc.title || '').trim();
-    const metaDesc = doc.querySelector('meta[name="description"]');
-    const metaDescContent = metaDesc ? (metaDesc.getAttribute('content') || '').trim() : '';
+    const meta = readSocialMeta(doc);
 
     return {
       text,
@@ -170,8 +209,9 @@
       totalLinks,
       internalLinks,
       hasMain: !!doc.querySelector('main'),
-      hasTitle: !!title,
-      hasMetaDesc: !!metaDescContent
+      hasTitle: !!meta.title,
+      hasMetaDesc: !!meta.description,
+      meta
     };
   }
 
@@ -179,12 +219,15 @@
   // Network helpers (delegated to SW to bypass page CSP)
   // ---------------------------------------------------------------------------
 
-  async function fetchViaSW(url, timeoutMs) {
+  // `options.timeline` asks the SW to stream the body and record the arrival
+  // timeline (see fetchUrl in background.js).
+  async function fetchViaSW(url, timeoutMs, options = {}) {
     try {
       const result = await chrome.runtime.sendMessage({
         type: 'FETCH_URL',
         url,
-        timeoutMs
+        timeoutMs,
+        timeline: !!options.timeline
       });
       return result || { ok: false, error: 'no-response' };
     } catch (error) {
@@ -192,6 +235,33 @@
     }
   }
 
+  async function checkUrlsViaSW(urls, timeoutMs) {
+    try {
+      const result = await chrome.runtime.sendMessage({ type: 'CHECK_URLS', urls, timeoutMs });
+      return (result && result.results) || [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  // The SW walks and parses the sitemaps (see summarizeSitemaps in
+  // background.js); only the summary crosses the message channel.
+  async function summarizeSitemapsViaSW(sitemaps, pageUrl, canonicalUrl, timeoutMs) {
+    try {
+      const result = await chrome.runtime.sendMessage({ type: 'SUMMARIZE_SITEMAPS', sitemaps, pageUrl, canonicalUrl, timeoutMs });
+      return result || { success: false, error: 'no-response' };
+    } catch (error) {
+      return { success: false, error: (error && error.message) || String(error) };
+    }
+  }
+
+  // A support file only counts when it came back as itself — a 200 HTML page
+  // at /ai.txt or /llms.txt is the site's catch-all route, not the file.
+  function servedAsFile(res) {
+    return !!(res && res.ok && res.status === 200 && (res.text || '').trim().length > 0
+      && !/text\/html/i.test((res.headers || {})['content-type'] || ''));
+  }
+
   async function probeViaSW(url, userAgent, timeoutMs) {
     try {
       const result = await chrome.runtime.sendMessage({
@@ -215,115 +285,6 @@
     }
   }
 
-  // ---------------------------------------------------------------------------
-  // Robots.txt parsing
-  // ---------------------------------------------------------------------------
-
-  function parseRobots(text) {
-    const groups = [];
-    const sitemaps = [];
-    let current = null;
-    let lastWasUA = false;
-
-    for (const raw of text.split(/\r?\n/)) {
-      const line = raw.replace(/#.*$/, '').trim();
-      if (!line) continue;
-      const colon = line.indexOf(':');
-      if (colon === -1) continue;
-      const directive = line.slice(0, colon).trim().toLowerCase();
-      const value = line.slice(colon + 1).trim();
-
-      if (directive === 'user-agent') {
-        if (!current || !lastWasUA) {
-          current = { userAgents: [], rules: [] };
-          groups.push(current);
-        }
-        current.userAgents.push(value);
-        lastWasUA = true;
-      } else if (directive === 'allow' || directive === 'disallow') {
-        if (current) current.rules.push({ type: directive, value });
-        lastWasUA = false;
-      } else if (directive === 'sitemap') {
-        sitemaps.push(value);
-        lastWasUA = false;
-      } else {
-        lastWasUA = false;
-      }
-    }
-    return { groups, sitemaps };
-  }
-
-  // Match a robots.txt path pattern against a URL path. Supports the two
-  // wildcards specified by Google's robots.txt spec / RFC 9309:
-  //   *  match any sequence of characters
-  //   $  anchor to end of URL (only meaningful at end of pattern)
-  function matchesRobotsPattern(path, pattern) {
-    if (!pattern) return false;
-    if (pattern === '/') return true;
-    let regex = '^';
-    for (let i = 0; i < pattern.length; i++) {
-      const c = pattern[i];
-      if (c === '*') regex += '.*';
-      else if (c === '$' && i === pattern.length - 1) regex += '$';
-      else regex += c.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
-    }
-    try { return new RegExp(regex).test(path); }
-    catch (_) { return false; }
-  }
-
-  // Per-page bot access. Find the matching User-agent group (specific UA
-  // wins over wildcard), then resolve allow/disallow rules against THIS
-  // page's path. Per RFC 9309: longest-matching rule wins; allow beats
-  // disallow at equal length.
-  //
-  // Older logic flagged any bot as `partial` if its group had any disallow
-  // rules at all — that made every site with vanilla `Disallow: /admin`
-  // hygiene show "12 AI crawlers restricted" (true in the abstract, useless
-  // for per-page diagnosis). Now `partial` is gone: per page, a bot either
-  // CAN fetch the URL or it CAN'T.
-  function checkAIBotAccess(parsed, botName, currentPath) {
-    const lower = botName.toLowerCase();
-    let specific = null;
-    let wildcard = null;
-
-    for (const group of parsed.groups) {
-      for (const ua of group.userAgents) {
-        const u = ua.toLowerCase();
-        if (u === lower) specific = group;
-        else if (u === '*') wildcard = group;
-      }
-    }
-
-    const matched = specific || wildcard;
-    if (!matched) return { status: 'allowed', source: 'no-rules' };
-
-    let bestRule = null;
-    for (const rule of matched.rules) {
-      if (rule.type !== 'allow' && rule.type !== 'disallow') continue;
-      if (!rule.value) continue; // empty Disallow = allow all; skip
-      if (!matchesRobotsPattern(currentPath, rule.value)) continue;
-      if (!bestRule
-          || rule.value.length > bestRule.value.length
-          || (rule.value.length === bestRule.value.length && rule.type === 'allow' && bestRule.type !== 'allow')) {
-        bestRule = rule;
-      }
-    }
-
-    const source = specific ? 'specific' : 'wildcard';
-    const matchedUA = matched.userAgents[0];
-
-    if (!bestRule || bestRule.type === 'allow') {
-      return { status: 'allowed', source, matchedUA };
-    }
-    return {
-      status: 'blocked',
-      source,
-      matchedUA,
-      fullBlock: bestRule.value === '/',
-      matchedRule: bestRule.value
-    };
-  }
-
   // ---------------------------------------------------------------------------
   // Performance observation
   // ---------------------------------------------------------------------------
@@ -365,28 +326,178 @@
   }
 
   // ---------------------------------------------------------------------------
-  // JSON-LD parsing
+  // Structured data parsing
   // ---------------------------------------------------------------------------
 
-  function parseJSONLDBlocks() {
+  // One parsed value per JSON-LD <script>, null for those that aren't valid
+  // JSON — validateStructuredData reports them.
+  function readJSONLDScripts(doc) {
+    if (!doc) return [];
+    return Array.from(doc.querySelectorAll('script[type="application/ld+json"]'))
+      .map((s) => s.textContent)
+      .filter((raw) => raw && raw.trim())
+      .map((raw) => {
+        try { return JSON.parse(raw); } catch (_) { return null; }
+      });
+  }
+
+  function flattenJSONLD(parsed) {
     const out = [];
-    const scripts = document.querySelectorAll('script[type="application/ld+json"]');
-    for (const s of scripts) {
-      const raw = s.textContent;
-      if (!raw) continue;
+    const flatten = (node) => {
+      if (!node) return;
+      if (Array.isArray(node)) { node.forEach(flatten); return; }
+      if (typeof node !== 'object') return;
+      if (Array.isArray(node['@graph'])) node['@graph'].forEach(flatten);
+      out.push(node);
+    };
+    flatten(parsed);
+    return out;
+  }
+
+  // Value of a microdata itemprop or RDFa property element that isn't an
+  // item itself, per the microdata rules: `content`, then the URL attribute
+  // of link-like and media elements, then datetime/value, then the text.
+  function structuredDataElementValue(el, base, rdfa) {
+    const tag = el.tagName.toLowerCase();
+    if (el.hasAttribute('content')) return el.getAttribute('content');
+    if (rdfa && el.hasAttribute('resource')) return resolveUrl(el.getAttribute('resource'), base);
+    if (['a', 'area', 'link'].includes(tag)) return resolveUrl(el.getAttribute('href'), base);
+    if (['img', 'audio', 'video', 'source', 'track', 'iframe', 'embed'].includes(tag)) return resolveUrl(el.getAttribute('src'), base);
+    if (tag === 'object') return resolveUrl(el.getAttribute('data'), base);
+    if (tag === 'time' && el.hasAttribute('datetime')) return el.getAttribute('datetime');
+    if ((tag === 'data' || tag === 'meter') && el.hasAttribute('value')) return el.getAttribute('value');
+    return el.textContent;
+  }
+
+  // Microdata (itemscope/itemtype/itemprop) and RDFa (typeof/property)
+  // trees as entities. Both nest the same way: a property element that is
+  // also an item is a nested entity, and a property belongs to the nearest
+  // item above it.
+  function readMarkupEntities(doc, base, syntax) {
+    if (!doc) return [];
+    const rdfa = syntax === 'rdfa';
+    const itemAttr = rdfa ? 'typeof' : 'itemscope';
+    const propAttr = rdfa ? 'property' : 'itemprop';
+    const toEntity = (el, depth) => {
+      const types = (el.getAttribute(rdfa ? 'typeof' : 'itemtype') || '').split(/\s+/).filter(Boolean).map(schemaTypeName);
+      const id = rdfa
+        ? el.getAttribute('resource') || el.getAttribute('about') || el.getAttribute('href') || el.getAttribute('src')
+        : el.getAttribute('itemid') || el.getAttribute('href');
+      const entity = { type: types.length > 0 ? types.join(', ') : null, format: syntax, id: resolveUrl(id, base), properties: {} };
+      for (const p of el.querySelectorAll(`[${propAttr}]`)) {
+        if (p.parentElement.closest(`[${itemAttr}]`) !== el) continue;
+        let value;
+        if (p.hasAttribute(itemAttr)) value = depth < ENTITY_MAX_DEPTH ? toEntity(p, depth + 1) : null;
+        else value = entityText(structuredDataElementValue(p, base, rdfa) || '');
+        p.getAttribute(propAttr).split(/\s+/).filter(Boolean)
+          .forEach((name) => addEntityValue(entity, schemaTypeName(name), value));
+      }
+      return entity;
+    };
+    return Array.from(doc.querySelectorAll(`[${itemAttr}]:not([${propAttr}])`))
+      .slice(0, MARKUP_MAX_ITEMS)
+      .map((el) => toEntity(el, 0))
+      .filter((e) => e.type);
+  }
+
+  // Every structured-data syntax in `doc` as entities, plus the blocks
+  // validateStructuredData takes: one per JSON-LD <script>, one per
+  // top-level microdata or RDFa item. Run on both the server HTML and the
+  // live document — markup injected by JavaScript only shows up in the
+  // second.
+  function readStructuredData(doc, base) {
+    const scripts = readJSONLDScripts(doc);
+    const nodes = scripts.map(flattenJSONLD);
+    const jsonLd = nodes.map(jsonLdEntities);
+    const microdata = readMarkupEntities(doc, base, 'microdata');
+    const rdfa = readMarkupEntities(doc, base, 'rdfa');
+    return {
+      jsonLdBlocks: nodes.reduce((n, list) => n + list.length, 0),
+      entities: [...jsonLd.flat(), ...microdata, ...rdfa],
+      blocks: [
+        ...scripts.map((parsed, i) => (parsed == null ? { format: 'json-ld', invalid: true } : { format: 'json-ld', entities: jsonLd[i] })),
+        ...microdata.map((e) => ({ format: 'microdata', entities: [e] })),
+        ...rdfa.map((e) => ({ format: 'rdfa', entities: [e] }))
+      ]
+    };
+  }
+
+  // Non-empty headings in document order, trimmed for display.
+  function listHeadings(doc) {
+    return Array.from(doc.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+      .map((h) => ({ tag: h.tagName.toLowerCase(), text: (h.textContent || '').trim().replace(/\s+/g, ' ').slice(0, 120) }))
+      .filter((h) => h.text);
+  }
+
+  // <meta name> tags that can carry robots directives: `robots` itself and
+  // one per AI crawler (`<meta name="GPTBot" content="noindex">`).
+  function readRobotsMetas(doc, side) {
+    if (!doc) return [];
+    const names = new Set(['robots', ...AI_CRAWLERS.map((b) => b.name.toLowerCase())]);
+    return Array.from(doc.querySelectorAll('meta[name]'))
+      .filter((m) => names.has(m.getAttribute('name').trim().toLowerCase()))
+      .map((m) => ({ name: m.getAttribute('name').trim(), content: m.getAttribute('content') || '', side }));
+  }
+
+  // TDMRep's <meta name="tdm-reservation"> / <meta name="tdm-policy">.
+  function readTdmMeta(doc) {
+    if (!doc) return null;
+    const reservation = doc.querySelector('meta[name="tdm-reservation" i]');
+    if (!reservation) return null;
+    const policy = doc.querySelector('meta[name="tdm-policy" i]');
+    return {
+      reservation: reservation.getAttribute('content'),
+      policy: policy ? policy.getAttribute('content') : null
+    };
+  }
+
+  // <title>, meta description and the SOCIAL_META_TAGS, null when absent.
+  // og:* belongs in `property` and twitter:* in `name`, but sites mix them
+  // up and consumers read both. The first non-empty tag wins.
+  function readSocialMeta(doc) {
+    const meta = { title: (doc.title || '').trim() || null, description: null };
+    for (const name of SOCIAL_META_TAGS) meta[name] = null;
+    for (const el of doc.querySelectorAll('meta[property], meta[name]')) {
+      const name = (el.getAttribute('property') || el.getAttribute('name') || '').trim().toLowerCase();
+      const content = (el.getAttribute('content') || '').trim();
+      if (content && name !== 'title' && meta[name] === null) meta[name] = content;
+    }
+    return meta;
+  }
+
+  // Case, whitespace and a trailing ellipsis don't make two values differ.
+  function normalizeMetaText(s) {
+    return String(s).toLowerCase().replace(/\s+/g, ' ').replace(/(\.\.\.|…)$/, '').trim();
+  }
+
+  function metaLabel(name) {
+    return { title: '<title>', description: 'meta description', canonical: 'the canonical' }[name] || name;
+  }
+
+  // Arrival timeline from the SW's streaming fetch, minus the raw late HTML
+  // (too big to store) but with what it contained: visible text length and
+  // the headings that arrived after the budget.
+  function summarizeTimeline(timeline) {
+    if (!timeline) return null;
+    let lateTextLength = 0;
+    let lateHeadings = [];
+    if (timeline.lateHtml) {
       try {
-        const parsed = JSON.parse(raw);
-        const flatten = (node) => {
-          if (!node) return;
-          if (Array.isArray(node)) { node.forEach(flatten); return; }
-          if (typeof node !== 'object') return;
-          if (Array.isArray(node['@graph'])) node['@graph'].forEach(flatten);
-          out.push(node);
-        };
-        flatten(parsed);
-      } catch (_) { /* ignore malformed */ }
+        const lateDoc = new DOMParser().parseFromString('<body>' + timeline.lateHtml, 'text/html');
+        lateTextLength = (lateDoc.body.textContent || '').trim().length;
+        lateHeadings = listHeadings(lateDoc).slice(0, 10);
+      } catch (_) { /* leave empty */ }
     }
-    return out;
+    return {
+      budgetMs: timeline.budgetMs,
+      headersMs: timeline.headersMs,
+      completeMs: timeline.completeMs,
+      totalBytes: timeline.totalBytes,
+      budgetBytes: timeline.budgetBytes,
+      checkpoints: timeline.checkpoints || [],
+      lateTextLength,
+      lateHeadings
+    };
   }
 
   // ---------------------------------------------------------------------------
@@ -407,6 +518,7 @@
         aiSearchFiles: { llmsTxtPresent: false, sitemapPresent: false, sitemapDeclared: false },
         performance: {}
       };
+      this.settings = DEFAULT_ANALYSIS_SETTINGS;
     }
 
     async run() {
@@ -418,33 +530,54 @@
       // popup toggle. This makes cloaking detection and dynamic-rendering
       // recognition the standard analysis, not a hidden feature.
       const probeEnabled = await readSetting('probeAsAiCrawlers', true);
+      // Which bots to probe as — edited on the options page.
+      const botProbes = enabledBotProbes(await readSetting(BOT_PROBE_CATALOG_KEY, null));
+      // Tunables for this run — recorded in the payload so the popup and the
+      // report can say which profile produced the score.
+      const profile = selectAnalysisProfile(
+        await readSetting(ANALYSIS_PROFILES_KEY, null),
+        await readSetting(ACTIVE_PROFILE_KEY, null)
+      );
+      this.settings = profile.settings;
+      this.analysis.profile = { id: profile.id, name: profile.name };
+      const { rawFetchTimeoutMs, supportFetchTimeoutMs } = this.settings;
 
       const origin = window.location.origin;
-      const [serverData, robotsData, llmsRes, sitemapRes] = await Promise.all([
-        fetchViaSW(window.location.href, RAW_FETCH_TIMEOUT_MS),
-        fetchViaSW(origin + '/robots.txt', SUPPORT_FETCH_TIMEOUT_MS),
-        fetchViaSW(origin + '/llms.txt',   SUPPORT_FETCH_TIMEOUT_MS),
-        fetchViaSW(origin + '/sitemap.xml', SUPPORT_FETCH_TIMEOUT_MS)
+      const [serverData, robotsData, llmsRes, llmsFullRes, pageMdRes, tdmrepRes, aiTxtRes] = await Promise.all([
+        fetchViaSW(window.location.href, rawFetchTimeoutMs, { timeline: true }),
+        fetchViaSW(origin + '/robots.txt', supportFetchTimeoutMs),
+        fetchViaSW(origin + '/llms.txt',   supportFetchTimeoutMs),
+        fetchViaSW(origin + '/llms-full.txt', supportFetchTimeoutMs),
+        fetchViaSW(llmsMarkdownUrl(window.location.href), supportFetchTimeoutMs),
+        fetchViaSW(origin + '/.well-known/tdmrep.json', supportFetchTimeoutMs),
+        fetchViaSW(origin + '/ai.txt',     supportFetchTimeoutMs)
       ]);
       const renderedSnap = captureSnapshot(document, window.location.hostname);
 
       this.analyzeServer(serverData, renderedSnap);
       this.analyzeRobots(robotsData);
-      this.analyzeLLMsTxt(llmsRes);
-      this.analyzeSitemap(sitemapRes, robotsData);
+      this.analyzePageDirectives();
+      await this.analyzeLLMsTxt(llmsRes, llmsFullRes, pageMdRes);
+      await this.analyzeSitemap(robotsData);
+      await this.analyzeCanonical(robotsData);
+      await this.analyzeHreflang();
+      await this.analyzeSocialMeta();
+      this.analyzeAIPolicy(tdmrepRes, aiTxtRes);
 
       this.analysis.performance = readPerformance();
 
-      // V2: probe with bot UAs sequentially (DNR session rule serializes
-      // anyway; doing them in parallel would just queue at the SW lock).
+      // V2: probe with bot UAs (all bots in parallel — see runBotProbes).
       if (probeEnabled) {
-        await this.runBotProbes(serverData, renderedSnap);
+        await this.runBotProbes(serverData, renderedSnap, botProbes);
         this.maybePromoteCanonicalBaseline(renderedSnap);
       } else {
         this.analysis.botProbes = { enabled: false, results: [] };
       }
+      this.simulateCrawlerLimits(serverData, renderedSnap, botProbes);
+      this.analyzeRedirects();
+      this.auditHeaders(serverData);
 
-      this.detectFrameworks();
+      this.detectFrameworks(serverData);
       this.checkStructuredData();
       this.checkSlowLoad();
       this.classifySegment();
@@ -487,6 +620,8 @@
         this.analysis.server = {
           fetched: false,
           error: (result && result.error) || 'fetch-failed',
+          redirects: (result && result.redirects) || [],
+          redirectLoop: !!(result && result.redirectLoop),
           rendered: renderedSnap
         };
         return;
@@ -524,19 +659,44 @@
       const internalLinkRatio = rawSnap && liveSnap ? ratio(rawSnap.internalLinks, liveSnap.internalLinks) : 0;
       const headingRatio = rawSnap && liveSnap ? ratio(rawSnap.totalHeadings, liveSnap.totalHeadings) : 0;
 
-      const canonicalEl = (serverDoc && serverDoc.querySelector('link[rel="canonical"]'))
-        || document.querySelector('link[rel="canonical"]');
-      const canonicalUrl = canonicalFromHeader
-        || (canonicalEl ? canonicalEl.getAttribute('href') : null);
+      // Where each source puts the canonical, resolved to absolute URLs so
+      // analyzeCanonical can compare them. The header wins, then the server
+      // HTML — what a crawler without JS sees.
+      const base = result.finalUrl || window.location.href;
+      const canonicals = {
+        header: resolveUrl(canonicalFromHeader, base),
+        server: resolveUrl(readCanonicalHref(serverDoc), base),
+        rendered: resolveUrl(readCanonicalHref(document), window.location.href)
+      };
+      const canonicalUrl = canonicals.header || canonicals.server || canonicals.rendered;
+      const hreflang = {
+        header: resolveHreflang(parseHreflangLinkHeader(linkHeader), base),
+        server: readHreflangLinks(serverDoc, base)
+      };
+      const serverSd = readStructuredData(serverDoc, base);
+      const structuredData = {
+        jsonLdBlocks: serverSd.jsonLdBlocks,
+        hasMicrodata: serverSd.entities.some((e) => e.format !== 'json-ld'),
+        entities: serverSd.entities,
+        validation: validateStructuredData(serverSd.blocks)
+      };
 
       this.analysis.server = {
         fetched: true,
         statusCode: result.status,
         redirected: result.redirected,
+        redirects: result.redirects || [],
         finalUrl: result.finalUrl,
+        headers,
+        htmlLang: serverDoc && serverDoc.documentElement ? serverDoc.documentElement.getAttribute('lang') : null,
         contentType,
         xRobotsTag: xRobots,
+        robotsMetas: readRobotsMetas(serverDoc, 'server'),
+        tdmMeta: readTdmMeta(serverDoc),
         canonicalUrl,
+        canonicals,
+        hreflang,
+        structuredData,
 
         // Symmetric per-side snapshots
         raw: rawSnap,
@@ -556,13 +716,19 @@
         serverHeadings: rawSnap ? rawSnap.totalHeadings : 0,
         liveHeadings: liveSnap ? liveSnap.totalHeadings : 0,
 
-        truncated: !!result.truncated
+        truncated: !!result.truncated,
+        // Body still arriving when the crawler budget ran out — `raw` is
+        // only what made it in time.
+        timedOut: !!result.timedOut,
+        timeline: summarizeTimeline(result.timeline)
       };
 
       // ---- Issues derived from the comparison ---------------------------------
 
+      const { serverRatioSevere, serverRatioHealthy } = this.settings;
+
       // text_ratio alone — page is short on raw text
-      if (liveSnap && liveSnap.textLength > 200 && textRatio < 0.3) {
+      if (liveSnap && liveSnap.textLength > 200 && textRatio < serverRatioSevere) {
         this.analysis.issues.push({
           type: 'low_server_visibility',
           severity: 'high',
@@ -570,7 +736,7 @@
           impact: 'Bots without JavaScript see most of this page as empty.',
           roiImpact: Math.round((1 - textRatio) * 70)
         });
-      } else if (liveSnap && liveSnap.textLength > 200 && textRatio < 0.6) {
+      } else if (liveSnap && liveSnap.textLength > 200 && textRatio < serverRatioHealthy) {
         this.analysis.issues.push({
           type: 'low_server_visibility',
           severity: 'medium',
@@ -581,7 +747,7 @@
       }
 
       if (rawSnap && rawSnap.textLength > 100 && liveSnap && liveSnap.textLength > 100) {
-        if (contentOverlap < 0.3) {
+        if (contentOverlap < serverRatioSevere) {
           this.analysis.issues.push({
             type: 'low_content_overlap',
             severity: 'high',
@@ -589,7 +755,7 @@
             impact: 'The text bots see is different from what users see.',
             roiImpact: 35
           });
-        } else if (contentOverlap < 0.6 && textRatio >= 0.6) {
+        } else if (contentOverlap < serverRatioHealthy && textRatio >= serverRatioHealthy) {
           this.analysis.issues.push({
             type: 'content_drift',
             severity: 'medium',
@@ -600,6 +766,24 @@
         }
       }
 
+      const timeline = this.analysis.server.timeline;
+      if (result.timedOut && timeline && timeline.lateTextLength > 0) {
+        const arrived = rawSnap ? rawSnap.textLength : 0;
+        const lateShare = timeline.lateTextLength / (arrived + timeline.lateTextLength);
+        const budget = `${(timeline.budgetMs / 1000).toFixed(timeline.budgetMs % 1000 ? 1 : 0)}s`;
+        const missed = timeline.lateHeadings.length > 0
+          ? ` Missed the window: ${timeline.lateHeadings.slice(0, 3).map((h) => `“${h.text}”`).join(', ')}${timeline.lateHeadings.length > 3 ? '…' : ''}.`
+          : '';
+        this.analysis.issues.push({
+          type: 'html_streamed_past_budget',
+          severity: lateShare >= 0.3 ? 'high' : 'medium',
+          message: `${Math.round(lateShare * 100)}% of the HTML text arrived after the ${budget} crawler budget`,
+          impact: `The server was still streaming the page when a crawler with a ${budget} budget would stop reading.${missed}`,
+          roiImpact: Math.round(lateShare * 50),
+          lateHeadings: timeline.lateHeadings
+        });
+      }
+
       if (liveSnap && liveSnap.totalHeadings > 2 && (!rawSnap || rawSnap.totalHeadings === 0)) {
         this.analysis.issues.push({
           type: 'js_rendered_headings',
@@ -627,16 +811,6 @@
         });
       }
 
-      if (xRobots && /noindex|nofollow|none/i.test(xRobots)) {
-        this.analysis.issues.push({
-          type: 'xrobots_restrictive',
-          severity: 'high',
-          message: `X-Robots-Tag: ${xRobots}`,
-          impact: 'This header tells crawlers not to index the page.',
-          roiImpact: 90
-        });
-      }
-
       if (!canonicalUrl) {
         this.analysis.issues.push({
           type: 'no_canonical',
@@ -647,20 +821,6 @@
         });
       }
 
-      const robotsMeta = document.querySelector('meta[name="robots"]');
-      if (robotsMeta) {
-        const content = (robotsMeta.getAttribute('content') || '').toLowerCase();
-        if (content && (content.includes('noindex') || content.includes('nofollow'))) {
-          this.analysis.issues.push({
-            type: 'robots_meta_restrictive',
-            severity: 'high',
-            message: `Meta robots: ${content}`,
-            impact: 'This tag tells crawlers not to index the page.',
-            roiImpact: 90
-          });
-        }
-      }
-
       const ttfb = readPerformance().ttfbMs;
       if (ttfb != null && ttfb > 1500) {
         this.analysis.issues.push({
@@ -677,29 +837,36 @@
     // Robots.txt + AI crawler access
     // -------------------------------------------------------------------------
 
+    // A missing or failing robots.txt still decides access (RFC 9309): 4xx
+    // allows everything, 429, 5xx or no response disallows everything.
     analyzeRobots(result) {
-      if (!result || !result.ok) {
-        this.analysis.crawlers = {
-          fetched: false,
-          bots: AI_CRAWLERS.map((b) => ({ ...b, status: 'unknown' })),
-          error: (result && result.error) || 'fetch-failed'
-        };
-        return;
-      }
-      const parsed = parseRobots(result.text || '');
+      const parsed = robotsFromResponse(result);
       const currentPath = window.location.pathname + window.location.search;
       const bots = AI_CRAWLERS.map((b) => ({
         ...b,
         ...checkAIBotAccess(parsed, b.name, currentPath)
       }));
       this.analysis.crawlers = {
-        fetched: true,
+        fetched: !!(result && result.ok),
+        availability: parsed.availability,
+        httpStatus: parsed.httpStatus,
         bots,
         sitemapDeclared: parsed.sitemaps.length > 0,
         sitemapEntries: parsed.sitemaps
       };
       this.analysis.aiSearchFiles.sitemapDeclared = parsed.sitemaps.length > 0;
 
+      if (parsed.availability === 'unreachable') {
+        this.analysis.issues.push({
+          type: 'robots_unreachable',
+          severity: 'high',
+          message: parsed.httpStatus ? `robots.txt returns HTTP ${parsed.httpStatus}` : 'robots.txt is unreachable',
+          impact: 'Crawlers that follow RFC 9309 treat every URL on the site as disallowed until robots.txt loads.',
+          roiImpact: 85
+        });
+        return;
+      }
+
       const blocked = bots.filter((b) => b.status === 'blocked');
       if (blocked.length === 0) return;
 
@@ -730,18 +897,131 @@
       }
     }
 
-    analyzeLLMsTxt(result) {
-      const present = !!(result && result.ok && result.status === 200 && (result.text || '').length > 0);
-      this.analysis.aiSearchFiles.llmsTxtPresent = present;
+    // Meta robots and X-Robots-Tag per crawler, from the server response and
+    // the live DOM — a tag only the rendered page has counts too, since
+    // rendering crawlers see it. Runs after analyzeRobots so each crawler
+    // row carries its page directives next to its robots.txt verdict.
+    analyzePageDirectives() {
+      const server = this.analysis.server;
+      const serverMetas = server.robotsMetas || [];
+      const renderedMetas = readRobotsMetas(document, 'rendered').filter((m) =>
+        !serverMetas.some((s) => s.name.toLowerCase() === m.name.toLowerCase() && s.content === m.content));
+      const perBot = pageRobotsDirectives([...serverMetas, ...renderedMetas], server.xRobotsTag);
+      const byName = new Map(perBot.map((d) => [d.name, d]));
+      this.analysis.crawlers.bots = this.analysis.crawlers.bots.map((b) => {
+        const { name, ...page } = byName.get(b.name) || {};
+        return name ? { ...b, page } : b;
+      });
+      this.analysis.issues.push(...pageDirectiveIssues(perBot));
+    }
+
+    // TDMRep and ai.txt next to the robots.txt and noai verdicts, as one AI
+    // usage policy.
+    analyzeAIPolicy(tdmrepRes, aiTxtRes) {
+      const tdmrep = servedAsFile(tdmrepRes) ? parseTdmRep(tdmrepRes.text) : null;
+      const aiTxt = servedAsFile(aiTxtRes) ? aiTxtRes.text : null;
+
+      const server = this.analysis.server;
+      const tdm = tdmReservationFor(window.location.pathname + window.location.search, {
+        meta: server.tdmMeta || readTdmMeta(document),
+        headers: server.headers || {},
+        tdmrep
+      });
+      const policy = aiUsagePolicy({
+        bots: this.analysis.crawlers.bots,
+        tdm,
+        aiTxt,
+        path: window.location.pathname + window.location.search
+      });
+      policy.tdmrepPresent = !!tdmrep;
+      this.analysis.aiPolicy = policy;
+
+      if (policy.contradictions.length > 0) {
+        this.analysis.issues.push({
+          type: 'ai_policy_contradiction',
+          severity: 'medium',
+          message: `${policy.contradictions.length} AI usage signal${policy.contradictions.length > 1 ? 's' : ''} disagree`,
+          impact: `${policy.contradictions[0]} Crawlers may honor whichever signal they read.`,
+          roiImpact: 15,
+          contradictions: policy.contradictions
+        });
+      }
     }
 
-    analyzeSitemap(result, robotsResult) {
-      const fileExists = !!(result && result.ok && result.status === 200);
-      const declaredInRobots = !!(robotsResult && robotsResult.ok && /^\s*sitemap\s*:/im.test(robotsResult.text || ''));
-      this.analysis.aiSearchFiles.sitemapPresent = fileExists;
-      this.analysis.aiSearchFiles.sitemapDeclared = declaredInRobots || this.analysis.aiSearchFiles.sitemapDeclared;
+    // llms.txt checked against the llmstxt.org format, its links checked for
+    // resolving, plus llms-full.txt and this page's .md version. Only a valid
+    // file earns llms.txt credit in the structured data score.
+    async analyzeLLMsTxt(result, fullResult, pageMdResult) {
+      const files = this.analysis.aiSearchFiles;
+      files.llmsTxtPresent = servedAsFile(result);
+      files.llmsFullTxtPresent = servedAsFile(fullResult);
+      files.pageMarkdown = { url: llmsMarkdownUrl(window.location.href), present: servedAsFile(pageMdResult) };
+      if (!files.llmsTxtPresent) return;
+
+      const parsed = parseLlmsTxt(result.text, result.finalUrl || window.location.origin + '/llms.txt');
+      const pageLink = llmsLinkForPage(parsed.links, window.location.href);
+      const urls = [...new Set(parsed.links.map((l) => l.url))].slice(0, LLMS_LINK_CHECK_LIMIT);
+      const checks = await checkUrlsViaSW(urls, this.settings.supportFetchTimeoutMs);
+      const byUrl = new Map(checks.map((c) => [c.url, c]));
+      const links = parsed.links.map((l) => {
+        const check = byUrl.get(l.url);
+        return { ...l, status: check ? check.status : null, ok: check ? check.ok : null };
+      });
+      const broken = links.filter((l) => l.ok === false);
+
+      files.llmsTxt = {
+        valid: parsed.valid,
+        title: parsed.title,
+        summary: parsed.summary,
+        sections: parsed.sections,
+        errors: parsed.errors,
+        links,
+        checked: checks.length,
+        broken: broken.length,
+        pageListed: !!pageLink
+      };
+
+      if (!parsed.valid) {
+        const first = parsed.errors[0];
+        this.analysis.issues.push({
+          type: 'llms_txt_invalid',
+          severity: 'low',
+          message: `llms.txt has ${parsed.errors.length} format error${parsed.errors.length > 1 ? 's' : ''}`,
+          impact: `Line ${first.line + 1}: ${first.message} Tools that follow llmstxt.org may skip a malformed file.`,
+          roiImpact: 5,
+          errors: parsed.errors
+        });
+      }
+      if (broken.length > 0) {
+        this.analysis.issues.push({
+          type: 'llms_txt_broken_links',
+          severity: 'low',
+          message: `${broken.length} llms.txt link${broken.length > 1 ? 's don’t' : ' doesn’t'} resolve`,
+          impact: `${broken[0].url} returned ${broken[0].status || 'no response'}. AI tools following the file hit dead ends.`,
+          roiImpact: 5,
+          urls: broken.map((l) => l.url)
+        });
+      }
+    }
 
-      if (!fileExists && !declaredInRobots) {
+    // Reads the sitemaps robots.txt declares (or /sitemap.xml), following
+    // indexes, and checks what crawlers would: that every file is well-formed
+    // and within the size limits, that this page or its canonical is listed,
+    // and whether <lastmod> can be trusted. The SW reads a few MB at most and
+    // hands back the first listed URLs, which are checked for redirects,
+    // failures and robots.txt; the site crawl checks every listed URL.
+    async analyzeSitemap(robotsResult) {
+      const robots = robotsFromResponse(robotsResult);
+      const files = this.analysis.aiSearchFiles;
+      files.sitemapDeclared = robots.sitemaps.length > 0 || files.sitemapDeclared;
+      const seeds = robots.sitemaps.length > 0 ? robots.sitemaps : [window.location.origin + '/sitemap.xml'];
+
+      const summary = await summarizeSitemapsViaSW(seeds, window.location.href,
+        this.analysis.server.canonicalUrl || null, this.settings.supportFetchTimeoutMs);
+      if (!summary.success) return;
+
+      files.sitemapPresent = summary.files.some((f) => f.ok);
+      if (!files.sitemapPresent && !files.sitemapDeclared) {
         this.analysis.issues.push({
           type: 'no_sitemap',
           severity: 'low',
@@ -749,20 +1029,499 @@
           impact: 'No /sitemap.xml and none declared in robots.txt. Crawlers may miss pages.',
           roiImpact: 5
         });
+        return;
+      }
+
+      const sample = summary.sample || [];
+      const blocked = [];
+      for (const loc of sample) {
+        let u;
+        try { u = new URL(loc); } catch (_) { continue; }
+        if (u.origin !== window.location.origin) continue;
+        const bots = AI_CRAWLERS
+          .filter((b) => checkAIBotAccess(robots, b.name, u.pathname + u.search).status === 'blocked')
+          .map((b) => b.name);
+        if (bots.length > 0) blocked.push({ url: loc, bots });
+      }
+      const checks = await checkUrlsViaSW(sample, this.settings.supportFetchTimeoutMs);
+      const redirecting = checks
+        .filter((c) => c.redirected && c.finalUrl && c.finalUrl !== c.url)
+        .map((c) => ({ url: c.url, finalUrl: c.finalUrl }));
+      const broken = checks.filter((c) => !c.ok).map((c) => ({ url: c.url, status: c.status }));
+
+      const pageEntry = summary.pageEntry;
+      files.sitemap = {
+        files: summary.files,
+        urlCount: summary.urlCount,
+        complete: summary.complete,
+        pageListed: summary.pageListed,
+        pageLastmod: pageEntry ? pageEntry.lastmod : null,
+        pageAlternates: pageEntry ? resolveHreflang(pageEntry.alternates || [], pageEntry.loc) : [],
+        lastmod: summary.lastmod,
+        sample,
+        linksChecked: checks.length,
+        redirecting,
+        broken,
+        robotsChecked: sample.length,
+        robotsBlocked: blocked
+      };
+      this.sitemapIssues(files.sitemap);
+    }
+
+    sitemapIssues(sitemap) {
+      const push = (type, severity, message, impact, roiImpact, extra = {}) =>
+        this.analysis.issues.push({ type, severity, message, impact, roiImpact, ...extra });
+      const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+      const unreachable = sitemap.files.filter((f) => !f.ok);
+      if (unreachable.length > 0) {
+        push('sitemap_unreachable', 'medium', `${plural(unreachable.length, 'sitemap')} didn’t load`,
+          `${unreachable[0].url} returned ${unreachable[0].error}. Crawlers skip the URLs it lists.`, 10,
+          { urls: unreachable.map((f) => f.url) });
+      }
+      const malformed = sitemap.files.filter((f) => f.malformed);
+      if (malformed.length > 0) {
+        push('sitemap_malformed', 'medium', `${plural(malformed.length, 'sitemap')} ${malformed.length === 1 ? 'isn’t' : 'aren’t'} valid XML`,
+          `${malformed[0].url} isn’t a well-formed <urlset> or <sitemapindex>. Crawlers may reject the whole file.`, 10,
+          { urls: malformed.map((f) => f.url) });
+      }
+      const oversize = sitemap.files.filter((f) => f.oversize);
+      if (oversize.length > 0) {
+        push('sitemap_oversize', 'medium', `${plural(oversize.length, 'sitemap')} over the size limit`,
+          `Sitemaps are capped at ${SITEMAP_MAX_URLS.toLocaleString()} URLs and 50 MB uncompressed; crawlers ignore what’s past the limit. Split ${oversize[0].url} under a sitemap index.`, 10,
+          { urls: oversize.map((f) => f.url) });
+      }
+      if (sitemap.complete && sitemap.urlCount > 0 && !sitemap.pageListed) {
+        push('sitemap_page_missing', 'low', 'This page isn’t in the sitemap',
+          `Neither this URL nor its canonical is among the ${sitemap.urlCount.toLocaleString()} sitemap URLs, so crawlers rely on links to find it.`, 5);
+      }
+      const lm = sitemap.lastmod;
+      const lastmodProblems = [];
+      if (lm.invalid > 0) lastmodProblems.push(`${plural(lm.invalid, 'value')} not in W3C Datetime format`);
+      if (lm.future > 0) lastmodProblems.push(`${plural(lm.future, 'date')} in the future`);
+      if (lm.uniform) lastmodProblems.push(`all ${lm.withLastmod.toLocaleString()} URLs share one date`);
+      if (lastmodProblems.length > 0) {
+        push('sitemap_lastmod_unreliable', 'low', 'Sitemap lastmod can’t be trusted',
+          `${lastmodProblems.join('; ')}. Crawlers ignore lastmod that doesn’t track real changes.`, 5);
+      }
+      if (sitemap.redirecting.length > 0) {
+        push('sitemap_urls_redirect', 'low', `${sitemap.redirecting.length} of ${sitemap.linksChecked} sampled sitemap URLs redirect`,
+          `${sitemap.redirecting[0].url} → ${sitemap.redirecting[0].finalUrl}. List the final URLs so crawlers don’t spend fetches on hops.`, 5,
+          { urls: sitemap.redirecting.map((r) => r.url) });
+      }
+      if (sitemap.broken.length > 0) {
+        push('sitemap_urls_broken', 'medium', `${sitemap.broken.length} of ${sitemap.linksChecked} sampled sitemap URLs don’t load`,
+          `${sitemap.broken[0].url} returned ${sitemap.broken[0].status || 'no response'}.`, 10,
+          { urls: sitemap.broken.map((r) => r.url) });
+      }
+      if (sitemap.robotsBlocked.length > 0) {
+        push('sitemap_urls_blocked', 'medium', `${sitemap.robotsBlocked.length} of ${sitemap.robotsChecked} sampled sitemap URLs blocked by robots.txt`,
+          `${sitemap.robotsBlocked[0].url} is disallowed for ${sitemap.robotsBlocked[0].bots.join(', ')}. A sitemap should only list URLs crawlers may fetch.`, 10,
+          { urls: sitemap.robotsBlocked.map((r) => r.url) });
+      }
+    }
+
+    // Canonical from the Link header, the server HTML and the rendered DOM,
+    // compared with each other and followed to the target: a crawler that
+    // trusts the canonical should land on a live, fetchable page that
+    // names itself as canonical. One issue type per way that goes wrong.
+    async analyzeCanonical(robotsResult) {
+      const server = this.analysis.server;
+      if (!server.fetched || !server.canonicals) return;
+      const { header, server: inHtml, rendered } = server.canonicals;
+      const canonical = server.canonicalUrl;
+      const push = (type, severity, message, impact, roiImpact, extra = {}) =>
+        this.analysis.issues.push({ type, severity, message, impact, roiImpact, ...extra });
+
+      // Crawlers that don't run JavaScript still get the Link header, so a
+      // rendered canonical that repeats a header-only one changes nothing.
+      const before = inHtml || header;
+      if (rendered && rendered !== before) {
+        push('canonical_js_rewritten', 'medium',
+          before ? 'JavaScript changes the canonical' : 'Canonical added by JavaScript',
+          before
+            ? `The ${inHtml ? 'server HTML' : 'Link header'} says ${before}; after JavaScript runs the HTML says ${rendered}. Crawlers may pick either.`
+            : `Only the rendered page declares ${rendered}. Crawlers that don’t run JavaScript see no canonical.`,
+          15, { server: inHtml, header, rendered });
+      }
+      if (header && inHtml && header !== inHtml) {
+        push('canonical_header_conflict', 'medium', 'Link header and HTML canonicals disagree',
+          `The Link header says ${header}; the HTML says ${inHtml}. Crawlers may ignore both.`,
+          15, { header, server: inHtml });
+      }
+      if (!canonical) return;
+
+      const page = resolveUrl(window.location.href, window.location.href);
+      if (canonical === page) return;
+      const target = new URL(canonical);
+      if (target.host !== window.location.host) {
+        push('canonical_cross_host', 'medium', `Canonical points to ${target.host}`,
+          `Crawlers credit ${target.host} with this page’s content and may drop this URL from their index.`,
+          20, { canonical });
+      } else if (target.pathname !== window.location.pathname) {
+        push('canonical_other_page', 'low', 'Canonical points to another page',
+          `Crawlers index ${target.pathname} instead of this URL. Fine for duplicates, a problem if this page stands on its own.`,
+          10, { canonical });
+      }
+
+      const robots = robotsFromResponse(robotsResult);
+      if (target.origin === window.location.origin) {
+        const blocked = AI_CRAWLERS
+          .filter((b) => checkAIBotAccess(robots, b.name, target.pathname + target.search).status === 'blocked')
+          .map((b) => b.name);
+        if (blocked.length > 0) {
+          push('canonical_target_blocked', 'high', 'Canonical target blocked by robots.txt',
+            `${target.pathname} is disallowed for ${blocked.join(', ')}, so they can’t fetch the page this one points to.`,
+            25, { canonical, bots: blocked });
+        }
+      }
+
+      const res = await fetchViaSW(canonical, this.settings.supportFetchTimeoutMs);
+      if (!res.ok) {
+        push('canonical_target_error', 'high', 'Canonical target doesn’t load',
+          `${canonical} failed (${res.error}). Crawlers can’t follow the canonical.`, 25, { canonical });
+        return;
+      }
+      if (res.redirects && res.redirects.length > 0) {
+        push('canonical_redirects', 'medium', 'Canonical target redirects',
+          `${canonical} redirects to ${res.finalUrl}. Point the canonical at the final URL.`,
+          15, { canonical, finalUrl: res.finalUrl });
+      }
+      if (res.status !== 200) {
+        push('canonical_target_error', 'high', `Canonical target returns HTTP ${res.status}`,
+          `Crawlers won’t index ${canonical}, and this page defers to it.`, 25, { canonical, status: res.status });
+        return;
+      }
+
+      const targetBase = res.finalUrl || canonical;
+      let targetDoc = null;
+      try { targetDoc = new DOMParser().parseFromString(res.text || '', 'text/html'); } catch (_) { /* no HTML canonical */ }
+      const next = resolveUrl(parseCanonicalLink((res.headers || {}).link), targetBase)
+        || resolveUrl(readCanonicalHref(targetDoc), targetBase);
+      if (next && next !== canonical && next !== resolveUrl(targetBase, targetBase)) {
+        push('canonical_chain', 'medium', 'Canonical chain',
+          `This page points to ${canonical}, which points to ${next}. Crawlers may not follow more than one hop.`,
+          15, { canonical, next });
+      }
+    }
+
+    // hreflang from the Link header, the server HTML, the rendered DOM and
+    // the sitemap, merged into one set. Checks the codes, the x-default and
+    // self-reference crawlers expect, and fetches each alternate (server
+    // HTML only, as a crawler would) to see that it links back. Pages with
+    // no hreflang anywhere are left alone — most sites have one language.
+    async analyzeHreflang() {
+      const server = this.analysis.server;
+      const sitemap = this.analysis.aiSearchFiles.sitemap;
+      const sources = {
+        header: server.hreflang ? server.hreflang.header : [],
+        server: server.hreflang ? server.hreflang.server : [],
+        rendered: readHreflangLinks(document, window.location.href),
+        sitemap: sitemap ? sitemap.pageAlternates : []
+      };
+      const byKey = new Map();
+      for (const [source, links] of Object.entries(sources)) {
+        for (const l of links) {
+          const key = `${l.hreflang.toLowerCase()} ${l.href}`;
+          if (!byKey.has(key)) byKey.set(key, { hreflang: l.hreflang, href: l.href, sources: [], error: validateHreflang(l.hreflang) });
+          const entry = byKey.get(key);
+          if (!entry.sources.includes(source)) entry.sources.push(source);
+        }
+      }
+      const entries = [...byKey.values()];
+      if (entries.length === 0) return;
+
+      const push = (type, severity, message, impact, roiImpact, extra = {}) =>
+        this.analysis.issues.push({ type, severity, message, impact, roiImpact, ...extra });
+      const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+      const selfUrls = new Set([resolveUrl(window.location.href, window.location.href), server.canonicalUrl].filter(Boolean));
+
+      // Without the server HTML every entry would look JS-only.
+      const jsOnly = server.fetched
+        ? entries.filter((e) => e.sources.length === 1 && e.sources[0] === 'rendered')
+        : [];
+      if (jsOnly.length === entries.length) {
+        push('hreflang_js_only', 'high', 'Language versions only appear after JavaScript',
+          `The ${plural(entries.length, 'hreflang link')} on this page ${entries.length === 1 ? 'is' : 'are'} added by JavaScript. Crawlers that don’t run it, most AI crawlers included, won’t discover the other language versions.`,
+          20, { codes: jsOnly.map((e) => e.hreflang) });
+      } else if (jsOnly.length > 0) {
+        push('hreflang_js_only', 'medium', `${plural(jsOnly.length, 'hreflang link')} added by JavaScript`,
+          `${jsOnly.map((e) => e.hreflang).join(', ')} only ${jsOnly.length === 1 ? 'appears' : 'appear'} in the rendered page, so crawlers that don’t run JavaScript miss ${jsOnly.length === 1 ? 'that version' : 'those versions'}.`,
+          10, { codes: jsOnly.map((e) => e.hreflang) });
+      }
+
+      const invalid = entries.filter((e) => e.error);
+      if (invalid.length > 0) {
+        push('hreflang_invalid_code', 'medium', plural(invalid.length, 'invalid hreflang value'),
+          `${invalid[0].hreflang}: ${invalid[0].error}. Crawlers ignore alternates they can’t parse.`,
+          10, { codes: invalid.map((e) => e.hreflang) });
+      }
+
+      const hrefsByCode = new Map();
+      for (const e of entries) {
+        const code = e.hreflang.toLowerCase();
+        if (!hrefsByCode.has(code)) hrefsByCode.set(code, []);
+        hrefsByCode.get(code).push(e.href);
+      }
+      const conflicts = [...hrefsByCode.entries()].filter(([, hrefs]) => hrefs.length > 1);
+      if (conflicts.length > 0) {
+        const [code, hrefs] = conflicts[0];
+        push('hreflang_conflict', 'medium', `${plural(conflicts.length, 'hreflang value')} ${conflicts.length === 1 ? 'points' : 'point'} to more than one URL`,
+          `${code} → ${hrefs.join(', ')}. Crawlers can’t tell which is the ${code} version.`,
+          10, { codes: conflicts.map(([c]) => c) });
+      }
+
+      const xDefault = hrefsByCode.has('x-default');
+      if (!xDefault) {
+        push('hreflang_no_x_default', 'low', 'No x-default alternate',
+          'Without x-default, crawlers have no fallback page for languages and regions you don’t list.', 5);
+      }
+      const selfReferenced = entries.some((e) => selfUrls.has(e.href));
+      if (!selfReferenced) {
+        push('hreflang_no_self', 'low', 'hreflang set doesn’t include this page',
+          'Each language version should list itself alongside the others; crawlers may ignore a set that doesn’t.', 5);
       }
+
+      const targets = [...new Set(entries.map((e) => e.href))].filter((u) => !selfUrls.has(u));
+      const sample = targets.slice(0, HREFLANG_CHECK_LIMIT);
+      const results = await Promise.all(sample.map((u) => fetchViaSW(u, this.settings.supportFetchTimeoutMs)));
+      const alternates = results.map((res, i) => {
+        const url = sample[i];
+        const alt = {
+          url,
+          hreflang: entries.filter((e) => e.href === url).map((e) => e.hreflang),
+          status: res.status || null,
+          ok: !!res.ok && res.status === 200,
+          linksBack: null
+        };
+        if (!alt.ok) {
+          alt.error = res.ok ? `HTTP ${res.status}` : res.error;
+          return alt;
+        }
+        const base = res.finalUrl || url;
+        let doc = null;
+        try { doc = new DOMParser().parseFromString(res.text || '', 'text/html'); } catch (_) { /* no HTML alternates */ }
+        const back = [
+          ...resolveHreflang(parseHreflangLinkHeader((res.headers || {}).link), base),
+          ...readHreflangLinks(doc, base)
+        ];
+        alt.linksBack = back.some((l) => selfUrls.has(l.href));
+        return alt;
+      });
+
+      const failed = alternates.filter((a) => !a.ok);
+      if (failed.length > 0) {
+        push('hreflang_alternate_error', 'medium', `${plural(failed.length, 'language version')} ${failed.length === 1 ? 'doesn’t' : 'don’t'} load`,
+          `${failed[0].url} returned ${failed[0].error || 'no response'}. Crawlers drop alternates that don’t return 200.`,
+          10, { urls: failed.map((a) => a.url) });
+      }
+      const oneWay = alternates.filter((a) => a.linksBack === false);
+      if (oneWay.length > 0) {
+        push('hreflang_not_reciprocal', 'medium', `${plural(oneWay.length, 'language version')} ${oneWay.length === 1 ? 'doesn’t' : 'don’t'} link back`,
+          `${oneWay[0].url} has no hreflang pointing to this page in its server HTML or Link header. Crawlers ignore pairs that aren’t confirmed from both sides.`,
+          15, { urls: oneWay.map((a) => a.url) });
+      }
+
+      this.analysis.hreflang = {
+        sources: Object.fromEntries(Object.entries(sources).map(([k, v]) => [k, v.length])),
+        entries,
+        xDefault,
+        selfReferenced,
+        jsOnly: jsOnly.length,
+        conflicts: conflicts.map(([c]) => c),
+        alternates,
+        unchecked: targets.length - sample.length
+      };
+    }
+
+    // <title>, meta description and the Open Graph / Twitter card tags —
+    // what answer engines use for a citation's title, blurb and thumbnail.
+    // The server HTML is compared with the rendered page, the tags crawlers
+    // get are checked against each other, and og:image is fetched.
+    async analyzeSocialMeta() {
+      const server = this.analysis.server;
+      const serverMeta = server.fetched && server.raw ? server.raw.meta : null;
+      const renderedMeta = server.rendered ? server.rendered.meta : null;
+      const meta = serverMeta || renderedMeta;
+      if (!meta) return;
+      const base = server.finalUrl || window.location.href;
+      const push = (type, severity, message, impact, roiImpact, extra = {}) =>
+        this.analysis.issues.push({ type, severity, message, impact, roiImpact, ...extra });
+
+      const names = ['title', 'description', ...SOCIAL_META_TAGS];
+      const tags = names.map((name) => ({
+        name,
+        server: serverMeta ? serverMeta[name] : null,
+        rendered: renderedMeta ? renderedMeta[name] : null
+      }));
+
+      // Missing everywhere; tags only JavaScript sets are reported below.
+      const missing = SOCIAL_META_REQUIRED.filter((n) => !meta[n] && !(renderedMeta && renderedMeta[n]));
+      if (missing.length > 0) {
+        push('social_meta_missing', missing.includes('og:title') || missing.includes('og:image') ? 'medium' : 'low',
+          `Missing ${missing.join(', ')}`,
+          'Answer engines and link previews fall back to guessing the title, summary and image for this page.',
+          Math.min(15, 5 * missing.length), { tags: missing });
+      }
+
+      // A missing <title> or meta description is already js_rendered_meta;
+      // here they only count when JavaScript rewrites them.
+      const added = serverMeta ? SOCIAL_META_TAGS.filter((n) => !serverMeta[n] && renderedMeta && renderedMeta[n]) : [];
+      const changed = serverMeta && renderedMeta
+        ? names.filter((n) => serverMeta[n] && renderedMeta[n] && normalizeMetaText(serverMeta[n]) !== normalizeMetaText(renderedMeta[n]))
+        : [];
+      if (added.length > 0 || changed.length > 0) {
+        const impact = [];
+        if (added.length > 0) impact.push(`${added.join(', ')} only ${added.length === 1 ? 'appears' : 'appear'} in the rendered page`);
+        if (changed.length > 0) impact.push(`JavaScript changes ${changed.map(metaLabel).join(', ')}`);
+        push('social_meta_js_rendered', added.includes('og:title') || added.includes('og:image') ? 'medium' : 'low',
+          added.length > 0 ? `JS-rendered: ${added.join(', ')}` : 'JavaScript rewrites social tags',
+          `${impact.join('; ')}. Crawlers that don't run JavaScript use what the server sends.`,
+          10, { added, changed });
+      }
+
+      // Pairs that should describe the page the same way. A site suffix
+      // ("Pricing | Acme" vs "Pricing") or a truncated description is fine.
+      const mismatches = [];
+      const compareText = (a, b) => {
+        if (!meta[a] || !meta[b]) return;
+        const x = normalizeMetaText(meta[a]);
+        const y = normalizeMetaText(meta[b]);
+        if (!x.includes(y) && !y.includes(x)) mismatches.push({ a, b, aValue: meta[a], bValue: meta[b] });
+      };
+      compareText('title', 'og:title');
+      compareText('og:title', 'twitter:title');
+      compareText('description', 'og:description');
+      compareText('og:description', 'twitter:description');
+      if (meta['og:image'] && meta['twitter:image']
+        && resolveUrl(meta['og:image'], base) !== resolveUrl(meta['twitter:image'], base)) {
+        mismatches.push({ a: 'og:image', b: 'twitter:image', aValue: meta['og:image'], bValue: meta['twitter:image'] });
+      }
+      if (meta['og:url'] && server.canonicalUrl && resolveUrl(meta['og:url'], base) !== server.canonicalUrl) {
+        mismatches.push({ a: 'og:url', b: 'canonical', aValue: meta['og:url'], bValue: server.canonicalUrl });
+      }
+      if (mismatches.length > 0) {
+        const [m] = mismatches;
+        push('social_meta_mismatch', 'low', `${mismatches.length} social tag mismatch${mismatches.length === 1 ? '' : 'es'}`,
+          `${metaLabel(m.a)} is “${m.aValue}” but ${metaLabel(m.b)} is “${m.bValue}”. Engines may cite the page under either.`,
+          5, { mismatches });
+      }
+
+      // og:image from the server HTML, or the rendered page's when only
+      // JavaScript sets it — still worth knowing whether it loads.
+      const imageHref = meta['og:image'] || (renderedMeta && renderedMeta['og:image']);
+      const imageUrl = resolveUrl(imageHref, base);
+      let image = null;
+      if (imageUrl) {
+        // Status and content type only (HEAD, see checkUrl in background.js);
+        // the image bytes never cross the message channel.
+        const [res = { status: null, error: 'no response' }] = await checkUrlsViaSW([imageUrl], this.settings.supportFetchTimeoutMs);
+        const loaded = res.status != null;
+        const contentType = (res.contentType || '').split(';')[0].trim().toLowerCase() || null;
+        image = {
+          url: imageUrl,
+          relative: !/^https?:\/\//i.test(imageHref.trim()),
+          status: res.status || null,
+          contentType,
+          error: loaded ? null : (res.error || 'no response'),
+          ok: loaded && res.status === 200 && (!contentType || contentType.startsWith('image/'))
+        };
+        if (!loaded) {
+          push('og_image_broken', 'medium', 'og:image doesn’t load',
+            `${imageUrl} failed (${image.error}). Citations and link previews show no image.`, 10, { url: imageUrl });
+        } else if (res.status !== 200) {
+          push('og_image_broken', 'medium', `og:image returns HTTP ${res.status}`,
+            `${imageUrl} isn't served to crawlers. Citations and link previews show no image.`, 10, { url: imageUrl, status: res.status });
+        } else if (!image.ok) {
+          push('og_image_broken', 'medium', 'og:image isn’t an image',
+            `${imageUrl} is served as ${contentType}. Crawlers discard previews they can't decode.`, 10, { url: imageUrl, contentType });
+        }
+        if (image.relative) {
+          push('og_image_relative', 'low', 'og:image is a relative URL',
+            `Open Graph expects an absolute URL; some consumers won't resolve “${imageHref}”.`, 5, { url: imageUrl });
+        }
+      } else if (imageHref) {
+        push('og_image_broken', 'medium', 'og:image isn’t a valid URL',
+          `“${imageHref}” doesn't parse as a URL. Citations and link previews show no image.`, 10);
+      }
+
+      this.analysis.socialMeta = {
+        source: serverMeta ? 'server' : 'rendered',
+        tags,
+        missing,
+        added,
+        changed,
+        mismatches,
+        image
+      };
     }
 
     // -------------------------------------------------------------------------
     // Framework / structured data / industry detection
     // -------------------------------------------------------------------------
 
-    detectFrameworks() {
-      const scripts = Array.from(document.querySelectorAll('script')).map((s) => s.src || s.textContent || '');
+    // Frameworks from DOM markers, payload globals and script URLs in the
+    // rendered page and the server HTML. Meta-frameworks imply their UI
+    // library (Next.js → React). Then classifyRendering works out how the
+    // page is built, which consolidateRelatedIssues and the recommendations
+    // use to give framework-specific advice.
+    detectFrameworks(serverData) {
+      let serverDoc = null;
+      if (serverData && serverData.ok) {
+        try {
+          serverDoc = new DOMParser().parseFromString(serverData.text || '', 'text/html');
+        } catch (_) { /* rendered page only */ }
+      }
+      const docs = serverDoc ? [document, serverDoc] : [document];
+      const scripts = docs.flatMap((d) => Array.from(d.querySelectorAll('script'))
+        .map((s) => s.getAttribute('src') || s.textContent || ''));
       const has = (needle) => scripts.some((s) => s.includes(needle));
+      // Library names are checked against script URL paths only — bundles
+      // and analytics snippets mention them in passing.
+      const srcPaths = docs.flatMap((d) => Array.from(d.querySelectorAll('script[src]')).map((s) => {
+        try { return new URL(s.getAttribute('src'), window.location.href).pathname; } catch (_) { return ''; }
+      }));
+      const libraryScript = (name) => {
+        const re = new RegExp(`(^|[/@])${name}([@./-]|$)`, 'i');
+        return srcPaths.some((p) => re.test(p));
+      };
+      const query = (selector) => docs.some((d) => d.querySelector(selector));
+      const generator = (name) => query(`meta[name="generator" i][content^="${name}" i]`);
       const detected = new Set();
+      const evidence = [];
+      const found = (id, marker) => {
+        if (!detected.has(id)) evidence.push(`${FRAMEWORK_LABELS[id]}: ${marker}`);
+        detected.add(id);
+      };
+
+      let router = null;
+      if (query('script#__NEXT_DATA__')) {
+        found('nextjs', '__NEXT_DATA__');
+        router = 'pages';
+      } else if (has('self.__next_f')) {
+        found('nextjs', 'self.__next_f');
+        router = 'app';
+      } else if (has('/_next/static/')) {
+        found('nextjs', '/_next/ scripts');
+      }
+      if (has('__NUXT__') || query('#__nuxt, script#__NUXT_DATA__')) found('nuxt', '__NUXT__ payload');
+      else if (has('/_nuxt/')) found('nuxt', '/_nuxt/ scripts');
+      if (has('__remixContext')) found('remix', 'window.__remixContext');
+      else if (has('__reactRouterContext')) found('remix', 'window.__reactRouterContext');
+      if (query('#___gatsby')) found('gatsby', '#___gatsby');
+      else if (generator('Gatsby')) found('gatsby', 'Gatsby generator');
+      if (query('astro-island')) found('astro', '<astro-island>');
+      else if (generator('Astro') || has('/_astro/')) found('astro', 'Astro generator');
+      if (has('__sveltekit') || query('[data-sveltekit-preload-data], [data-sveltekit-reload]')) found('sveltekit', '__sveltekit');
+      if (query('[q\\:container]') || has('qwikloader')) found('qwik', 'q:container');
+      if (has('_$HY') || query('[data-hk]')) found('solidstart', 'hydration keys (_$HY)');
+      if (query('.ember-application, meta[name$="/config/environment"]')) found('ember', 'Ember application');
+      if (has('__PREACT_DEVTOOLS__')) found('preact', '__PREACT_DEVTOOLS__');
+      else if (libraryScript('preact')) found('preact', 'preact scripts');
 
       if (
-        document.querySelector('[data-reactroot], [data-react-helmet], #__next, #__nuxt') ||
+        detected.has('nextjs') || detected.has('gatsby') || detected.has('remix') ||
+        query('[data-reactroot], [data-react-helmet], #__next') ||
         has('react-dom') || has('/react.') || has('/react@')
       ) detected.add('react');
 
@@ -777,8 +1536,9 @@
         return false;
       })();
       if (
+        detected.has('nuxt') ||
         document.querySelector('[v-cloak], [data-server-rendered]') || vueAttrSeen ||
-        has('/vue.') || has('/vue@') || has('nuxt')
+        has('/vue.') || has('/vue@')
       ) detected.add('vue');
 
       if (
@@ -794,29 +1554,187 @@
         }
         return false;
       })();
-      if (svelteClassSeen || has('svelte') || has('sveltekit')) detected.add('svelte');
+      if (
+        detected.has('sveltekit') || svelteClassSeen ||
+        query('[data-svelte-h]') || libraryScript('svelte')
+      ) detected.add('svelte');
+
+      // Keep FRAMEWORK_LABELS order so the meta-framework comes first.
+      const frameworks = Object.keys(FRAMEWORK_LABELS).filter((id) => detected.has(id));
+      this.analysis.details.frameworks = frameworks;
+      this.analysis.details.rendering = this.classifyRendering(frameworks, router, serverDoc, evidence);
+    }
+
+    // SSR, SSG, ISR, CSR or islands, with the signals behind the call.
+    // An app shell is CSR whatever the stack; otherwise explicit markers
+    // (cache headers, Next.js and Nuxt payload flags, islands) decide, and
+    // server-rendered HTML with none of them counts as SSR. Null when the
+    // server HTML couldn't be fetched.
+    classifyRendering(frameworks, router, serverDoc, evidence) {
+      const server = this.analysis.server;
+      const framework = frameworks[0] || null;
+      const result = { mode: null, framework, router, evidence };
+      if (!server.fetched || !serverDoc) return result;
+
+      const headers = server.headers || {};
+      const reasons = [];
+      const serverScripts = Array.from(serverDoc.querySelectorAll('script')).map((s) => s.textContent || '');
+      const inServer = (re) => serverScripts.some((s) => re.test(s));
+      const renderedLength = server.rendered ? server.rendered.textLength : 0;
+      const shell = renderedLength > 200 && server.textRatio < this.settings.serverRatioSevere;
+
+      if (inServer(/serverRendered["']?\s*[:,]\s*false/)) reasons.push('Nuxt payload has serverRendered: false');
+      if (inServer(/"isSpaMode"\s*:\s*true/)) reasons.push('Remix SPA mode');
+      const spa = reasons.length > 0;
+      if (shell || spa) {
+        if (shell) reasons.push(`Server HTML has ${Math.round(server.textRatio * 100)}% of the rendered text`);
+        return { ...result, mode: 'csr', evidence: evidence.concat(reasons) };
+      }
+      // A Suspense boundary that fell back to the client — the rest of the
+      // page is still server-rendered.
+      if (serverDoc.querySelector('template[data-dgst="BAILOUT_TO_CLIENT_SIDE_RENDERING"]')) {
+        reasons.push('Next.js bailed out to client-side rendering for part of the page');
+      }
 
-      this.analysis.details.frameworks = Array.from(detected);
+      let nextData = null;
+      const nextDataEl = serverDoc.querySelector('script#__NEXT_DATA__');
+      if (nextDataEl) {
+        try { nextData = JSON.parse(nextDataEl.textContent); } catch (_) { /* unreadable payload */ }
+      }
+      const cacheControl = (headers['cache-control'] || '').toLowerCase();
+      const sMaxAge = cacheControl.match(/s-maxage=(\d+)/);
+      const revalidates = sMaxAge && /stale-while-revalidate/.test(cacheControl) && Number(sMaxAge[1]) < 31536000;
+
+      let mode = null;
+      if (serverDoc.querySelector('astro-island')) {
+        mode = 'islands';
+        reasons.push(`${serverDoc.querySelectorAll('astro-island').length} <astro-island> components`);
+      } else if (headers['x-nextjs-cache']) {
+        mode = 'isr';
+        reasons.push(`x-nextjs-cache: ${headers['x-nextjs-cache']}`);
+      } else if (framework && revalidates) {
+        mode = 'isr';
+        reasons.push(`Cache-Control: ${headers['cache-control']}`);
+      } else if (headers['x-nextjs-prerender'] || /prerender/i.test(headers['x-vercel-cache'] || '')) {
+        mode = 'ssg';
+        reasons.push(headers['x-nextjs-prerender'] ? 'x-nextjs-prerender header' : `x-vercel-cache: ${headers['x-vercel-cache']}`);
+      } else if (nextData && nextData.gssp) {
+        mode = 'ssr';
+        reasons.push('getServerSideProps (__NEXT_DATA__.gssp)');
+      } else if (nextData && (nextData.gsp || nextData.nextExport || nextData.autoExport)) {
+        mode = 'ssg';
+        reasons.push(nextData.gsp ? 'getStaticProps (__NEXT_DATA__.gsp)' : 'static export (__NEXT_DATA__)');
+      } else if (inServer(/prerenderedAt/)) {
+        mode = 'ssg';
+        reasons.push('Nuxt payload has prerenderedAt');
+      } else if (framework === 'gatsby' || framework === 'astro') {
+        mode = 'ssg';
+        reasons.push(`${FRAMEWORK_LABELS[framework]} builds static HTML`);
+      } else {
+        mode = 'ssr';
+        if (/no-store|private/.test(cacheControl)) reasons.push(`Cache-Control: ${headers['cache-control']}`);
+        reasons.push(`Server HTML has ${Math.round(server.textRatio * 100)}% of the rendered text`);
+      }
+      return { ...result, mode, evidence: evidence.concat(reasons) };
     }
 
+    // Markup in the rendered DOM, diffed against the server HTML's
+    // (analyzeServer). Only the server side earns score credit.
     checkStructuredData() {
-      const blocks = parseJSONLDBlocks();
-      const hasMicrodata = !!document.querySelector('[itemscope], [vocab]');
-      const hasJsonLd = blocks.length > 0;
-      this.analysis.details.jsonLdBlocks = blocks.length;
+      const rendered = readStructuredData(document, window.location.href);
+      const hasMicrodata = rendered.entities.some((e) => e.format !== 'json-ld');
+      const hasJsonLd = rendered.jsonLdBlocks > 0;
+      this.analysis.details.jsonLdBlocks = rendered.jsonLdBlocks;
       this.analysis.details.hasMicrodata = hasMicrodata;
-      this.analysis.details.jsonLdTypes = blocks.flatMap((b) => {
-        const t = b['@type'];
-        if (!t) return [];
-        return Array.isArray(t) ? t : [t];
-      });
+      this.analysis.details.jsonLdTypes = rendered.entities
+        .filter((e) => e.format === 'json-ld')
+        .flatMap((e) => e.type.split(', '));
+
+      const server = this.analysis.server.fetched ? this.analysis.server.structuredData : null;
+      const serverHas = !!server && (server.jsonLdBlocks > 0 || server.hasMicrodata);
+      if (server) {
+        const diff = diffStructuredData(server.entities, rendered.entities);
+        this.analysis.details.structuredDataDiff = diff;
+        const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+        if (!serverHas && (hasJsonLd || hasMicrodata)) {
+          this.analysis.issues.push({
+            type: 'structured_data_js_only',
+            severity: 'high',
+            message: 'Structured data only appears after JavaScript',
+            impact: `${diff.jsOnlyTypes.length > 0 ? diff.jsOnlyTypes.join(', ') : 'All'} markup is injected after load (tag managers, React Helmet and the like). Crawlers that don't run JavaScript see none of it.`,
+            types: diff.jsOnlyTypes,
+            roiImpact: 25
+          });
+        } else if (diff.jsOnlyTypes.length > 0) {
+          const n = diff.jsOnlyTypes.length;
+          this.analysis.issues.push({
+            type: 'structured_data_js_only',
+            severity: 'medium',
+            message: `${plural(n, 'schema type')} added by JavaScript`,
+            impact: `${diff.jsOnlyTypes.join(', ')} only ${n === 1 ? 'appears' : 'appear'} in the rendered page. Crawlers that don't run JavaScript miss ${n === 1 ? 'it' : 'them'}.`,
+            types: diff.jsOnlyTypes,
+            roiImpact: 15
+          });
+        }
+        if (diff.jsOnlyProperties.length > 0) {
+          const [first] = diff.jsOnlyProperties;
+          this.analysis.issues.push({
+            type: 'structured_data_js_properties',
+            severity: 'low',
+            message: 'JavaScript fills in structured data properties',
+            impact: `${first.type}: ${first.properties.join(', ')} only in the rendered page. Crawlers without JavaScript see an incomplete ${first.type}.`,
+            types: diff.jsOnlyProperties.map((p) => p.type),
+            roiImpact: 5
+          });
+        }
+      }
 
-      if (!hasJsonLd && !hasMicrodata) {
+      // Validate what crawlers get: the server's markup, or the rendered
+      // page's when the server has none (still worth fixing before moving
+      // it server-side). Syntaxes are compared on the same side.
+      const serverValidation = server && server.validation.blocks.length > 0 ? server.validation : null;
+      const validation = serverValidation || validateStructuredData(rendered.blocks);
+      const conflicts = structuredDataConflicts(serverValidation ? server.entities : rendered.entities);
+      if (validation.blocks.length > 0) {
+        this.analysis.structuredData = {
+          source: serverValidation ? 'server' : 'rendered',
+          ...validation,
+          conflicts,
+          // Server entities stay on analysis.server; the inspector shows both.
+          renderedEntities: rendered.entities
+        };
+        const invalid = validation.blocks.filter((b) => b.errors.length > 0);
+        const errorCount = invalid.reduce((n, b) => n + b.errors.length, 0);
+        if (errorCount > 0) {
+          const first = invalid[0].errors[0];
+          this.analysis.issues.push({
+            type: 'structured_data_invalid',
+            severity: 'medium',
+            message: `${errorCount} structured data error${errorCount === 1 ? '' : 's'} in ${invalid.length} block${invalid.length === 1 ? '' : 's'}`,
+            impact: `${first.path ? `${first.path}: ` : ''}${first.message}. Crawlers ignore markup they can't parse or that lacks required properties.`,
+            roiImpact: Math.min(20, 5 * errorCount)
+          });
+        }
+      }
+      if (conflicts.length > 0) {
+        const [c] = conflicts;
+        this.analysis.issues.push({
+          type: 'structured_data_conflict',
+          severity: 'medium',
+          message: `${conflicts.length} structured data value${conflicts.length === 1 ? ' differs' : 's differ'} between syntaxes`,
+          impact: `${c.type} ${c.property} is ${c.values.map((v) => `${v.value} in ${SCHEMA_FORMAT_LABELS[v.format]}`).join(' but ')}. Crawlers may use either.`,
+          conflicts,
+          roiImpact: 10
+        });
+      }
+
+      if (!hasJsonLd && !hasMicrodata && !serverHas) {
         this.analysis.issues.push({
           type: 'no_structured_data',
           severity: 'medium',
           message: 'No structured data',
-          impact: 'No JSON-LD or microdata. Without it, crawlers can\'t tell what the page is about.',
+          impact: 'No JSON-LD, microdata or RDFa. Without it, crawlers can\'t tell what the page is about.',
           roiImpact: 30
         });
       }
@@ -861,29 +1779,26 @@
     // -------------------------------------------------------------------------
     // V2 — Bot UA probes
     //
-    // For each of GPTBot / ClaudeBot / PerplexityBot we install a temporary
-    // DNR session rule overriding User-Agent for a single fetch of the page.
-    // We then classify how the bot's response compares to the Chrome fetch:
-    //
-    //   no_cloaking         — bot and Chrome see the same content
-    //   dynamic_rendering   — bot sees materially MORE content (good for AI)
-    //   served_less         — bot sees materially LESS content (bad)
-    //   challenged          — bot got a Cloudflare/captcha/challenge page
-    //   blocked             — bot got 403 / 429 / 451 etc.
-    //   fetch_failed        — network error or timeout
+    // For each configured bot (GPTBot / ClaudeBot / PerplexityBot by default)
+    // the SW installs a temporary DNR session rule overriding User-Agent for a
+    // single fetch of the page.
+    // classifyProbeResponse (shared.js) then labels how the bot's response
+    // compares to the Chrome fetch: no_cloaking / dynamic_rendering /
+    // served_less / challenged / blocked / fetch_failed.
     // -------------------------------------------------------------------------
 
-    async runBotProbes(chromeServerData, renderedSnap) {
+    async runBotProbes(chromeServerData, renderedSnap, botProbes) {
       const url = window.location.href;
       const hostname = window.location.hostname;
       const chromeText = chromeServerData && chromeServerData.ok ? (chromeServerData.text || '') : '';
-      const chromeLen = chromeText.length;
-      const results = [];
 
-      for (const probe of BOT_PROBES) {
-        const probeRes = await probeViaSW(url, probe.userAgent, BOT_PROBE_TIMEOUT_MS);
-        results.push(this.classifyBotProbe(probe, probeRes, chromeText, chromeLen, renderedSnap, hostname));
-      }
+      // Probes ask for the page's own URL. The SW can only match a UA rule by
+      // URL, so bots probing the same URL take turns there.
+      const probeResults = await Promise.all(
+        botProbes.map((probe) => probeViaSW(url, probe.userAgent, this.settings.botProbeTimeoutMs))
+      );
+      const results = botProbes.map((probe, i) =>
+        this.classifyBotProbe(probe, probeResults[i], chromeText, renderedSnap, hostname));
 
       this.analysis.botProbes = { enabled: true, results };
 
@@ -918,79 +1833,134 @@
       }
     }
 
-    classifyBotProbe(probe, probeRes, chromeText, chromeLen, renderedSnap, hostname) {
+    // Crawler byte limits — re-capture the server snapshot from the HTML cut
+    // at each crawler's byteLimit (catalog, options page) and measure how much
+    // of the rendered text falls past the cut. Uses the bot's own response when
+    // its probe came back with content, otherwise the Chrome fetch.
+    simulateCrawlerLimits(serverData, renderedSnap, botProbes) {
+      const chromeHtml = serverData && serverData.ok ? (serverData.text || '') : '';
+      const probeResults = this.analysis.botProbes.results || [];
+      const renderedLength = renderedSnap ? renderedSnap.textLength : 0;
+      // Bots without their own response share Chrome's HTML, and bots often
+      // share a byte limit, so each distinct document and each cut of it is
+      // parsed and measured once.
+      const documents = new Map(); // html → { full, cuts: Map(byteLimit → measured) }
+      const measure = (html) => {
+        let doc = null;
+        try { doc = new DOMParser().parseFromString(html, 'text/html'); } catch (_) { /* leave the share at 0 */ }
+        const snap = captureSnapshot(doc, window.location.hostname);
+        return snap ? { snap, headings: listHeadings(doc) } : null;
+      };
+      const limits = [];
+
+      for (const probe of botProbes) {
+        if (!probe.byteLimit) continue;
+        const probed = probeResults.find((r) => r.key === probe.key);
+        const html = probed && probed._text ? probed._text : chromeHtml;
+        if (!html) continue;
+        const cut = simulateByteLimit(html, probe.byteLimit);
+        const entry = { key: probe.key, name: probe.name, byteLimit: probe.byteLimit, cut: !!cut, cutTextShare: 0, cutHeadings: [] };
+        if (cut) {
+          if (!documents.has(html)) documents.set(html, { full: measure(html), cuts: new Map() });
+          const parsed = documents.get(html);
+          if (!parsed.cuts.has(probe.byteLimit)) parsed.cuts.set(probe.byteLimit, measure(cut.html));
+          const full = parsed.full;
+          const kept = parsed.cuts.get(probe.byteLimit);
+          if (full && kept) {
+            const lost = Math.max(0, full.snap.textLength - kept.snap.textLength);
+            const base = Math.max(renderedLength, full.snap.textLength);
+            entry.cutTextShare = base > 0 ? Math.min(1, lost / base) : 0;
+            // The kept document is a prefix, so its headings are the first N.
+            entry.cutHeadings = full.headings.slice(kept.headings.length).slice(0, 10);
+          }
+          entry.totalBytes = cut.totalBytes;
+        }
+        limits.push(entry);
+      }
+      this.analysis.crawlerLimits = limits;
+
+      const cutOff = limits.filter((l) => l.cut && l.cutTextShare >= 0.01);
+      if (cutOff.length === 0) return;
+      const worst = cutOff.reduce((a, b) => (b.cutTextShare > a.cutTextShare ? b : a));
+      const kb = (b) => `${Math.round(b / 1024)} KB`;
+      const headings = worst.cutHeadings.length > 0
+        ? ` Cut headings: ${worst.cutHeadings.slice(0, 3).map((h) => `“${h.text}”`).join(', ')}${worst.cutHeadings.length > 3 ? '…' : ''}.`
+        : '';
+      this.analysis.issues.push({
+        type: 'content_beyond_crawler_limit',
+        severity: worst.cutTextShare >= 0.3 ? 'high' : 'medium',
+        message: `Content beyond crawler limit: ${Math.round(worst.cutTextShare * 100)}% of the page text is past ${worst.name}'s ${kb(worst.byteLimit)} cutoff`,
+        impact: `The HTML is ${kb(worst.totalBytes)}; ${cutOff.map((l) => l.name).join(', ')} stop reading before the end.${headings}`,
+        roiImpact: Math.round(worst.cutTextShare * 60),
+        bots: cutOff.map((l) => l.name),
+        cutHeadings: worst.cutHeadings
+      });
+    }
+
+    // Redirect chains — the Chrome fetch's own chain, and whether any bot
+    // was sent down a different one (see redirectChainIssues in shared.js).
+    analyzeRedirects() {
+      const s = this.analysis.server || {};
+      const probes = this.analysis.botProbes.enabled ? this.analysis.botProbes.results : [];
+      const issues = redirectChainIssues(
+        { ok: !!s.fetched, redirects: s.redirects, finalUrl: s.finalUrl, redirectLoop: !!s.redirectLoop },
+        probes.map((p) => ({
+          name: p.name,
+          ok: p.status !== 'fetch_failed',
+          redirects: p.redirects,
+          finalUrl: p.finalUrl,
+          redirectLoop: p.redirectLoop
+        }))
+      );
+      this.analysis.issues.push(...issues);
+    }
+
+    // Response header audit (auditResponseHeaders in shared.js). Runs after the
+    // probes: the Vary check needs to know whether bots got different HTML.
+    // Findings are kept on `headerAudit` for the report as well as filed as
+    // issues.
+    auditHeaders(serverData) {
+      const s = this.analysis.server || {};
+      if (!s.fetched) return;
+      const probes = this.analysis.botProbes.enabled ? this.analysis.botProbes.results : [];
+      const findings = auditResponseHeaders(s.headers, {
+        dynamicRendering: this.analysis.details.dynamicRenderingDetected || [],
+        bodyLength: (serverData.text || '').length,
+        htmlLang: s.htmlLang,
+        botResponses: probes.map((p) => ({ name: p.name, status: p.statusCode, retryAfter: p.retryAfter }))
+      });
+      this.analysis.headerAudit = { findings };
+      this.analysis.issues.push(...findings);
+    }
+
+    classifyBotProbe(probe, probeRes, chromeText, renderedSnap, hostname) {
       const out = {
         key: probe.key,
         name: probe.name,
         vendor: probe.vendor,
         userAgent: probe.userAgent,
-        status: 'unknown',
-        statusCode: null,
-        textLength: 0,
-        lengthRatio: null,
-        similarityToChrome: null,
+        ...classifyProbeResponse(probeRes, chromeText, this.settings),
+        redirects: (probeRes && probeRes.redirects) || [],
+        redirectLoop: !!(probeRes && probeRes.redirectLoop),
+        finalUrl: (probeRes && probeRes.finalUrl) || null,
+        retryAfter: (probeRes && probeRes.headers && probeRes.headers['retry-after']) || null,
         visibilityRatio: null,
-        contentOverlap: null,
-        error: null
+        contentOverlap: null
       };
+      if (!probeRes || !probeRes.ok || out.status === 'blocked') return out;
 
-      if (!probeRes || !probeRes.ok) {
-        out.status = 'fetch_failed';
-        out.error = (probeRes && probeRes.error) || 'no-response';
-        return out;
-      }
-
-      out.statusCode = probeRes.status;
-
-      // Explicit block status codes — treat as blocked regardless of body
-      if ([401, 403, 405, 429, 451, 503].includes(probeRes.status)) {
-        out.status = 'blocked';
-        return out;
-      }
-
+      // Parse for symmetric comparison against the rendered snapshot (this is
+      // what we'd substitute in if we promoted this bot fetch to the
+      // canonical baseline)
       const botText = probeRes.text || '';
-      out.textLength = botText.length;
-
-      // Parse for symmetric comparison
       let botDoc = null;
       try { botDoc = new DOMParser().parseFromString(botText, 'text/html'); } catch (_) {}
       const botSnap = captureSnapshot(botDoc, hostname);
-      const botBodyText = botSnap ? botSnap.text : '';
-
-      // Compare to Chrome fetch first
-      out.similarityToChrome = jaccardSimilarity(chromeText, botText);
-      out.lengthRatio = chromeLen > 0 ? botText.length / chromeLen : (botText.length > 0 ? Infinity : 0);
-
-      // Compare to rendered snapshot (this is what we'd substitute in if we
-      // promoted this bot fetch to the canonical baseline)
       if (renderedSnap && renderedSnap.textLength > 0) {
         out.visibilityRatio = Math.min(1, (botSnap ? botSnap.textLength : 0) / renderedSnap.textLength);
-        out.contentOverlap = jaccardSimilarity(botBodyText, renderedSnap.text);
-      }
-
-      // Challenge-page heuristic: short response that contains the patterns
-      const isShort = botText.length < Math.max(2000, chromeLen * 0.4);
-      const looksLikeChallenge = CHALLENGE_PATTERNS.some((p) => p.test(botText));
-      if (isShort && looksLikeChallenge) {
-        out.status = 'challenged';
-        return out;
-      }
-
-      // Length-based classification vs Chrome
-      if (chromeLen === 0) {
-        // Chrome fetch failed — bot is the only data we have
-        out.status = botText.length > 1000 ? 'no_cloaking' : 'fetch_failed';
-      } else if (out.lengthRatio >= 1.2) {
-        // Bot got materially MORE content — dynamic rendering
-        out.status = 'dynamic_rendering';
-      } else if (out.lengthRatio <= 0.5) {
-        out.status = 'served_less';
-      } else if (out.similarityToChrome >= 0.6) {
-        out.status = 'no_cloaking';
-      } else {
-        // Similar length, low overlap — content drift specific to bot UA
-        out.status = 'served_less';
+        out.contentOverlap = jaccardSimilarity(botSnap ? botSnap.text : '', renderedSnap.text);
       }
+      if (out.status === 'challenged') return out;
 
       // Stash the bot snapshot so promoteCanonicalBaseline can use it
       out._snap = botSnap;
@@ -1068,27 +2038,40 @@
       const overlap = typeof s.contentOverlap === 'number' ? s.contentOverlap : ratio;
       const visibility = Math.min(ratio, overlap);
 
-      for (const tier of SEGMENT_TIERS) {
-        if (visibility >= tier.min) {
-          this.analysis.segment = tier.key;
-          return;
-        }
-      }
-      this.analysis.segment = 'invisible';
+      this.analysis.segment = segmentForVisibility(visibility, this.settings.segmentTiers);
     }
 
     consolidateRelatedIssues() {
       const ratio = this.analysis.server.fetched ? this.analysis.server.textRatio : null;
-      const hasFwk = (this.analysis.details.frameworks || []).length > 0;
-      if (hasFwk && ratio != null && ratio >= 0.6) {
+      const frameworks = this.analysis.details.frameworks || [];
+      const rendering = this.analysis.details.rendering || {};
+      const hasFwk = frameworks.length > 0;
+      const healthy = this.settings.serverRatioHealthy;
+      const names = frameworks.map((id) => FRAMEWORK_LABELS[id]).join(', ');
+      if (hasFwk && ratio != null && ratio >= healthy) {
         // Healthy server-render — framework presence isn't a problem.
-      } else if (hasFwk && (ratio == null || ratio < 0.6)) {
+      } else if (hasFwk && rendering.mode && rendering.mode !== 'csr') {
+        // The framework renders on the server, yet text is still missing:
+        // client-only components or data fetched after hydration.
+        this.analysis.issues.push({
+          type: 'js_framework_detected',
+          severity: 'low',
+          message: `${FRAMEWORK_LABELS[rendering.framework]} page with client-only content`,
+          impact: `${RENDERING_MODE_LABELS[rendering.mode]}, but part of the page still renders in the browser. Non-JS crawlers miss that part.`,
+          frameworks,
+          renderingMode: rendering.mode,
+          roiImpact: 0
+        });
+      } else if (hasFwk) {
         this.analysis.issues.push({
           type: 'js_framework_detected',
           severity: 'low',
-          message: `JS framework: ${this.analysis.details.frameworks.join(', ')}`,
-          impact: 'Without SSR, framework-rendered content is invisible to non-JS crawlers.',
-          frameworks: this.analysis.details.frameworks,
+          message: rendering.mode === 'csr' ? `Client-side rendered: ${names}` : `JS framework: ${names}`,
+          impact: rendering.mode === 'csr'
+            ? 'The server sends an app shell and the browser builds the page. Non-JS crawlers see the shell.'
+            : 'Without SSR, framework-rendered content is invisible to non-JS crawlers.',
+          frameworks,
+          renderingMode: rendering.mode || null,
           roiImpact: 0
         });
       }
@@ -1108,7 +2091,7 @@
       }
 
       // 2. Crawler access — share of bots that can fetch THIS page.
-      if (this.analysis.crawlers.fetched) {
+      if (this.analysis.crawlers.bots.length > 0) {
         const total = this.analysis.crawlers.bots.length;
         const allowed = this.analysis.crawlers.bots.filter((b) => b.status === 'allowed').length;
         breakdown.crawlerAccess = Math.round((allowed / total) * 100);
@@ -1116,31 +2099,50 @@
         breakdown.crawlerAccess = null;
       }
 
-      // 3. Structured data
-      const hasJsonLd = (this.analysis.details.jsonLdBlocks || 0) > 0;
-      const hasMicro = !!this.analysis.details.hasMicrodata;
+      // 3. Structured data — server HTML only; markup injected by JavaScript
+      //    never reaches crawlers that don't run it.
+      //    Markup earns half its credit for being there and half by its
+      //    validation score (full when none of its types are validated);
+      //    microdata and RDFa are worth half as much as JSON-LD.
+      const serverSd = (this.analysis.server.fetched && this.analysis.server.structuredData) || {};
+      const hasJsonLd = (serverSd.jsonLdBlocks || 0) > 0;
+      const hasMicro = !!serverSd.hasMicrodata;
+      const quality = serverSd.validation && serverSd.validation.score != null ? serverSd.validation.score / 100 : 1;
       const sitemap = this.analysis.aiSearchFiles.sitemapPresent || this.analysis.aiSearchFiles.sitemapDeclared;
-      const llms = this.analysis.aiSearchFiles.llmsTxtPresent;
+      // llms.txt: full credit only when it follows the format and its links
+      // resolve; a malformed file earns nothing.
+      const llmsTxt = this.analysis.aiSearchFiles.llmsTxt;
+      const llms = llmsTxt && llmsTxt.valid ? (llmsTxt.broken > 0 ? 10 : 15) : 0;
       let sd = 0;
-      if (hasJsonLd) sd += 60;
-      else if (hasMicro) sd += 30;
+      if (hasJsonLd) sd += 30 + Math.round(30 * quality);
+      else if (hasMicro) sd += 15 + Math.round(15 * quality);
       if (sitemap) sd += 25;
-      if (llms) sd += 15;
+      sd += llms;
       breakdown.structuredData = Math.min(100, sd);
 
-      // 4. Robots restrictions
-      const restricted = this.analysis.issues.some(
-        (i) => i.type === 'robots_meta_restrictive' || i.type === 'xrobots_restrictive'
-      );
-      breakdown.robotsRestrictions = restricted ? 0 : 100;
+      // 4. Robots restrictions — meta robots / X-Robots-Tag, averaged over
+      //    the crawlers they reach (pageDirectiveScore in shared.js).
+      const withDirectives = this.analysis.crawlers.bots.filter((b) => b.page);
+      if (withDirectives.length > 0) {
+        const sum = withDirectives.reduce((acc, b) => acc + pageDirectiveScore(b.page), 0);
+        breakdown.robotsRestrictions = Math.round(sum / withDirectives.length);
+      } else {
+        const restricted = this.analysis.issues.some(
+          (i) => i.type === 'robots_meta_restrictive' || i.type === 'xrobots_restrictive'
+        );
+        breakdown.robotsRestrictions = restricted ? 0 : 100;
+      }
 
+      // Weighted blend. Performance isn't weighted; load speed applies as a
+      // multiplicative penalty further down.
+      const weights = this.settings.scoreWeights;
       let total = 0;
       let weight = 0;
-      for (const k of Object.keys(SCORE_WEIGHTS)) {
+      for (const k of Object.keys(weights)) {
         const v = breakdown[k];
         if (v == null) continue;
-        total += v * SCORE_WEIGHTS[k];
-        weight += SCORE_WEIGHTS[k];
+        total += v * weights[k];
+        weight += weights[k];
       }
       let score = weight > 0 ? Math.round(total / weight) : 0;
       score = Math.max(0, Math.min(100, score));
@@ -1183,19 +2185,29 @@
     generateRecommendations() {
       const has = (t) => this.analysis.issues.some((i) => i.type === t);
 
+      const rendering = this.analysis.details.rendering || {};
       if (has('low_server_visibility') || has('js_rendered_headings') || has('js_framework_detected') || has('js_rendered_meta')) {
+        // Advice for the detected stack; a server-rendering framework only
+        // needs its client-only parts moved, not a switch to SSR.
+        const advice = RENDERING_ADVICE[rendering.framework];
+        const partial = !!advice && !!rendering.mode && rendering.mode !== 'csr';
         this.analysis.recommendations.push({
           priority: 'high',
-          action: 'Server-render or pre-render the page',
-          description: 'Use SSR (Next.js, Nuxt, SvelteKit), static generation, or a prerender service. Crawlers will see the content without running JavaScript.',
-          resources: ['Next.js SSR', 'Nuxt.js', 'SvelteKit', 'Prerender.io']
+          action: partial ? 'Render the missing content on the server' : 'Server-render or pre-render the page',
+          description: advice
+            ? (partial ? advice.partial : advice.csr)
+            : 'Use SSR (Next.js, Nuxt, SvelteKit), static generation, or a prerender service. Crawlers will see the content without running JavaScript.',
+          resources: advice ? advice.resources : ['Next.js SSR', 'Nuxt.js', 'SvelteKit', 'Prerender.io']
         });
       }
       if (has('content_drift') || has('low_content_overlap')) {
+        const cached = rendering.mode === 'ssg' || rendering.mode === 'isr';
         this.analysis.recommendations.push({
           priority: 'high',
           action: 'Align server HTML with the rendered content',
-          description: 'The server is sending placeholder or different text than users see. Make sure your SSR or prerender output matches the live page.',
+          description: cached
+            ? 'The prerendered HTML differs from what users see, so it is likely stale. Rebuild or revalidate when content changes (on-demand revalidation, or a shorter revalidate interval) instead of updating it in the browser.'
+            : 'The server is sending placeholder or different text than users see. Make sure your SSR or prerender output matches the live page.',
           resources: ['View raw HTML in DevTools', 'Compare with rendered']
         });
       }
@@ -1207,7 +2219,15 @@
           resources: ['robots.txt syntax', 'AI crawler list']
         });
       }
-      if (has('xrobots_restrictive') || has('robots_meta_restrictive')) {
+      if (has('robots_unreachable')) {
+        this.analysis.recommendations.push({
+          priority: 'high',
+          action: 'Make robots.txt load reliably',
+          description: 'Serve /robots.txt with a 200 (or a 404 if you have no rules). Server errors and timeouts make crawlers stop fetching the whole site.',
+          resources: ['RFC 9309 §2.3.1', 'Server error logs']
+        });
+      }
+      if (has('xrobots_restrictive') || has('robots_meta_restrictive') || has('bot_directive_restrictive')) {
         this.analysis.recommendations.push({
           priority: 'high',
           action: 'Remove noindex / nofollow directives',
@@ -1215,6 +2235,22 @@
           resources: ['Robots meta tag guide']
         });
       }
+      if (has('noai_directive')) {
+        this.analysis.recommendations.push({
+          priority: 'low',
+          action: 'Confirm the noai / noimageai opt-out is intended',
+          description: 'These directives ask AI crawlers not to use the page. Keep them if that is your policy; drop them for pages you want AI answers to draw on.',
+          resources: ['Robots meta tag guide']
+        });
+      }
+      if (has('ai_policy_contradiction')) {
+        this.analysis.recommendations.push({
+          priority: 'medium',
+          action: 'Make your AI usage signals agree',
+          description: 'robots.txt, TDM reservation (header, meta or tdmrep.json), ai.txt and noai meta should say the same thing. Pick one policy and state it everywhere.',
+          resources: ['W3C TDM Reservation Protocol', 'robots.txt syntax']
+        });
+      }
       if (has('no_structured_data')) {
         this.analysis.recommendations.push({
           priority: 'medium',
@@ -1223,6 +2259,66 @@
           resources: ['Schema.org', 'JSON-LD generator']
         });
       }
+      if (has('structured_data_invalid')) {
+        this.analysis.recommendations.push({
+          priority: 'medium',
+          action: 'Fix structured data errors',
+          description: 'Fill in the required properties for each schema.org type, use ISO 8601 dates, absolute URLs and plain-number prices, and point every @id reference at a node on the page. The popup lists the errors per block.',
+          resources: ['Schema.org', 'Rich Results Test']
+        });
+      }
+      if (has('structured_data_conflict')) {
+        this.analysis.recommendations.push({
+          priority: 'medium',
+          action: 'Make your structured data agree across syntaxes',
+          description: 'The page describes the same entity in more than one syntax (JSON-LD, microdata, RDFa) with different values. Generate all of them from the same data, or keep just one. The structured data inspector shows each value side by side.',
+          resources: ['Schema.org', 'Schema Markup Validator']
+        });
+      }
+      if (has('structured_data_js_only') || has('structured_data_js_properties')) {
+        this.analysis.recommendations.push({
+          priority: has('structured_data_js_only') ? 'high' : 'low',
+          action: 'Render structured data on the server',
+          description: 'Put JSON-LD in the server HTML instead of injecting it with a tag manager or a client-side head manager, with every property filled in. Crawlers that don\'t run JavaScript only see what the server sends.',
+          resources: ['Schema.org', 'Rich Results Test']
+        });
+      }
+      if (has('html_streamed_past_budget')) {
+        this.analysis.recommendations.push({
+          priority: 'high',
+          action: 'Send the main content earlier in the HTML stream',
+          description: 'Part of the page arrived after the crawler budget. Flush the main content before slow widgets, move late-resolving data (reviews, recommendations) behind a placeholder, or cache the full HTML at the edge.',
+          resources: ['Streaming SSR guide', 'web.dev TTFB guide']
+        });
+      }
+      if (has('content_beyond_crawler_limit')) {
+        this.analysis.recommendations.push({
+          priority: 'high',
+          action: 'Move the main content earlier in the HTML',
+          description: 'Crawlers stop reading after a fixed number of bytes. Move inline scripts, styles, SVG sprites and serialized app state out of the document head, or after the main content, so the text comes first.',
+          resources: ['View raw HTML in DevTools', 'web.dev critical rendering path']
+        });
+      }
+      if (has('redirect_loop') || has('redirect_chain_long') || has('redirect_http_to_https')) {
+        this.analysis.recommendations.push({
+          priority: has('redirect_loop') ? 'high' : 'medium',
+          action: 'Redirect straight to the final URL',
+          description: 'Collapse the chain into a single 301 to the final https:// URL, and update internal links and sitemaps to point there directly.',
+          resources: ['Google redirects guide']
+        });
+      }
+      if (has('redirect_differs_for_bots')) {
+        this.analysis.recommendations.push({
+          priority: 'high',
+          action: 'Redirect bots the same way as browsers',
+          description: 'A CDN, bot manager or geo/device rule sends crawler User-Agents down a different redirect path. Check User-Agent-based redirect rules at the edge.',
+          resources: ['CDN redirect rules', 'Bot management settings']
+        });
+      }
+      const headerTypes = new Set(((this.analysis.headerAudit && this.analysis.headerAudit.findings) || []).map((f) => f.type));
+      for (const type of headerTypes) {
+        this.analysis.recommendations.push({ ...HEADER_AUDIT_FIXES[type] });
+      }
       if (has('slow_ttfb')) {
         this.analysis.recommendations.push({
           priority: 'medium',
@@ -1248,6 +2344,76 @@
           resources: ['sitemaps.org']
         });
       }
+      if (['sitemap_unreachable', 'sitemap_malformed', 'sitemap_oversize', 'sitemap_urls_broken', 'sitemap_urls_blocked'].some(has)) {
+        this.analysis.recommendations.push({
+          priority: 'medium',
+          action: 'Fix your sitemaps',
+          description: 'Every declared sitemap should load as well-formed XML under 50,000 URLs and 50 MB, and list only live URLs that robots.txt lets crawlers fetch. A site crawl checks every listed URL, not just the sample.',
+          resources: ['sitemaps.org']
+        });
+      } else if (['sitemap_page_missing', 'sitemap_lastmod_unreliable', 'sitemap_urls_redirect'].some(has)) {
+        this.analysis.recommendations.push({
+          priority: 'low',
+          action: 'Tidy up your sitemap',
+          description: 'List this page’s canonical URL, point entries at final URLs rather than redirects, and set lastmod only when a page actually changes.',
+          resources: ['sitemaps.org']
+        });
+      }
+      if (['canonical_target_error', 'canonical_target_blocked', 'canonical_cross_host'].some(has)) {
+        this.analysis.recommendations.push({
+          priority: 'high',
+          action: 'Point the canonical at a live, crawlable page',
+          description: 'The canonical target must return 200, be allowed in robots.txt, and normally live on this host. Otherwise crawlers drop this page and can’t index the target either.',
+          resources: ['canonical link guide']
+        });
+      }
+      if (['canonical_js_rewritten', 'canonical_header_conflict', 'canonical_redirects', 'canonical_chain'].some(has)) {
+        this.analysis.recommendations.push({
+          priority: 'medium',
+          action: 'Declare one canonical, in the server HTML',
+          description: 'Send the same final URL in the Link header and the HTML, don’t change it with JavaScript, and make sure the target names itself as canonical.',
+          resources: ['canonical link guide']
+        });
+      }
+      if (['hreflang_js_only', 'hreflang_invalid_code', 'hreflang_conflict', 'hreflang_alternate_error', 'hreflang_not_reciprocal'].some(has)) {
+        this.analysis.recommendations.push({
+          priority: has('hreflang_js_only') ? 'high' : 'medium',
+          action: 'Fix your hreflang annotations',
+          description: 'Declare every language version in the server HTML, a Link header or the sitemap — not with JavaScript — using codes like en or en-GB, one URL per code, and make each version link back to the others.',
+          resources: ['hreflang guide']
+        });
+      } else if (has('hreflang_no_x_default') || has('hreflang_no_self')) {
+        this.analysis.recommendations.push({
+          priority: 'low',
+          action: 'Complete your hreflang set',
+          description: 'List this page itself in its hreflang set, and add an x-default alternate for visitors whose language you don’t cover.',
+          resources: ['hreflang guide']
+        });
+      }
+      if (has('social_meta_missing') || has('social_meta_js_rendered')) {
+        this.analysis.recommendations.push({
+          priority: 'medium',
+          action: 'Send Open Graph and Twitter card tags in the server HTML',
+          description: 'Add og:title, og:description, og:image (an absolute URL) and twitter:card to the HTML the server sends, not with a client-side head manager. Answer engines use them for a citation’s title, summary and image.',
+          resources: ['Open Graph protocol', 'Twitter card markup']
+        });
+      }
+      if (has('og_image_broken') || has('og_image_relative')) {
+        this.analysis.recommendations.push({
+          priority: has('og_image_broken') ? 'medium' : 'low',
+          action: 'Fix the og:image URL',
+          description: 'Point og:image at an absolute URL that returns 200 with an image content type, without redirects or authentication.',
+          resources: ['Open Graph protocol']
+        });
+      }
+      if (has('social_meta_mismatch')) {
+        this.analysis.recommendations.push({
+          priority: 'low',
+          action: 'Make your title, description and social tags agree',
+          description: 'og:title and twitter:title should match the <title> (a site name suffix is fine), the descriptions should match the meta description, and og:url should be the canonical URL.',
+          resources: ['Open Graph protocol']
+        });
+      }
       if (has('no_canonical')) {
         this.analysis.recommendations.push({
           priority: 'low',
@@ -1256,17 +2422,56 @@
           resources: ['canonical link guide']
         });
       }
+      if (has('llms_txt_invalid') || has('llms_txt_broken_links')) {
+        this.analysis.recommendations.push({
+          priority: 'low',
+          action: 'Fix /llms.txt',
+          description: 'Start with "# Name", an optional "> summary", then H2 sections of "- [name](url): notes" links, and point every link at a live page.',
+          resources: ['llmstxt.org']
+        });
+      }
       if (this.analysis.aiSearchFiles.llmsTxtPresent === false) {
         this.analysis.recommendations.push({
           priority: 'info',
           action: 'Consider adding /llms.txt',
-          description: 'An emerging standard. Tells AI tools which of your pages matter, in markdown.',
+          description: 'An emerging standard. Tells AI tools which of your pages matter, in markdown. The popup can draft one from your sitemap.',
           resources: ['llmstxt.org']
         });
       }
     }
   }
 
+  function readCanonicalHref(doc) {
+    const el = doc && doc.querySelector('link[rel~="canonical" i][href]');
+    return el ? el.getAttribute('href') : null;
+  }
+
+  // Absolute URL without the fragment, or null when `href` doesn't parse.
+  function resolveUrl(href, base) {
+    if (!href) return null;
+    try {
+      const u = new URL(href.trim(), base);
+      u.hash = '';
+      return u.href;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // hreflang alternates declared in a document's <head>, hrefs resolved.
+  function readHreflangLinks(doc, base) {
+    if (!doc) return [];
+    const links = [...doc.querySelectorAll('link[rel~="alternate" i][hreflang][href]')]
+      .map((el) => ({ hreflang: el.getAttribute('hreflang'), href: el.getAttribute('href') }));
+    return resolveHreflang(links, base);
+  }
+
+  function resolveHreflang(links, base) {
+    return links
+      .map((l) => ({ hreflang: l.hreflang.trim(), href: resolveUrl(l.href, base) }))
+      .filter((l) => l.href);
+  }
+
   function parseCanonicalLink(linkHeader) {
     if (!linkHeader) return null;
     const parts = linkHeader.split(',');
@@ -0,0 +1,218 @@
+// AI Search Visibility Checker — History Page
+//
+// Reads the durable per-URL run history kept by the SW (chrome.storage.local,
+// `history:<normalized url>`). Two views:
+//   • history.html            — every page we've analyzed, latest run first
+//   • history.html?url=<url>  — trend chart + every run for one page
+
+const SEGMENT_LABELS = {
+  fully_accessible:     'Fully Visible',
+  mostly_visible:       'Mostly Visible',
+  partially_accessible: 'Partially Visible',
+  slipping:             'Half Visible',
+  js_dependent:         'Barely Visible',
+  invisible:            'Invisible'
+};
+const SEGMENT_CLASS = {
+  fully_accessible:     'good',
+  mostly_visible:       'good',
+  partially_accessible: 'warn',
+  slipping:             'warn',
+  js_dependent:         'bad',
+  invisible:            'invisible'
+};
+const PROBE_DOT = {
+  no_cloaking:       'good',
+  dynamic_rendering: 'good',
+  served_less:       'warn',
+  challenged:        'bad',
+  blocked:           'bad'
+};
+
+class HistoryPage {
+  constructor() {
+    this.contentEl = document.getElementById('content');
+    this.backLinkEl = document.getElementById('back-link');
+    this.url = new URLSearchParams(window.location.search).get('url');
+    this.init();
+  }
+
+  async init() {
+    if (this.url) {
+      this.backLinkEl.style.display = 'inline';
+      await this.renderPage(this.url);
+    } else {
+      await this.renderIndex();
+    }
+  }
+
+  // ---------- All pages ----------
+
+  async renderIndex() {
+    let pages = [];
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'LIST_HISTORY' });
+      pages = (response && response.success && response.pages) || [];
+    } catch (_) { /* fall through to empty state */ }
+
+    if (pages.length === 0) {
+      this.contentEl.innerHTML = '<div class="card empty">No runs yet. Open the extension on any page to start its history.</div>';
+      return;
+    }
+
+    const rows = pages.map((p) => `
+      <tr class="clickable" data-url="${this.escape(p.url)}">
+        <td class="url-cell">${this.escape(p.url)}</td>
+        <td class="num">${this.formatPct(p.latest.visibilityPct)}</td>
+        <td>${this.segmentChip(p.latest.segment)}</td>
+        <td>${p.runCount}</td>
+        <td class="muted">${this.escape(this.formatDate(p.latest.timestamp))}</td>
+      </tr>`).join('');
+
+    this.contentEl.innerHTML = `
+      <div class="section-title">Analyzed pages</div>
+      <div class="card">
+        <table>
+          <thead><tr><th>Page</th><th>Visible</th><th>Segment</th><th>Runs</th><th>Last run</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>`;
+
+    this.contentEl.querySelectorAll('tr[data-url]').forEach((tr) => {
+      tr.addEventListener('click', () => {
+        const params = new URLSearchParams({ url: tr.getAttribute('data-url') });
+        window.location.href = `history.html?${params.toString()}`;
+      });
+    });
+  }
+
+  // ---------- One page ----------
+
+  async renderPage(url) {
+    let runs = [];
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_HISTORY', url });
+      runs = (response && response.success && response.runs) || [];
+    } catch (_) { /* fall through to empty state */ }
+
+    const header = `<div class="page-url">${this.escape(url)}</div>`;
+    if (runs.length === 0) {
+      this.contentEl.innerHTML = `${header}<div class="card empty">No runs recorded for this page yet.</div>`;
+      return;
+    }
+
+    const newestFirst = runs.slice().reverse();
+    const rows = newestFirst.map((r) => `
+      <tr>
+        <td class="muted">${this.escape(this.formatDateTime(r.timestamp))}</td>
+        <td class="num">${this.formatPct(r.visibilityPct)}</td>
+        <td>${this.segmentChip(r.segment)}</td>
+        <td>${r.score == null ? '—' : r.score}</td>
+        <td>${this.formatRatio(r.textRatio)}</td>
+        <td>${this.formatRatio(r.contentOverlap)}</td>
+        <td>${this.renderProbes(r.botProbes)}</td>
+        <td class="issues-cell">${this.renderIssues(r.issues)}</td>
+      </tr>`).join('');
+
+    this.contentEl.innerHTML = `
+      ${header}
+      <div class="section-title">Content visible to AI</div>
+      <div class="card chart">${this.renderChart(runs)}</div>
+      <div class="section-title">Runs</div>
+      <div class="card">
+        <table>
+          <thead><tr><th>When</th><th>Visible</th><th>Segment</th><th>Score</th><th>Text length</th><th>Word overlap</th><th>Bot probes</th><th>Issues</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      <div class="actions"><button id="clear-history-btn" class="btn" type="button">Clear history for this page</button></div>`;
+
+    document.getElementById('clear-history-btn').addEventListener('click', async () => {
+      if (!window.confirm('Delete every saved run for this page?')) return;
+      try {
+        await chrome.runtime.sendMessage({ type: 'CLEAR_HISTORY', url });
+      } catch (_) { /* ignore */ }
+      window.location.href = 'history.html';
+    });
+  }
+
+  // Line chart of visibilityPct over time. X is run order, not wall-clock
+  // time — runs cluster around deploys, and even spacing keeps them readable.
+  renderChart(runs) {
+    const points = runs.filter((r) => typeof r.visibilityPct === 'number');
+    if (points.length === 0) return '<div class="empty">No visibility data — the server fetch failed on every run.</div>';
+
+    const W = 900;
+    const H = 160;
+    const PAD_L = 32;
+    const PAD_R = 8;
+    const PAD_Y = 10;
+    const plotW = W - PAD_L - PAD_R;
+    const plotH = H - PAD_Y * 2;
+    const x = (i) => PAD_L + (points.length === 1 ? plotW / 2 : (i / (points.length - 1)) * plotW);
+    const y = (pct) => PAD_Y + plotH - (pct / 100) * plotH;
+
+    const grid = [0, 25, 50, 75, 100].map((pct) => `
+      <line class="grid" x1="${PAD_L}" x2="${W - PAD_R}" y1="${y(pct)}" y2="${y(pct)}"/>
+      <text class="axis" x="${PAD_L - 6}" y="${y(pct) + 3}" text-anchor="end">${pct}</text>`).join('');
+    const line = points.map((r, i) => `${x(i).toFixed(1)},${y(r.visibilityPct).toFixed(1)}`).join(' ');
+    const dots = points.map((r, i) => `
+      <circle class="dot" cx="${x(i).toFixed(1)}" cy="${y(r.visibilityPct).toFixed(1)}" r="3">
+        <title>${this.escape(this.formatDateTime(r.timestamp))} — ${r.visibilityPct}%</title>
+      </circle>`).join('');
+
+    return `<svg viewBox="0 0 ${W} ${H}" preserveAspectRatio="none">${grid}<polyline class="line" points="${line}"/>${dots}</svg>`;
+  }
+
+  renderProbes(probes) {
+    if (!probes) return '<span class="muted">Off</span>';
+    if (probes.length === 0) return '<span class="muted">—</span>';
+    return probes.map((p) => `
+      <span class="probe" title="${this.escape(p.status)}${p.statusCode ? ` (HTTP ${p.statusCode})` : ''}">
+        <span class="probe-dot ${PROBE_DOT[p.status] || ''}"></span>${this.escape(p.name)}
+      </span>`).join('');
+  }
+
+  renderIssues(issues) {
+    if (!issues || issues.length === 0) return '<span class="muted">None</span>';
+    return issues.map((i) => this.escape(i.message)).join('<br>');
+  }
+
+  // ---------- utilities ----------
+
+  segmentChip(segment) {
+    const label = SEGMENT_LABELS[segment];
+    if (!label) return '<span class="chip unknown">Unknown</span>';
+    return `<span class="chip ${SEGMENT_CLASS[segment]}">${label}</span>`;
+  }
+
+  formatPct(v) {
+    return typeof v === 'number' ? `${v}%` : '—';
+  }
+
+  formatRatio(v) {
+    return typeof v === 'number' ? `${Math.round(v * 100)}%` : '—';
+  }
+
+  formatDate(ts) {
+    return new Date(ts).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+  }
+
+  formatDateTime(ts) {
+    return new Date(ts).toLocaleString(undefined, {
+      month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+  }
+
+  escape(s) {
+    return String(s == null ? '' : s).replace(/[<>&"']/g, (c) => (
+      { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+  }
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => new HistoryPage());
+} else {
+  new HistoryPage();
+}
@@ -0,0 +1,304 @@
+// AI Search Visibility Checker — llms.txt Generator
+//
+// Drafts an llms.txt from the site's sitemaps: the SW fetches every page's
+// title, meta description and first H1 (DRAFT_LLMS_TXT), pages are grouped
+// into H2 sections by their first path segment, and the user reorders, edits
+// and downloads the result. The output is parsed back with parseLlmsTxt so
+// what we call valid is what the popup's check would conclude.
+//
+// Pages the SW flagged (mostly JS-rendered, noindex, errors) start excluded;
+// the user can still include them once the page is fixed.
+//
+// Opened from the popup with a seed in chrome.storage.session
+// (`llms-generator:seed` → { origin, sitemaps }).
+
+const SEED_KEY = 'llms-generator:seed';
+
+const { parseLlmsTxt } = self.AIVisibility;
+
+// Where root-level pages go, and sections with a single page.
+const MISC_SECTION = 'Pages';
+
+// Separators a page title puts before the site name ("Pricing | Acme").
+const TITLE_SEPARATORS = [' | ', ' – ', ' — ', ' - ', ' · ', ' :: '];
+
+class LlmsGeneratorPage {
+  constructor() {
+    this.originEl = document.getElementById('generator-origin');
+    this.draftBtn = document.getElementById('draft-btn');
+    this.draftStatusEl = document.getElementById('draft-status');
+    this.editorEl = document.getElementById('editor');
+    this.siteTitleEl = document.getElementById('site-title');
+    this.siteSummaryEl = document.getElementById('site-summary');
+    this.sectionsEl = document.getElementById('sections');
+    this.outputEl = document.getElementById('output');
+    this.outputNoteEl = document.getElementById('output-note');
+    this.copyBtn = document.getElementById('copy-btn');
+    this.downloadBtn = document.getElementById('download-btn');
+
+    this.sections = [];
+    this.output = '';
+    this.init();
+  }
+
+  async init() {
+    let seed = null;
+    try {
+      const obj = await chrome.storage.session.get(SEED_KEY);
+      seed = obj[SEED_KEY] || null;
+    } catch (_) { /* no seed — nothing to draft from */ }
+
+    this.origin = (seed && seed.origin) || null;
+    this.sitemaps = (seed && Array.isArray(seed.sitemaps)) ? seed.sitemaps : [];
+    this.originEl.textContent = this.origin || 'Open the extension on a page of the site to draft its llms.txt.';
+    this.draftBtn.disabled = !this.origin;
+    this.draftStatusEl.textContent = this.origin
+      ? 'Reads every page in the sitemap — title, meta description and H1 from the server HTML.'
+      : '';
+
+    this.draftBtn.addEventListener('click', () => this.draft());
+    this.siteTitleEl.addEventListener('input', () => this.update());
+    this.siteSummaryEl.addEventListener('input', () => this.update());
+    this.sectionsEl.addEventListener('input', (e) => this.readField(e.target));
+    this.sectionsEl.addEventListener('change', (e) => this.readField(e.target));
+    this.sectionsEl.addEventListener('click', (e) => this.move(e.target.closest('button[data-move]')));
+    this.copyBtn.addEventListener('click', () => this.copy());
+    this.downloadBtn.addEventListener('click', () => this.download());
+  }
+
+  // ---------- draft ----------
+
+  async draft() {
+    this.draftBtn.disabled = true;
+    this.draftStatusEl.textContent = 'Reading sitemaps and fetching pages…';
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({ type: 'DRAFT_LLMS_TXT', origin: this.origin, sitemaps: this.sitemaps });
+    } catch (_) {
+      response = null;
+    }
+    this.draftBtn.disabled = false;
+    if (!response || !response.success) {
+      this.draftStatusEl.textContent = 'Couldn’t read the site’s pages.';
+      return;
+    }
+    if (response.pages.length === 0) {
+      this.draftStatusEl.textContent = 'No page URLs found in the sitemap.';
+      return;
+    }
+
+    const flagged = response.pages.filter((p) => p.flag).length;
+    const sitemaps = response.sitemaps.filter((s) => s.ok).length;
+    this.draftStatusEl.textContent = `${response.pages.length} page${response.pages.length > 1 ? 's' : ''} from ${sitemaps} sitemap${sitemaps === 1 ? '' : 's'}`
+      + (flagged > 0 ? ` · ${flagged} flagged and left out` : '');
+    this.draftBtn.textContent = 'Draft again';
+
+    const suffix = this.siteNameSuffix(response.pages);
+    const home = response.pages.find((p) => new URL(p.url).pathname === '/');
+    this.siteTitleEl.value = suffix || (home && (home.h1 || home.title)) || new URL(this.origin).hostname;
+    this.siteSummaryEl.value = (home && home.description) || '';
+    this.sections = this.groupPages(response.pages, suffix);
+    this.editorEl.style.display = 'block';
+    this.renderSections();
+    this.update();
+  }
+
+  // The site name most titles end with, if at least half of them share one.
+  siteNameSuffix(pages) {
+    const counts = new Map();
+    const titled = pages.filter((p) => p.title);
+    for (const p of titled) {
+      const sep = TITLE_SEPARATORS.find((s) => p.title.includes(s));
+      if (!sep) continue;
+      const suffix = p.title.slice(p.title.lastIndexOf(sep) + sep.length).trim();
+      if (suffix) counts.set(suffix, (counts.get(suffix) || 0) + 1);
+    }
+    const [best] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    return best && best[1] >= 2 && best[1] >= titled.length / 2 ? best[0] : null;
+  }
+
+  linkTitle(page, suffix) {
+    let title = page.title || page.h1 || new URL(page.url).pathname;
+    if (suffix) {
+      const sep = TITLE_SEPARATORS.find((s) => title.endsWith(`${s}${suffix}`));
+      if (sep) title = title.slice(0, -(sep.length + suffix.length)).trim();
+    }
+    return title || page.h1 || new URL(page.url).pathname;
+  }
+
+  // One H2 per first path segment, in sitemap order. Root-level pages and
+  // single-page groups share MISC_SECTION, which comes first.
+  groupPages(pages, suffix) {
+    const groups = new Map([[MISC_SECTION, []]]);
+    for (const p of pages) {
+      const segments = new URL(p.url).pathname.split('/').filter(Boolean);
+      const key = segments.length > 1 ? segments[0] : MISC_SECTION;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({
+        url: p.url,
+        title: this.linkTitle(p, suffix),
+        notes: p.description || '',
+        include: !p.flag,
+        flag: p.flag
+      });
+    }
+    const misc = groups.get(MISC_SECTION);
+    const sections = [];
+    for (const [key, items] of groups) {
+      if (key === MISC_SECTION) continue;
+      if (items.length === 1) misc.push(items[0]);
+      else sections.push({ title: this.sectionTitle(key), pages: items });
+    }
+    return misc.length > 0 ? [{ title: MISC_SECTION, pages: misc }, ...sections] : sections;
+  }
+
+  sectionTitle(segment) {
+    let text = segment;
+    try { text = decodeURIComponent(segment); } catch (_) { /* keep it encoded */ }
+    text = text.replace(/[-_]+/g, ' ').trim();
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  // ---------- editing ----------
+
+  readField(target) {
+    const field = target.getAttribute('data-field');
+    if (!field) return;
+    const section = this.sections[Number(target.getAttribute('data-section'))];
+    if (!section) return;
+    if (field === 'section-title') {
+      section.title = target.value;
+    } else {
+      const page = section.pages[Number(target.getAttribute('data-page'))];
+      if (field === 'include') {
+        page.include = target.checked;
+        target.closest('tr').classList.toggle('excluded', !page.include);
+        this.renderSectionCount(Number(target.getAttribute('data-section')));
+      } else {
+        page[field] = target.value;
+      }
+    }
+    this.update();
+  }
+
+  // Swap a section or a page with its neighbour.
+  move(btn) {
+    if (!btn) return;
+    const step = btn.getAttribute('data-move') === 'up' ? -1 : 1;
+    const si = Number(btn.getAttribute('data-section'));
+    const pageAttr = btn.getAttribute('data-page');
+    const list = pageAttr == null ? this.sections : this.sections[si].pages;
+    const from = pageAttr == null ? si : Number(pageAttr);
+    const to = from + step;
+    if (to < 0 || to >= list.length) return;
+    [list[from], list[to]] = [list[to], list[from]];
+    this.renderSections();
+    this.update();
+  }
+
+  renderSections() {
+    this.sectionsEl.innerHTML = this.sections.map((s, si) => {
+      const rows = s.pages.map((p, pi) => `
+        <tr class="${p.include ? '' : 'excluded'}">
+          <td><input type="checkbox" data-field="include" data-section="${si}" data-page="${pi}"${p.include ? ' checked' : ''}></td>
+          <td><input type="text" data-field="title" data-section="${si}" data-page="${pi}" value="${this.escape(p.title)}"></td>
+          <td><input type="text" data-field="notes" data-section="${si}" data-page="${pi}" value="${this.escape(p.notes)}"></td>
+          <td class="url-cell">${this.escape(p.url)}${p.flag ? `<div class="flag-note">${this.escape(p.flag)}. Fix the page or leave it out.</div>` : ''}</td>
+          <td class="move">
+            <button class="btn icon" type="button" data-move="up" data-section="${si}" data-page="${pi}"${pi === 0 ? ' disabled' : ''}>↑</button>
+            <button class="btn icon" type="button" data-move="down" data-section="${si}" data-page="${pi}"${pi === s.pages.length - 1 ? ' disabled' : ''}>↓</button>
+          </td>
+        </tr>`).join('');
+      return `
+        <div class="card">
+          <div class="section-head">
+            <input type="text" data-field="section-title" data-section="${si}" value="${this.escape(s.title)}">
+            <span class="muted" data-count="${si}"></span>
+            <button class="btn icon" type="button" data-move="up" data-section="${si}"${si === 0 ? ' disabled' : ''}>↑</button>
+            <button class="btn icon" type="button" data-move="down" data-section="${si}"${si === this.sections.length - 1 ? ' disabled' : ''}>↓</button>
+          </div>
+          <table>
+            <thead><tr><th></th><th>Link text</th><th>Notes</th><th>URL</th><th></th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>`;
+    }).join('');
+    this.sections.forEach((_, si) => this.renderSectionCount(si));
+  }
+
+  renderSectionCount(si) {
+    const el = this.sectionsEl.querySelector(`[data-count="${si}"]`);
+    const s = this.sections[si];
+    const included = s.pages.filter((p) => p.include).length;
+    el.textContent = included === 0
+      ? 'Left out — no pages included'
+      : `${included} of ${s.pages.length} page${s.pages.length > 1 ? 's' : ''}`;
+  }
+
+  // ---------- output ----------
+
+  update() {
+    this.output = this.buildOutput();
+    this.outputEl.textContent = this.output;
+    const parsed = parseLlmsTxt(this.output, this.origin);
+    this.outputNoteEl.innerHTML = parsed.valid
+      ? `<span class="verify-ok">Valid llms.txt</span> · ${parsed.links.length} link${parsed.links.length === 1 ? '' : 's'} in ${parsed.sections.length} section${parsed.sections.length === 1 ? '' : 's'}`
+      : `<span class="verify-bad">${parsed.errors.length} format error${parsed.errors.length > 1 ? 's' : ''}</span> · Line ${parsed.errors[0].line + 1}: ${this.escape(parsed.errors[0].message)}`;
+  }
+
+  // Sections with nothing included are dropped — an empty H2 is a format
+  // error. Brackets in link text and parentheses in URLs would end the
+  // markdown link early, so they're replaced and percent-encoded.
+  buildOutput() {
+    const line = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+    const out = [`# ${line(this.siteTitleEl.value) || new URL(this.origin).hostname}`, ''];
+    const summary = line(this.siteSummaryEl.value);
+    if (summary) out.push(`> ${summary}`, '');
+    for (const s of this.sections) {
+      const pages = s.pages.filter((p) => p.include);
+      if (pages.length === 0) continue;
+      out.push(`## ${line(s.title) || MISC_SECTION}`, '');
+      for (const p of pages) {
+        const text = line(p.title).replace(/\[/g, '(').replace(/\]/g, ')') || p.url;
+        const url = p.url.replace(/\(/g, '%28').replace(/\)/g, '%29');
+        const notes = line(p.notes);
+        out.push(`- [${text}](${url})${notes ? `: ${notes}` : ''}`);
+      }
+      out.push('');
+    }
+    return out.join('\n');
+  }
+
+  // ---------- actions ----------
+
+  async copy() {
+    try {
+      await navigator.clipboard.writeText(this.output);
+      this.copyBtn.textContent = 'Copied';
+    } catch (_) {
+      this.copyBtn.textContent = 'Copy failed';
+    }
+    setTimeout(() => { this.copyBtn.textContent = 'Copy'; }, 1500);
+  }
+
+  download() {
+    const url = URL.createObjectURL(new Blob([this.output], { type: 'text/markdown' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'llms.txt';
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  escape(s) {
+    return String(s == null ? '' : s).replace(/[<>&"']/g, (c) => (
+      { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+  }
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => new LlmsGeneratorPage());
+} else {
+  new LlmsGeneratorPage();
+}
@@ -0,0 +1,198 @@
+// AI Search Visibility Checker — Monitoring Page
+//
+// Lists the pages pinned from the popup and the regressions the SW's
+// scheduled checks have found. Watchlist and log live in chrome.storage.local
+// (`watchlist`, `regressionLog`); we re-render on storage.onChanged so a
+// "Check all now" fills in as each page completes.
+
+const WATCHLIST_KEY = 'watchlist';
+const REGRESSION_LOG_KEY = 'regressionLog';
+
+const SEGMENT_LABELS = {
+  fully_accessible:     'Fully Visible',
+  mostly_visible:       'Mostly Visible',
+  partially_accessible: 'Partially Visible',
+  slipping:             'Half Visible',
+  js_dependent:         'Barely Visible',
+  invisible:            'Invisible'
+};
+const SEGMENT_CLASS = {
+  fully_accessible:     'good',
+  mostly_visible:       'good',
+  partially_accessible: 'warn',
+  slipping:             'warn',
+  js_dependent:         'bad',
+  invisible:            'invisible'
+};
+const PROBE_DOT = {
+  no_cloaking:       'good',
+  dynamic_rendering: 'good',
+  served_less:       'warn',
+  challenged:        'bad',
+  blocked:           'bad'
+};
+
+class MonitorPage {
+  constructor() {
+    this.watchedEl = document.getElementById('watched');
+    this.regressionsEl = document.getElementById('regressions');
+    this.intervalEl = document.getElementById('interval-select');
+    this.checkNowBtn = document.getElementById('check-now-btn');
+    this.init();
+  }
+
+  async init() {
+    this.intervalEl.addEventListener('change', () => this.saveInterval());
+    this.checkNowBtn.addEventListener('click', () => this.checkNow());
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && (changes[WATCHLIST_KEY] || changes[REGRESSION_LOG_KEY])) this.refresh();
+    });
+    await this.refresh();
+  }
+
+  async refresh() {
+    let data = null;
+    try {
+      data = await chrome.runtime.sendMessage({ type: 'GET_WATCHLIST' });
+    } catch (_) { /* fall through to empty state */ }
+    if (!data || !data.success) data = { entries: {}, log: [], intervalMinutes: 360 };
+
+    this.setIntervalOption(data.intervalMinutes);
+    this.renderWatched(Object.values(data.entries));
+    this.renderRegressions(data.log);
+  }
+
+  // The SW accepts any interval; keep a custom one selectable if it isn't a preset.
+  setIntervalOption(minutes) {
+    const value = String(minutes);
+    if (![...this.intervalEl.options].some((o) => o.value === value)) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = `${minutes} minutes`;
+      this.intervalEl.appendChild(option);
+    }
+    this.intervalEl.value = value;
+  }
+
+  async saveInterval() {
+    try {
+      await chrome.runtime.sendMessage({ type: 'SET_WATCH_INTERVAL', intervalMinutes: Number(this.intervalEl.value) });
+    } catch (_) { /* ignore */ }
+  }
+
+  async checkNow() {
+    this.checking = true;
+    this.checkNowBtn.disabled = true;
+    this.checkNowBtn.textContent = 'Checking…';
+    try {
+      await chrome.runtime.sendMessage({ type: 'CHECK_WATCHED_NOW' });
+    } catch (_) { /* ignore */ }
+    this.checking = false;
+    this.checkNowBtn.textContent = 'Check all now';
+    await this.refresh();
+  }
+
+  renderWatched(entries) {
+    this.checkNowBtn.disabled = entries.length === 0 || !!this.checking;
+    if (entries.length === 0) {
+      this.watchedEl.innerHTML = '<div class="empty">No pages watched yet. Use “Watch this page for regressions” in the extension popup.</div>';
+      return;
+    }
+    entries.sort((a, b) => b.addedAt - a.addedAt);
+    const rows = entries.map((e) => {
+      const check = e.lastCheck;
+      const status = !check
+        ? '<span class="muted">Pending</span>'
+        : check.error
+          ? `<span class="muted">${this.escape(check.error)}</span>`
+          : check.statusCode == null ? '—' : check.statusCode;
+      return `
+        <tr>
+          <td class="url-cell">${this.escape(e.url)}</td>
+          <td>${status}</td>
+          <td>${check ? this.segmentChip(check.segment) : '—'}</td>
+          <td>${check ? this.renderProbes(check.probes) : '—'}</td>
+          <td class="muted">${check ? this.escape(this.formatDateTime(check.timestamp)) : '—'}</td>
+          <td><button class="btn small" type="button" data-unwatch="${this.escape(e.url)}">Remove</button></td>
+        </tr>`;
+    }).join('');
+    this.watchedEl.innerHTML = `
+      <table>
+        <thead><tr><th>Page</th><th>HTTP</th><th>Segment</th><th>Bot probes</th><th>Last check</th><th></th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+
+    this.watchedEl.querySelectorAll('button[data-unwatch]').forEach((btn) => {
+      btn.addEventListener('click', async () => {
+        btn.disabled = true;
+        let response = null;
+        try {
+          response = await chrome.runtime.sendMessage({ type: 'UNWATCH_URL', url: btn.getAttribute('data-unwatch') });
+        } catch (_) { /* treated as a failure below */ }
+        // On success the storage listener re-renders the row away.
+        if (!response || !response.success) btn.disabled = false;
+      });
+    });
+  }
+
+  renderRegressions(log) {
+    if (!log || log.length === 0) {
+      this.regressionsEl.innerHTML = '<div class="empty">No regressions detected.</div>';
+      return;
+    }
+    const rows = log.map((r) => `
+      <tr>
+        <td class="muted">${this.escape(this.formatDateTime(r.timestamp))}</td>
+        <td class="url-cell">${this.escape(r.url)}</td>
+        <td>${this.escape(this.describe(r))}</td>
+      </tr>`).join('');
+    this.regressionsEl.innerHTML = `
+      <table>
+        <thead><tr><th>When</th><th>Page</th><th>Change</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+  }
+
+  // Mirrors describeRegression in background.js.
+  describe(r) {
+    if (r.kind === 'segment_drop') {
+      return `Dropped from ${SEGMENT_LABELS[r.from] || r.from} to ${SEGMENT_LABELS[r.to] || r.to}`;
+    }
+    return `${r.bot} is now ${r.to === 'challenged' ? 'getting a challenge page' : 'blocked'}`;
+  }
+
+  renderProbes(probes) {
+    if (!probes) return '<span class="muted">Off</span>';
+    if (probes.length === 0) return '<span class="muted">—</span>';
+    return probes.map((p) => `
+      <span class="probe" title="${this.escape(p.status)}${p.statusCode ? ` (HTTP ${p.statusCode})` : ''}">
+        <span class="probe-dot ${PROBE_DOT[p.status] || ''}"></span>${this.escape(p.name)}
+      </span>`).join('');
+  }
+
+  // ---------- utilities ----------
+
+  segmentChip(segment) {
+    const label = SEGMENT_LABELS[segment];
+    if (!label) return '<span class="chip unknown">Not rendered</span>';
+    return `<span class="chip ${SEGMENT_CLASS[segment]}">${label}</span>`;
+  }
+
+  formatDateTime(ts) {
+    return new Date(ts).toLocaleString(undefined, {
+      month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+  }
+
+  escape(s) {
+    return String(s == null ? '' : s).replace(/[<>&"']/g, (c) => (
+      { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+  }
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => new MonitorPage());
+} else {
+  new MonitorPage();
+}
@@ -0,0 +1,420 @@
+// AI Search Visibility Checker — Options Page
+//
+// Two editors, both backed by chrome.storage.local and read at the start of
+// every analysis (content script) and crawl check (SW) through shared.js:
+//   • bot probe catalog  — `botProbeCatalog`, via enabledBotProbes()
+//   • analysis profiles  — `analysisProfiles` + `activeProfileId`, via
+//                          selectAnalysisProfile()
+
+const {
+  BOT_PROBE_CATALOG_KEY,
+  defaultBotProbeCatalog,
+  normalizeBotProbeCatalog,
+  normalizeByteLimit,
+  DEFAULT_ANALYSIS_SETTINGS,
+  ANALYSIS_PROFILES_KEY,
+  ACTIVE_PROFILE_KEY,
+  DEFAULT_PROFILE,
+  defaultAnalysisProfiles,
+  resolveAnalysisSettings
+} = self.AIVisibility;
+
+// Profile form layout. `path` addresses the override object; `kind` sets the
+// input unit: ms and weights as-is, pct shown ×100, ratio as a multiplier.
+const PROFILE_GROUPS = [
+  {
+    title: 'Timeouts (ms)',
+    fields: [
+      { path: 'rawFetchTimeoutMs',     label: 'Raw HTML fetch',         kind: 'ms' },
+      { path: 'supportFetchTimeoutMs', label: 'robots.txt / llms.txt / sitemap', kind: 'ms' },
+      { path: 'botProbeTimeoutMs',     label: 'Each bot probe',         kind: 'ms' }
+    ]
+  },
+  {
+    title: 'Score weights',
+    fields: [
+      { path: 'scoreWeights.serverVisibility',   label: 'Server visibility',   kind: 'weight' },
+      { path: 'scoreWeights.crawlerAccess',      label: 'Crawler access',      kind: 'weight' },
+      { path: 'scoreWeights.structuredData',     label: 'Structured data',     kind: 'weight' },
+      { path: 'scoreWeights.robotsRestrictions', label: 'Robots restrictions', kind: 'weight' }
+    ]
+  },
+  {
+    title: 'Segment tiers (minimum % visible)',
+    fields: [
+      { path: 'segmentTiers.fully_accessible',     label: 'Fully Visible',     kind: 'pct' },
+      { path: 'segmentTiers.mostly_visible',       label: 'Mostly Visible',    kind: 'pct' },
+      { path: 'segmentTiers.partially_accessible', label: 'Partially Visible', kind: 'pct' },
+      { path: 'segmentTiers.slipping',             label: 'Half Visible',      kind: 'pct' },
+      { path: 'segmentTiers.js_dependent',         label: 'Barely Visible',    kind: 'pct' }
+    ]
+  },
+  {
+    title: 'Thresholds',
+    fields: [
+      { path: 'serverRatioSevere',    label: 'Server text: high issue below %',   kind: 'pct' },
+      { path: 'serverRatioHealthy',   label: 'Server text: medium issue below %', kind: 'pct' },
+      { path: 'probeDynamicRatio',    label: 'Bot probe: dynamic rendering at ×', kind: 'ratio' },
+      { path: 'probeServedLessRatio', label: 'Bot probe: served less at or below %', kind: 'pct' }
+    ]
+  }
+];
+
+const FIELD_RANGES = {
+  ms:     { min: 250, max: 60000, step: 250 },
+  weight: { min: 0,   max: 1000,  step: 1 },
+  pct:    { min: 0,   max: 100,   step: 1 },
+  ratio:  { min: 1,   max: 10,    step: 0.05 }
+};
+
+class OptionsPage {
+  constructor() {
+    this.probeRowsEl = document.getElementById('probe-rows');
+    this.addProbeBtn = document.getElementById('add-probe-btn');
+    this.resetProbesBtn = document.getElementById('reset-probes-btn');
+    this.saveProbesBtn = document.getElementById('save-probes-btn');
+    this.probesStatusEl = document.getElementById('probes-status');
+
+    this.activeProfileEl = document.getElementById('active-profile');
+    this.editProfileEl = document.getElementById('edit-profile');
+    this.newProfileBtn = document.getElementById('new-profile-btn');
+    this.duplicateProfileBtn = document.getElementById('duplicate-profile-btn');
+    this.deleteProfileBtn = document.getElementById('delete-profile-btn');
+    this.profileFormEl = document.getElementById('profile-form');
+    this.saveProfileBtn = document.getElementById('save-profile-btn');
+    this.profileStatusEl = document.getElementById('profile-status');
+
+    this.profiles = [];
+    this.activeProfileId = DEFAULT_PROFILE.id;
+    this.editingProfileId = DEFAULT_PROFILE.id;
+    this.init();
+  }
+
+  async init() {
+    let stored = null;
+    try {
+      const obj = await chrome.storage.local.get(BOT_PROBE_CATALOG_KEY);
+      stored = obj[BOT_PROBE_CATALOG_KEY];
+    } catch (_) { /* fall back to defaults */ }
+    this.renderProbes(normalizeBotProbeCatalog(stored));
+
+    this.addProbeBtn.addEventListener('click', () => {
+      this.probeRowsEl.insertAdjacentHTML('beforeend', this.probeRow({
+        key: '', name: '', vendor: '', userAgent: '', byteLimit: null, enabled: true
+      }));
+      this.probeRowsEl.lastElementChild.querySelector('input[data-field="key"]').focus();
+      this.setStatus('');
+    });
+    this.resetProbesBtn.addEventListener('click', () => {
+      this.renderProbes(defaultBotProbeCatalog());
+      this.setStatus('Defaults restored — save to keep them.');
+    });
+    this.saveProbesBtn.addEventListener('click', () => this.saveProbes());
+    this.probeRowsEl.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-remove]');
+      if (btn) btn.closest('tr').remove();
+    });
+    this.probeRowsEl.addEventListener('input', (e) => {
+      e.target.classList.remove('invalid');
+    });
+
+    await this.initProfiles();
+  }
+
+  // ---------- Bot probes ----------
+
+  renderProbes(catalog) {
+    this.probeRowsEl.innerHTML = catalog.map((p) => this.probeRow(p)).join('');
+  }
+
+  probeRow(p) {
+    return `
+      <tr>
+        <td class="col-on"><input type="checkbox" data-field="enabled"${p.enabled ? ' checked' : ''}></td>
+        <td class="col-key"><input type="text" data-field="key" value="${this.escape(p.key)}" placeholder="gptbot"></td>
+        <td class="col-name"><input type="text" data-field="name" value="${this.escape(p.name)}" placeholder="GPTBot"></td>
+        <td class="col-vendor"><input type="text" data-field="vendor" value="${this.escape(p.vendor)}" placeholder="OpenAI"></td>
+        <td><input type="text" class="ua" data-field="userAgent" value="${this.escape(p.userAgent)}" placeholder="Mozilla/5.0 (compatible; …)"></td>
+        <td class="col-limit"><input type="number" data-field="byteLimit" min="1" step="1" value="${p.byteLimit ? Math.round(p.byteLimit / 1024) : ''}" placeholder="None"></td>
+        <td class="col-remove"><button class="icon-btn" type="button" data-remove title="Remove">×</button></td>
+      </tr>`;
+  }
+
+  // Read the table back into catalog entries, marking invalid inputs.
+  // Returns null when anything needs fixing.
+  readProbes() {
+    const entries = [];
+    const seen = new Set();
+    let valid = true;
+    this.probeRowsEl.querySelectorAll('.invalid').forEach((el) => el.classList.remove('invalid'));
+    this.probeRowsEl.querySelectorAll('tr').forEach((tr) => {
+      const input = (field) => tr.querySelector(`[data-field="${field}"]`);
+      const limitKb = input('byteLimit').value.trim();
+      const entry = {
+        key: input('key').value.trim().toLowerCase(),
+        name: input('name').value.trim(),
+        vendor: input('vendor').value.trim(),
+        userAgent: input('userAgent').value.trim(),
+        byteLimit: limitKb ? normalizeByteLimit(Number(limitKb) * 1024) : null,
+        enabled: input('enabled').checked
+      };
+      if (!/^[a-z0-9][a-z0-9_-]*$/.test(entry.key) || seen.has(entry.key)) {
+        input('key').classList.add('invalid');
+        valid = false;
+      }
+      if (!entry.name) {
+        input('name').classList.add('invalid');
+        valid = false;
+      }
+      // A disabled entry may keep an empty UA (e.g. the internal crawler
+      // before anyone has pasted its string in); an enabled one can't.
+      if (entry.enabled && !entry.userAgent) {
+        input('userAgent').classList.add('invalid');
+        valid = false;
+      }
+      if (limitKb && !entry.byteLimit) {
+        input('byteLimit').classList.add('invalid');
+        valid = false;
+      }
+      seen.add(entry.key);
+      entries.push(entry);
+    });
+    return valid ? entries : null;
+  }
+
+  async saveProbes() {
+    const entries = this.readProbes();
+    if (!entries) {
+      this.setStatus('Fix the highlighted fields: keys must be unique lowercase slugs, names are required, enabled bots need a User-Agent, and limits are whole KB.', true);
+      return;
+    }
+    try {
+      await chrome.storage.local.set({ [BOT_PROBE_CATALOG_KEY]: entries });
+      const enabled = entries.filter((e) => e.enabled).length;
+      this.setStatus(`Saved · ${enabled} bot${enabled === 1 ? '' : 's'} enabled. Applies to the next analysis.`);
+    } catch (error) {
+      this.setStatus(`Couldn’t save: ${(error && error.message) || error}`, true);
+    }
+  }
+
+  // ---------- Analysis profiles ----------
+
+  async initProfiles() {
+    let stored = {};
+    try {
+      stored = await chrome.storage.local.get([ANALYSIS_PROFILES_KEY, ACTIVE_PROFILE_KEY]);
+    } catch (_) { /* fall back to the shipped examples */ }
+    this.profiles = Array.isArray(stored[ANALYSIS_PROFILES_KEY])
+      ? stored[ANALYSIS_PROFILES_KEY]
+      : defaultAnalysisProfiles();
+    const activeId = stored[ACTIVE_PROFILE_KEY];
+    this.activeProfileId = this.profiles.some((p) => p.id === activeId) ? activeId : DEFAULT_PROFILE.id;
+    this.editingProfileId = this.activeProfileId;
+    this.renderProfileSelects();
+    this.renderProfileForm();
+
+    this.activeProfileEl.addEventListener('change', () => this.setActiveProfile(this.activeProfileEl.value));
+    this.editProfileEl.addEventListener('change', () => {
+      this.editingProfileId = this.editProfileEl.value;
+      this.renderProfileForm();
+      this.setProfileStatus('');
+    });
+    this.newProfileBtn.addEventListener('click', () => this.addProfile('New profile', {}));
+    this.duplicateProfileBtn.addEventListener('click', () => {
+      const source = this.editingProfile();
+      this.addProfile(`${source.name} copy`, JSON.parse(JSON.stringify(source.overrides || {})));
+    });
+    this.deleteProfileBtn.addEventListener('click', () => this.deleteProfile());
+    this.saveProfileBtn.addEventListener('click', () => this.saveProfile());
+    this.profileFormEl.addEventListener('input', (e) => {
+      e.target.classList.remove('invalid');
+    });
+  }
+
+  editingProfile() {
+    return this.profiles.find((p) => p.id === this.editingProfileId) || DEFAULT_PROFILE;
+  }
+
+  renderProfileSelects() {
+    const options = (selectedId) => [DEFAULT_PROFILE, ...this.profiles].map((p) => `
+      <option value="${this.escape(p.id)}"${p.id === selectedId ? ' selected' : ''}>${this.escape(p.name)}</option>`).join('');
+    this.activeProfileEl.innerHTML = options(this.activeProfileId);
+    this.editProfileEl.innerHTML = options(this.editingProfileId);
+  }
+
+  // Empty input = "not overridden"; the placeholder shows the default.
+  renderProfileForm() {
+    const profile = this.editingProfile();
+    const readOnly = profile.id === DEFAULT_PROFILE.id;
+    const overrides = profile.overrides || {};
+    const groups = PROFILE_GROUPS.map((group) => {
+      const fields = group.fields.map((f) => {
+        const range = FIELD_RANGES[f.kind];
+        const current = this.readPath(overrides, f.path);
+        return `
+          <div class="field">
+            <label>${this.escape(f.label)}</label>
+            <input type="number" data-path="${f.path}" min="${range.min}" max="${range.max}" step="${range.step}"
+              placeholder="${this.toDisplay(this.defaultFor(f.path), f.kind)}"
+              value="${current == null ? '' : this.toDisplay(current, f.kind)}"${readOnly ? ' disabled' : ''}>
+          </div>`;
+      }).join('');
+      return `<div class="group-title">${this.escape(group.title)}</div><div class="form-grid">${fields}</div>`;
+    }).join('');
+    this.profileFormEl.innerHTML = `
+      <div class="form-grid">
+        <div class="field wide">
+          <label for="profile-name">Name</label>
+          <input type="text" id="profile-name" value="${this.escape(profile.name)}"${readOnly ? ' disabled' : ''}>
+        </div>
+      </div>
+      ${groups}`;
+    this.deleteProfileBtn.disabled = readOnly;
+    this.saveProfileBtn.disabled = readOnly;
+    if (readOnly) this.setProfileStatus('The Default profile can’t be edited — duplicate it to make changes.');
+  }
+
+  // Read the form back into an overrides object. Returns null (and marks the
+  // offending inputs) when a value is out of range or conflicts with another
+  // — resolveAnalysisSettings is the source of truth for what's accepted.
+  readProfileForm() {
+    const overrides = {};
+    const inputs = [...this.profileFormEl.querySelectorAll('input[data-path]')];
+    inputs.forEach((input) => {
+      input.classList.remove('invalid');
+      if (input.value.trim() === '') return;
+      const field = PROFILE_GROUPS.flatMap((g) => g.fields).find((f) => f.path === input.dataset.path);
+      this.writePath(overrides, field.path, this.fromDisplay(Number(input.value), field.kind));
+    });
+    const resolved = resolveAnalysisSettings(overrides);
+    let valid = true;
+    inputs.forEach((input) => {
+      const wanted = this.readPath(overrides, input.dataset.path);
+      if (wanted == null) return;
+      if (this.resolvedValue(resolved, input.dataset.path) !== wanted) {
+        input.classList.add('invalid');
+        valid = false;
+      }
+    });
+    return valid ? overrides : null;
+  }
+
+  async saveProfile() {
+    const profile = this.editingProfile();
+    if (profile.id === DEFAULT_PROFILE.id) return;
+    const nameEl = document.getElementById('profile-name');
+    const name = nameEl.value.trim();
+    nameEl.classList.toggle('invalid', !name);
+    const overrides = this.readProfileForm();
+    if (!name || !overrides) {
+      this.setProfileStatus('Fix the highlighted fields. Tier minimums must not increase down the list, and the high-issue threshold must be below the medium one.', true);
+      return;
+    }
+    profile.name = name;
+    profile.overrides = overrides;
+    await this.persistProfiles('Saved. Applies to the next analysis.');
+  }
+
+  async addProfile(name, overrides) {
+    const profile = { id: `profile-${Date.now().toString(36)}`, name, overrides };
+    this.profiles.push(profile);
+    this.editingProfileId = profile.id;
+    await this.persistProfiles('Profile created.');
+    this.renderProfileForm();
+    document.getElementById('profile-name').select();
+  }
+
+  async deleteProfile() {
+    const profile = this.editingProfile();
+    if (profile.id === DEFAULT_PROFILE.id) return;
+    if (!window.confirm(`Delete the “${profile.name}” profile?`)) return;
+    this.profiles = this.profiles.filter((p) => p.id !== profile.id);
+    if (this.activeProfileId === profile.id) await this.setActiveProfile(DEFAULT_PROFILE.id);
+    this.editingProfileId = this.activeProfileId;
+    await this.persistProfiles('Profile deleted.');
+    this.renderProfileForm();
+  }
+
+  async setActiveProfile(id) {
+    this.activeProfileId = id;
+    try {
+      await chrome.storage.local.set({ [ACTIVE_PROFILE_KEY]: id });
+      this.setProfileStatus('Active profile changed. Applies to the next analysis.');
+    } catch (error) {
+      this.setProfileStatus(`Couldn’t save: ${(error && error.message) || error}`, true);
+    }
+    this.renderProfileSelects();
+  }
+
+  async persistProfiles(message) {
+    try {
+      await chrome.storage.local.set({ [ANALYSIS_PROFILES_KEY]: this.profiles });
+      this.setProfileStatus(message);
+    } catch (error) {
+      this.setProfileStatus(`Couldn’t save: ${(error && error.message) || error}`, true);
+    }
+    this.renderProfileSelects();
+  }
+
+  // Override paths are "key" or "group.key"; tiers are stored as { key: min }.
+  readPath(obj, path) {
+    const [head, tail] = path.split('.');
+    const v = tail ? (obj[head] || {})[tail] : obj[head];
+    return typeof v === 'number' ? v : null;
+  }
+
+  writePath(obj, path, value) {
+    const [head, tail] = path.split('.');
+    if (tail) {
+      obj[head] = obj[head] || {};
+      obj[head][tail] = value;
+    } else {
+      obj[head] = value;
+    }
+  }
+
+  resolvedValue(settings, path) {
+    const [head, tail] = path.split('.');
+    if (head === 'segmentTiers') {
+      const tier = settings.segmentTiers.find((t) => t.key === tail);
+      return tier ? tier.min : null;
+    }
+    return tail ? settings[head][tail] : settings[head];
+  }
+
+  defaultFor(path) {
+    return this.resolvedValue(DEFAULT_ANALYSIS_SETTINGS, path);
+  }
+
+  toDisplay(value, kind) {
+    return kind === 'pct' ? Math.round(value * 1000) / 10 : value;
+  }
+
+  fromDisplay(value, kind) {
+    return kind === 'pct' ? value / 100 : value;
+  }
+
+  // ---------- utilities ----------
+
+  setStatus(text, isError) {
+    this.probesStatusEl.textContent = text;
+    this.probesStatusEl.classList.toggle('error', !!isError);
+  }
+
+  setProfileStatus(text, isError) {
+    this.profileStatusEl.textContent = text;
+    this.profileStatusEl.classList.toggle('error', !!isError);
+  }
+
+  escape(s) {
+    return String(s == null ? '' : s).replace(/[<>&"']/g, (c) => (
+      { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+  }
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => new OptionsPage());
+} else {
+  new OptionsPage();
+}
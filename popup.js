@@ -81,6 +81,149 @@ class TooltipManager {
   }
 }
 
+// ----------------------------------------------------------------------------
+// RobotsTester — the fetched robots.txt, editable in place. Every edit re-runs
+// the same matching the analysis used (parseRobots / checkAIBotAccess from
+// shared.js) for each AI crawler, against the page's path and any extra paths,
+// and lists the selected crawler's reason chain.
+// Nothing is saved: it's for trying a change before shipping it.
+// ----------------------------------------------------------------------------
+class RobotsTester {
+  constructor(onClose) {
+    this.onClose = onClose;
+    this.viewEl = document.getElementById('robots-tester');
+    this.pathEl = document.getElementById('rt-path');
+    this.resultsEl = document.getElementById('rt-results');
+    this.textEl = document.getElementById('rt-text');
+    this.backdropEl = document.getElementById('rt-backdrop');
+    this.pathsEl = document.getElementById('rt-paths');
+    this.editedEl = document.getElementById('rt-edited');
+    this.whyEl = document.getElementById('rt-why');
+    if (!this.viewEl) return;
+
+    this.original = '';
+    this.basePath = '/';
+    this.selectedBot = null;
+
+    document.getElementById('rt-back').addEventListener('click', () => this.close());
+    document.getElementById('rt-reset').addEventListener('click', () => {
+      this.textEl.value = this.original;
+      this.evaluate();
+    });
+    this.textEl.addEventListener('input', () => this.evaluate());
+    this.textEl.addEventListener('scroll', () => this.syncScroll());
+    this.pathsEl.addEventListener('input', () => this.evaluate());
+    this.pathEl.addEventListener('change', () => this.evaluate());
+    this.resultsEl.addEventListener('click', (e) => {
+      const row = e.target.closest('[data-bot]');
+      if (!row) return;
+      this.selectedBot = row.getAttribute('data-bot');
+      this.evaluate();
+    });
+  }
+
+  open(robotsText, pageUrl) {
+    this.original = robotsText || '';
+    try {
+      const u = new URL(pageUrl);
+      this.basePath = u.pathname + u.search;
+    } catch (_) {
+      this.basePath = '/';
+    }
+    this.textEl.value = this.original;
+    this.selectedBot = null;
+    this.viewEl.style.display = 'block';
+    this.evaluate();
+    this.textEl.scrollTop = 0;
+    this.syncScroll();
+  }
+
+  close() {
+    this.viewEl.style.display = 'none';
+    this.onClose();
+  }
+
+  // The page's own path first, then whatever was pasted — full URLs are
+  // reduced to path + query, bare paths get their leading slash.
+  paths() {
+    const extras = this.pathsEl.value.split(/\r?\n/).map((line) => {
+      const v = line.trim();
+      if (!v) return null;
+      try {
+        const u = new URL(v);
+        return u.pathname + u.search;
+      } catch (_) {
+        return v.startsWith('/') ? v : '/' + v;
+      }
+    }).filter(Boolean);
+    return [...new Set([this.basePath, ...extras])];
+  }
+
+  evaluate() {
+    const { AI_CRAWLERS, parseRobots, checkAIBotAccess } = self.AIVisibility;
+    const text = this.textEl.value;
+    const parsed = parseRobots(text);
+    const verdictsFor = (path) => AI_CRAWLERS.map((b) => ({ ...b, ...checkAIBotAccess(parsed, b.name, path) }));
+
+    const paths = this.paths();
+    const selectedPath = paths.includes(this.pathEl.value) ? this.pathEl.value : paths[0];
+    this.pathEl.innerHTML = paths.map((p) => {
+      const blocked = verdictsFor(p).filter((v) => v.status === 'blocked').length;
+      const label = `${p}${p === this.basePath ? ' (this page)' : ''} · ${blocked ? `${blocked} blocked` : 'all allowed'}`;
+      return `<option value="${this.escape(p)}"${p === selectedPath ? ' selected' : ''}>${this.escape(label)}</option>`;
+    }).join('');
+
+    const verdicts = verdictsFor(selectedPath);
+    if (!verdicts.some((v) => v.name === this.selectedBot)) {
+      this.selectedBot = (verdicts.find((v) => v.status === 'blocked') || verdicts[0]).name;
+    }
+    this.resultsEl.innerHTML = verdicts.map((v) => `
+      <button class="rt-row${v.name === this.selectedBot ? ' selected' : ''}" type="button" data-bot="${this.escape(v.name)}">
+        <span class="crawler-dot ${v.status}"></span>
+        <span class="rt-name">${this.escape(v.name)}</span>
+        <span class="rt-rule">${this.escape(this.describe(v))}</span>
+      </button>`).join('');
+
+    // Highlight the selected crawler's group and deciding rule.
+    const selected = verdicts.find((v) => v.name === this.selectedBot);
+    const lineClass = new Map();
+    for (const i of (selected && selected.groupIndexes) || []) {
+      parsed.groups[i].lines.forEach((n) => lineClass.set(n, 'group'));
+      parsed.groups[i].rules.forEach((r) => lineClass.set(r.line, 'group'));
+    }
+    if (selected && selected.ruleLine != null) {
+      lineClass.set(selected.ruleLine, selected.status === 'blocked' ? 'rule-block' : 'rule-allow');
+    }
+    this.backdropEl.innerHTML = text.split(/\r?\n/).map((line, i) =>
+      `<div class="rt-line ${lineClass.get(i) || ''}">${this.escape(line) || ' '}</div>`).join('');
+    this.syncScroll();
+    this.whyEl.innerHTML = selected
+      ? selected.reasons.map((r) => `<li>${this.escape(r)}</li>`).join('')
+      : '';
+
+    this.editedEl.style.display = text === this.original ? 'none' : 'inline';
+  }
+
+  describe(v) {
+    const at = v.ruleLine != null ? ` · line ${v.ruleLine + 1}` : '';
+    if (v.status === 'blocked') return `Disallow: ${v.matchedRule}${at}`;
+    if (v.matchedAllow) return `Allow: ${v.matchedAllow}${at}`;
+    if (v.source === 'no-rules') return 'No group applies';
+    return `No rule matches (User-agent: ${v.matchedUA})`;
+  }
+
+  syncScroll() {
+    this.backdropEl.scrollTop = this.textEl.scrollTop;
+    this.backdropEl.scrollLeft = this.textEl.scrollLeft;
+  }
+
+  escape(s) {
+    return String(s == null ? '' : s).replace(/[<>&"']/g, (c) => (
+      { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+  }
+}
+
 class PopupManager {
   constructor() {
     this.loadingEl = document.getElementById('loading');
@@ -90,6 +233,8 @@ class PopupManager {
 
     this.scoreEl = document.getElementById('score');
     this.scoreDescEl = document.getElementById('score-description');
+    this.scoreTrendEl = document.getElementById('score-trend');
+    this.profileNoteEl = document.getElementById('profile-note');
     this.segmentChipEl = document.getElementById('segment-chip');
     this.signalsEl = document.getElementById('signals');
 
@@ -100,9 +245,36 @@ class PopupManager {
     this.crawlerGridEl = document.getElementById('crawler-grid');
     this.aiFilesRowEl = document.getElementById('ai-files-row');
 
+    this.llmsSectionEl = document.getElementById('llms-section');
+    this.llmsStatusEl = document.getElementById('llms-status');
+    this.llmsErrorsEl = document.getElementById('llms-errors');
+    this.llmsLinksEl = document.getElementById('llms-links');
+    this.llmsFilesEl = document.getElementById('llms-files');
+
+    this.aiPolicySectionEl = document.getElementById('ai-policy-section');
+    this.aiPolicyVerdictEl = document.getElementById('ai-policy-verdict');
+    this.aiPolicyRowsEl = document.getElementById('ai-policy-rows');
+    this.aiPolicyConflictsEl = document.getElementById('ai-policy-conflicts');
+
+    this.schemaSectionEl = document.getElementById('schema-section');
+    this.schemaStatusEl = document.getElementById('schema-status');
+    this.schemaBlocksEl = document.getElementById('schema-blocks');
+    this.schemaConflictsEl = document.getElementById('schema-conflicts');
+    this.schemaInspectorLinkEl = document.getElementById('schema-inspector-link');
+
+    this.hreflangSectionEl = document.getElementById('hreflang-section');
+    this.hreflangStatusEl = document.getElementById('hreflang-status');
+    this.hreflangRowsEl = document.getElementById('hreflang-rows');
+    this.socialSectionEl = document.getElementById('social-section');
+    this.socialStatusEl = document.getElementById('social-status');
+    this.socialRowsEl = document.getElementById('social-rows');
+
     this.botProbesSectionEl = document.getElementById('bot-probes-section');
     this.botProbesListEl = document.getElementById('bot-probes-list');
     this.botProbesBaselineEl = document.getElementById('bot-probes-baseline');
+    this.timelineSectionEl = document.getElementById('timeline-section');
+    this.timelineListEl = document.getElementById('timeline-list');
+    this.timelineNoteEl = document.getElementById('timeline-note');
 
     this.probeToggleEl = document.getElementById('probe-toggle');
 
@@ -115,6 +287,16 @@ class PopupManager {
     this.postHydrationNoticeEl = document.getElementById('post-hydration-notice');
     this.primaryCtaBtn = document.getElementById('primary-cta-btn');
     this.downloadReportBtn = document.getElementById('download-report-btn');
+    this.siteCrawlBtn = document.getElementById('site-crawl-btn');
+    this.watchBtn = document.getElementById('watch-btn');
+    this.watchBtnLabelEl = document.getElementById('watch-btn-label');
+    this.monitorLinkEl = document.getElementById('monitor-link');
+    this.optionsLinkEl = document.getElementById('options-link');
+    this.mainViewEl = document.getElementById('main-view');
+    this.robotsTesterLinkEl = document.getElementById('robots-tester-link');
+    this.robotsPolicyLinkEl = document.getElementById('robots-policy-link');
+    this.llmsGeneratorLinkEl = document.getElementById('llms-generator-link');
+    this.robotsTester = new RobotsTester(() => { this.mainViewEl.style.display = 'block'; });
 
     this.init();
   }
@@ -135,6 +317,41 @@ class PopupManager {
       this.downloadReportBtn.addEventListener('click', () => this.handleDownloadReport());
     }
 
+    if (this.siteCrawlBtn) {
+      this.siteCrawlBtn.addEventListener('click', () => this.handleSiteCrawl());
+    }
+
+    if (this.watchBtn) {
+      this.watchBtn.addEventListener('click', () => this.handleWatchToggle());
+    }
+    if (this.profileNoteEl) {
+      this.profileNoteEl.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    }
+    if (this.optionsLinkEl) {
+      this.optionsLinkEl.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    }
+    if (this.monitorLinkEl) {
+      this.monitorLinkEl.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('monitor.html') });
+      });
+    }
+
+    if (this.scoreTrendEl) {
+      this.scoreTrendEl.addEventListener('click', () => this.openHistoryPage());
+    }
+    if (this.robotsTesterLinkEl) {
+      this.robotsTesterLinkEl.addEventListener('click', () => this.openRobotsTester());
+    }
+    if (this.robotsPolicyLinkEl) {
+      this.robotsPolicyLinkEl.addEventListener('click', () => this.handleRobotsPolicy());
+    }
+    if (this.llmsGeneratorLinkEl) {
+      this.llmsGeneratorLinkEl.addEventListener('click', () => this.handleLlmsGenerator());
+    }
+    if (this.schemaInspectorLinkEl) {
+      this.schemaInspectorLinkEl.addEventListener('click', () => this.handleSchemaInspector());
+    }
+
     // V2 settings — read current value, then wire up the change handler.
     await this.initProbeToggle();
 
@@ -259,7 +476,7 @@ class PopupManager {
       });
       await chrome.scripting.executeScript({
         target: { tabId: this.currentTabId },
-        files: ['content.js']
+        files: ['shared.js', 'content.js']
       });
       return true;
     } catch (error) {
@@ -301,6 +518,8 @@ class PopupManager {
     this.lastResults = results;
 
     this.renderHero(results);
+    this.renderTrend();
+    this.renderProfileNote(results.profile);
     this.renderSegment(results.segment);
     this.renderSignals(results);
     this.renderBreakdown(results.scoreBreakdown);
@@ -309,10 +528,34 @@ class PopupManager {
       this.renderCrawlers(results.crawlers, results.aiSearchFiles);
     }
 
+    if (results.aiSearchFiles) {
+      this.renderLlmsTxt(results.aiSearchFiles);
+    }
+
+    if (results.aiPolicy) {
+      this.renderAIPolicy(results.aiPolicy);
+    }
+
+    if (results.structuredData) {
+      this.renderStructuredData(results.structuredData);
+    }
+
+    if (results.socialMeta) {
+      this.renderSocialMeta(results.socialMeta);
+    }
+
+    if (results.hreflang) {
+      this.renderHreflang(results.hreflang, results.server || {});
+    }
+
     if (results.botProbes && results.botProbes.enabled) {
       this.renderBotProbes(results.botProbes, results.server);
     }
 
+    if (results.server && results.server.timeline) {
+      this.renderTimeline(results.server.timeline, results.server.timedOut);
+    }
+
     if (results.issues && results.issues.length > 0) {
       this.issuesSectionEl.style.display = 'block';
       this.renderIssues(results.issues);
@@ -327,6 +570,8 @@ class PopupManager {
       this.renderPostHydrationNotice();
     }
 
+    this.renderWatchState();
+
   }
 
   // ---------- Score / status ----------
@@ -416,6 +661,91 @@ class PopupManager {
     }
   }
 
+  // Trend — sparkline of the headline % over past runs of this URL plus the
+  // delta vs the previous run. History lives in the SW (chrome.storage.local)
+  // and already includes the run we're displaying.
+  async renderTrend() {
+    if (!this.scoreTrendEl || !this.pageUrl) return;
+    const myEpoch = this.epoch;
+    let runs = [];
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_HISTORY', url: this.pageUrl });
+      runs = (response && response.success && response.runs) || [];
+    } catch (_) { return; }
+    if (myEpoch !== this.epoch) return;
+
+    const historyError = this.lastResults && this.lastResults.historyError;
+    if (historyError) {
+      this.scoreTrendEl.textContent = 'Not saved to history · History';
+      this.scoreTrendEl.setAttribute('data-tooltip', `This run couldn’t be stored (${historyError}). Past runs are unchanged.`);
+      this.scoreTrendEl.setAttribute('data-tooltip-pos', 'below');
+      this.scoreTrendEl.style.display = 'flex';
+      return;
+    }
+
+    const points = runs.filter((r) => typeof r.visibilityPct === 'number').slice(-12);
+    if (points.length < 2) {
+      this.scoreTrendEl.textContent = 'First run for this page · History';
+      this.scoreTrendEl.setAttribute('data-tooltip', 'Every run is saved. Re-check after your next deploy to see the trend.');
+      this.scoreTrendEl.setAttribute('data-tooltip-pos', 'below');
+      this.scoreTrendEl.style.display = 'flex';
+      return;
+    }
+
+    const W = 56;
+    const H = 16;
+    const step = W / (points.length - 1);
+    const coords = points.map((r, i) => [
+      Math.round(i * step * 10) / 10,
+      Math.round((H - 2 - (r.visibilityPct / 100) * (H - 4)) * 10) / 10
+    ]);
+    const last = coords[coords.length - 1];
+    const svg = `<svg viewBox="0 0 ${W} ${H}" aria-hidden="true"><polyline points="${coords.map((c) => c.join(',')).join(' ')}"/><circle cx="${last[0]}" cy="${last[1]}" r="1.8"/></svg>`;
+
+    const current = points[points.length - 1];
+    const previous = points[points.length - 2];
+    const delta = current.visibilityPct - previous.visibilityPct;
+    const deltaCls = delta > 0 ? 'up' : delta < 0 ? 'down' : '';
+    const deltaText = delta === 0 ? 'No change' : `${delta > 0 ? '▲' : '▼'} ${Math.abs(delta)} pts`;
+    const since = new Date(previous.timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+    this.scoreTrendEl.innerHTML = `${svg}<span class="trend-delta ${deltaCls}">${deltaText}</span><span>since ${this.escape(since)}</span>`;
+    this.scoreTrendEl.setAttribute('data-tooltip', `Visibility over the last ${points.length} runs of this page. Click for the full history.`);
+    this.scoreTrendEl.setAttribute('data-tooltip-pos', 'below');
+    this.scoreTrendEl.style.display = 'flex';
+  }
+
+  // The analysis keeps only the verdicts; the file itself is fetched here.
+  async openRobotsTester() {
+    let robotsText = '';
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'FETCH_ROBOTS_TEXT', origin: new URL(this.pageUrl).origin });
+      if (response && response.success) robotsText = response.text;
+    } catch (_) { /* open on an empty file */ }
+    this.mainViewEl.style.display = 'none';
+    this.robotsTester.open(robotsText, this.pageUrl);
+  }
+
+  openHistoryPage() {
+    const params = new URLSearchParams();
+    if (this.pageUrl) params.set('url', this.pageUrl);
+    chrome.tabs.create({ url: chrome.runtime.getURL(`history.html?${params.toString()}`) });
+  }
+
+  // Which analysis profile (options page) set the timeouts and thresholds
+  // behind this score.
+  renderProfileNote(profile) {
+    if (!this.profileNoteEl) return;
+    if (!profile) {
+      this.profileNoteEl.style.display = 'none';
+      return;
+    }
+    this.profileNoteEl.innerHTML = `Profile: <strong>${this.escape(profile.name)}</strong>`;
+    this.profileNoteEl.setAttribute('data-tooltip', 'Timeouts, score weights and thresholds used for this score. Change profiles on the options page.');
+    this.profileNoteEl.setAttribute('data-tooltip-pos', 'below');
+    this.profileNoteEl.style.display = 'block';
+  }
+
   renderSignals(results) {
     // Signal pills sit just under the score at the top of the popup —
     // tooltips need to position BELOW or they'll clip out of the popup.
@@ -431,6 +761,18 @@ class PopupManager {
         pills.push(`<span class="signal-pill" data-tooltip="Word-level similarity between the server response and the rendered page. Low overlap with high text length means the words differ even though the lengths match." data-tooltip-pos="below">Word overlap <strong>${overlapPct}%</strong></span>`);
       }
     }
+    // How the page is built — SSR, SSG, ISR, CSR or islands — with the
+    // framework and the markers behind the call in the tooltip.
+    const rendering = results.details && results.details.rendering;
+    if (rendering && rendering.mode) {
+      const { FRAMEWORK_LABELS, RENDERING_MODE_LABELS } = self.AIVisibility;
+      const short = rendering.mode === 'islands' ? 'Islands' : rendering.mode.toUpperCase();
+      const stack = rendering.framework
+        ? `${FRAMEWORK_LABELS[rendering.framework]}${rendering.router ? ` (${rendering.router} router)` : ''}`
+        : 'No framework detected';
+      const tip = [`${RENDERING_MODE_LABELS[rendering.mode]} · ${stack}`, ...rendering.evidence].join('\n');
+      pills.push(`<span class="signal-pill" data-tooltip="${this.escape(tip)}" data-tooltip-pos="below">Rendering <strong>${short}</strong></span>`);
+    }
     const ttfb = results.performance && results.performance.ttfbMs;
     if (ttfb != null) {
       const fmt = ttfb < 1000 ? `${ttfb}ms` : `${(ttfb / 1000).toFixed(2)}s`;
@@ -505,8 +847,8 @@ class PopupManager {
     const tooltips = {
       serverVisibility: 'Blends text length (60%) and word overlap (40%). 100 means the server matches the rendered page.',
       crawlerAccess: 'Share of 12 AI crawlers (GPTBot, ClaudeBot, PerplexityBot, etc.) allowed by robots.txt for this page.',
-      structuredData: 'JSON-LD or microdata (60), sitemap.xml (25), llms.txt (15). Helps crawlers identify the page.',
-      robotsRestrictions: '100 unless noindex or nofollow is set.'
+      structuredData: 'JSON-LD in the server HTML (30, plus up to 30 for passing schema.org validation) or microdata/RDFa (15, plus up to 15), sitemap.xml (25), a valid llms.txt (15, or 10 with broken links). Helps crawlers identify the page.',
+      robotsRestrictions: 'Meta robots and X-Robots-Tag, averaged over the AI crawlers they reach: noindex or nofollow 0, noai 50, noimageai 75, none 100.'
     };
     const order = ['serverVisibility', 'crawlerAccess', 'structuredData', 'robotsRestrictions'];
     const rows = order.map((k) => {
@@ -537,38 +879,350 @@ class PopupManager {
       unknown: 'Unknown'
     };
     const html = crawlers.bots.map((b) => {
+      const page = this.pageRestriction(b.page);
       const parts = [statusLabel[b.status] || 'Unknown'];
+      if (b.status === 'allowed' && page) parts[0] = `${parts[0]} by robots.txt, ${page.label}`;
       if (b.purpose) parts.push(b.purpose);
-      if (b.matchedRule) parts.push(`Rule: Disallow: ${b.matchedRule}`);
-      const tip = parts.join(' · ');
+      // Runs saved before verdicts carried a reason chain only have the rule.
+      let tip = parts.join(' · ');
+      if (b.reasons) tip += `\n${b.reasons.join('\n')}`;
+      else if (b.matchedRule) tip += ` · Rule: Disallow: ${b.matchedRule}${b.ruleLine != null ? ` (line ${b.ruleLine + 1})` : ''}`;
+      if (page) tip += `\n${page.detail}`;
+      const dot = b.status === 'allowed' && page ? page.dot : b.status;
       return `
       <div class="crawler-row" data-tooltip="${this.escape(tip)}">
-        <span class="crawler-dot ${b.status}"></span>
+        <span class="crawler-dot ${dot}"></span>
         <span class="crawler-name">${this.escape(b.name)}</span>
         <span class="crawler-vendor">${this.escape(b.vendor)}</span>
       </div>`;
     }).join('');
     this.crawlerGridEl.innerHTML = html;
 
-    if (!crawlers.fetched) {
+    if (crawlers.availability === 'unreachable') {
+      this.aiFilesRowEl.textContent = 'robots.txt unreachable. Crawlers treat every URL as disallowed.';
+    } else if (!crawlers.fetched && !crawlers.availability) {
       this.aiFilesRowEl.textContent = 'robots.txt unreachable. Crawler status unknown.';
     } else {
       const sitemapPresent = !!(files && (files.sitemapPresent || files.sitemapDeclared));
-      const llmsPresent = !!(files && files.llmsTxtPresent);
+      const sitemap = files && files.sitemap ? this.sitemapSummary(files.sitemap) : null;
+      const sitemapDot = !sitemapPresent ? 'absent' : sitemap && sitemap.problem ? 'invalid' : 'present';
+      const llms = files && files.llmsTxt;
+      const llmsDot = !llms ? (files && files.llmsTxtPresent ? 'present' : 'absent') : llms.valid && llms.broken === 0 ? 'present' : 'invalid';
+      const fullPresent = !!(files && files.llmsFullTxtPresent);
       this.aiFilesRowEl.innerHTML = `
-        <span class="file-status">
-          <span class="file-dot ${sitemapPresent ? 'present' : 'absent'}"></span>
+        <span class="file-status"${sitemap ? ` data-tooltip="${this.escape(sitemap.lines.join('\n'))}"` : ''}>
+          <span class="file-dot ${sitemapDot}"></span>
           sitemap.xml
         </span>
         <span class="file-status">
-          <span class="file-dot ${llmsPresent ? 'present' : 'absent'}"></span>
+          <span class="file-dot ${llmsDot}"></span>
           llms.txt
         </span>
+        <span class="file-status">
+          <span class="file-dot ${fullPresent ? 'present' : 'absent'}"></span>
+          llms-full.txt
+        </span>
       `;
     }
     this.crawlersSectionEl.style.display = 'block';
   }
 
+  // One line per sitemap finding for the files-row tooltip; `problem` turns
+  // the dot amber.
+  sitemapSummary(sitemap) {
+    const { SITEMAP_STALE_DAYS } = self.AIVisibility;
+    const n = (count, word) => `${count.toLocaleString()} ${word}${count === 1 ? '' : 's'}`;
+    const lines = [`${n(sitemap.files.length, 'file')} · ${n(sitemap.urlCount, 'URL')}${sitemap.complete ? '' : ' (read in part)'}`];
+    let problem = false;
+    const flag = (line) => { lines.push(line); problem = true; };
+
+    if (sitemap.urlCount > 0) {
+      if (sitemap.pageListed === 'page') lines.push(`This page is listed${sitemap.pageLastmod ? ` (lastmod ${sitemap.pageLastmod})` : ''}`);
+      else if (sitemap.pageListed === 'canonical') lines.push(`Listed by its canonical URL${sitemap.pageLastmod ? ` (lastmod ${sitemap.pageLastmod})` : ''}`);
+      else if (sitemap.complete) flag('This page isn’t listed');
+      else lines.push('This page isn’t in the part read');
+    }
+    const lm = sitemap.lastmod;
+    if (lm.withLastmod > 0) {
+      lines.push(`lastmod on ${lm.withLastmod.toLocaleString()} of ${n(lm.total, 'URL')}${lm.newest ? `, newest ${lm.newest.slice(0, 10)}` : ''}`);
+      if (lm.stale > 0) lines.push(`${n(lm.stale, 'URL')} not updated in ${SITEMAP_STALE_DAYS} days`);
+    }
+    if (lm.invalid > 0) flag(`${n(lm.invalid, 'lastmod')} not in W3C Datetime format`);
+    if (lm.future > 0) flag(`${n(lm.future, 'lastmod')} in the future`);
+    if (lm.uniform) flag('Every lastmod is the same date');
+    sitemap.files.filter((f) => !f.ok).forEach((f) => flag(`${f.url}: ${f.error}`));
+    sitemap.files.filter((f) => f.malformed).forEach((f) => flag(`${f.url}: not well-formed XML`));
+    sitemap.files.filter((f) => f.oversize).forEach((f) => flag(`${f.url}: over the 50,000 URL / 50 MB limit`));
+    if (sitemap.redirecting.length > 0) flag(`${sitemap.redirecting.length} of ${sitemap.linksChecked} sampled URLs redirect`);
+    if (sitemap.broken.length > 0) flag(`${sitemap.broken.length} of ${sitemap.linksChecked} sampled URLs don’t load`);
+    if (sitemap.robotsBlocked.length > 0) flag(`${sitemap.robotsBlocked.length} of ${sitemap.robotsChecked} sampled URLs blocked by robots.txt`);
+    return { problem, lines };
+  }
+
+  // What a crawler's meta robots / X-Robots-Tag directives do on top of its
+  // robots.txt verdict — noindex/nofollow shut it out, noai/noimageai only
+  // limit AI use. Null when nothing restrictive reaches it.
+  pageRestriction(page) {
+    if (!page) return null;
+    const sources = (page.sources || [])
+      .filter((f) => ['noindex', 'nofollow', 'none', 'noai', 'noimageai'].includes(f.directive))
+      .map((f) => `${f.directive} via ${f.source}${f.side === 'rendered' ? ' (rendered DOM)' : ''}`);
+    const detail = `Page: ${[...new Set(sources)].join('; ')}`;
+    if (page.noindex) return { dot: 'blocked', label: 'but noindex', detail };
+    if (page.nofollow) return { dot: 'partial', label: 'but nofollow', detail };
+    if (page.noai || page.noimageai) return { dot: 'partial', label: 'opted out of AI use', detail };
+    return null;
+  }
+
+  // ---------- llms.txt ----------
+
+  renderLlmsTxt(files) {
+    const llms = files.llmsTxt;
+    const MAX_ROWS = 8;
+    this.llmsSectionEl.style.display = 'block';
+    if (!llms) {
+      this.llmsStatusEl.textContent = files.llmsTxtPresent
+        ? 'Found /llms.txt.'
+        : 'No /llms.txt on this site. Draft one from the sitemap.';
+      this.llmsErrorsEl.innerHTML = '';
+      this.llmsLinksEl.innerHTML = '';
+      this.llmsFilesEl.textContent = '';
+      return;
+    }
+
+    const status = [llms.title ? `“${llms.title}”` : 'No title'];
+    status.push(llms.valid ? 'valid' : `${llms.errors.length} format error${llms.errors.length > 1 ? 's' : ''}`);
+    status.push(`${llms.links.length} link${llms.links.length === 1 ? '' : 's'}`);
+    if (llms.broken > 0) status.push(`${llms.broken} broken`);
+    this.llmsStatusEl.textContent = status.join(' · ');
+
+    this.llmsErrorsEl.innerHTML = llms.errors.slice(0, MAX_ROWS)
+      .map((e) => `<li>Line ${e.line + 1}: ${this.escape(e.message)}</li>`).join('');
+
+    const linkRows = llms.links.slice(0, MAX_ROWS).map((l) => {
+      const dot = l.ok == null ? 'unknown' : l.ok ? 'good' : 'bad';
+      const tip = [l.url, l.ok == null ? 'Not checked' : `HTTP ${l.status || 'no response'}`, l.notes].filter(Boolean).join('\n');
+      return `
+        <div class="llms-link" data-tooltip="${this.escape(tip)}">
+          <span class="bot-probe-dot ${dot}"></span>
+          <span class="llms-link-title">${this.escape(l.title)}</span>
+          <span class="llms-link-section">${this.escape(l.section)}</span>
+        </div>`;
+    });
+    if (llms.links.length > MAX_ROWS) {
+      linkRows.push(`<div class="llms-more">+${llms.links.length - MAX_ROWS} more</div>`);
+    }
+    this.llmsLinksEl.innerHTML = linkRows.join('');
+
+    const pageMd = files.pageMarkdown || {};
+    this.llmsFilesEl.textContent = [
+      llms.pageListed ? 'This page is listed' : 'This page isn’t listed',
+      files.llmsFullTxtPresent ? 'llms-full.txt found' : 'no llms-full.txt',
+      pageMd.present ? 'page .md found' : 'no page .md'
+    ].join(' · ');
+  }
+
+  // ---------- AI usage policy ----------
+
+  renderAIPolicy(policy) {
+    const { TDM_SOURCE_LABELS } = self.AIVisibility;
+    const verdictLabel = {
+      opted_out: 'Opted out of AI use',
+      mixed: 'Partly opted out of AI use',
+      open: 'No AI opt-out signals'
+    };
+    const { robots, tdm, aiTxt, noai } = policy;
+
+    let robotsValue = 'No training crawlers listed';
+    if (robots.trainingBlocked.length > 0 && robots.trainingAllowed.length > 0) {
+      robotsValue = `Blocks ${robots.trainingBlocked.join(', ')}; allows ${robots.trainingAllowed.join(', ')}`;
+    } else if (robots.trainingBlocked.length > 0) {
+      robotsValue = 'Blocks every training crawler';
+    } else if (robots.trainingAllowed.length > 0) {
+      robotsValue = 'Allows every training crawler';
+    }
+    let tdmValue = 'Not declared';
+    if (tdm.reserved != null) {
+      tdmValue = `${tdm.reserved ? 'Reserved' : 'Not reserved'} via ${TDM_SOURCE_LABELS[tdm.source]}`;
+      if (tdm.policy) tdmValue += ` · policy ${tdm.policy}`;
+    }
+    let aiTxtValue = 'Not found';
+    if (aiTxt.present) aiTxtValue = aiTxt.blocked.length > 0 ? `Disallows ${aiTxt.blocked.join(', ')}` : 'Allows this page';
+
+    const rows = [
+      ['robots.txt', robotsValue],
+      ['TDM', tdmValue],
+      ['ai.txt', aiTxtValue],
+      ['noai meta', noai.length > 0 ? `Set for ${noai.join(', ')}` : 'Not set']
+    ];
+    this.aiPolicyVerdictEl.textContent = verdictLabel[policy.verdict] || '';
+    this.aiPolicyVerdictEl.className = `ai-policy-verdict ${policy.verdict}`;
+    this.aiPolicyRowsEl.innerHTML = rows.map(([label, value]) => `
+      <div class="ai-policy-row">
+        <span class="ai-policy-label">${label}</span>
+        <span class="ai-policy-value">${this.escape(value)}</span>
+      </div>`).join('');
+    this.aiPolicyConflictsEl.innerHTML = policy.contradictions
+      .map((c) => `<li>${this.escape(c)}</li>`).join('');
+    this.aiPolicySectionEl.style.display = 'block';
+  }
+
+  // ---------- Structured data ----------
+
+  renderStructuredData(sd) {
+    const { SCHEMA_FORMAT_LABELS } = self.AIVisibility;
+    const MAX_BLOCKS = 6;
+    const MAX_LINES = 4;
+    const errorCount = sd.blocks.reduce((n, b) => n + b.errors.length, 0);
+    const formats = [...new Set(sd.blocks.map((b) => SCHEMA_FORMAT_LABELS[b.format]))];
+    const status = [sd.source === 'server' ? 'Server HTML' : 'Rendered page only'];
+    status.push(`${sd.blocks.length} block${sd.blocks.length === 1 ? '' : 's'} (${formats.join(', ')})`);
+    status.push(errorCount > 0 ? `${errorCount} error${errorCount === 1 ? '' : 's'}` : 'no errors');
+    if (sd.score != null) status.push(`score ${sd.score}`);
+    this.schemaStatusEl.textContent = status.join(' · ');
+
+    const rows = sd.blocks.slice(0, MAX_BLOCKS).map((b) => {
+      const dot = b.errors.length > 0 ? 'bad' : b.warnings.length > 0 ? 'warn' : b.score != null ? 'good' : 'unknown';
+      const lines = [
+        ...b.errors.map((e) => `<li>${this.escape(e.path ? `${e.path}: ${e.message}` : e.message)}</li>`),
+        ...b.warnings.map((w) => `<li class="warning">${this.escape(`${w.path}: ${w.message}`)}</li>`)
+      ];
+      const more = lines.length > MAX_LINES ? `<li class="schema-more">+${lines.length - MAX_LINES} more</li>` : '';
+      return `
+        <div class="schema-block">
+          <div class="schema-head"${b.score == null ? ' data-tooltip="No validation rules for these types"' : ''}>
+            <span class="bot-probe-dot ${dot}"></span>
+            <span class="schema-types">${this.escape(b.types.join(', ') || 'Block ' + (b.index + 1))} <span class="schema-format">· ${SCHEMA_FORMAT_LABELS[b.format]}</span></span>
+            <span class="schema-score">${b.score == null ? '—' : b.score}</span>
+          </div>
+          ${lines.length > 0 ? `<ul class="schema-errors">${lines.slice(0, MAX_LINES).join('')}${more}</ul>` : ''}
+        </div>`;
+    });
+    if (sd.blocks.length > MAX_BLOCKS) {
+      rows.push(`<div class="schema-more">+${sd.blocks.length - MAX_BLOCKS} more blocks</div>`);
+    }
+    this.schemaBlocksEl.innerHTML = rows.join('');
+    this.schemaConflictsEl.innerHTML = (sd.conflicts || []).map((c) => `<li>${this.escape(
+      `${c.type} ${c.property}: ${c.values.map((v) => `${v.value} (${SCHEMA_FORMAT_LABELS[v.format]})`).join(' vs ')}`
+    )}</li>`).join('');
+    this.schemaSectionEl.style.display = 'block';
+  }
+
+  // ---------- hreflang ----------
+
+  renderHreflang(hreflang, server) {
+    const MAX_ROWS = 8;
+    let pageHost = null;
+    try { pageHost = new URL(server.finalUrl).host; } catch (_) { /* hosts shown on every row */ }
+    const SOURCE_LABELS = { header: 'Link header', server: 'HTML', rendered: 'JS', sitemap: 'sitemap' };
+    const codes = new Set(hreflang.entries.map((e) => e.hreflang.toLowerCase()));
+    const status = [`${codes.size} language code${codes.size === 1 ? '' : 's'}`];
+    status.push(hreflang.xDefault ? 'x-default set' : 'no x-default');
+    if (hreflang.jsOnly > 0) status.push(`${hreflang.jsOnly} only after JS`);
+    if (!hreflang.selfReferenced) status.push('this page not listed');
+    this.hreflangStatusEl.textContent = status.join(' · ');
+
+    const checks = new Map(hreflang.alternates.map((a) => [a.url, a]));
+    const rows = hreflang.entries.slice(0, MAX_ROWS).map((e) => {
+      const alt = checks.get(e.href);
+      const jsOnly = e.sources.length === 1 && e.sources[0] === 'rendered';
+      let dot = 'unknown';
+      const tip = [e.href];
+      if (e.error) {
+        dot = 'bad';
+        tip.push(e.error);
+      } else if (alt && !alt.ok) {
+        dot = 'bad';
+        tip.push(`Doesn’t load (${alt.error || 'no response'})`);
+      } else if (alt && alt.linksBack === false) {
+        dot = 'bad';
+        tip.push('Doesn’t link back to this page');
+      } else if (jsOnly) {
+        dot = 'warn';
+        tip.push('Only in the rendered page — crawlers without JavaScript miss it');
+      } else if (alt || hreflang.selfReferenced) {
+        dot = 'good';
+        if (alt) tip.push('Links back to this page');
+      }
+      let path = e.href;
+      try {
+        const u = new URL(e.href);
+        path = u.host === pageHost ? u.pathname + u.search : u.host + u.pathname;
+      } catch (_) { /* show the full URL */ }
+      return `
+        <div class="hreflang-row" data-tooltip="${this.escape(tip.join('\n'))}">
+          <span class="bot-probe-dot ${dot}"></span>
+          <span class="hreflang-code">${this.escape(e.hreflang)}</span>
+          <span class="hreflang-url">${this.escape(path)}</span>
+          <span class="hreflang-sources">${e.sources.map((s) => SOURCE_LABELS[s]).join(', ')}</span>
+        </div>`;
+    });
+    if (hreflang.entries.length > MAX_ROWS) {
+      rows.push(`<div class="hreflang-more">+${hreflang.entries.length - MAX_ROWS} more</div>`);
+    }
+    this.hreflangRowsEl.innerHTML = rows.join('');
+    this.hreflangSectionEl.style.display = 'block';
+  }
+
+  // ---------- Social tags ----------
+
+  renderSocialMeta(social) {
+    const LABELS = { title: '<title>', description: 'meta description', canonical: 'canonical' };
+    const label = (name) => LABELS[name] || name;
+    const REQUIRED = ['og:title', 'og:description', 'og:image', 'twitter:card'];
+    const side = social.source === 'server' ? 'server' : 'rendered';
+    const present = social.tags.filter((t) => REQUIRED.includes(t.name) && t[side]).length;
+    const status = [social.source === 'server' ? 'Server HTML' : 'Rendered page only', `${present} of ${REQUIRED.length} required tags`];
+    if (social.image) status.push(social.image.ok ? 'og:image loads' : 'og:image broken');
+    this.socialStatusEl.textContent = status.join(' · ');
+
+    const mismatched = new Map();
+    for (const m of social.mismatches) {
+      mismatched.set(m.a, `Differs from ${label(m.b)}: ${m.bValue}`);
+      if (!mismatched.has(m.b)) mismatched.set(m.b, `Differs from ${label(m.a)}: ${m.aValue}`);
+    }
+    const rows = social.tags
+      .filter((t) => t[side] || t.rendered || social.missing.includes(t.name))
+      .map((t) => {
+        const value = t[side] || t.rendered;
+        const tip = [];
+        let dot = 'good';
+        let note = '';
+        if (!value) {
+          dot = 'bad';
+          note = 'missing';
+        } else if (social.added.includes(t.name)) {
+          dot = 'warn';
+          note = 'JS only';
+          tip.push('Only in the rendered page — crawlers without JavaScript miss it');
+        } else if (social.changed.includes(t.name)) {
+          dot = 'warn';
+          note = 'changed by JS';
+          tip.push(`JavaScript changes it to: ${t.rendered}`);
+        }
+        if (t.name === 'og:image' && social.image) {
+          if (!social.image.ok) {
+            dot = 'bad';
+            note = social.image.status && social.image.status !== 200 ? `HTTP ${social.image.status}` : social.image.error ? 'doesn’t load' : 'not an image';
+          }
+          tip.unshift(social.image.url);
+        }
+        if (mismatched.has(t.name)) {
+          if (dot === 'good') dot = 'warn';
+          tip.push(mismatched.get(t.name));
+        }
+        return `
+        <div class="social-row"${tip.length > 0 ? ` data-tooltip="${this.escape(tip.join('\n'))}"` : ''}>
+          <span class="bot-probe-dot ${dot}"></span>
+          <span class="social-name">${this.escape(label(t.name))}</span>
+          <span class="social-value">${this.escape(value || '—')}</span>
+          <span class="social-note">${this.escape(note)}</span>
+        </div>`;
+      });
+    this.socialRowsEl.innerHTML = rows.join('');
+    this.socialSectionEl.style.display = 'block';
+  }
+
   // ---------- Bot probes (V2) ----------
 
   renderBotProbes(probes, server) {
@@ -640,6 +1294,44 @@ class PopupManager {
     this.botProbesSectionEl.style.display = 'block';
   }
 
+  // ---------- HTML arrival timeline ----------
+
+  // How much of the raw HTML (bytes + visible text) had arrived at each
+  // checkpoint. Bars are relative to the final text; checkpoints past the
+  // crawler budget are greyed — that's the content a crawler never reads.
+  renderTimeline(timeline, timedOut) {
+    if (!this.timelineSectionEl || !timeline.checkpoints || timeline.checkpoints.length === 0) return;
+    const finalText = Math.max(1, ...timeline.checkpoints.map((c) => c.textLength));
+    const fmtAt = (ms) => (ms < 1000 ? `${ms}ms` : `${ms / 1000}s`);
+    const fmtBytes = (b) => (b < 1024 ? `${b} B` : `${Math.round(b / 1024)} KB`);
+
+    this.timelineListEl.innerHTML = timeline.checkpoints.map((c) => {
+      const pct = Math.round((c.textLength / finalText) * 100);
+      const cls = c.ms === timeline.budgetMs ? 'budget' : (c.ms > timeline.budgetMs ? 'late' : '');
+      return `
+        <div class="timeline-row ${cls}">
+          <span class="tl-at">${fmtAt(c.ms)}</span>
+          <div class="tl-track"><div class="tl-fill" style="width:${pct}%"></div></div>
+          <span class="tl-val">${fmtBytes(c.bytes)} · ${pct}% text</span>
+        </div>`;
+    }).join('');
+
+    const parts = [];
+    if (typeof timeline.headersMs === 'number') parts.push(`First byte after ${fmtAt(timeline.headersMs)}`);
+    parts.push(timeline.completeMs == null
+      ? 'still streaming when we stopped reading'
+      : `complete after ${fmtAt(timeline.completeMs)}`);
+    let note = `${parts.join(', ')}.`;
+    if (timedOut) {
+      note += ` <strong>${fmtBytes(Math.max(0, timeline.totalBytes - timeline.budgetBytes))} arrived after the ${fmtAt(timeline.budgetMs)} budget</strong>`;
+      note += timeline.lateHeadings && timeline.lateHeadings.length > 0
+        ? `, including ${timeline.lateHeadings.slice(0, 3).map((h) => `“${this.escape(h.text)}”`).join(', ')}.`
+        : '.';
+    }
+    this.timelineNoteEl.innerHTML = note;
+    this.timelineSectionEl.style.display = 'block';
+  }
+
   // ---------- Issues + Recs ----------
 
   renderIssues(issues) {
@@ -705,6 +1397,118 @@ class PopupManager {
     }
   }
 
+  // ---------- Watch (scheduled monitoring) ----------
+
+  async renderWatchState() {
+    if (!this.watchBtn || !this.pageUrl) return;
+    let watched = false;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_WATCHLIST', url: this.pageUrl });
+      watched = !!(response && response.success && response.watched);
+    } catch (_) { /* treat as not watched */ }
+    this.watched = watched;
+    this.watchBtnLabelEl.textContent = watched
+      ? 'Watching this page · Stop'
+      : 'Watch this page for regressions';
+    this.watchBtn.setAttribute('data-tooltip', watched
+      ? 'Re-checked on a schedule. You get a notification if it drops a visibility tier or a bot gets blocked.'
+      : 'Re-check this page on a schedule and get notified if it drops a visibility tier or a bot gets blocked.');
+    this.watchBtn.style.display = 'flex';
+  }
+
+  async handleWatchToggle() {
+    if (!this.pageUrl) return;
+    try {
+      if (this.watched) {
+        await chrome.runtime.sendMessage({ type: 'UNWATCH_URL', url: this.pageUrl });
+      } else {
+        // The rendered snapshot is what scheduled checks score the server
+        // HTML against — the SW can't render the page itself.
+        const rendered = (this.lastResults && this.lastResults.server && this.lastResults.server.rendered) || null;
+        await chrome.runtime.sendMessage({
+          type: 'WATCH_URL',
+          url: this.pageUrl,
+          baseline: rendered ? { text: rendered.text, textLength: rendered.textLength } : null
+        });
+      }
+    } catch (error) {
+      console.error('Failed to update watchlist:', error);
+    }
+    this.renderWatchState();
+  }
+
+  // Seed the crawl dashboard with the sitemaps this analysis already found
+  // (robots.txt Sitemap: lines, plus /sitemap.xml if it exists).
+  // Sitemaps the analysis found — declared in robots.txt or at /sitemap.xml.
+  sitemapSeeds(origin) {
+    const r = this.lastResults || {};
+    const sitemaps = [...((r.crawlers && r.crawlers.sitemapEntries) || [])];
+    if (sitemaps.length === 0 && r.aiSearchFiles && r.aiSearchFiles.sitemapPresent) sitemaps.push(`${origin}/sitemap.xml`);
+    return [...new Set(sitemaps)];
+  }
+
+  async handleSiteCrawl() {
+    let origin;
+    try { origin = new URL(this.pageUrl).origin; } catch (_) { return; }
+    try {
+      await chrome.storage.session.set({
+        'site-crawl:seed': { origin, sitemaps: this.sitemapSeeds(origin) }
+      });
+      await chrome.tabs.create({ url: chrome.runtime.getURL('site-crawl.html') });
+      window.close();
+    } catch (error) {
+      console.error('Failed to open site crawl:', error);
+    }
+  }
+
+  async handleLlmsGenerator() {
+    let origin;
+    try { origin = new URL(this.pageUrl).origin; } catch (_) { return; }
+    try {
+      await chrome.storage.session.set({
+        'llms-generator:seed': { origin, sitemaps: this.sitemapSeeds(origin) }
+      });
+      await chrome.tabs.create({ url: chrome.runtime.getURL('llms-generator.html') });
+      window.close();
+    } catch (error) {
+      console.error('Failed to open llms.txt generator:', error);
+    }
+  }
+
+  async handleSchemaInspector() {
+    const results = this.lastResults || {};
+    const server = (results.server && results.server.structuredData) || {};
+    const sd = results.structuredData || {};
+    try {
+      await chrome.storage.session.set({
+        'schema-inspector:seed': {
+          url: this.pageUrl,
+          server: server.entities || [],
+          rendered: sd.renderedEntities || [],
+          conflicts: sd.conflicts || []
+        }
+      });
+      await chrome.tabs.create({ url: chrome.runtime.getURL('schema-inspector.html') });
+      window.close();
+    } catch (error) {
+      console.error('Failed to open structured data inspector:', error);
+    }
+  }
+
+  async handleRobotsPolicy() {
+    let url;
+    try { url = new URL(this.pageUrl); } catch (_) { return; }
+    try {
+      await chrome.storage.session.set({
+        'robots-policy:seed': { origin: url.origin, path: url.pathname + url.search }
+      });
+      await chrome.tabs.create({ url: chrome.runtime.getURL('robots-policy.html') });
+      window.close();
+    } catch (error) {
+      console.error('Failed to open robots.txt policy generator:', error);
+    }
+  }
+
   // ---------- utilities ----------
 
   escape(s) {
@@ -77,6 +77,10 @@
     structuredData: 'Structured data',
     robotsRestrictions: 'Robots OK'
   };
+  // From shared.js, which report.html loads first (required under Node).
+  var AIV = typeof self !== 'undefined' && self.AIVisibility ? self.AIVisibility : require('./shared.js');
+  var HEADER_AUDIT_FIXES = AIV.HEADER_AUDIT_FIXES;
+  var TDM_SOURCE_LABELS = AIV.TDM_SOURCE_LABELS;
   var BD_ORDER = ['serverVisibility', 'crawlerAccess', 'structuredData', 'robotsRestrictions'];
 
   function classForScore(v) {
@@ -149,13 +153,190 @@
     }
     // Probe toggle off — fall back to a robots.txt-based summary.
     var c = r.crawlers || {};
-    if (!c.fetched) return 'robots.txt was unreachable, so crawler access could not be confirmed.';
+    if (c.availability === 'unreachable') return 'robots.txt was <strong>unreachable</strong>, so crawlers treat every URL on the site as disallowed.';
+    if (!c.fetched && !c.availability) return 'robots.txt was unreachable, so crawler access could not be confirmed.';
     var bots = c.bots || [];
     var blockedBots = bots.filter(function (b) { return b.status === 'blocked'; });
     if (!blockedBots.length) return 'All major AI crawlers are <strong>allowed</strong> by robots.txt.';
     return blockedBots.length + ' of ' + bots.length + ' AI crawlers are <strong>blocked</strong> by robots.txt.';
   }
 
+  function fmtAt(ms) { return ms < 1000 ? ms + 'ms' : (ms / 1000) + 's'; }
+  function fmtBytes(b) { return b < 1024 ? b + ' B' : Math.round(b / 1024) + ' KB'; }
+  // Prose under the arrival timeline: when the HTML finished, and what
+  // arrived after the crawler budget.
+  function timelineNote(s) {
+    var t = s.timeline;
+    var note = typeof t.headersMs === 'number' ? 'First byte after ' + fmtAt(t.headersMs) + ', ' : '';
+    note += t.completeMs == null ? 'still streaming when we stopped reading.' : 'complete after ' + fmtAt(t.completeMs) + '.';
+    if (!s.timedOut) return note.charAt(0).toUpperCase() + note.slice(1);
+    note += ' <strong>' + fmtBytes(Math.max(0, t.totalBytes - t.budgetBytes)) + ' arrived after the ' + fmtAt(t.budgetMs) + ' budget</strong>';
+    var heads = (t.lateHeadings || []).slice(0, 5).map(function (h) { return '&ldquo;' + esc(h.text) + '&rdquo;'; });
+    return note + (heads.length ? ', including ' + heads.join(', ') + '.' : '.');
+  }
+
+  // One row per AI usage signal.
+  var POLICY_VERDICT = {
+    opted_out: 'Opted out of AI use',
+    mixed: 'Partly opted out of AI use',
+    open: 'No AI opt-out signals'
+  };
+  function policyRows(p) {
+    var rb = p.robots || {}, tdm = p.tdm || {}, ai = p.aiTxt || {}, noai = p.noai || [];
+    var allowed = rb.trainingAllowed || [], blocked = rb.trainingBlocked || [];
+    var robots = blocked.length && allowed.length ? 'Blocks ' + joinNames(blocked) + ', allows ' + joinNames(allowed)
+      : blocked.length ? 'Blocks every training crawler'
+      : allowed.length ? 'Allows every training crawler' : 'No training crawlers listed';
+    var tdmText = tdm.reserved == null ? 'Not declared'
+      : (tdm.reserved ? 'Reserved' : 'Not reserved') + ' via ' + (TDM_SOURCE_LABELS[tdm.source] || tdm.source)
+        + (tdm.policy ? ' (policy ' + tdm.policy + ')' : '');
+    var aiText = !ai.present ? 'Not found'
+      : (ai.blocked || []).length ? 'Disallows ' + joinNames(ai.blocked) : 'Allows this page';
+    return [
+      { name: 'robots.txt', value: robots, set: blocked.length > 0 },
+      { name: 'TDM reservation', value: tdmText, set: tdm.reserved === true },
+      { name: 'ai.txt', value: aiText, set: (ai.blocked || []).length > 0 },
+      { name: 'noai meta', value: noai.length ? 'Set for ' + joinNames(noai) : 'Not set', set: noai.length > 0 }
+    ];
+  }
+
+  // Sitemap findings, one row per check; `bad` rows get the amber dot.
+  function sitemapRows(sm) {
+    var n = function (c, w) { return c.toLocaleString() + ' ' + w + (c === 1 ? '' : 's'); };
+    var failed = sm.files.filter(function (f) { return !f.ok || f.malformed || f.oversize; });
+    var lm = sm.lastmod || {};
+    var lmProblems = [];
+    if (lm.invalid) lmProblems.push(n(lm.invalid, 'value') + ' not W3C Datetime');
+    if (lm.future) lmProblems.push(n(lm.future, 'date') + ' in the future');
+    if (lm.uniform) lmProblems.push('every URL has the same date');
+    var listed = sm.pageListed === 'page' ? 'Listed'
+      : sm.pageListed === 'canonical' ? 'Listed by its canonical URL'
+      : sm.complete ? 'Not listed' : 'Not in the part read';
+    var sampled = [];
+    if (sm.redirecting.length) sampled.push(sm.redirecting.length + ' redirect');
+    if (sm.broken.length) sampled.push(sm.broken.length + ' don\u2019t load');
+    return [
+      {
+        name: 'Files',
+        value: n(sm.files.length, 'file') + ', ' + n(sm.urlCount, 'URL') + (sm.complete ? '' : ' (read in part)')
+          + (failed.length ? ' \u00b7 ' + failed.map(function (f) {
+            return f.url + (f.error ? ' (' + f.error + ')' : f.malformed ? ' (malformed XML)' : ' (over the size limit)');
+          }).join(', ') : ''),
+        bad: failed.length > 0
+      },
+      { name: 'This page', value: listed + (sm.pageLastmod ? ', lastmod ' + sm.pageLastmod : ''), bad: sm.complete && sm.urlCount > 0 && !sm.pageListed },
+      {
+        name: 'lastmod',
+        value: lm.withLastmod ? 'On ' + lm.withLastmod.toLocaleString() + ' of ' + n(lm.total, 'URL')
+          + (lm.newest ? ', newest ' + lm.newest.slice(0, 10) : '')
+          + (lm.stale ? ', ' + lm.stale.toLocaleString() + ' older than a year' : '')
+          + (lmProblems.length ? ' \u00b7 ' + lmProblems.join(', ') : '')
+          : 'Not set',
+        bad: lmProblems.length > 0
+      },
+      { name: 'Sampled URLs', value: sm.linksChecked + ' checked' + (sampled.length ? ', ' + sampled.join(', ') : ', all load directly'), bad: sampled.length > 0 },
+      {
+        name: 'robots.txt',
+        value: sm.robotsBlocked.length
+          ? sm.robotsBlocked.length + ' of ' + sm.robotsChecked + ' sampled URLs disallowed for AI crawlers'
+          : 'No sampled URL is disallowed',
+        bad: sm.robotsBlocked.length > 0
+      }
+    ];
+  }
+
+  // One row per block (a JSON-LD script or a microdata/RDFa item) with its
+  // errors; warnings (missing recommended properties) are only counted.
+  // Values that disagree between syntaxes follow as `bad` rows.
+  var SCHEMA_FORMAT = { 'json-ld': 'JSON-LD', microdata: 'Microdata', rdfa: 'RDFa' };
+  function schemaRows(sd) {
+    var rows = sd.blocks.map(function (b) {
+      var parts = [b.score == null ? 'Not validated' : 'Score ' + b.score];
+      if (b.errors.length) {
+        parts.push(b.errors.map(function (e) { return e.path ? e.path + ': ' + e.message : e.message; }).join('; '));
+      }
+      if (b.warnings.length) parts.push(b.warnings.length + ' recommended propert' + (b.warnings.length === 1 ? 'y' : 'ies') + ' missing');
+      var name = (b.types.join(', ') || 'Block ' + (b.index + 1)) + ' \u00b7 ' + SCHEMA_FORMAT[b.format];
+      return { name: name, value: parts.join(' \u00b7 '), bad: b.errors.length > 0 };
+    });
+    (sd.conflicts || []).forEach(function (c) {
+      rows.push({
+        name: c.type + ' ' + c.property,
+        value: 'Conflict: ' + c.values.map(function (v) { return v.value + ' in ' + SCHEMA_FORMAT[v.format]; }).join(', '),
+        bad: true
+      });
+    });
+    return rows;
+  }
+
+  // " · Next.js, static (SSG)" after the profile name, or nothing when the
+  // rendering mode is unknown (server HTML not fetched).
+  var FRAMEWORK_NAMES = {
+    nextjs: 'Next.js', nuxt: 'Nuxt', remix: 'Remix', gatsby: 'Gatsby', astro: 'Astro',
+    sveltekit: 'SvelteKit', qwik: 'Qwik', solidstart: 'SolidStart', ember: 'Ember',
+    preact: 'Preact', react: 'React', vue: 'Vue', angular: 'Angular', svelte: 'Svelte'
+  };
+  var RENDERING_MODES = {
+    ssr: 'server-rendered (SSR)', ssg: 'static (SSG)', isr: 'static, revalidated (ISR)',
+    csr: 'client-rendered (CSR)', islands: 'static with islands'
+  };
+  function renderingNote(r) {
+    var rendering = r.details && r.details.rendering;
+    if (!rendering || !RENDERING_MODES[rendering.mode]) return '';
+    var stack = rendering.framework ? FRAMEWORK_NAMES[rendering.framework] + ', ' : '';
+    return ' &middot; ' + esc(stack + RENDERING_MODES[rendering.mode]);
+  }
+
+  // One row per tag present on either side or required; `bad` rows are
+  // missing, JS-only, changed by JavaScript, mismatched or (og:image) don't
+  // load. The value is what crawlers get.
+  var SOCIAL_LABELS = { title: '<title>', description: 'Meta description', canonical: 'canonical' };
+  function socialRows(s) {
+    var side = s.source === 'server' ? 'server' : 'rendered';
+    var label = function (name) { return SOCIAL_LABELS[name] || name; };
+    return s.tags.filter(function (t) {
+      return t[side] || t.rendered || s.missing.indexOf(t.name) !== -1;
+    }).map(function (t) {
+      var notes = [];
+      var bad = true;
+      if (!t[side] && !t.rendered) notes.push('Missing');
+      else if (s.added.indexOf(t.name) !== -1) notes.push('Only after JavaScript: ' + t.rendered);
+      else if (s.changed.indexOf(t.name) !== -1) notes.push(t[side] + ' (JavaScript changes it to ' + t.rendered + ')');
+      else { notes.push(t[side]); bad = false; }
+      if (t.name === 'og:image' && s.image && !s.image.ok) {
+        notes.push(s.image.error ? 'doesn\u2019t load (' + s.image.error + ')'
+          : s.image.status !== 200 ? 'HTTP ' + s.image.status : 'served as ' + s.image.contentType);
+        bad = true;
+      }
+      s.mismatches.forEach(function (m) {
+        if (m.a === t.name) { notes.push('differs from ' + label(m.b)); bad = true; }
+      });
+      return { name: label(t.name), value: notes.join(' \u00b7 '), bad: bad };
+    });
+  }
+
+  // One row per hreflang entry; `bad` rows (invalid code, alternate that
+  // fails or doesn't link back, JS-only) get the amber dot.
+  var HREFLANG_SOURCE = { header: 'Link header', server: 'HTML', rendered: 'JavaScript only', sitemap: 'sitemap' };
+  function hreflangRows(h) {
+    var checks = {};
+    (h.alternates || []).forEach(function (a) { checks[a.url] = a; });
+    return h.entries.map(function (e) {
+      var alt = checks[e.href];
+      var jsOnly = e.sources.length === 1 && e.sources[0] === 'rendered';
+      var problem = e.error
+        || (alt && !alt.ok ? 'doesn\u2019t load (' + (alt.error || 'no response') + ')' : '')
+        || (alt && alt.linksBack === false ? 'doesn\u2019t link back' : '');
+      var sources = jsOnly ? HREFLANG_SOURCE.rendered
+        : e.sources.filter(function (s) { return s !== 'rendered'; }).map(function (s) { return HREFLANG_SOURCE[s]; }).join(', ');
+      return {
+        name: e.hreflang,
+        value: e.href + ' \u00b7 ' + sources + (problem ? ' \u00b7 ' + problem : ''),
+        bad: !!problem || jsOnly
+      };
+    });
+  }
+
   // ---- the pure fill ----------------------------------------------------
   // Takes the template markup + { results, url } and returns filled markup.
   function fillTemplate(html, payload) {
@@ -202,24 +383,152 @@
 
     var bots = (r.crawlers && r.crawlers.bots) || [];
     html = expandBlock(html, 'crawler_dots', bots, function (b) {
-      return { DOT_CLASS: b.status === 'allowed' ? 'allowed' : b.status === 'blocked' ? 'blocked' : '' };
+      // A noindex aimed at the crawler shuts it out as surely as robots.txt.
+      var noindex = !!(b.page && b.page.noindex);
+      return { DOT_CLASS: b.status === 'blocked' || noindex ? 'blocked' : b.status === 'allowed' ? 'allowed' : '' };
     });
 
     var files = r.aiSearchFiles || {};
+    var sitemap = files.sitemap || null;
+    var sitemapFindings = sitemap ? sitemapRows(sitemap) : [];
+    var sitemapProblem = sitemapFindings.some(function (row) { return row.bad; });
+    // A malformed llms.txt or one with dead links shows as present-but-amber.
+    // Runs saved before llms.txt was validated only know it was there.
+    var llms = files.llmsTxt;
     var fileItems = [
-      { name: 'sitemap.xml', present: !!(files.sitemapPresent || files.sitemapDeclared) },
-      { name: 'llms.txt', present: !!files.llmsTxtPresent }
+      { name: 'sitemap.xml', cls: !(files.sitemapPresent || files.sitemapDeclared) ? 'absent' : sitemapProblem ? 'invalid' : 'present' },
+      { name: 'llms.txt', cls: !llms ? (files.llmsTxtPresent ? 'present' : 'absent') : llms.valid && !llms.broken ? 'present' : 'invalid' },
+      { name: 'llms-full.txt', cls: files.llmsFullTxtPresent ? 'present' : 'absent' }
     ];
     html = expandBlock(html, 'files', fileItems, function (it) {
-      return { FILE_CLASS: it.present ? 'present' : 'absent', FILE_NAME: it.name };
+      return { FILE_CLASS: it.cls, FILE_NAME: it.name };
+    });
+
+    // Appendix sections — inner rows before their section, since a section's
+    // own fill blanks any row token still left in it.
+    var server = r.server || {};
+    var timeline = server.timeline && server.timeline.checkpoints && server.timeline.checkpoints.length ? server.timeline : null;
+    if (timeline) {
+      var finalText = Math.max.apply(null, [1].concat(timeline.checkpoints.map(function (c) { return c.textLength; })));
+      html = expandBlock(html, 'timeline_rows', timeline.checkpoints, function (c) {
+        return {
+          TL_CLASS: c.ms === timeline.budgetMs ? 'budget' : c.ms > timeline.budgetMs ? 'late' : '',
+          TL_AT: fmtAt(c.ms),
+          TL_PCT: String(clampPct(Math.round((c.textLength / finalText) * 100))),
+          TL_BYTES: fmtBytes(c.bytes)
+        };
+      });
+    }
+    html = expandBlock(html, 'timeline_section', timeline ? [timeline] : [], function (t) {
+      return { TIMELINE_BUDGET: fmtAt(t.budgetMs), TIMELINE_NOTE: timelineNote(server) };
+    });
+
+    var findings = ((r.headerAudit && r.headerAudit.findings) || []).slice()
+      .sort(function (a, b) { return sevRank(a.severity) - sevRank(b.severity); });
+    html = expandBlock(html, 'header_rows', findings, function (f) {
+      var sv = SEV[f.severity] || SEV.low;
+      return {
+        HA_SEV_CLASS: sv[0],
+        HA_HEADER: esc(f.header),
+        HA_VALUE: f.value == null ? '(not sent)' : esc(f.value),
+        HA_TITLE: esc(f.message),
+        HA_IMPACT: esc(f.impact || ''),
+        HA_FIX: esc(HEADER_AUDIT_FIXES[f.type] ? HEADER_AUDIT_FIXES[f.type].action : '')
+      };
+    });
+    html = expandBlock(html, 'headers_section', findings.length ? [findings] : [], function (f) {
+      return { HEADER_FINDING_COUNT: String(f.length) };
+    });
+
+    if (sitemap) {
+      html = expandBlock(html, 'sitemap_rows', sitemapFindings, function (row) {
+        return { SM_CLASS: row.bad ? 'bad' : '', SM_NAME: row.name, SM_VALUE: esc(row.value) };
+      });
+    }
+    html = expandBlock(html, 'sitemap_section', sitemap ? [sitemap] : [], function () {
+      return { SITEMAP_VERDICT: sitemapProblem ? 'Needs attention' : 'No problems found' };
+    });
+
+    var schema = r.structuredData || null;
+    if (schema) {
+      html = expandBlock(html, 'schema_rows', schemaRows(schema), function (row) {
+        return { SD_CLASS: row.bad ? 'bad' : '', SD_NAME: esc(row.name), SD_VALUE: esc(row.value) };
+      });
+    }
+    html = expandBlock(html, 'schema_section', schema ? [schema] : [], function (sd) {
+      var errors = sd.blocks.reduce(function (n, b) { return n + b.errors.length; }, 0);
+      var conflicts = (sd.conflicts || []).length;
+      var verdict = [];
+      if (errors) verdict.push(errors + ' error' + (errors === 1 ? '' : 's'));
+      if (conflicts) verdict.push(conflicts + ' conflict' + (conflicts === 1 ? '' : 's'));
+      return {
+        SCHEMA_VERDICT: verdict.length ? verdict.join(', ') : 'No errors',
+        SCHEMA_NOTE: (sd.source === 'server' ? 'Markup in the server HTML' : '<strong>Only in the rendered page.</strong> Crawlers that don\u2019t run JavaScript see none of it')
+          + (sd.score != null ? ' \u00b7 validation score ' + sd.score + '/100.' : '.')
+      };
+    });
+
+    var hreflang = r.hreflang || null;
+    var hreflangFindings = hreflang ? hreflangRows(hreflang) : [];
+    if (hreflang) {
+      html = expandBlock(html, 'hreflang_rows', hreflangFindings, function (row) {
+        return { HL_CLASS: row.bad ? 'bad' : '', HL_NAME: esc(row.name), HL_VALUE: esc(row.value) };
+      });
+    }
+    html = expandBlock(html, 'hreflang_section', hreflang ? [hreflang] : [], function (h) {
+      var missing = [];
+      if (!h.xDefault) missing.push('No x-default');
+      if (!h.selfReferenced) missing.push('This page isn\u2019t in its own set');
+      var bad = missing.length > 0 || hreflangFindings.some(function (row) { return row.bad; });
+      return {
+        HREFLANG_VERDICT: bad ? 'Needs attention' : 'No problems found',
+        HREFLANG_NOTE: (missing.length ? '<strong>' + esc(missing.join('. ')) + '.</strong> ' : '')
+          + (h.alternates || []).length + ' alternate' + ((h.alternates || []).length === 1 ? '' : 's') + ' fetched to check return links'
+          + (h.unchecked ? ', ' + h.unchecked + ' not checked.' : '.')
+      };
+    });
+
+    var social = r.socialMeta || null;
+    var socialFindings = social ? socialRows(social) : [];
+    if (social) {
+      html = expandBlock(html, 'social_rows', socialFindings, function (row) {
+        return { SM_CLASS: row.bad ? 'bad' : '', SM_NAME: esc(row.name), SM_VALUE: esc(row.value) };
+      });
+    }
+    html = expandBlock(html, 'social_section', social ? [social] : [], function (s) {
+      var problems = socialFindings.filter(function (row) { return row.bad; }).length;
+      return {
+        SOCIAL_VERDICT: problems ? problems + ' need' + (problems === 1 ? 's' : '') + ' attention' : 'No problems found',
+        SOCIAL_NOTE: (s.source === 'server' ? 'Values from the server HTML' : '<strong>Server HTML unavailable.</strong> Values from the rendered page')
+          + (s.image ? ' \u00b7 og:image ' + (s.image.ok ? 'loads (' + esc(s.image.contentType || 'unknown type') + ').' : 'doesn\u2019t load.') : '.')
+      };
+    });
+
+    var policy = r.aiPolicy || null;
+    if (policy) {
+      html = expandBlock(html, 'policy_rows', policyRows(policy), function (row) {
+        return { AP_CLASS: row.set ? 'set' : '', AP_NAME: row.name, AP_VALUE: esc(row.value) };
+      });
+    }
+    html = expandBlock(html, 'policy_section', policy ? [policy] : [], function (p) {
+      var conflicts = p.contradictions || [];
+      return {
+        POLICY_VERDICT: POLICY_VERDICT[p.verdict] || '',
+        POLICY_NOTE: conflicts.length
+          ? '<strong>Signals disagree.</strong> ' + conflicts.map(esc).join(' ')
+          : 'Every signal that is present agrees.'
+      };
     });
 
     var allowedCount = bots.filter(function (b) { return b.status === 'allowed'; }).length;
 
-    // Scalars last.
-    return fillTokens(html, {
+    // Scalars last. The appendix sheet is dropped entirely when none of its
+    // sections have anything to show.
+    var scalars = {
       PAGE_URL: esc(pathOf(url)),
       DATE: formatDate(r.timestamp),
+      PROFILE_NAME: esc((r.profile && r.profile.name) || 'Default'),
+      RENDERING_NOTE: renderingNote(r),
       SEGMENT_CLASS: seg[0],
       VISIBILITY_PCT: esc(visibilityValue(r)),
       SEGMENT_LABEL: esc(seg[1]),
@@ -230,7 +539,10 @@
       CRAWLER_TOTAL: String(bots.length || 12),
       CRAWLER_NOTE: crawlerNote(r),
       CTA_URL: esc(ctaUrl)
-    });
+    };
+    var appendix = [timeline, findings.length ? findings : null, sitemap, schema, hreflang, social, policy].filter(Boolean);
+    html = expandBlock(html, 'appendix', appendix.length ? [scalars] : [], function (m) { return m; });
+    return fillTokens(html, scalars);
   }
 
   // Node export — lets the mapping be verified headlessly.
@@ -252,7 +564,7 @@
   }
 
   function render(payload) {
-    var root = document.querySelector('.sheet');
+    var root = document.querySelector('.sheets');
     if (!root) return;
     root.innerHTML = fillTemplate(root.innerHTML, payload);
     var host = hostOf((payload && payload.url) || '');
@@ -0,0 +1,395 @@
+// AI Search Visibility Checker — robots.txt Policy Generator
+//
+// Builds a ready-to-paste robots.txt that sets per-crawler rules for every bot
+// in AI_CRAWLERS while leaving the rest of the live file alone. Each bot is
+// either allowed with Disallow exceptions or blocked with Allow exceptions;
+// the output is parsed back and run through checkAIBotAccess so what we show
+// as "verified" is what the popup's own matcher would conclude.
+//
+// Opened from the popup with a seed in chrome.storage.session
+// (`robots-policy:seed` → { origin, path }); the live robots.txt is fetched
+// through the service worker (FETCH_ROBOTS_TEXT) when the page opens.
+
+const SEED_KEY = 'robots-policy:seed';
+
+const { AI_CRAWLERS, parseRobots, checkAIBotAccess, matchesRobotsPattern, robotsProductToken } = self.AIVisibility;
+
+const PRESETS = [
+  { key: 'current', label: 'Keep current' },
+  { key: 'search',  label: 'Allow AI search, block training' },
+  { key: 'allow',   label: 'Allow all' },
+  { key: 'block',   label: 'Block all' }
+];
+const ROLE_LABELS = { training: 'Training', search: 'Search', user: 'User fetch' };
+
+// Marks the section we append so a regenerated file replaces it instead of
+// stacking a second copy under it.
+const SECTION_HEADER = '# AI crawlers';
+
+// The line diff is an O(n·m) LCS table — past this many cells we show the
+// output without a diff rather than stall the page.
+const DIFF_MAX_CELLS = 1000000;
+const DIFF_CONTEXT_LINES = 3;
+
+class RobotsPolicyPage {
+  constructor() {
+    this.originEl = document.getElementById('policy-origin');
+    this.presetsEl = document.getElementById('presets');
+    this.botRowsEl = document.getElementById('bot-rows');
+    this.verificationEl = document.getElementById('verification');
+    this.outputEl = document.getElementById('output');
+    this.outputNoteEl = document.getElementById('output-note');
+    this.diffEl = document.getElementById('diff');
+    this.copyBtn = document.getElementById('copy-btn');
+    this.downloadBtn = document.getElementById('download-btn');
+
+    this.choices = new Map();
+    this.output = '';
+    this.init();
+  }
+
+  async init() {
+    let seed = null;
+    try {
+      const obj = await chrome.storage.session.get(SEED_KEY);
+      seed = obj[SEED_KEY] || null;
+    } catch (_) { /* no seed — start from an empty file */ }
+
+    this.origin = (seed && seed.origin) || null;
+    this.path = (seed && seed.path) || '/';
+    const robots = this.origin ? await this.fetchLive(this.origin) : { availability: null, text: '' };
+    this.liveText = robots.text;
+    this.live = parseRobots(this.liveText);
+
+    this.originEl.textContent = !this.origin
+      ? 'Open the extension on a page of the site to start from its robots.txt.'
+      : robots.availability === 'available'
+        ? `${this.origin}/robots.txt`
+        : robots.availability === 'unavailable'
+          ? `${this.origin} has no robots.txt — the output is a new file.`
+          : `Couldn’t load ${this.origin}/robots.txt — the output is a new file.`;
+
+    this.presetsEl.innerHTML = PRESETS.map((p) => `
+      <button class="btn" type="button" data-preset="${p.key}">${this.escape(p.label)}</button>`).join('');
+    this.presetsEl.querySelectorAll('button[data-preset]').forEach((btn) => {
+      btn.addEventListener('click', () => this.applyPreset(btn.getAttribute('data-preset')));
+    });
+    this.botRowsEl.addEventListener('change', (e) => this.readRow(e.target));
+    this.copyBtn.addEventListener('click', () => this.copy());
+    this.downloadBtn.addEventListener('click', () => this.download());
+
+    this.applyPreset('current');
+  }
+
+  async fetchLive(origin) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'FETCH_ROBOTS_TEXT', origin });
+      if (response && response.success) return { availability: response.availability, text: response.text };
+    } catch (_) { /* treated as unreachable */ }
+    return { availability: 'unreachable', text: '' };
+  }
+
+  // ---------- choices ----------
+
+  applyPreset(key) {
+    const siteDisallows = this.wildcardDisallows();
+    for (const bot of AI_CRAWLERS) {
+      let choice;
+      if (key === 'current') choice = this.currentChoice(bot.name);
+      else {
+        const allow = key === 'allow' || (key === 'search' && bot.role !== 'training');
+        // Allowed bots keep the site's own Disallow hygiene (/admin, /cart…).
+        choice = allow ? { mode: 'allow', exceptions: siteDisallows } : { mode: 'block', exceptions: [] };
+      }
+      this.choices.set(bot.name, choice);
+    }
+    this.presetsEl.querySelectorAll('button[data-preset]').forEach((btn) => {
+      btn.classList.toggle('active', btn.getAttribute('data-preset') === key);
+    });
+    this.renderRows();
+    this.update();
+  }
+
+  // What the live file does for this bot: its mode at '/', plus the rules of
+  // its matched (merged) groups that carve out the opposite. `rules` keeps
+  // those groups' full rule lists, written out as-is until the row is edited,
+  // since mode + exceptions can't express nested carve-outs (a Disallow
+  // inside an Allow inside a Disallow).
+  currentChoice(name) {
+    const access = checkAIBotAccess(this.live, name, '/');
+    const mode = access.status === 'blocked' ? 'block' : 'allow';
+    const carveType = mode === 'allow' ? 'disallow' : 'allow';
+    const rules = access.groupIndexes
+      .flatMap((i) => this.live.groups[i].rules)
+      .map((r) => ({ type: r.type, value: r.value }));
+    const exceptions = rules.filter((r) => r.type === carveType).map((r) => r.value);
+    return { mode, exceptions: this.normalizePaths(exceptions), rules: rules.length > 0 ? rules : null };
+  }
+
+  wildcardDisallows() {
+    const rules = this.live.groups
+      .filter((g) => g.userAgents.some((ua) => ua === '*'))
+      .flatMap((g) => g.rules);
+    return this.normalizePaths(rules.filter((r) => r.type === 'disallow').map((r) => r.value));
+  }
+
+  // Exceptions must be path patterns; a bare '/' would cancel the mode itself.
+  normalizePaths(values) {
+    const paths = values
+      .map((v) => v.trim())
+      .filter((v) => v && v !== '/' && (v[0] === '/' || v[0] === '*'));
+    return [...new Set(paths)];
+  }
+
+  readRow(target) {
+    const row = target.closest('tr[data-bot]');
+    if (!row) return;
+    const name = row.getAttribute('data-bot');
+    const mode = row.querySelector('select').value;
+    const exceptions = this.normalizePaths(row.querySelector('input').value.split(/\s+/));
+    this.choices.set(name, { mode, exceptions });
+    this.presetsEl.querySelectorAll('button[data-preset]').forEach((btn) => btn.classList.remove('active'));
+    this.update();
+  }
+
+  renderRows() {
+    this.botRowsEl.innerHTML = AI_CRAWLERS.map((bot) => {
+      const choice = this.choices.get(bot.name);
+      return `
+        <tr data-bot="${this.escape(bot.name)}">
+          <td class="bot-name">${this.escape(bot.name)} <span class="muted">${this.escape(bot.vendor)}</span></td>
+          <td><span class="chip ${bot.role}" title="${this.escape(bot.purpose)}">${ROLE_LABELS[bot.role] || bot.role}</span></td>
+          <td>
+            <select>
+              <option value="allow"${choice.mode === 'allow' ? ' selected' : ''}>Allow</option>
+              <option value="block"${choice.mode === 'block' ? ' selected' : ''}>Block</option>
+            </select>
+          </td>
+          <td><input type="text" spellcheck="false" value="${this.escape(choice.exceptions.join(' '))}" placeholder="${choice.mode === 'allow' ? '/private/' : '/blog/'}"${choice.rules ? ' title="The live rules are kept as they are until you edit this row."' : ''}></td>
+        </tr>`;
+    }).join('');
+  }
+
+  // ---------- output ----------
+
+  update() {
+    this.output = this.buildOutput();
+    this.outputEl.textContent = this.output;
+    this.renderVerification(this.verify(this.output));
+    this.renderDiff(this.liveText, this.output);
+  }
+
+  // The live file minus every User-agent line naming an AI crawler's product
+  // token (and any group left with no other agents), followed by one group
+  // per distinct rule set.
+  buildOutput() {
+    const aiNames = new Set(AI_CRAWLERS.map((b) => robotsProductToken(b.name)));
+    const lines = this.liveText ? this.liveText.split(/\r?\n/) : [];
+    const drop = new Set();
+
+    for (const group of this.live.groups) {
+      const aiLines = group.lines.filter((_, i) => aiNames.has(robotsProductToken(group.userAgents[i])));
+      if (aiLines.length === 0) continue;
+      if (aiLines.length < group.lines.length) {
+        aiLines.forEach((l) => drop.add(l));
+        continue;
+      }
+      // Sitemap lines aren't part of the group even when they sit inside it.
+      const last = group.rules.length ? group.rules[group.rules.length - 1].line : group.lines[group.lines.length - 1];
+      for (let l = group.lines[0]; l <= last; l++) {
+        if (!/^\s*sitemap\s*:/i.test(lines[l])) drop.add(l);
+      }
+    }
+
+    const kept = [];
+    lines.forEach((line, l) => {
+      if (drop.has(l) || line.trim() === SECTION_HEADER) return;
+      // Collapse the blank runs left where groups were removed.
+      if (!line.trim() && (kept.length === 0 || !kept[kept.length - 1].trim())) return;
+      kept.push(line);
+    });
+    while (kept.length && !kept[kept.length - 1].trim()) kept.pop();
+
+    const groups = new Map();
+    for (const bot of AI_CRAWLERS) {
+      const choice = this.choices.get(bot.name);
+      const key = choice.rules
+        ? `rules ${choice.rules.map((r) => `${r.type}:${r.value}`).join(' ')}`
+        : `${choice.mode} ${choice.exceptions.join(' ')}`;
+      if (!groups.has(key)) groups.set(key, { choice, names: [] });
+      groups.get(key).names.push(bot.name);
+    }
+
+    const section = [SECTION_HEADER];
+    for (const { choice, names } of groups.values()) {
+      names.forEach((n) => section.push(`User-agent: ${n}`));
+      if (choice.rules) {
+        choice.rules.forEach((r) => section.push(`${r.type === 'allow' ? 'Allow' : 'Disallow'}: ${r.value}`.trimEnd()));
+      } else if (choice.mode === 'allow') {
+        section.push('Allow: /');
+        choice.exceptions.forEach((p) => section.push(`Disallow: ${p}`));
+      } else {
+        section.push('Disallow: /');
+        choice.exceptions.forEach((p) => section.push(`Allow: ${p}`));
+      }
+      section.push('');
+    }
+
+    return [...kept, ...(kept.length ? [''] : []), ...section].join('\n');
+  }
+
+  // ---------- verification ----------
+
+  // Re-parse the output and check each bot at '/', the page we were opened
+  // on, and a sample path for every exception. The intent is computed
+  // directly from the choice; the result comes from the shared matcher. A
+  // choice kept from the live file is instead checked against the live file
+  // itself, on a sample path for every one of its rules.
+  verify(text) {
+    const parsed = parseRobots(text);
+    return AI_CRAWLERS.map((bot) => {
+      const choice = this.choices.get(bot.name);
+      const patterns = choice.rules ? choice.rules.map((r) => r.value) : choice.exceptions;
+      const paths = [...new Set(['/', this.path, ...patterns.map((p) => this.samplePath(p))])];
+      const mismatches = [];
+      for (const path of paths) {
+        let expected;
+        if (choice.rules) {
+          expected = checkAIBotAccess(this.live, bot.name, path).status;
+        } else {
+          const excepted = choice.exceptions.some((p) => matchesRobotsPattern(path, p));
+          expected = (choice.mode === 'allow') === excepted ? 'blocked' : 'allowed';
+        }
+        const access = checkAIBotAccess(parsed, bot.name, path);
+        if (access.status !== expected) {
+          mismatches.push({ path, expected, actual: access.status, line: access.ruleLine });
+        }
+      }
+      return { name: bot.name, checked: paths.length, mismatches };
+    });
+  }
+
+  // A concrete path a pattern matches: wildcards match the empty string and
+  // the end anchor is just dropped.
+  samplePath(pattern) {
+    return pattern.replace(/\*/g, '').replace(/\$$/, '') || '/';
+  }
+
+  renderVerification(results) {
+    const failed = results.filter((r) => r.mismatches.length > 0);
+    const summary = failed.length === 0
+      ? `<span class="verify-ok">✓</span> Every crawler resolves the way you chose on the paths below.`
+      : `<span class="verify-bad">✗</span> ${failed.length} crawler${failed.length === 1 ? '' : 's'} would not get the access you chose.`;
+    const rows = results.map((r) => {
+      const detail = r.mismatches.length === 0
+        ? `<span class="muted">${r.checked} path${r.checked === 1 ? '' : 's'} checked</span>`
+        : r.mismatches.map((m) => `${this.escape(m.path)} should be ${m.expected} but is ${m.actual}${m.line != null ? ` (line ${m.line + 1})` : ''}`).join('<br>');
+      return `
+        <tr>
+          <td>${r.mismatches.length === 0 ? '<span class="verify-ok">✓</span>' : '<span class="verify-bad">✗</span>'}</td>
+          <td class="bot-name">${this.escape(r.name)}</td>
+          <td>${detail}</td>
+        </tr>`;
+    }).join('');
+    this.verificationEl.innerHTML = `
+      <p style="margin-top:0;">${summary}</p>
+      <table><tbody>${rows}</tbody></table>`;
+  }
+
+  // ---------- diff ----------
+
+  renderDiff(before, after) {
+    const a = before ? before.split(/\r?\n/) : [];
+    const b = after.split('\n');
+    if (a.length * b.length > DIFF_MAX_CELLS) {
+      this.outputNoteEl.textContent = 'The live file is too large to diff.';
+      this.diffEl.innerHTML = '<span class="diff-line skip">Diff skipped.</span>';
+      return;
+    }
+    const ops = this.lineDiff(a, b);
+    const added = ops.filter((o) => o.op === '+').length;
+    const removed = ops.filter((o) => o.op === '-').length;
+    this.outputNoteEl.textContent = added + removed === 0
+      ? 'Same as the live file.'
+      : `${added} line${added === 1 ? '' : 's'} added, ${removed} removed.`;
+
+    // Long unchanged runs collapse to a marker, keeping a few lines of context.
+    const out = [];
+    for (let i = 0; i < ops.length;) {
+      if (ops[i].op !== ' ') {
+        out.push(`<span class="diff-line ${ops[i].op === '+' ? 'add' : 'del'}">${ops[i].op} ${this.escape(ops[i].text)}</span>`);
+        i++;
+        continue;
+      }
+      let j = i;
+      while (j < ops.length && ops[j].op === ' ') j++;
+      const run = ops.slice(i, j);
+      const head = i === 0 ? 0 : DIFF_CONTEXT_LINES;
+      const tail = j === ops.length ? 0 : DIFF_CONTEXT_LINES;
+      if (run.length > head + tail + 1) {
+        run.slice(0, head).forEach((o) => out.push(`<span class="diff-line">  ${this.escape(o.text)}</span>`));
+        out.push(`<span class="diff-line skip">… ${run.length - head - tail} unchanged lines</span>`);
+        run.slice(run.length - tail).forEach((o) => out.push(`<span class="diff-line">  ${this.escape(o.text)}</span>`));
+      } else {
+        run.forEach((o) => out.push(`<span class="diff-line">  ${this.escape(o.text)}</span>`));
+      }
+      i = j;
+    }
+    this.diffEl.innerHTML = out.join('');
+  }
+
+  lineDiff(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (a[i] === b[j]) { ops.push({ op: ' ', text: a[i] }); i++; j++; }
+      else if (lcs[i + 1][j] >= lcs[i][j + 1]) ops.push({ op: '-', text: a[i++] });
+      else ops.push({ op: '+', text: b[j++] });
+    }
+    while (i < n) ops.push({ op: '-', text: a[i++] });
+    while (j < m) ops.push({ op: '+', text: b[j++] });
+    return ops;
+  }
+
+  // ---------- actions ----------
+
+  async copy() {
+    try {
+      await navigator.clipboard.writeText(this.output);
+      this.copyBtn.textContent = 'Copied';
+    } catch (_) {
+      this.copyBtn.textContent = 'Copy failed';
+    }
+    setTimeout(() => { this.copyBtn.textContent = 'Copy'; }, 1500);
+  }
+
+  download() {
+    const url = URL.createObjectURL(new Blob([this.output], { type: 'text/plain' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'robots.txt';
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  escape(s) {
+    return String(s == null ? '' : s).replace(/[<>&"']/g, (c) => (
+      { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+  }
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => new RobotsPolicyPage());
+} else {
+  new RobotsPolicyPage();
+}
@@ -0,0 +1,180 @@
+// AI Search Visibility Checker — Structured Data Inspector
+//
+// Shows every entity the content script extracted from JSON-LD, microdata
+// and RDFa, as the normalized trees validation and the conflict check work
+// on: type, syntax, @id, and each property's values with nested entities
+// expanded. Switch between the server HTML and the rendered page to see
+// what JavaScript added, and filter by syntax.
+//
+// Values that disagree between syntaxes (structuredDataConflicts) are
+// listed at the top and highlighted in the trees.
+//
+// Opened from the popup with a seed in chrome.storage.session
+// (`schema-inspector:seed` → { url, server, rendered, conflicts }).
+
+const SEED_KEY = 'schema-inspector:seed';
+
+const { SCHEMA_FORMAT_LABELS } = self.AIVisibility;
+
+const SIDES = [
+  { key: 'server', label: 'Server HTML' },
+  { key: 'rendered', label: 'Rendered page' }
+];
+
+class SchemaInspectorPage {
+  constructor() {
+    this.urlEl = document.getElementById('inspector-url');
+    this.sidesEl = document.getElementById('sides');
+    this.formatsEl = document.getElementById('formats');
+    this.conflictsEl = document.getElementById('conflicts');
+    this.entitiesEl = document.getElementById('entities');
+
+    this.side = 'server';
+    this.format = 'all';
+    this.init();
+  }
+
+  async init() {
+    let seed = null;
+    try {
+      const obj = await chrome.storage.session.get(SEED_KEY);
+      seed = obj[SEED_KEY] || null;
+    } catch (_) { /* no seed — nothing to inspect */ }
+
+    this.url = (seed && seed.url) || null;
+    this.entities = {
+      server: (seed && Array.isArray(seed.server)) ? seed.server : [],
+      rendered: (seed && Array.isArray(seed.rendered)) ? seed.rendered : []
+    };
+    this.conflicts = (seed && Array.isArray(seed.conflicts)) ? seed.conflicts : [];
+    this.urlEl.textContent = this.url || 'Run the extension on a page to inspect its structured data.';
+
+    // Start on the rendered page when the server sent nothing.
+    if (this.entities.server.length === 0 && this.entities.rendered.length > 0) this.side = 'rendered';
+    this.serverTypes = new Set(this.entities.server.map((e) => e.type));
+
+    this.sidesEl.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-side]');
+      if (btn) { this.side = btn.dataset.side; this.render(); }
+    });
+    this.formatsEl.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-format]');
+      if (btn) { this.format = btn.dataset.format; this.render(); }
+    });
+    this.entitiesEl.addEventListener('click', (e) => {
+      const link = e.target.closest('a[data-ref]');
+      if (!link) return;
+      e.preventDefault();
+      const target = this.entitiesEl.querySelector(`[data-id="${CSS.escape(link.dataset.ref)}"]`);
+      if (target) target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+
+    this.renderConflicts();
+    this.render();
+  }
+
+  // ---------- controls ----------
+
+  render() {
+    this.sidesEl.innerHTML = SIDES.map((s) => `
+      <button class="btn${s.key === this.side ? ' primary' : ''}" type="button" data-side="${s.key}">
+        ${s.label} (${this.entities[s.key].length})
+      </button>`).join('');
+
+    const list = this.entities[this.side];
+    const formats = ['all', ...Object.keys(SCHEMA_FORMAT_LABELS)];
+    this.formatsEl.innerHTML = formats.map((f) => {
+      const n = f === 'all' ? list.length : list.filter((e) => e.format === f).length;
+      return `
+      <button class="btn${f === this.format ? ' primary' : ''}" type="button" data-format="${f}"${n === 0 && f !== 'all' ? ' disabled' : ''}>
+        ${f === 'all' ? 'All' : SCHEMA_FORMAT_LABELS[f]} (${n})
+      </button>`;
+    }).join('');
+
+    this.renderEntities(list.filter((e) => this.format === 'all' || e.format === this.format));
+  }
+
+  // ---------- conflicts ----------
+
+  renderConflicts() {
+    if (this.conflicts.length === 0) {
+      this.conflictsEl.style.display = 'none';
+      return;
+    }
+    const rows = this.conflicts.map((c) => `
+      <tr>
+        <td>${this.escape(c.type)}</td>
+        <td class="mono">${this.escape(c.property)}</td>
+        <td>${c.values.map((v) => `<span class="badge">${SCHEMA_FORMAT_LABELS[v.format]}</span> ${this.escape(v.value)}`).join('<br>')}</td>
+      </tr>`).join('');
+    this.conflictsEl.innerHTML = `
+      <div class="section-title">Conflicting values</div>
+      <div class="card conflict-card">
+        <p class="note">The same entity has different values in different syntaxes. Crawlers may pick either one.</p>
+        <table>
+          <thead><tr><th>Type</th><th>Property</th><th>Values</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>`;
+    this.conflictsEl.style.display = 'block';
+  }
+
+  // ---------- entities ----------
+
+  renderEntities(list) {
+    if (list.length === 0) {
+      const where = this.side === 'server' ? 'the server HTML' : 'the rendered page';
+      this.entitiesEl.innerHTML = `<div class="card empty">No structured data in ${where}${this.format === 'all' ? '' : ` as ${SCHEMA_FORMAT_LABELS[this.format]}`}.</div>`;
+      return;
+    }
+    this.entitiesEl.innerHTML = list.map((entity) => {
+      const conflictPaths = new Set(this.conflicts
+        .filter((c) => c.type === entity.type && c.values.some((v) => v.format === entity.format))
+        .map((c) => c.property));
+      const jsOnly = this.side === 'rendered' && !this.serverTypes.has(entity.type);
+      return `<div class="card">${this.entityHtml(entity, '', conflictPaths, jsOnly)}</div>`;
+    }).join('');
+  }
+
+  entityHtml(entity, prefix, conflictPaths, jsOnly) {
+    const rows = Object.entries(entity.properties).map(([prop, values]) => {
+      const path = prefix ? `${prefix}.${prop}` : prop;
+      const cells = values.map((v) => this.valueHtml(v, path, conflictPaths)).join('');
+      return `<tr><td class="prop mono">${this.escape(prop)}</td><td>${cells}</td></tr>`;
+    }).join('');
+    return `
+      <div class="entity"${entity.id ? ` data-id="${this.escape(entity.id)}"` : ''}>
+        <div class="entity-head">
+          <span class="entity-type">${this.escape(entity.type || '(no type)')}</span>
+          <span class="badge">${SCHEMA_FORMAT_LABELS[entity.format]}</span>
+          ${jsOnly ? '<span class="badge warn">JavaScript only</span>' : ''}
+          ${entity.id ? `<span class="entity-id mono">${this.escape(entity.id)}</span>` : ''}
+        </div>
+        ${rows ? `<table class="props">${rows}</table>` : '<div class="muted">No properties.</div>'}
+      </div>`;
+  }
+
+  valueHtml(value, path, conflictPaths) {
+    if (value && typeof value === 'object' && value.ref) {
+      return `<div class="value">→ <a href="#" class="mono" data-ref="${this.escape(value.ref)}">${this.escape(value.ref)}</a></div>`;
+    }
+    if (value && typeof value === 'object') {
+      return `<div class="value nested">${this.entityHtml(value, path, conflictPaths, false)}</div>`;
+    }
+    const text = this.escape(value);
+    const body = /^https?:\/\//i.test(value) ? `<a href="${text}" target="_blank" rel="noopener">${text}</a>` : text;
+    return `<div class="value${conflictPaths.has(path) ? ' conflict' : ''}">${body}</div>`;
+  }
+
+  escape(s) {
+    return String(s == null ? '' : s).replace(/[<>&"']/g, (c) => (
+      { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+  }
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => new SchemaInspectorPage());
+} else {
+  new SchemaInspectorPage();
+}
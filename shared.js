@@ -0,0 +1,2055 @@
+// AI Search Visibility Checker — Shared analysis primitives
+//
+// Loaded by every context that needs to reason about crawlers the same way:
+//
+//   • content.js       — injected alongside it (files: ['shared.js', 'content.js'])
+//   • background.js    — importScripts('shared.js') for the site crawl
+//   • extension pages  — <script src="shared.js">
+//
+// Everything here is pure: no DOM, no chrome.* APIs, so it runs unchanged in
+// the service worker (which has no DOMParser). Wrapped in an IIFE and
+// published on the global object because the content script is re-injected on
+// every re-run — top-level const/class declarations would throw on the second
+// injection into the same isolated world.
+
+(function (root) {
+  'use strict';
+
+  // Default bot UAs we probe with when V2 is enabled. UAs are real strings
+  // the bots publish, so well-behaved servers can route them correctly. If a
+  // server serves dynamic-rendered HTML to known bots, this is the path that
+  // catches it. Users can edit the list on the options page; see
+  // defaultBotProbeCatalog below.
+  //
+  // `byteLimit` is how much HTML the crawler reads before it stops (null = no
+  // limit). Few vendors publish one; these are conservative working numbers,
+  // editable on the options page. See simulateByteLimit.
+  const BOT_PROBES = [
+    {
+      key: 'gptbot',
+      name: 'GPTBot',
+      vendor: 'OpenAI',
+      userAgent: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; GPTBot/1.2; +https://openai.com/gptbot)',
+      byteLimit: 512 * 1024
+    },
+    {
+      key: 'claudebot',
+      name: 'ClaudeBot',
+      vendor: 'Anthropic',
+      userAgent: 'Mozilla/5.0 (compatible; ClaudeBot/1.0; +claudebot@anthropic.com)',
+      byteLimit: 512 * 1024
+    },
+    {
+      key: 'perplexitybot',
+      name: 'PerplexityBot',
+      vendor: 'Perplexity',
+      userAgent: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; PerplexityBot/1.0; +https://perplexity.ai/perplexitybot)',
+      byteLimit: 512 * 1024
+    }
+  ];
+
+  // More crawlers users can switch on from the options page. Shipped disabled
+  // so the default run stays at three probes. The internal crawler has no
+  // public UA — it stays off until someone pastes one in.
+  const BOT_PROBE_PRESETS = [
+    {
+      key: 'oai-searchbot',
+      name: 'OAI-SearchBot',
+      vendor: 'OpenAI',
+      userAgent: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko); compatible; OAI-SearchBot/1.0; +https://openai.com/searchbot',
+      byteLimit: 512 * 1024
+    },
+    {
+      key: 'chatgpt-user',
+      name: 'ChatGPT-User',
+      vendor: 'OpenAI',
+      userAgent: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko); compatible; ChatGPT-User/1.0; +https://openai.com/bot',
+      byteLimit: 512 * 1024
+    },
+    {
+      key: 'claude-user',
+      name: 'Claude-User',
+      vendor: 'Anthropic',
+      userAgent: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; Claude-User/1.0; +Claude-User@anthropic.com)',
+      byteLimit: 512 * 1024
+    },
+    {
+      key: 'perplexity-user',
+      name: 'Perplexity-User',
+      vendor: 'Perplexity',
+      userAgent: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; Perplexity-User/1.0; +https://perplexity.ai/perplexity-user)',
+      byteLimit: 512 * 1024
+    },
+    {
+      key: 'applebot',
+      name: 'Applebot',
+      vendor: 'Apple',
+      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_5) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/13.1.1 Safari/605.1.15 (Applebot/0.1; +http://www.apple.com/go/applebot)',
+      byteLimit: 1024 * 1024
+    },
+    {
+      key: 'bingbot',
+      name: 'Bingbot',
+      vendor: 'Microsoft',
+      userAgent: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm) Chrome/116.0.1938.76 Safari/537.36',
+      byteLimit: 1024 * 1024
+    },
+    {
+      key: 'internal-crawler',
+      name: 'Internal crawler',
+      vendor: 'Alli AI',
+      userAgent: '',
+      byteLimit: null
+    }
+  ];
+
+  // chrome.storage.local key holding the user's probe catalog:
+  // [{ key, name, vendor, userAgent, byteLimit, enabled }], in display order.
+  const BOT_PROBE_CATALOG_KEY = 'botProbeCatalog';
+
+  function defaultBotProbeCatalog() {
+    return [
+      ...BOT_PROBES.map((p) => ({ ...p, enabled: true })),
+      ...BOT_PROBE_PRESETS.map((p) => ({ ...p, enabled: false }))
+    ];
+  }
+
+  // Coerce whatever is in storage into a clean catalog. Anything that isn't
+  // an array (never saved, or corrupted) falls back to the defaults; entries
+  // without a key or name are dropped, and duplicate keys keep the first.
+  // Catalogs saved before byte limits existed pick up the shipped limit for
+  // known keys.
+  function normalizeBotProbeCatalog(stored) {
+    if (!Array.isArray(stored)) return defaultBotProbeCatalog();
+    const shipped = new Map([...BOT_PROBES, ...BOT_PROBE_PRESETS].map((p) => [p.key, p.byteLimit]));
+    const seen = new Set();
+    const out = [];
+    for (const entry of stored) {
+      if (!entry || typeof entry !== 'object') continue;
+      const key = String(entry.key || '').trim();
+      const name = String(entry.name || '').trim();
+      if (!key || !name || seen.has(key)) continue;
+      seen.add(key);
+      out.push({
+        key,
+        name,
+        vendor: String(entry.vendor || '').trim(),
+        userAgent: String(entry.userAgent || '').trim(),
+        byteLimit: 'byteLimit' in entry ? normalizeByteLimit(entry.byteLimit) : (shipped.get(key) || null),
+        enabled: entry.enabled !== false
+      });
+    }
+    return out;
+  }
+
+  const BYTE_LIMIT_MIN = 1024;
+
+  // A positive whole number of bytes (at least 1 KB), or null for no limit.
+  function normalizeByteLimit(value) {
+    const n = Number(value);
+    return value != null && value !== '' && Number.isFinite(n) && n >= BYTE_LIMIT_MIN ? Math.round(n) : null;
+  }
+
+  // Probes a run should actually send — enabled and with a UA to send.
+  function enabledBotProbes(catalog) {
+    return normalizeBotProbeCatalog(catalog).filter((p) => p.enabled && p.userAgent);
+  }
+
+  // Patterns that suggest the server returned an interstitial (Cloudflare,
+  // Akamai, Datadome, hCaptcha, etc.) instead of real content. We use these
+  // when the bot fetch is much shorter than the Chrome fetch — short alone
+  // is ambiguous (could just be unauthenticated content).
+  const CHALLENGE_PATTERNS = [
+    /just a moment/i,
+    /attention required/i,
+    /cloudflare/i,
+    /verify you (?:are|'re) human/i,
+    /please complete the security check/i,
+    /captcha/i,
+    /enable javascript and cookies to continue/i,
+    /access denied/i
+  ];
+
+  // AI crawlers checked against robots.txt. `role` is what the crawler's
+  // fetches are used for: model training, an AI search index, or a live fetch
+  // on a user's request. The robots.txt policy generator's presets go by it.
+  const AI_CRAWLERS = [
+    { name: 'GPTBot',            vendor: 'OpenAI',     purpose: 'Training data for ChatGPT', role: 'training' },
+    { name: 'OAI-SearchBot',     vendor: 'OpenAI',     purpose: 'ChatGPT Search index', role: 'search' },
+    { name: 'ChatGPT-User',      vendor: 'OpenAI',     purpose: 'Live browse from ChatGPT', role: 'user' },
+    { name: 'ClaudeBot',         vendor: 'Anthropic',  purpose: 'Training / search index', role: 'training' },
+    { name: 'anthropic-ai',      vendor: 'Anthropic',  purpose: 'Anthropic crawler (legacy)', role: 'training' },
+    { name: 'Claude-Web',        vendor: 'Anthropic',  purpose: 'Live browse from Claude', role: 'user' },
+    { name: 'PerplexityBot',     vendor: 'Perplexity', purpose: 'Perplexity index', role: 'search' },
+    { name: 'Perplexity-User',   vendor: 'Perplexity', purpose: 'Live browse from Perplexity', role: 'user' },
+    { name: 'Google-Extended',   vendor: 'Google',     purpose: 'Gemini / Vertex AI training', role: 'training' },
+    { name: 'CCBot',             vendor: 'CommonCrawl', purpose: 'Open dataset (used by many LLMs)', role: 'training' },
+    { name: 'Bytespider',        vendor: 'ByteDance',  purpose: 'Doubao / training', role: 'training' },
+    { name: 'Applebot-Extended', vendor: 'Apple',      purpose: 'Apple Intelligence training', role: 'training' }
+  ];
+
+  // Segment tiers, driven by MIN(textRatio, contentOverlap) — the same
+  // value the user sees as the headline percentage. Ordered top-down: the
+  // first tier whose `min` clears wins.
+  //   Fully Visible       ≥ 90%
+  //   Mostly Visible      80–89%
+  //   Partially Visible   65–79%
+  //   Slipping            50–64%
+  //   Failing             25–49%
+  //   Invisible           < 25%
+  const SEGMENT_TIERS = [
+    { key: 'fully_accessible',     min: 0.90 },
+    { key: 'mostly_visible',       min: 0.80 },
+    { key: 'partially_accessible', min: 0.65 },
+    { key: 'slipping',             min: 0.50 },
+    { key: 'js_dependent',         min: 0.25 },
+    { key: 'invisible',            min: 0    }
+  ];
+
+  // `tiers` lets an analysis profile move the boundaries; same shape as
+  // SEGMENT_TIERS.
+  function segmentForVisibility(visibility, tiers) {
+    for (const tier of tiers || SEGMENT_TIERS) {
+      if (visibility >= tier.min) return tier.key;
+    }
+    return 'invisible';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Analysis profiles
+  //
+  // Every tunable the analysis uses, so a profile saved on the options page
+  // can override them at run time. A profile stores only the values it
+  // changes; resolveAnalysisSettings layers them over the defaults, which are
+  // what the extension has always shipped with.
+  // ---------------------------------------------------------------------------
+
+  const DEFAULT_ANALYSIS_SETTINGS = {
+    rawFetchTimeoutMs: 2000,      // raw HTML budget
+    supportFetchTimeoutMs: 6000,  // robots.txt / llms.txt / sitemap.xml
+    botProbeTimeoutMs: 3000,      // each bot probe
+    scoreWeights: {
+      serverVisibility:   40,
+      crawlerAccess:      30,
+      structuredData:     18,
+      robotsRestrictions: 12
+    },
+    segmentTiers: SEGMENT_TIERS,
+    // Server text ratio / word overlap: below `serverRatioSevere` is a high
+    // severity issue, below `serverRatioHealthy` a medium one.
+    serverRatioSevere: 0.3,
+    serverRatioHealthy: 0.6,
+    // Bot probe length vs the Chrome fetch: at or above `probeDynamicRatio`
+    // is dynamic rendering, at or below `probeServedLessRatio` served less.
+    probeDynamicRatio: 1.2,
+    probeServedLessRatio: 0.5
+  };
+
+  const ANALYSIS_PROFILES_KEY = 'analysisProfiles';
+  const ACTIVE_PROFILE_KEY = 'activeProfileId';
+  const DEFAULT_PROFILE = { id: 'default', name: 'Default', overrides: {} };
+
+  // Shipped as editable examples the first time the options page opens.
+  function defaultAnalysisProfiles() {
+    return [
+      {
+        id: 'strict-1s',
+        name: 'Strict 1s crawler',
+        overrides: { rawFetchTimeoutMs: 1000, supportFetchTimeoutMs: 3000, botProbeTimeoutMs: 1000 }
+      },
+      {
+        id: 'lenient-5s',
+        name: 'Lenient 5s crawler',
+        overrides: { rawFetchTimeoutMs: 5000, supportFetchTimeoutMs: 10000, botProbeTimeoutMs: 5000 }
+      }
+    ];
+  }
+
+  function finiteIn(v, min, max) {
+    return typeof v === 'number' && isFinite(v) && v >= min && v <= max;
+  }
+
+  // Merge a profile's overrides over the defaults, ignoring anything out of
+  // range so a bad save can't break scoring.
+  function resolveAnalysisSettings(overrides) {
+    const o = overrides || {};
+    const d = DEFAULT_ANALYSIS_SETTINGS;
+    const out = {
+      ...d,
+      scoreWeights: { ...d.scoreWeights },
+      segmentTiers: d.segmentTiers.map((t) => ({ ...t }))
+    };
+    for (const k of ['rawFetchTimeoutMs', 'supportFetchTimeoutMs', 'botProbeTimeoutMs']) {
+      if (finiteIn(o[k], 250, 60000)) out[k] = o[k];
+    }
+    for (const k of ['serverRatioSevere', 'serverRatioHealthy', 'probeServedLessRatio']) {
+      if (finiteIn(o[k], 0, 1)) out[k] = o[k];
+    }
+    if (finiteIn(o.probeDynamicRatio, 1, 10)) out.probeDynamicRatio = o.probeDynamicRatio;
+    if (out.serverRatioSevere > out.serverRatioHealthy) {
+      out.serverRatioSevere = d.serverRatioSevere;
+      out.serverRatioHealthy = d.serverRatioHealthy;
+    }
+    if (o.scoreWeights && typeof o.scoreWeights === 'object') {
+      for (const k of Object.keys(d.scoreWeights)) {
+        if (finiteIn(o.scoreWeights[k], 0, 1000)) out.scoreWeights[k] = o.scoreWeights[k];
+      }
+    }
+    // Tier overrides are { key: min }. The last tier always starts at 0, and
+    // mins must not increase down the list or lower tiers become unreachable.
+    if (o.segmentTiers && typeof o.segmentTiers === 'object') {
+      const tiers = out.segmentTiers.map((t) => (
+        finiteIn(o.segmentTiers[t.key], 0, 1) ? { key: t.key, min: o.segmentTiers[t.key] } : t
+      ));
+      tiers[tiers.length - 1].min = 0;
+      const ordered = tiers.every((t, i) => i === 0 || t.min <= tiers[i - 1].min);
+      if (ordered) out.segmentTiers = tiers;
+    }
+    return out;
+  }
+
+  // Pick the active profile out of what's in storage. Unknown or missing IDs
+  // fall back to the built-in Default profile.
+  function selectAnalysisProfile(profiles, activeId) {
+    const list = Array.isArray(profiles) ? profiles : defaultAnalysisProfiles();
+    const profile = (activeId && list.find((p) => p && p.id === activeId)) || DEFAULT_PROFILE;
+    return {
+      id: profile.id,
+      name: profile.name || profile.id,
+      settings: resolveAnalysisSettings(profile.overrides)
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Text similarity
+  // ---------------------------------------------------------------------------
+
+  // Token set used by Jaccard similarity. Filters short tokens (<3 chars) and
+  // pure numeric tokens to reduce noise from punctuation, articles, and prices.
+  function tokenize(text) {
+    const matches = (text || '').toLowerCase().match(/[a-z][a-z0-9']{2,}/g);
+    return new Set(matches || []);
+  }
+
+  function jaccardSimilarity(textA, textB) {
+    const a = tokenize(textA);
+    const b = tokenize(textB);
+    if (a.size === 0 && b.size === 0) return 1;
+    if (a.size === 0 || b.size === 0) return 0;
+    let intersect = 0;
+    for (const w of a) if (b.has(w)) intersect++;
+    return intersect / (a.size + b.size - intersect);
+  }
+
+  // Bounded stand-in for a text's token set, for texts too big to store
+  // (watched-page baselines). Tokens are hashed, and only hashes divisible by
+  // `sample` are kept, doubling `sample` until at most `maxTokens` remain.
+  // fingerprintSimilarity samples the other text the same way, so the result
+  // estimates jaccardSimilarity, and equals it when nothing was dropped.
+  const FINGERPRINT_MAX_TOKENS = 2000;
+
+  function tokenHash(token) {
+    let h = 0x811c9dc5; // FNV-1a
+    for (let i = 0; i < token.length; i++) {
+      h ^= token.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  function textFingerprint(text, maxTokens = FINGERPRINT_MAX_TOKENS) {
+    const all = [...tokenize(text)].map(tokenHash);
+    let sample = 1;
+    let hashes = all;
+    while (hashes.length > maxTokens) {
+      sample *= 2;
+      hashes = all.filter((h) => h % sample === 0);
+    }
+    return { sample, hashes };
+  }
+
+  function fingerprintSimilarity(fingerprint, text) {
+    const a = new Set(fingerprint.hashes);
+    const b = new Set([...tokenize(text)].map(tokenHash).filter((h) => h % fingerprint.sample === 0));
+    if (a.size === 0 && b.size === 0) return 1;
+    if (a.size === 0 || b.size === 0) return 0;
+    let intersect = 0;
+    for (const h of a) if (b.has(h)) intersect++;
+    return intersect / (a.size + b.size - intersect);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Robots.txt parsing and evaluation (RFC 9309)
+  // ---------------------------------------------------------------------------
+
+  // RFC 9309 §2.5: crawlers must parse at least 500 KiB; Google stops there,
+  // so anything past it can't count on being read.
+  const ROBOTS_MAX_BYTES = 500 * 1024;
+  // §2.3.1.2: follow at least five consecutive redirects. Past that we treat
+  // the file as unavailable, as Google does.
+  const ROBOTS_MAX_REDIRECTS = 5;
+
+  // Groups and rules carry 0-based line numbers (`lines` for a group's
+  // User-agent lines, `line` per rule) so the robots.txt tester can point at
+  // the exact lines a verdict came from. Text past ROBOTS_MAX_BYTES is
+  // dropped, including the line the limit cuts through.
+  function parseRobots(text) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasUA = false;
+
+    let body = text || '';
+    let totalBytes = null;
+    // A UTF-16 code unit is at most 3 UTF-8 bytes, so short files skip the encode.
+    if (body.length * 3 > ROBOTS_MAX_BYTES) {
+      const bytes = new TextEncoder().encode(body);
+      if (bytes.length > ROBOTS_MAX_BYTES) {
+        totalBytes = bytes.length;
+        body = new TextDecoder().decode(bytes.subarray(0, ROBOTS_MAX_BYTES));
+        body = body.slice(0, body.lastIndexOf('\n') + 1);
+      }
+    }
+
+    const rawLines = body.split(/\r?\n/);
+    for (let lineNo = 0; lineNo < rawLines.length; lineNo++) {
+      const raw = rawLines[lineNo];
+      const line = raw.replace(/#.*$/, '').trim();
+      if (!line) continue;
+      const colon = line.indexOf(':');
+      if (colon === -1) continue;
+      const directive = line.slice(0, colon).trim().toLowerCase();
+      const value = line.slice(colon + 1).trim();
+
+      if (directive === 'user-agent') {
+        if (!current || !lastWasUA) {
+          current = { userAgents: [], rules: [], lines: [] };
+          groups.push(current);
+        }
+        current.userAgents.push(value);
+        current.lines.push(lineNo);
+        lastWasUA = true;
+      } else if (directive === 'allow' || directive === 'disallow') {
+        if (current) current.rules.push({ type: directive, value, line: lineNo });
+        lastWasUA = false;
+      } else if (directive === 'sitemap') {
+        sitemaps.push(value);
+        lastWasUA = false;
+      } else {
+        lastWasUA = false;
+      }
+    }
+    return { groups, sitemaps, truncated: totalBytes != null, totalBytes };
+  }
+
+  // What a robots.txt fetch means for crawlers (RFC 9309 §2.3.1):
+  //   2xx                    parse the body
+  //   4xx (except 429)       "unavailable" — no rules, every URL allowed
+  //   429, 5xx, no response  "unreachable" — every URL disallowed
+  //   > 5 redirects, loop    unavailable
+  // Returns the parsed file plus `availability` and the fetch-level reasons
+  // checkAIBotAccess starts its chain with. `result` is a fetchUrl result.
+  function robotsFromResponse(result) {
+    const redirects = (result && result.redirects) || [];
+    const reasons = [];
+    const none = (availability, reason) => ({
+      ...parseRobots(''),
+      availability,
+      httpStatus: result && result.status != null ? result.status : null,
+      reasons: [...reasons, reason]
+    });
+
+    if (redirects.length > 0) {
+      const last = redirects[redirects.length - 1];
+      const target = (result && result.finalUrl) || last.location || last.url;
+      reasons.push(`robots.txt redirected ${redirects.length} time${redirects.length === 1 ? '' : 's'}${target ? ` to ${target}` : ''}.`);
+    }
+    if (!result || !result.ok) {
+      const error = (result && result.error) || 'fetch failed';
+      if (error === 'redirect-loop' || error === 'too-many-redirects') {
+        return none('unavailable', `The redirects never reached a file (${error}), so it counts as unavailable and every URL is allowed.`);
+      }
+      return none('unreachable', `robots.txt could not be fetched (${error}). An unreachable file means every URL is disallowed.`);
+    }
+    if (redirects.length > ROBOTS_MAX_REDIRECTS) {
+      return none('unavailable', `That's more than ${ROBOTS_MAX_REDIRECTS} redirects, so the file counts as unavailable and every URL is allowed.`);
+    }
+    const status = result.status;
+    if (status >= 500) {
+      return none('unreachable', `robots.txt returned HTTP ${status}. A server error means every URL is disallowed until it recovers.`);
+    }
+    if (status === 429) {
+      return none('unreachable', 'robots.txt returned HTTP 429 (Too Many Requests). Crawlers treat rate limiting like a server error, so every URL is disallowed until it recovers.');
+    }
+    if (status >= 400) {
+      return none('unavailable', `robots.txt returned HTTP ${status}. A 4xx means there are no rules, so every URL is allowed.`);
+    }
+    if (status < 200 || status >= 300) {
+      return none('unavailable', `robots.txt returned HTTP ${status}, not a file, so every URL is allowed.`);
+    }
+    return {
+      ...parseRobots(result.text || ''),
+      availability: 'available',
+      httpStatus: status,
+      reasons: [...reasons, `robots.txt returned HTTP ${status}.`]
+    };
+  }
+
+  // §2.2.2: compare paths with unreserved characters decoded, other
+  // escapes in uppercase hex, and non-ASCII characters UTF-8 encoded.
+  // `%2F` stays distinct from `/`.
+  function normalizeRobotsPath(value) {
+    return String(value)
+      .replace(/%([0-9a-fA-F]{2})/g, (m, hex) => {
+        const c = String.fromCharCode(parseInt(hex, 16));
+        return /[A-Za-z0-9\-._~]/.test(c) ? c : `%${hex.toUpperCase()}`;
+      })
+      .replace(/[^\x00-\x7f]+/g, (run) => {
+        try { return encodeURIComponent(run); } catch (_) { return run; }
+      });
+  }
+
+  // §2.2.1: a User-agent line names a product token — letters, `_` and `-` —
+  // matched case-insensitively. "GPTBot/1.1" is the token "gptbot".
+  function robotsProductToken(value) {
+    const m = /^[A-Za-z_-]+/.exec(String(value).trim());
+    return m ? m[0].toLowerCase() : '';
+  }
+
+  // Match a robots.txt path pattern against a URL path. Supports the two
+  // wildcards specified by Google's robots.txt spec / RFC 9309:
+  //   *  match any sequence of characters
+  //   $  anchor to end of URL (only meaningful at end of pattern)
+  function matchesRobotsPattern(path, pattern) {
+    if (!pattern) return false;
+    if (pattern === '/') return true;
+    const target = normalizeRobotsPath(path);
+    const normalized = normalizeRobotsPath(pattern);
+    let regex = '^';
+    for (let i = 0; i < normalized.length; i++) {
+      const c = normalized[i];
+      if (c === '*') regex += '.*';
+      else if (c === '$' && i === normalized.length - 1) regex += '$';
+      else regex += c.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }
+    try { return new RegExp(regex).test(target); }
+    catch (_) { return false; }
+  }
+
+  // Per-page bot access, per RFC 9309: every group naming the bot's product
+  // token is merged (falling back to the merged `*` groups), then the
+  // longest matching rule for THIS page's path wins, Allow beating Disallow
+  // at equal length. `parsed` is parseRobots or robotsFromResponse output;
+  // for the latter an unavailable/unreachable file decides on its own.
+  //
+  // Older logic flagged any bot as `partial` if its group had any disallow
+  // rules at all — that made every site with vanilla `Disallow: /admin`
+  // hygiene show "12 AI crawlers restricted" (true in the abstract, useless
+  // for per-page diagnosis). Now `partial` is gone: per page, a bot either
+  // CAN fetch the URL or it CAN'T.
+  //
+  // `reasons` is the chain of plain sentences that led to the verdict.
+  function checkAIBotAccess(parsed, botName, currentPath) {
+    const reasons = [...(parsed.reasons || [])];
+    if (parsed.truncated) {
+      reasons.push(`robots.txt is ${Math.round(parsed.totalBytes / 1024)} KiB; only the first ${ROBOTS_MAX_BYTES / 1024} KiB are read.`);
+    }
+    if (parsed.availability === 'unavailable') {
+      return { status: 'allowed', source: 'unavailable', groupIndex: -1, groupIndexes: [], ruleLine: null, reasons };
+    }
+    if (parsed.availability === 'unreachable') {
+      return {
+        status: 'blocked', source: 'unreachable', groupIndex: -1, groupIndexes: [], ruleLine: null,
+        fullBlock: true, matchedRule: null, reasons
+      };
+    }
+
+    const token = robotsProductToken(botName);
+    const specific = [];
+    const wildcard = [];
+    parsed.groups.forEach((group, i) => {
+      if (group.userAgents.some((ua) => robotsProductToken(ua) === token)) specific.push(i);
+      else if (group.userAgents.some((ua) => ua.trim() === '*')) wildcard.push(i);
+    });
+
+    const groupIndexes = specific.length ? specific : wildcard;
+    if (groupIndexes.length === 0) {
+      reasons.push(`No group names ${botName} and there is no User-agent: * group, so every URL is allowed.`);
+      return { status: 'allowed', source: 'no-rules', groupIndex: -1, groupIndexes, ruleLine: null, reasons };
+    }
+
+    const uaLine = (i) => {
+      const group = parsed.groups[i];
+      const at = specific.length
+        ? group.userAgents.findIndex((ua) => robotsProductToken(ua) === token)
+        : group.userAgents.findIndex((ua) => ua.trim() === '*');
+      return `User-agent: ${group.userAgents[at]} (line ${group.lines[at] + 1})`;
+    };
+    const named = groupIndexes.map(uaLine);
+    const merged = named.length > 1 ? `; their ${named.length} groups are merged` : '';
+    reasons.push(specific.length
+      ? `${botName} is named by ${named.join(', ')}${merged}.`
+      : `No group names ${botName}, so ${named.join(', ')} applies${merged}.`);
+
+    const path = normalizeRobotsPath(currentPath);
+    if (path !== currentPath) reasons.push(`The path is compared as ${path}.`);
+
+    // Longest pattern wins; Allow wins a tie. The runner-up is the strongest
+    // matching rule that said the opposite, for the explanation.
+    const matching = groupIndexes
+      .flatMap((i) => parsed.groups[i].rules)
+      .filter((rule) => (rule.type === 'allow' || rule.type === 'disallow')
+        && rule.value // empty Disallow = allow all; skip
+        && matchesRobotsPattern(currentPath, rule.value))
+      .map((rule) => ({ rule, length: normalizeRobotsPath(rule.value).length }))
+      .sort((a, b) => (b.length - a.length) || ((b.rule.type === 'allow') - (a.rule.type === 'allow')));
+    const best = matching[0] || null;
+    const runnerUp = best ? matching.find((m) => m.rule.type !== best.rule.type) || null : null;
+    const bestRule = best && best.rule;
+
+    const source = specific.length ? 'specific' : 'wildcard';
+    const matchedUA = parsed.groups[groupIndexes[0]].userAgents[0];
+    const groupIndex = groupIndexes[0];
+    const ruleLine = bestRule && bestRule.line != null ? bestRule.line : null;
+    const ruleText = (r) => `${r.type === 'allow' ? 'Allow' : 'Disallow'}: ${r.value}${r.line != null ? ` (line ${r.line + 1})` : ''}`;
+
+    if (!bestRule) {
+      reasons.push(`No rule matches ${currentPath}, so it is allowed.`);
+    } else {
+      const tie = runnerUp && runnerUp.length === best.length;
+      reasons.push(`${ruleText(bestRule)} is the longest match for ${currentPath}${runnerUp
+        ? tie ? `; it ties with ${ruleText(runnerUp.rule)} and Allow wins ties` : `, beating ${ruleText(runnerUp.rule)}`
+        : ''}.`);
+    }
+
+    if (!bestRule || bestRule.type === 'allow') {
+      return {
+        status: 'allowed', source, matchedUA, groupIndex, groupIndexes, ruleLine,
+        matchedAllow: bestRule ? bestRule.value : null, reasons
+      };
+    }
+    return {
+      status: 'blocked',
+      source,
+      matchedUA,
+      groupIndex,
+      groupIndexes,
+      ruleLine,
+      fullBlock: bestRule.value === '/',
+      matchedRule: bestRule.value,
+      reasons
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Page-level robots directives (meta robots + X-Robots-Tag)
+  //
+  // A directive is addressed either to every crawler (`<meta name="robots">`,
+  // a bare `X-Robots-Tag: noindex`) or to one product token
+  // (`<meta name="GPTBot">`, `X-Robots-Tag: ClaudeBot: noindex`). A crawler
+  // obeys both, so the most restrictive wins. `noai` / `noimageai` are the
+  // opt-outs some sites use against AI use of the page's text / images.
+  //
+  // `metas` is [{ name, content, side }] for the page's <meta name> tags,
+  // `side` being 'server' (raw HTML) or 'rendered' (live DOM).
+  // ---------------------------------------------------------------------------
+
+  // Directives that carry a value after a colon — "max-snippet: 0" is a
+  // directive, "googlebot: noindex" is a user-agent prefix.
+  const VALUED_ROBOTS_DIRECTIVES = ['max-snippet', 'max-image-preview', 'max-video-preview', 'unavailable_after'];
+
+  // X-Robots-Tag, with repeated headers already joined by ", ". A "<token>:"
+  // prefix addresses that token and every directive after it up to the next
+  // prefix, which is also how Google reads a joined header.
+  function parseXRobotsTag(value) {
+    const out = [];
+    let scope = '*';
+    for (const raw of String(value || '').split(',')) {
+      let part = raw.trim();
+      const m = /^([A-Za-z_-]+)\s*:\s*(.*)$/.exec(part);
+      if (m && !VALUED_ROBOTS_DIRECTIVES.includes(m[1].toLowerCase())) {
+        scope = m[1].toLowerCase();
+        part = m[2].trim();
+      }
+      if (part) out.push({ scope, directive: part.toLowerCase() });
+    }
+    return out;
+  }
+
+  // Per AI_CRAWLERS bot: the directives that reach it and where each one came
+  // from ({ directive, scope, source, side }, scope '*' for all crawlers).
+  function pageRobotsDirectives(metas, xRobotsTag) {
+    const found = [];
+    for (const m of metas || []) {
+      const name = String(m.name || '').trim().toLowerCase();
+      const scope = name === 'robots' ? '*' : robotsProductToken(name);
+      if (!scope || (scope !== '*' && scope !== name)) continue;
+      for (const d of String(m.content || '').split(',')) {
+        const directive = d.trim().toLowerCase();
+        if (directive) found.push({ directive, scope, source: `<meta name="${m.name}">`, side: m.side || 'server' });
+      }
+    }
+    for (const f of parseXRobotsTag(xRobotsTag)) {
+      found.push({ ...f, source: 'X-Robots-Tag', side: 'server' });
+    }
+
+    return AI_CRAWLERS.map((bot) => {
+      const token = robotsProductToken(bot.name);
+      const applied = found.filter((f) => f.scope === '*' || f.scope === token);
+      const has = (d) => applied.some((f) => f.directive === d);
+      return {
+        name: bot.name,
+        noindex: has('noindex') || has('none'),
+        nofollow: has('nofollow') || has('none'),
+        noai: has('noai'),
+        noimageai: has('noimageai'),
+        directives: [...new Set(applied.map((f) => f.directive))],
+        sources: applied
+      };
+    });
+  }
+
+  // 0–100 for one crawler: how much of the page it may use. noindex/nofollow
+  // keep it out (the old all-or-nothing rule), noai halves it, noimageai
+  // takes a quarter.
+  function pageDirectiveScore(d) {
+    if (d.noindex || d.nofollow) return 0;
+    if (d.noai) return 50;
+    if (d.noimageai) return 75;
+    return 100;
+  }
+
+  // Issues for the popup and the site crawl. Directives addressed to every
+  // crawler keep their old types (xrobots_restrictive from the header,
+  // robots_meta_restrictive from meta robots); those aimed at named crawlers
+  // and the AI opt-outs get their own.
+  function pageDirectiveIssues(perBot) {
+    const issues = [];
+    const sources = perBot.length ? perBot[0].sources.filter((f) => f.scope === '*') : [];
+    const restrictive = (f) => f.directive === 'noindex' || f.directive === 'nofollow' || f.directive === 'none';
+    const describe = (list) => [...new Set(list.map((f) => f.directive))].join(', ');
+
+    const header = sources.filter((f) => f.source === 'X-Robots-Tag' && restrictive(f));
+    if (header.length > 0) {
+      issues.push({
+        type: 'xrobots_restrictive',
+        severity: 'high',
+        message: `X-Robots-Tag: ${describe(header)}`,
+        impact: 'This header tells crawlers not to index the page.',
+        roiImpact: 90
+      });
+    }
+    const meta = sources.filter((f) => f.source !== 'X-Robots-Tag' && restrictive(f));
+    if (meta.length > 0) {
+      const jsOnly = meta.every((f) => f.side === 'rendered');
+      issues.push({
+        type: 'robots_meta_restrictive',
+        severity: 'high',
+        message: `Meta robots: ${describe(meta)}${jsOnly ? ' (added by JavaScript)' : ''}`,
+        impact: 'This tag tells crawlers not to index the page.',
+        roiImpact: 90
+      });
+    }
+
+    const targeted = perBot.filter((b) => b.sources.some((f) => f.scope !== '*' && restrictive(f)));
+    if (targeted.length > 0) {
+      const first = targeted[0].sources.find((f) => f.scope !== '*' && restrictive(f));
+      issues.push({
+        type: 'bot_directive_restrictive',
+        severity: 'high',
+        message: `${targeted.length} AI crawler${targeted.length > 1 ? 's' : ''} told not to index this page`,
+        impact: `${targeted.map((b) => b.name).join(', ')} excluded by crawler-specific directives (e.g. ${first.source}: ${first.directive}).`,
+        roiImpact: Math.min(90, targeted.length * 15),
+        bots: targeted.map((b) => b.name)
+      });
+    }
+
+    const optedOut = perBot.filter((b) => b.noai || b.noimageai);
+    if (optedOut.length > 0) {
+      const kinds = ['noai', 'noimageai'].filter((k) => optedOut.some((b) => b[k]));
+      issues.push({
+        type: 'noai_directive',
+        severity: 'low',
+        message: `Page opts out of AI use (${kinds.join(', ')})`,
+        impact: `${kinds.map((k) => {
+          const bots = optedOut.filter((b) => b[k]);
+          return `${k} for ${bots.length === perBot.length ? 'every AI crawler' : bots.map((b) => b.name).join(', ')}`;
+        }).join('; ')}. Crawlers that honor these won't use the page's ${kinds.length === 1 && kinds[0] === 'noimageai' ? 'images' : 'content'} for AI.`,
+        roiImpact: 10,
+        bots: optedOut.map((b) => b.name)
+      });
+    }
+    return issues;
+  }
+
+  // ---------------------------------------------------------------------------
+  // AI usage policy (TDMRep + ai.txt)
+  //
+  // Besides robots.txt and noai meta, publishers state whether content may be
+  // used for AI in two more places:
+  //   - TDMRep (W3C TDM Reservation Protocol): `tdm-reservation: 1` as a
+  //     response header, a <meta name="tdm-reservation">, or a matching entry
+  //     in /.well-known/tdmrep.json — each optionally with a `tdm-policy` URL.
+  //   - /ai.txt: robots.txt syntax, usually with rules by file type.
+  // aiUsagePolicy() folds all of them into one summary and lists the places
+  // where they disagree, since a crawler may honor whichever it reads.
+  // ---------------------------------------------------------------------------
+
+  // tdmrep.json is an array of { location, "tdm-reservation", "tdm-policy" }.
+  // Null when the body isn't one.
+  function parseTdmRep(text) {
+    let data;
+    try { data = JSON.parse(text); } catch (_) { return null; }
+    if (!Array.isArray(data)) return null;
+    return data
+      .filter((e) => e && typeof e.location === 'string')
+      .map((e) => ({
+        location: e.location,
+        reserved: Number(e['tdm-reservation']) === 1,
+        policy: typeof e['tdm-policy'] === 'string' ? e['tdm-policy'] : null
+      }));
+  }
+
+  // The page's TDM reservation. TDMRep ranks the signals closest to the
+  // content first: the HTML meta, then the HTTP header, then tdmrep.json
+  // (whose first entry with a matching location applies).
+  //   meta:    { reservation, policy } from <meta name="tdm-*">, or null
+  //   headers: lower-cased response headers
+  //   tdmrep:  parseTdmRep output, or null
+  function tdmReservationFor(path, { meta, headers, tdmrep }) {
+    const signals = [];
+    const add = (source, value, policy) => {
+      if (value == null || String(value).trim() === '') return;
+      signals.push({ source, reserved: String(value).trim() === '1', policy: policy || null });
+    };
+    if (meta) add('meta', meta.reservation, meta.policy);
+    if (headers) add('header', headers['tdm-reservation'], headers['tdm-policy']);
+    const entry = (tdmrep || []).find((e) => matchesRobotsPattern(path, e.location));
+    if (entry) add('tdmrep.json', entry.reserved ? '1' : '0', entry.policy);
+
+    const top = signals[0] || null;
+    return {
+      reserved: top ? top.reserved : null,
+      source: top ? top.source : null,
+      policy: top ? top.policy : null,
+      location: entry ? entry.location : null,
+      signals
+    };
+  }
+
+  const TDM_SOURCE_LABELS = {
+    meta: '<meta name="tdm-reservation">',
+    header: 'tdm-reservation header',
+    'tdmrep.json': 'tdmrep.json'
+  };
+
+  // `bots`: the analysis' crawler verdicts (AI_CRAWLERS + checkAIBotAccess,
+  // with `page` directives); `tdm`: tdmReservationFor output; `aiTxt`: the
+  // ai.txt body or null when there isn't one; `path`: this page's path.
+  function aiUsagePolicy({ bots, tdm, aiTxt, path }) {
+    const names = (list) => list.map((b) => b.name);
+    const list = (list) => (list.length > 3 ? `${names(list).slice(0, 3).join(', ')} and ${list.length - 3} more` : names(list).join(', '));
+    const training = bots.filter((b) => b.role === 'training');
+    const robotsAllowed = training.filter((b) => b.status === 'allowed');
+    const robotsBlocked = training.filter((b) => b.status === 'blocked');
+    const noai = bots.filter((b) => b.page && b.page.noai);
+
+    let aiTxtBlocked = [];
+    if (aiTxt != null) {
+      const parsed = parseRobots(aiTxt);
+      aiTxtBlocked = bots.filter((b) => checkAIBotAccess(parsed, b.name, path).status === 'blocked');
+    }
+
+    const contradictions = [];
+    const tdmLabel = tdm.source ? TDM_SOURCE_LABELS[tdm.source] : '';
+    if (tdm.reserved === true && robotsAllowed.length > 0) {
+      contradictions.push(`robots.txt allows ${list(robotsAllowed)} but TDM rights are reserved (${tdmLabel}).`);
+    }
+    if (tdm.reserved === false && (robotsBlocked.length > 0 || noai.length > 0)) {
+      const by = robotsBlocked.length > 0 ? `robots.txt blocks ${list(robotsBlocked)}` : 'the page sets noai';
+      contradictions.push(`${by} but TDM rights are explicitly not reserved (${tdmLabel}).`);
+    }
+    const aiTxtOnly = aiTxtBlocked.filter((b) => b.status === 'allowed');
+    if (aiTxtOnly.length > 0) {
+      contradictions.push(`robots.txt allows ${list(aiTxtOnly)} but ai.txt disallows this page.`);
+    }
+    const disagreeing = tdm.signals.filter((s) => s.reserved !== tdm.reserved);
+    if (disagreeing.length > 0) {
+      contradictions.push(`${tdmLabel} says ${tdm.reserved ? 'reserved' : 'not reserved'} but ${disagreeing.map((s) => TDM_SOURCE_LABELS[s.source]).join(' and ')} says otherwise.`);
+    }
+
+    // Opted out when every signal that says anything says "no AI use".
+    const stated = [
+      training.length > 0 ? robotsBlocked.length === training.length : null,
+      tdm.reserved,
+      aiTxt != null ? aiTxtBlocked.length > 0 : null,
+      noai.length > 0 ? true : null
+    ].filter((v) => v != null);
+    const verdict = stated.every((v) => v) ? 'opted_out' : stated.some((v) => v) ? 'mixed' : 'open';
+
+    return {
+      verdict,
+      robots: { trainingAllowed: names(robotsAllowed), trainingBlocked: names(robotsBlocked) },
+      tdm,
+      aiTxt: { present: aiTxt != null, blocked: names(aiTxtBlocked) },
+      noai: names(noai),
+      contradictions
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // llms.txt (llmstxt.org)
+  //
+  // The format, in order: an H1 with the site or project name (the only
+  // required part), an optional blockquote summary, optional free-form
+  // markdown without headings, then H2 sections that each hold a list of
+  // `- [name](url): notes` links. A section titled "Optional" marks links a
+  // reader can skip when context is short.
+  // ---------------------------------------------------------------------------
+
+  // Structure plus every error found, each with its 0-based line. Link URLs
+  // are resolved against `baseUrl`, so relative links are fine.
+  function parseLlmsTxt(text, baseUrl) {
+    const lines = String(text || '').split(/\r?\n/);
+    const result = { title: null, summary: null, sections: [], links: [], errors: [] };
+    const error = (line, message) => result.errors.push({ line, message });
+    let section = null;
+    let inFence = false;
+    let sawContent = false;
+    let summaryDone = false;
+
+    lines.forEach((raw, i) => {
+      const line = raw.trim();
+      if (line === '') return;
+      const heading = inFence ? null : line.match(/^(#{1,6})\s+(.*)$/);
+
+      if (!sawContent) {
+        sawContent = true;
+        if (heading && heading[1].length === 1) {
+          result.title = heading[2].trim();
+          return;
+        }
+        error(i, 'The file must start with an H1 title ("# Name").');
+      }
+      if (/^(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        return;
+      }
+      if (inFence) return;
+
+      if (heading && heading[1].length === 1) {
+        error(i, 'Only one H1 is allowed.');
+        return;
+      }
+      if (heading && heading[1].length === 2) {
+        const title = heading[2].trim();
+        section = { title, optional: /^optional$/i.test(title), line: i, linkCount: 0 };
+        result.sections.push(section);
+        return;
+      }
+      if (heading) {
+        error(i, section
+          ? `Sections hold link lists only, so "${heading[2].trim()}" needs to be an H2.`
+          : 'Headings before the first H2 section aren’t allowed.');
+        return;
+      }
+
+      if (!section) {
+        // Summary blockquote right after the title, then free-form details.
+        if (line.startsWith('>') && !summaryDone) {
+          result.summary = (result.summary ? `${result.summary} ` : '') + line.replace(/^>\s?/, '');
+        } else {
+          summaryDone = true;
+        }
+        return;
+      }
+
+      const item = line.match(/^[-*+]\s+(.*)$/);
+      if (!item) {
+        error(i, `Section "${section.title}" has text outside its link list.`);
+        return;
+      }
+      const link = item[1].match(/^\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)\s*(?::\s*(.*))?$/);
+      if (!link) {
+        error(i, `List items need a markdown link ("- [name](url): notes") in "${section.title}".`);
+        return;
+      }
+      let url;
+      try {
+        url = new URL(link[2], baseUrl).href;
+      } catch (_) {
+        error(i, `"${link[2]}" isn’t a valid URL.`);
+        return;
+      }
+      const entry = {
+        title: link[1].trim(),
+        url,
+        notes: link[3] ? link[3].trim() : null,
+        section: section.title,
+        optional: section.optional,
+        line: i
+      };
+      section.linkCount += 1;
+      result.links.push(entry);
+    });
+
+    if (!sawContent) error(0, 'The file is empty.');
+    result.sections
+      .filter((s) => s.linkCount === 0)
+      .forEach((s) => error(s.line, `Section "${s.title}" has no links.`));
+    result.errors.sort((a, b) => a.line - b.line);
+    result.valid = result.errors.length === 0;
+    return result;
+  }
+
+  // Where llmstxt.org says a page's markdown version lives: the page URL with
+  // ".md" appended, or "index.html.md" for URLs that end in a directory.
+  function llmsMarkdownUrl(pageUrl) {
+    const u = new URL(pageUrl);
+    u.hash = '';
+    u.search = '';
+    u.pathname = u.pathname.endsWith('/') ? `${u.pathname}index.html.md` : `${u.pathname}.md`;
+    return u.href;
+  }
+
+  // The llms.txt link that points at `pageUrl` — either the page itself or
+  // its markdown version — or null. Ignores the fragment, the query and a
+  // trailing slash.
+  function llmsLinkForPage(links, pageUrl) {
+    const key = (href) => {
+      let u;
+      try { u = new URL(href); } catch (_) { return null; }
+      const path = u.pathname
+        .replace(/(\/index\.html)?\.md$/, '')
+        .replace(/\/index\.html?$/, '/')
+        .replace(/\/+$/, '');
+      return `${u.host.toLowerCase()}${path}`;
+    };
+    const page = key(pageUrl);
+    return (links || []).find((l) => key(l.url) === page) || null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Bot probe classification
+  //
+  // Compares a bot-UA fetch against the plain Chrome fetch of the same URL:
+  //
+  //   no_cloaking         — bot and Chrome see the same content
+  //   dynamic_rendering   — bot sees materially MORE content (good for AI)
+  //   served_less         — bot sees materially LESS content (bad)
+  //   challenged          — bot got a Cloudflare/captcha/challenge page
+  //   blocked             — bot got 403 / 429 / 451 etc.
+  //   fetch_failed        — network error or timeout
+  //
+  // Works on raw HTML strings only, so the content script and the SW crawl
+  // reach the same verdict for the same pair of responses.
+  // ---------------------------------------------------------------------------
+
+  const BLOCK_STATUS_CODES = [401, 403, 405, 429, 451, 503];
+
+  // `settings` (optional) carries a profile's probeDynamicRatio /
+  // probeServedLessRatio; defaults otherwise.
+  function classifyProbeResponse(probeRes, chromeText, settings) {
+    const { probeDynamicRatio, probeServedLessRatio } = settings || DEFAULT_ANALYSIS_SETTINGS;
+    const chromeLen = (chromeText || '').length;
+    const out = {
+      status: 'unknown',
+      statusCode: null,
+      textLength: 0,
+      lengthRatio: null,
+      similarityToChrome: null,
+      error: null
+    };
+
+    if (!probeRes || !probeRes.ok) {
+      out.status = 'fetch_failed';
+      out.error = (probeRes && probeRes.error) || 'no-response';
+      return out;
+    }
+
+    out.statusCode = probeRes.status;
+
+    // Explicit block status codes — treat as blocked regardless of body
+    if (BLOCK_STATUS_CODES.includes(probeRes.status)) {
+      out.status = 'blocked';
+      return out;
+    }
+
+    const botText = probeRes.text || '';
+    out.textLength = botText.length;
+    out.similarityToChrome = jaccardSimilarity(chromeText, botText);
+    out.lengthRatio = chromeLen > 0 ? botText.length / chromeLen : (botText.length > 0 ? Infinity : 0);
+
+    // Challenge-page heuristic: short response that contains the patterns
+    const isShort = botText.length < Math.max(2000, chromeLen * 0.4);
+    const looksLikeChallenge = CHALLENGE_PATTERNS.some((p) => p.test(botText));
+    if (isShort && looksLikeChallenge) {
+      out.status = 'challenged';
+      return out;
+    }
+
+    // Length-based classification vs Chrome
+    if (chromeLen === 0) {
+      // Chrome fetch failed — bot is the only data we have
+      out.status = botText.length > 1000 ? 'no_cloaking' : 'fetch_failed';
+    } else if (out.lengthRatio >= probeDynamicRatio) {
+      // Bot got materially MORE content — dynamic rendering
+      out.status = 'dynamic_rendering';
+    } else if (out.lengthRatio <= probeServedLessRatio) {
+      out.status = 'served_less';
+    } else if (out.similarityToChrome >= 0.6) {
+      out.status = 'no_cloaking';
+    } else {
+      // Similar length, low overlap — content drift specific to bot UA
+      out.status = 'served_less';
+    }
+    return out;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Redirect chains
+  //
+  // fetchUrl (background.js) follows redirects one hop at a time and records
+  // each as { url, status, location, ms }. These helpers turn the Chrome
+  // fetch's chain and every bot probe's chain into issues, so the popup and
+  // the site crawl flag the same things.
+  //
+  // A chain is { ok, redirects, finalUrl, redirectLoop } — `ok` false means the
+  // fetch failed for some other reason and there's nothing to compare.
+  // ---------------------------------------------------------------------------
+
+  const REDIRECT_LONG_CHAIN_HOPS = 3;
+
+  function describeRedirectChain(chain) {
+    const hops = chain.redirects || [];
+    if (hops.length === 0) return 'no redirect';
+    return hops.map((h) => `${h.url} (${h.status == null ? '?' : h.status})`)
+      .concat(hops[hops.length - 1].location || '?')
+      .join(' → ');
+  }
+
+  // Where the chain ends up, plus the status of every hop on the way — two
+  // chains with the same key took the same path.
+  function redirectChainKey(chain) {
+    const hops = chain.redirects || [];
+    const end = chain.redirectLoop ? 'loop' : String(chain.finalUrl || '').split('#')[0];
+    return hops.map((h) => `${h.status}:${h.url}`).concat(end).join(' ');
+  }
+
+  function redirectChainIssues(chrome, bots) {
+    const issues = [];
+    const hops = chrome.redirects || [];
+
+    if (chrome.redirectLoop) {
+      issues.push({
+        type: 'redirect_loop',
+        severity: 'high',
+        message: 'Redirect loop',
+        impact: `${describeRedirectChain(chrome)}. Crawlers give up without ever reaching a page.`,
+        roiImpact: 80
+      });
+    } else if (hops.length >= REDIRECT_LONG_CHAIN_HOPS) {
+      issues.push({
+        type: 'redirect_chain_long',
+        severity: 'medium',
+        message: `${hops.length} redirects before the page`,
+        impact: `${describeRedirectChain(chrome)}. Every hop spends crawler budget, and some crawlers stop following after a few.`,
+        roiImpact: 15
+      });
+    }
+
+    const upgrades = hops.filter((h) => /^http:/i.test(h.url) && /^https:/i.test(h.location || ''));
+    if (upgrades.length > 0) {
+      issues.push({
+        type: 'redirect_http_to_https',
+        severity: 'low',
+        message: 'HTTP→HTTPS redirect in the chain',
+        impact: `${upgrades[0].url} redirects to HTTPS. Link to the https:// URL directly to save crawlers a round trip.`,
+        roiImpact: 5
+      });
+    }
+
+    const comparable = (c) => c.ok || c.redirectLoop;
+    if (comparable(chrome)) {
+      const chromeKey = redirectChainKey(chrome);
+      const chromeEnd = chrome.redirectLoop ? null : String(chrome.finalUrl || '').split('#')[0];
+      const differing = (bots || []).filter((b) => comparable(b) && redirectChainKey(b) !== chromeKey);
+      if (differing.length > 0) {
+        // Landing somewhere else (or nowhere) is worse than a different route
+        // to the same page.
+        const elsewhere = differing.some((b) => b.redirectLoop || String(b.finalUrl || '').split('#')[0] !== chromeEnd);
+        const first = differing[0];
+        issues.push({
+          type: 'redirect_differs_for_bots',
+          severity: elsewhere ? 'high' : 'medium',
+          message: `${differing.length} bot${differing.length > 1 ? 's' : ''} redirected differently than Chrome`,
+          impact: `${first.name}: ${describeRedirectChain(first)}${first.redirectLoop ? ' (loop)' : ''}. Chrome: ${describeRedirectChain(chrome)}.`,
+          roiImpact: elsewhere ? 40 : 10,
+          bots: differing.map((b) => b.name)
+        });
+      }
+    }
+    return issues;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Response header audit
+  //
+  // Checks the page's response headers (lower-cased, as fetchUrl returns them)
+  // for things that change what an AI crawler gets or how often it comes back.
+  // Findings already have the issue shape; HEADER_AUDIT_FIXES holds the
+  // recommendation for each finding type.
+  //
+  // `context`: { dynamicRendering: [bot names], bodyLength, htmlLang,
+  //              botResponses: [{ name, status, retryAfter }] }
+  // ---------------------------------------------------------------------------
+
+  const HEADER_CACHE_STALE_SECONDS = 7 * 24 * 3600;
+  const HEADER_AGE_STALE_SECONDS = 24 * 3600;
+  const HEADER_COMPRESS_MIN_BYTES = 10 * 1024;
+
+  const HEADER_AUDIT_FIXES = {
+    vary_user_agent_missing: {
+      priority: 'high',
+      action: 'Send Vary: User-Agent with dynamically rendered HTML',
+      description: 'The server answers bots and browsers differently, so every cache in between has to key on User-Agent. Without it a CDN can hand the browser HTML to crawlers, or the prerendered HTML to visitors.',
+      resources: ['MDN Vary header', 'Dynamic rendering guide']
+    },
+    cache_stale_for_bots: {
+      priority: 'medium',
+      action: 'Shorten HTML cache lifetimes',
+      description: 'Keep HTML max-age / s-maxage to hours rather than weeks, and purge the CDN on deploy, so crawlers pick up changes.',
+      resources: ['MDN Cache-Control header']
+    },
+    content_language_mismatch: {
+      priority: 'low',
+      action: 'Declare the page language consistently',
+      description: 'Set <html lang> and the Content-Language header to the same language, so crawlers match the page to the right queries.',
+      resources: ['MDN Content-Language header']
+    },
+    no_page_language: {
+      priority: 'low',
+      action: 'Declare the page language',
+      description: 'Add <html lang> (and a matching Content-Language header if you send one), so crawlers don\'t have to guess the language from the text.',
+      resources: ['MDN lang attribute', 'MDN Content-Language header']
+    },
+    no_freshness_validators: {
+      priority: 'low',
+      action: 'Send Last-Modified or ETag',
+      description: 'Validators let crawlers make cheap conditional requests and tell when the page actually changed, so they can recrawl it more often.',
+      resources: ['MDN conditional requests']
+    },
+    invalid_last_modified: {
+      priority: 'low',
+      action: 'Send a valid Last-Modified date',
+      description: 'Last-Modified should be an HTTP date no later than the response itself, taken from when the content last changed rather than the time of the request.',
+      resources: ['MDN Last-Modified header']
+    },
+    no_compression: {
+      priority: 'medium',
+      action: 'Compress HTML responses',
+      description: 'Turn on gzip or Brotli for text/html at the server or CDN. Smaller responses arrive faster and fit more content into a crawler\'s time and byte budget.',
+      resources: ['web.dev text compression']
+    },
+    bot_retry_after: {
+      priority: 'high',
+      action: 'Stop rate-limiting AI crawlers',
+      description: 'Bots were told to come back later. Raise the rate limit for verified AI crawlers, or serve them cached HTML instead of a 429/503.',
+      resources: ['Bot management settings', 'MDN Retry-After header']
+    }
+  };
+
+  // Longest lifetime a shared cache may keep the response, in seconds
+  // (s-maxage wins over max-age), or null when caching is off or unset.
+  function cacheLifetimeSeconds(cacheControl) {
+    const cc = String(cacheControl || '').toLowerCase();
+    if (/\b(no-store|no-cache|private)\b/.test(cc)) return null;
+    const m = /\bs-maxage\s*=\s*(\d+)/.exec(cc) || /\bmax-age\s*=\s*(\d+)/.exec(cc);
+    return m ? Number(m[1]) : null;
+  }
+
+  function formatDuration(seconds) {
+    if (seconds >= 86400) return `${Math.round(seconds / 86400)} day${seconds >= 1.5 * 86400 ? 's' : ''}`;
+    if (seconds >= 3600) return `${Math.round(seconds / 3600)} hour${seconds >= 1.5 * 3600 ? 's' : ''}`;
+    return `${seconds}s`;
+  }
+
+  function auditResponseHeaders(headers, context) {
+    const h = headers || {};
+    const ctx = context || {};
+    const findings = [];
+    const add = (type, severity, header, value, message, impact, roiImpact) =>
+      findings.push({ type, severity, header, value, message, impact, roiImpact });
+
+    const dynamic = ctx.dynamicRendering || [];
+    const vary = (h['vary'] || '').toLowerCase();
+    if (dynamic.length > 0 && !/(^|,)\s*(user-agent|\*)\s*(,|$)/.test(vary)) {
+      add('vary_user_agent_missing', 'high', 'vary', h['vary'] || null,
+        'Dynamic rendering without Vary: User-Agent',
+        `${dynamic.join(', ')} got different HTML than Chrome, but the response doesn't vary on User-Agent. Caches can serve one version to everyone.`,
+        30);
+    }
+
+    const lifetime = cacheLifetimeSeconds(h['cache-control']);
+    const age = Number(h['age']);
+    if (lifetime != null && lifetime > HEADER_CACHE_STALE_SECONDS) {
+      add('cache_stale_for_bots', 'medium', 'cache-control', h['cache-control'],
+        `HTML cacheable for ${formatDuration(lifetime)}`,
+        'Crawlers fetching through a CDN can keep getting this copy long after the page changes.',
+        10);
+    } else if (Number.isFinite(age) && age > HEADER_AGE_STALE_SECONDS) {
+      add('cache_stale_for_bots', 'medium', 'age', h['age'],
+        `Served from a cached copy ${formatDuration(age)} old`,
+        'Crawlers are getting HTML the CDN stored a while ago, not the current page.',
+        10);
+    }
+
+    const contentLanguage = (h['content-language'] || '').trim();
+    const htmlLang = (ctx.htmlLang || '').trim();
+    const primary = (tag) => tag.split(/[-_]/)[0].toLowerCase();
+    if (contentLanguage && htmlLang && !contentLanguage.split(',').some((l) => primary(l.trim()) === primary(htmlLang))) {
+      add('content_language_mismatch', 'low', 'content-language', contentLanguage,
+        `Content-Language “${contentLanguage}” doesn't match <html lang="${htmlLang}">`,
+        'Crawlers get two different answers about the page language.',
+        5);
+    } else if (!contentLanguage && !htmlLang) {
+      add('no_page_language', 'low', 'content-language', null,
+        'No page language declared',
+        'Neither a Content-Language header nor <html lang> says what language this page is in.',
+        5);
+    }
+
+    if (!h['last-modified'] && !h['etag']) {
+      add('no_freshness_validators', 'low', 'last-modified', null,
+        'No Last-Modified or ETag',
+        'Crawlers can\'t make conditional requests, so every recrawl is a full download with no signal of what changed.',
+        5);
+    } else if (h['last-modified'] && !(Date.parse(h['last-modified']) <= Date.now() + 60000)) {
+      add('invalid_last_modified', 'low', 'last-modified', h['last-modified'],
+        'Last-Modified is invalid or in the future',
+        'Crawlers can\'t trust the freshness date, so it\'s ignored.',
+        5);
+    }
+
+    const encoding = (h['content-encoding'] || '').toLowerCase();
+    if ((!encoding || encoding === 'identity') && (ctx.bodyLength || 0) >= HEADER_COMPRESS_MIN_BYTES) {
+      add('no_compression', 'medium', 'content-encoding', h['content-encoding'] || null,
+        `${Math.round(ctx.bodyLength / 1024)} KB of HTML sent uncompressed`,
+        'Uncompressed HTML takes longer to arrive, so less of it fits in a crawler\'s budget.',
+        10);
+    }
+
+    const retried = (ctx.botResponses || []).filter((b) => b.retryAfter);
+    if (retried.length > 0) {
+      add('bot_retry_after', 'high', 'retry-after', retried[0].retryAfter,
+        `${retried.map((b) => b.name).join(', ')} told to retry later`,
+        `Retry-After: ${retried[0].retryAfter}${retried[0].status ? ` on HTTP ${retried[0].status}` : ''}. The server is rate-limiting these crawlers instead of serving the page.`,
+        25);
+    }
+    return findings;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Frameworks and rendering mode
+  //
+  // content.js detects frameworks from DOM markers and payloads and works
+  // out how the page is rendered; the popup and the report show the result.
+  // ---------------------------------------------------------------------------
+
+  // Meta-frameworks first — the first one detected names the stack.
+  const FRAMEWORK_LABELS = {
+    nextjs: 'Next.js',
+    nuxt: 'Nuxt',
+    remix: 'Remix',
+    gatsby: 'Gatsby',
+    astro: 'Astro',
+    sveltekit: 'SvelteKit',
+    qwik: 'Qwik',
+    solidstart: 'SolidStart',
+    ember: 'Ember',
+    preact: 'Preact',
+    react: 'React',
+    vue: 'Vue',
+    angular: 'Angular',
+    svelte: 'Svelte'
+  };
+
+  // ssr: rendered per request; ssg: built ahead of time; isr: built ahead
+  // and revalidated by a cache; csr: an app shell the browser fills in;
+  // islands: static HTML with separately hydrated components.
+  const RENDERING_MODE_LABELS = {
+    ssr: 'Server-rendered (SSR)',
+    ssg: 'Static (SSG)',
+    isr: 'Static, revalidated (ISR)',
+    csr: 'Client-rendered (CSR)',
+    islands: 'Static with islands'
+  };
+
+  // ---------------------------------------------------------------------------
+  // Structured data
+  //
+  // JSON-LD, microdata and RDFa all normalize to one entity model:
+  //
+  //   { type, format: 'json-ld' | 'microdata' | 'rdfa', id, properties }
+  //
+  // where `properties` maps a schema.org property name to a list of values,
+  // each a string, a nested entity, or { ref } for a bare @id reference.
+  // Validation, the server/rendered diff and cross-syntax conflicts all work
+  // on entities, so they treat the three syntaxes alike. Reading documents
+  // is left to the caller (content.js does the DOM side).
+  // ---------------------------------------------------------------------------
+
+  const SCHEMA_FORMAT_LABELS = { 'json-ld': 'JSON-LD', microdata: 'Microdata', rdfa: 'RDFa' };
+
+  // Nesting past this depth and text past this length is cut, so a huge
+  // catalog page can't bloat the stored analysis.
+  const ENTITY_MAX_DEPTH = 6;
+  const ENTITY_MAX_TEXT = 300;
+
+  // "https://schema.org/Product" and "schema:Product" both become "Product".
+  // Property names carry the same prefixes in RDFa.
+  function schemaTypeName(value) {
+    return String(value).trim().replace(/^https?:\/\/schema\.org\//i, '').replace(/^schema:/i, '');
+  }
+
+  function entityText(value) {
+    const s = String(value).replace(/\s+/g, ' ').trim();
+    return s.length > ENTITY_MAX_TEXT ? `${s.slice(0, ENTITY_MAX_TEXT)}…` : s;
+  }
+
+  const asList = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+  const isEntity = (v) => !!v && typeof v === 'object' && !!v.properties;
+  const propValues = (entity, prop) => (isEntity(entity) && entity.properties[prop]) || [];
+  const firstValue = (entity, prop) => propValues(entity, prop)[0];
+
+  function addEntityValue(entity, prop, value) {
+    if (value == null || value === '') return;
+    (entity.properties[prop] = entity.properties[prop] || []).push(value);
+  }
+
+  function jsonLdEntity(node, depth) {
+    const types = asList(node['@type']).map(schemaTypeName).filter(Boolean);
+    const entity = {
+      type: types.length > 0 ? types.join(', ') : null,
+      format: 'json-ld',
+      id: typeof node['@id'] === 'string' ? node['@id'] : null,
+      properties: {}
+    };
+    for (const [key, raw] of Object.entries(node)) {
+      if (key.startsWith('@')) continue;
+      const prop = schemaTypeName(key);
+      for (const v of asList(raw)) {
+        if (v == null || Array.isArray(v)) continue;
+        if (typeof v !== 'object') addEntityValue(entity, prop, entityText(v));
+        else if (Object.keys(v).length === 1 && typeof v['@id'] === 'string') addEntityValue(entity, prop, { ref: v['@id'] });
+        else if ('@value' in v) addEntityValue(entity, prop, entityText(v['@value']));
+        else if (depth < ENTITY_MAX_DEPTH) addEntityValue(entity, prop, jsonLdEntity(v, depth + 1));
+      }
+    }
+    return entity;
+  }
+
+  // Flattened JSON-LD nodes → entities. Untyped nodes (an @graph wrapper, a
+  // bare @context) describe nothing on their own and are dropped.
+  function jsonLdEntities(nodes) {
+    return nodes.map((node) => jsonLdEntity(node, 0)).filter((e) => e.type);
+  }
+
+  // What the rendered DOM has that the server HTML doesn't, by type.
+  // Entities of one type are merged, so two Products with different
+  // properties compare as one. `removedTypes` are in the server HTML but
+  // gone after JavaScript runs.
+  function diffStructuredData(serverEntities, renderedEntities) {
+    const byType = (entities) => {
+      const map = new Map();
+      for (const e of entities) {
+        if (!map.has(e.type)) map.set(e.type, new Set());
+        Object.keys(e.properties).forEach((p) => map.get(e.type).add(p));
+      }
+      return map;
+    };
+    const server = byType(serverEntities);
+    const rendered = byType(renderedEntities);
+    const jsOnlyProperties = [];
+    for (const [type, props] of rendered) {
+      if (!server.has(type)) continue;
+      const added = [...props].filter((p) => !server.get(type).has(p));
+      if (added.length > 0) jsOnlyProperties.push({ type, properties: added });
+    }
+    return {
+      jsOnlyTypes: [...rendered.keys()].filter((t) => !server.has(t)),
+      removedTypes: [...server.keys()].filter((t) => !rendered.has(t)),
+      jsOnlyProperties
+    };
+  }
+
+  // Properties compared across syntaxes: identifiers, prices, ratings and
+  // dates. Free text differs in whitespace and markup too often to compare.
+  const CONFLICT_PROPERTIES = new Set([
+    'name', 'headline', 'sku', 'gtin', 'gtin8', 'gtin12', 'gtin13', 'gtin14', 'mpn',
+    'price', 'lowPrice', 'highPrice', 'priceCurrency', 'availability',
+    'ratingValue', 'reviewCount', 'ratingCount', 'bestRating',
+    'datePublished', 'dateModified', 'telephone', 'postalCode'
+  ]);
+
+  function conflictKey(prop, value) {
+    let s = value.toLowerCase().replace(/\s+/g, ' ').trim();
+    if (prop === 'availability') s = s.replace(/^https?:\/\/schema\.org\//, '');
+    else if (prop === 'datePublished' || prop === 'dateModified') s = s.slice(0, 10);
+    else if (/^-?\d+(\.\d+)?$/.test(s)) s = String(Number(s));
+    return s;
+  }
+
+  // Comparable leaf values by dotted path ("offers.price").
+  function entityLeaves(entity, prefix = '', out = new Map()) {
+    for (const [prop, values] of Object.entries(entity.properties)) {
+      const path = prefix ? `${prefix}.${prop}` : prop;
+      for (const v of values) {
+        if (isEntity(v)) entityLeaves(v, path, out);
+        else if (typeof v === 'string' && CONFLICT_PROPERTIES.has(prop)) {
+          if (!out.has(path)) out.set(path, { prop, values: [] });
+          out.get(path).values.push(v);
+        }
+      }
+    }
+    return out;
+  }
+
+  // The same type described in two syntaxes with different values, e.g. a
+  // JSON-LD Product at 19.99 and a microdata one at 24.99. Only types with
+  // exactly one entity per syntax are compared — a listing page's many
+  // microdata Products can't be matched to one JSON-LD Product.
+  function structuredDataConflicts(entities) {
+    const byType = new Map();
+    for (const e of entities) {
+      if (!byType.has(e.type)) byType.set(e.type, new Map());
+      const formats = byType.get(e.type);
+      formats.set(e.format, formats.has(e.format) ? null : e);
+    }
+    const conflicts = [];
+    for (const [type, formats] of byType) {
+      const sides = [...formats.entries()].filter(([, e]) => e).map(([format, e]) => ({ format, leaves: entityLeaves(e) }));
+      if (sides.length < 2) continue;
+      const paths = new Set(sides.flatMap((s) => [...s.leaves.keys()]));
+      for (const path of paths) {
+        const present = sides.filter((s) => s.leaves.has(path));
+        if (present.length < 2) continue;
+        const { prop } = present[0].leaves.get(path);
+        const keys = present.map((s) => new Set(s.leaves.get(path).values.map((v) => conflictKey(prop, v))));
+        const shared = [...keys[0]].some((k) => keys.every((set) => set.has(k)));
+        if (!shared) {
+          conflicts.push({
+            type,
+            property: path,
+            values: present.map((s) => ({ format: s.format, value: s.leaves.get(path).values[0] }))
+          });
+        }
+      }
+    }
+    return conflicts;
+  }
+
+  // Per-type checks for the schema.org types clients ask about, after
+  // Google's rich-result docs: a missing `required` property is an error, a
+  // missing `recommended` one a warning, and `oneOf` needs at least one of
+  // its properties. Subtypes are checked as their parent.
+  const SCHEMA_RULES = {
+    Article: { required: ['headline'], recommended: ['author', 'datePublished', 'dateModified', 'image', 'publisher'] },
+    Product: { required: ['name'], oneOf: ['offers', 'review', 'aggregateRating'], recommended: ['image', 'description', 'brand', 'sku'] },
+    Organization: { required: ['name'], recommended: ['url', 'logo', 'sameAs'] },
+    FAQPage: { required: ['mainEntity'], recommended: [] },
+    HowTo: { required: ['name', 'step'], recommended: ['image', 'totalTime', 'supply', 'tool'] },
+    LocalBusiness: { required: ['name', 'address'], recommended: ['telephone', 'url', 'openingHoursSpecification', 'geo', 'image', 'priceRange'] },
+    BreadcrumbList: { required: ['itemListElement'], recommended: [] },
+    Review: { required: ['author', 'reviewRating'], recommended: ['itemReviewed', 'datePublished'] }
+  };
+
+  const SCHEMA_SUBTYPES = {
+    NewsArticle: 'Article', BlogPosting: 'Article', TechArticle: 'Article', ScholarlyArticle: 'Article', Report: 'Article',
+    Corporation: 'Organization', NGO: 'Organization', EducationalOrganization: 'Organization', OnlineStore: 'Organization',
+    Restaurant: 'LocalBusiness', Store: 'LocalBusiness', Hotel: 'LocalBusiness', MedicalBusiness: 'LocalBusiness',
+    Dentist: 'LocalBusiness', LegalService: 'LocalBusiness', AutomotiveBusiness: 'LocalBusiness', FoodEstablishment: 'LocalBusiness',
+    CriticReview: 'Review', UserReview: 'Review'
+  };
+
+  // Value formats, checked on any validated entity that has the property.
+  const SCHEMA_FORMATS = {
+    datePublished: 'date', dateModified: 'date', uploadDate: 'date',
+    url: 'url', logo: 'url', image: 'url', sameAs: 'url',
+    totalTime: 'duration', prepTime: 'duration', cookTime: 'duration'
+  };
+
+  const ISO_8601_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+  const ISO_8601_DURATION = /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/;
+  // Plain number: no currency symbol or thousands separator.
+  const SCHEMA_NUMBER = /^\d+(\.\d+)?$/;
+
+  function formatProblem(format, value) {
+    if (value && value.ref) return null;
+    if (format === 'url') {
+      // ImageObject and friends carry the URL inside.
+      const url = isEntity(value) ? firstValue(value, 'url') || firstValue(value, 'contentUrl') || value.id : value;
+      if (url == null) return null;
+      return typeof url === 'string' && /^https?:\/\/[^\s/]+/i.test(url) ? null : `“${url}” isn’t an absolute URL`;
+    }
+    if (typeof value !== 'string') return 'expected text, got an object';
+    if (format === 'date') return ISO_8601_DATE.test(value) && !Number.isNaN(Date.parse(value)) ? null : `“${value}” isn’t an ISO 8601 date`;
+    if (format === 'duration') return ISO_8601_DURATION.test(value) ? null : `“${value}” isn’t an ISO 8601 duration (e.g. PT30M)`;
+    return null;
+  }
+
+  const isNumber = (v) => typeof v === 'string' && SCHEMA_NUMBER.test(v);
+
+  // Type-specific nested checks: offers, ratings, FAQ questions, breadcrumb
+  // items, HowTo steps.
+  function checkSchemaDetails(rule, entity, label, error, warn) {
+    if (rule === 'Product') {
+      const offers = propValues(entity, 'offers');
+      offers.forEach((offer, i) => {
+        const p = `${label}.offers${offers.length > 1 ? `[${i}]` : ''}`;
+        if (!isEntity(offer)) return error(p, 'should be an Offer, not a plain value');
+        const price = firstValue(offer, 'price') || firstValue(offer, 'lowPrice');
+        const currency = firstValue(offer, 'priceCurrency');
+        const availability = firstValue(offer, 'availability');
+        if (price == null) error(p, 'missing price');
+        else if (!isNumber(price)) error(`${p}.price`, `“${price}” isn’t a plain number — drop currency symbols and separators`);
+        if (!currency) error(p, 'missing priceCurrency');
+        else if (!/^[A-Z]{3}$/.test(currency)) error(`${p}.priceCurrency`, `“${currency}” isn’t an ISO 4217 code (e.g. USD)`);
+        if (availability && !/schema\.org\/\w+$/i.test(availability)) warn(`${p}.availability`, 'use a schema.org ItemAvailability URL, e.g. https://schema.org/InStock');
+      });
+    }
+    if (rule === 'Product' || rule === 'LocalBusiness' || rule === 'Organization') {
+      const rating = firstValue(entity, 'aggregateRating');
+      if (isEntity(rating)) {
+        if (!isNumber(firstValue(rating, 'ratingValue'))) error(`${label}.aggregateRating`, 'ratingValue should be a number');
+        if (!firstValue(rating, 'reviewCount') && !firstValue(rating, 'ratingCount')) error(`${label}.aggregateRating`, 'missing reviewCount or ratingCount');
+      }
+    }
+    if (rule === 'Review') {
+      const rating = firstValue(entity, 'reviewRating');
+      if (rating && !(isEntity(rating) && isNumber(firstValue(rating, 'ratingValue')))) {
+        error(`${label}.reviewRating`, 'ratingValue should be a number');
+      }
+      propValues(entity, 'author').forEach((a) => {
+        if (isEntity(a) && !firstValue(a, 'name')) error(`${label}.author`, 'author needs a name');
+      });
+    }
+    if (rule === 'FAQPage') {
+      propValues(entity, 'mainEntity').forEach((q, i) => {
+        const p = `${label}.mainEntity[${i}]`;
+        if (!isEntity(q)) return error(p, 'should be a Question');
+        if (!firstValue(q, 'name')) error(p, 'Question missing name');
+        if (!firstValue(firstValue(q, 'acceptedAnswer'), 'text')) error(p, 'missing acceptedAnswer.text');
+      });
+    }
+    if (rule === 'BreadcrumbList') {
+      const items = propValues(entity, 'itemListElement');
+      items.forEach((li, i) => {
+        const p = `${label}.itemListElement[${i}]`;
+        if (!isEntity(li)) return error(p, 'should be a ListItem');
+        if (!/^\d+$/.test(firstValue(li, 'position') || '')) error(p, 'position should be an integer');
+        const item = firstValue(li, 'item');
+        if (!firstValue(li, 'name') && !firstValue(item, 'name')) error(p, 'missing name');
+        // Google lets the last crumb (the page itself) omit its URL.
+        if (item == null) {
+          if (i < items.length - 1) error(p, 'missing item URL');
+        } else {
+          const problem = formatProblem('url', item.ref || (isEntity(item) ? item.id || firstValue(item, 'url') : item));
+          if (problem) error(`${p}.item`, problem);
+        }
+      });
+    }
+    if (rule === 'HowTo') {
+      propValues(entity, 'step').forEach((step, i) => {
+        if (isEntity(step) && !firstValue(step, 'text') && !firstValue(step, 'itemListElement') && !firstValue(step, 'name')) {
+          error(`${label}.step[${i}]`, 'step needs text');
+        }
+      });
+    }
+    if (rule === 'LocalBusiness' && typeof firstValue(entity, 'address') === 'string') {
+      warn(`${label}.address`, 'use a PostalAddress with streetAddress, addressLocality and postalCode');
+    }
+  }
+
+  // Validates structured data block by block. A block is one JSON-LD
+  // <script> ({ format, entities }, or { format, invalid: true } when it
+  // isn't valid JSON) or one top-level microdata or RDFa item. Each result
+  // lists errors and warnings with a property path and scores the block
+  // 0–100; blocks with none of the SCHEMA_RULES types and no errors get a
+  // null score. A JSON-LD `{"@id": "…#org"}` reference must point at an
+  // entity defined somewhere on the page.
+  function validateStructuredData(blocks) {
+    const walk = (entity, fn) => {
+      fn(entity);
+      Object.values(entity.properties).forEach((values) => values.forEach((v) => {
+        if (isEntity(v)) walk(v, fn);
+      }));
+    };
+    const defined = new Set();
+    blocks.forEach((b) => (b.entities || []).forEach((e) => walk(e, (n) => {
+      if (n.id && Object.keys(n.properties).length > 0) defined.add(n.id);
+    })));
+
+    const results = blocks.map((block, index) => {
+      const result = { index, format: block.format, types: [], errors: [], warnings: [], score: null };
+      if (block.invalid) {
+        result.errors.push({ path: '', message: 'Not valid JSON — crawlers skip the whole block' });
+        result.score = 0;
+        return result;
+      }
+      const error = (path, message) => result.errors.push({ path, message });
+      const warn = (path, message) => result.warnings.push({ path, message });
+
+      let validated = false;
+      block.entities.forEach((entity, i) => {
+        const types = entity.type.split(', ');
+        result.types.push(...types);
+        const rule = types.map((t) => (SCHEMA_RULES[t] ? t : SCHEMA_SUBTYPES[t])).find(Boolean);
+        if (!rule) return;
+        validated = true;
+        const label = block.entities.length > 1 ? `${types[0]} #${i + 1}` : types[0];
+        const { required, recommended, oneOf } = SCHEMA_RULES[rule];
+        required.filter((p) => propValues(entity, p).length === 0).forEach((p) => error(label, `missing required ${p}`));
+        if (oneOf && oneOf.every((p) => propValues(entity, p).length === 0)) error(label, `needs one of ${oneOf.join(', ')}`);
+        recommended.filter((p) => propValues(entity, p).length === 0).forEach((p) => warn(label, `missing recommended ${p}`));
+        for (const [prop, format] of Object.entries(SCHEMA_FORMATS)) {
+          propValues(entity, prop).forEach((v) => {
+            const problem = formatProblem(format, v);
+            if (problem) error(`${label}.${prop}`, problem);
+          });
+        }
+        checkSchemaDetails(rule, entity, label, error, warn);
+      });
+
+      if (block.format === 'json-ld') {
+        const refs = [];
+        block.entities.forEach((e) => walk(e, (n) => Object.values(n.properties).forEach((values) => values.forEach((v) => {
+          if (v && v.ref) refs.push(v.ref);
+        }))));
+        // Plain URL @ids can name outside resources; fragment ids name nodes.
+        [...new Set(refs)].filter((ref) => ref.includes('#') && !defined.has(ref)).forEach((ref) => {
+          error('@id', `reference to ${ref} isn’t defined on the page`);
+        });
+      }
+      if (validated || result.errors.length > 0) {
+        result.score = Math.max(0, 100 - 20 * result.errors.length - 5 * result.warnings.length);
+      }
+      return result;
+    });
+
+    const scored = results.filter((r) => r.score != null);
+    return {
+      blocks: results,
+      score: scored.length > 0 ? Math.round(scored.reduce((sum, r) => sum + r.score, 0) / scored.length) : null
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Crawler byte limits
+  //
+  // Cuts HTML where a crawler with `byteLimit` would stop reading. Limits are
+  // in bytes of the UTF-8 body; a multi-byte character split by the cut is
+  // dropped. Returns null when the whole document fits.
+  // ---------------------------------------------------------------------------
+
+  function simulateByteLimit(html, byteLimit) {
+    if (!byteLimit) return null;
+    const bytes = new TextEncoder().encode(html || '');
+    if (bytes.length <= byteLimit) return null;
+    let end = byteLimit;
+    while (end > 0 && (bytes[end] & 0xc0) === 0x80) end--;
+    return {
+      html: new TextDecoder('utf-8').decode(bytes.subarray(0, end)),
+      totalBytes: bytes.length,
+      keptBytes: end
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Sitemap parsing
+  //
+  // Regex-based rather than DOMParser so the SW can use it. Handles both
+  // <urlset> and <sitemapindex>; entity-decodes <loc> since sitemaps are
+  // required to escape `&` in URLs. <url> entries carry their hreflang
+  // alternates, if any.
+  // ---------------------------------------------------------------------------
+
+  function decodeXmlEntities(s) {
+    return s
+      .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  function parseSitemapXml(text) {
+    const xml = text || '';
+    const isIndex = /<sitemapindex[\s>]/i.test(xml);
+    const isUrlset = /<urlset[\s>]/i.test(xml);
+    const entryTag = isIndex ? 'sitemap' : 'url';
+    const entries = [];
+    const entryRe = new RegExp(`<${entryTag}[\\s>]([\\s\\S]*?)</${entryTag}>`, 'gi');
+    let m;
+    while ((m = entryRe.exec(xml)) !== null) {
+      const body = m[1];
+      const loc = body.match(/<loc[^>]*>([\s\S]*?)<\/loc>/i);
+      if (!loc) continue;
+      const lastmod = body.match(/<lastmod[^>]*>([\s\S]*?)<\/lastmod>/i);
+      const entry = {
+        loc: decodeXmlEntities(loc[1].trim()),
+        lastmod: lastmod ? decodeXmlEntities(lastmod[1].trim()) : null
+      };
+      // Only set when present — most sitemaps have none, and big ones list
+      // tens of thousands of URLs.
+      const alternates = isIndex ? [] : parseSitemapAlternates(body);
+      if (alternates.length > 0) entry.alternates = alternates;
+      entries.push(entry);
+    }
+    return {
+      type: isIndex ? 'index' : isUrlset ? 'urlset' : 'unknown',
+      entries
+    };
+  }
+
+  // Well-formedness without a DOMParser (the service worker has none): tags
+  // nest and close under a single root, and every `&` starts an entity —
+  // the ways hand-built sitemaps usually break. Comments, CDATA, the XML
+  // declaration and doctype are skipped.
+  function isWellFormedXml(text) {
+    const body = (text || '').replace(/<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>/g, '');
+    if (/&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);)/i.test(body)) return false;
+    const tagRe = /<[?!][^>]*>|<(\/?)([A-Za-z_][\w:.-]*)(?:\s[^<>]*?)?(\/?)>|</g;
+    const stack = [];
+    let roots = 0;
+    let m;
+    while ((m = tagRe.exec(body)) !== null) {
+      if (m[0][1] === '?' || m[0][1] === '!') continue;
+      if (m[2] === undefined) return false; // a stray '<'
+      if (m[1]) {
+        if (stack.pop() !== m[2]) return false;
+        continue;
+      }
+      if (stack.length === 0) roots += 1;
+      if (!m[3]) stack.push(m[2]);
+    }
+    return stack.length === 0 && roots === 1;
+  }
+
+  // sitemaps.org limits per file, both uncompressed.
+  const SITEMAP_MAX_URLS = 50000;
+  const SITEMAP_STALE_DAYS = 365;
+
+  // W3C Datetime, the only <lastmod> format sitemaps.org allows: a year,
+  // optionally narrowed down to a month, day, or time with a zone.
+  const W3C_DATETIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+  // How much the <lastmod> values of a set of entries can be trusted.
+  // `uniform` catches sitemaps that stamp every URL with the build time,
+  // which tells crawlers nothing about what changed.
+  function sitemapLastmodStats(entries, now = Date.now()) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const stats = { total: entries.length, withLastmod: 0, invalid: 0, future: 0, stale: 0, newest: null, oldest: null, uniform: false };
+    const values = new Set();
+    let newest = -Infinity;
+    let oldest = Infinity;
+    for (const e of entries) {
+      if (!e.lastmod) continue;
+      stats.withLastmod += 1;
+      const t = Date.parse(e.lastmod);
+      if (!W3C_DATETIME.test(e.lastmod) || Number.isNaN(t)) {
+        stats.invalid += 1;
+        continue;
+      }
+      values.add(t);
+      if (t > now + DAY_MS) stats.future += 1;
+      if (now - t > SITEMAP_STALE_DAYS * DAY_MS) stats.stale += 1;
+      newest = Math.max(newest, t);
+      oldest = Math.min(oldest, t);
+    }
+    if (values.size > 0) {
+      stats.newest = new Date(newest).toISOString();
+      stats.oldest = new Date(oldest).toISOString();
+    }
+    stats.uniform = values.size === 1 && stats.withLastmod >= 10;
+    return stats;
+  }
+
+  // ---------------------------------------------------------------------------
+  // hreflang
+  //
+  // Language alternates can be declared in the Link header, the HTML <head>
+  // or the sitemap (<xhtml:link> under each <url>). Values are an ISO 639-1
+  // language, optionally a script and an ISO 3166-1 alpha-2 region ("en",
+  // "en-GB", "zh-Hant-TW"), or "x-default" for the fallback page.
+  // ---------------------------------------------------------------------------
+
+  const HREFLANG_LANGUAGES = new Set((
+    'aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy ' +
+    'da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu hy ' +
+    'hz ia id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb lg li ' +
+    'ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om or os pa ' +
+    'pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ta te tg th ' +
+    'ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu'
+  ).split(' '));
+
+  const HREFLANG_REGIONS = new Set((
+    'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS ' +
+    'BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE ' +
+    'EG EH ER ES ET FI FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM ' +
+    'HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY KZ LA LB LC ' +
+    'LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV MW MX MY MZ NA ' +
+    'NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW ' +
+    'SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO ' +
+    'TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW'
+  ).split(' '));
+
+  // Country codes and retired codes people use where a language belongs.
+  const HREFLANG_LANGUAGE_HINTS = {
+    jp: 'ja', cn: 'zh', gr: 'el', dk: 'da', cz: 'cs', kr: 'ko', ua: 'uk', vn: 'vi',
+    iw: 'he', in: 'id', ji: 'yi'
+  };
+  const HREFLANG_REGION_HINTS = { UK: 'GB' };
+
+  // Null when `value` is a usable hreflang, otherwise what's wrong with it.
+  // Three-letter languages (ISO 639-2/3, e.g. "fil") are let through: BCP 47
+  // allows them where no two-letter code exists.
+  function validateHreflang(value) {
+    const v = String(value || '').trim();
+    if (!v) return 'Empty hreflang';
+    if (v.toLowerCase() === 'x-default') return null;
+    if (v.includes('_')) return `Use a hyphen, not an underscore: ${v.replace(/_/g, '-')}`;
+
+    const [lang, ...rest] = v.split('-');
+    const language = lang.toLowerCase();
+    if (HREFLANG_LANGUAGE_HINTS[language]) {
+      return `“${lang}” isn’t a language code — did you mean ${HREFLANG_LANGUAGE_HINTS[language]}?`;
+    }
+    if (!/^[a-z]{2,3}$/i.test(lang) || (lang.length === 2 && !HREFLANG_LANGUAGES.has(language))) {
+      return `“${lang}” isn’t an ISO 639-1 language code`;
+    }
+
+    let i = 0;
+    if (rest[i] && /^[a-z]{4}$/i.test(rest[i])) i += 1;
+    const region = rest[i];
+    if (region !== undefined) {
+      if (/^\d{3}$/.test(region)) return `Numeric region “${region}” isn’t supported; use a country code or just “${lang}”`;
+      const code = region.toUpperCase();
+      if (HREFLANG_REGION_HINTS[code]) return `Use ${HREFLANG_REGION_HINTS[code]}, not ${region}`;
+      if (!/^[a-z]{2}$/i.test(region) || !HREFLANG_REGIONS.has(code)) return `“${region}” isn’t an ISO 3166-1 country code`;
+      i += 1;
+    }
+    if (rest.length > i) return `Unexpected “${rest.slice(i).join('-')}” after the region`;
+    return null;
+  }
+
+  // `rel="alternate"; hreflang="…"` entries of a Link header, hrefs as sent.
+  function parseHreflangLinkHeader(linkHeader) {
+    const out = [];
+    const re = /<([^>]*)>([^<]*)/g;
+    let m;
+    while ((m = re.exec(linkHeader || '')) !== null) {
+      const params = m[2];
+      const rel = params.match(/;\s*rel\s*=\s*"?([^";,]*)"?/i);
+      const hreflang = params.match(/;\s*hreflang\s*=\s*"?([^";,]*)"?/i);
+      if (!rel || !hreflang || !/(^|\s)alternate(\s|$)/i.test(rel[1])) continue;
+      out.push({ hreflang: hreflang[1].trim(), href: m[1].trim() });
+    }
+    return out;
+  }
+
+  // <xhtml:link rel="alternate" hreflang href> children of a sitemap <url>.
+  function parseSitemapAlternates(body) {
+    const out = [];
+    const re = /<(?:[\w-]+:)?link\b([^>]*)>/gi;
+    let m;
+    while ((m = re.exec(body)) !== null) {
+      const attrs = {};
+      m[1].replace(/([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (_, name, dq, sq) => {
+        attrs[name.toLowerCase()] = decodeXmlEntities((dq != null ? dq : sq).trim());
+      });
+      if (attrs.hreflang && attrs.href && /(^|\s)alternate(\s|$)/i.test(attrs.rel || '')) {
+        out.push({ hreflang: attrs.hreflang, href: attrs.href });
+      }
+    }
+    return out;
+  }
+
+
+  const api = {
+    BOT_PROBES,
+    BOT_PROBE_PRESETS,
+    BOT_PROBE_CATALOG_KEY,
+    defaultBotProbeCatalog,
+    normalizeBotProbeCatalog,
+    normalizeByteLimit,
+    enabledBotProbes,
+    CHALLENGE_PATTERNS,
+    AI_CRAWLERS,
+    SEGMENT_TIERS,
+    segmentForVisibility,
+    DEFAULT_ANALYSIS_SETTINGS,
+    ANALYSIS_PROFILES_KEY,
+    ACTIVE_PROFILE_KEY,
+    DEFAULT_PROFILE,
+    defaultAnalysisProfiles,
+    resolveAnalysisSettings,
+    selectAnalysisProfile,
+    tokenize,
+    jaccardSimilarity,
+    textFingerprint,
+    fingerprintSimilarity,
+    ROBOTS_MAX_BYTES,
+    parseRobots,
+    robotsFromResponse,
+    normalizeRobotsPath,
+    robotsProductToken,
+    matchesRobotsPattern,
+    checkAIBotAccess,
+    parseXRobotsTag,
+    pageRobotsDirectives,
+    pageDirectiveScore,
+    pageDirectiveIssues,
+    parseTdmRep,
+    tdmReservationFor,
+    TDM_SOURCE_LABELS,
+    aiUsagePolicy,
+    parseLlmsTxt,
+    llmsMarkdownUrl,
+    llmsLinkForPage,
+    classifyProbeResponse,
+    REDIRECT_LONG_CHAIN_HOPS,
+    describeRedirectChain,
+    redirectChainIssues,
+    HEADER_AUDIT_FIXES,
+    auditResponseHeaders,
+    FRAMEWORK_LABELS,
+    RENDERING_MODE_LABELS,
+    SCHEMA_FORMAT_LABELS,
+    ENTITY_MAX_DEPTH,
+    schemaTypeName,
+    entityText,
+    addEntityValue,
+    jsonLdEntities,
+    diffStructuredData,
+    structuredDataConflicts,
+    SCHEMA_RULES,
+    validateStructuredData,
+    simulateByteLimit,
+    parseSitemapXml,
+    isWellFormedXml,
+    SITEMAP_MAX_URLS,
+    SITEMAP_STALE_DAYS,
+    sitemapLastmodStats,
+    validateHreflang,
+    parseHreflangLinkHeader
+  };
+
+  root.AIVisibility = api;
+
+  // Node export — lets the pure helpers be exercised headlessly.
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})(typeof self !== 'undefined' ? self : globalThis);
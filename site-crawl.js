@@ -0,0 +1,260 @@
+// AI Search Visibility Checker — Site Crawl Dashboard
+//
+// Starts a sitemap-driven crawl in the SW and renders its aggregate as it
+// streams in. The SW mirrors crawl state into chrome.storage.local
+// (`siteCrawl`), so we just re-render on storage.onChanged — no polling.
+//
+// Opened from the popup with a seed in chrome.storage.session
+// (`site-crawl:seed` → { origin, sitemaps }) taken from the current analysis.
+
+const SEED_KEY = 'site-crawl:seed';
+const CRAWL_KEY = 'siteCrawl';
+
+const SEGMENT_ROWS = [
+  { key: 'fully_accessible',     label: 'Fully Visible',     cls: 'good' },
+  { key: 'mostly_visible',       label: 'Mostly Visible',    cls: 'good' },
+  { key: 'partially_accessible', label: 'Partially Visible', cls: 'warn' },
+  { key: 'slipping',             label: 'Half Visible',      cls: 'warn' },
+  { key: 'js_dependent',         label: 'Barely Visible',    cls: 'bad' },
+  { key: 'invisible',            label: 'Invisible',         cls: 'invisible' },
+  { key: 'not_rendered',         label: 'Not scored',        cls: '' }
+];
+
+const ISSUE_LABELS = {
+  fetch_failed:                  'Server fetch failed',
+  http_error:                    'HTTP error status',
+  xrobots_restrictive:           'X-Robots-Tag noindex/nofollow',
+  robots_meta_restrictive:       'Meta robots noindex/nofollow',
+  bot_directive_restrictive:     'Crawler-specific noindex/nofollow',
+  noai_directive:                'noai / noimageai opt-out',
+  low_server_visibility:         'Low server visibility',
+  ai_crawlers_blocked_specific:  'AI crawlers blocked by robots.txt',
+  ai_crawlers_blocked_wildcard:  'All crawlers blocked by robots.txt',
+  robots_unreachable:            'robots.txt unreachable',
+  bot_probe_blocked:             'Bots blocked at the edge',
+  bot_probe_served_less:         'Bots served less content',
+  redirect_loop:                 'Redirect loop',
+  redirect_chain_long:           'Long redirect chain',
+  redirect_http_to_https:        'HTTP→HTTPS redirect hop',
+  redirect_differs_for_bots:     'Bots redirected differently',
+  vary_user_agent_missing:       'Dynamic rendering without Vary: User-Agent',
+  cache_stale_for_bots:          'Stale HTML cache',
+  content_language_mismatch:     'Page language mismatch',
+  no_page_language:              'No page language declared',
+  no_freshness_validators:       'No Last-Modified / ETag',
+  invalid_last_modified:         'Invalid Last-Modified',
+  no_compression:                'Uncompressed HTML',
+  bot_retry_after:               'Bots told to retry later',
+  content_beyond_crawler_limit:  'Content beyond crawler limit',
+  sitemap_url_redirects:         'Sitemap URL redirects'
+};
+
+const STATUS_LABELS = {
+  discovering: 'Reading sitemaps…',
+  crawling:    'Crawling',
+  done:        'Done',
+  cancelled:   'Cancelled',
+  interrupted: 'Interrupted — the browser stopped the background worker mid-crawl',
+  error:       'Failed'
+};
+
+class SiteCrawlPage {
+  constructor() {
+    this.originEl = document.getElementById('crawl-origin');
+    this.maxPagesEl = document.getElementById('opt-max-pages');
+    this.concurrencyEl = document.getElementById('opt-concurrency');
+    this.fetchTimeoutEl = document.getElementById('opt-fetch-timeout');
+    this.maxSitemapsEl = document.getElementById('opt-max-sitemaps');
+    this.sitemapsEl = document.getElementById('opt-sitemaps');
+    this.probeEl = document.getElementById('opt-probe');
+    this.startBtn = document.getElementById('start-btn');
+    this.cancelBtn = document.getElementById('cancel-btn');
+
+    this.progressSectionEl = document.getElementById('progress-section');
+    this.progressLabelEl = document.getElementById('progress-label');
+    this.progressFillEl = document.getElementById('progress-fill');
+
+    this.dashboardEl = document.getElementById('dashboard');
+    this.segmentDistEl = document.getElementById('segment-dist');
+    this.commonIssuesEl = document.getElementById('common-issues');
+    this.worstPagesEl = document.getElementById('worst-pages');
+
+    this.init();
+  }
+
+  async init() {
+    let seed = null;
+    try {
+      const obj = await chrome.storage.session.get(SEED_KEY);
+      seed = obj[SEED_KEY] || null;
+    } catch (_) { /* no seed — show the last crawl */ }
+
+    let state = null;
+    try {
+      const obj = await chrome.storage.local.get(CRAWL_KEY);
+      state = obj[CRAWL_KEY] || null;
+    } catch (_) { /* no previous crawl */ }
+
+    // Defaults must match SITE_CRAWL_DEFAULTS in background.js.
+    const options = (state && state.options) || {};
+    this.maxPagesEl.value = options.maxPages || 50;
+    this.concurrencyEl.value = options.concurrency || 3;
+    this.fetchTimeoutEl.value = options.fetchTimeoutMs || 2000;
+    this.maxSitemapsEl.value = options.maxSitemaps || 20;
+    this.probeEl.checked = options.probeBots !== false;
+
+    this.origin = (seed && seed.origin) || (state && state.origin) || null;
+    if (seed && Array.isArray(seed.sitemaps)) this.sitemapsEl.value = seed.sitemaps.join('\n');
+    this.originEl.textContent = this.origin || 'Open the extension on a page of the site you want to crawl.';
+    this.startBtn.disabled = !this.origin;
+
+    this.startBtn.addEventListener('click', () => this.start());
+    this.cancelBtn.addEventListener('click', () => this.cancel());
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[CRAWL_KEY]) this.render(changes[CRAWL_KEY].newValue);
+    });
+
+    // Only show the stored crawl if it's for the site we were opened on.
+    if (state && (!seed || state.origin === this.origin)) this.render(state);
+  }
+
+  async start() {
+    if (!this.origin) return;
+    const sitemaps = this.sitemapsEl.value.split(/\s+/).map((s) => s.trim()).filter(Boolean);
+    this.startBtn.disabled = true;
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({
+        type: 'START_SITE_CRAWL',
+        origin: this.origin,
+        sitemaps,
+        options: {
+          maxPages: Number(this.maxPagesEl.value),
+          concurrency: Number(this.concurrencyEl.value),
+          fetchTimeoutMs: Number(this.fetchTimeoutEl.value),
+          maxSitemaps: Number(this.maxSitemapsEl.value),
+          probeBots: this.probeEl.checked
+        }
+      });
+    } catch (_) {
+      response = null;
+    }
+    if (!response || !response.success) {
+      this.startBtn.disabled = false;
+      this.progressSectionEl.style.display = 'block';
+      this.progressLabelEl.textContent = response && response.error === 'crawl-in-progress'
+        ? 'Another crawl is still running.'
+        : 'Couldn’t start the crawl.';
+    }
+  }
+
+  async cancel() {
+    try {
+      await chrome.runtime.sendMessage({ type: 'CANCEL_SITE_CRAWL' });
+    } catch (_) { /* ignore */ }
+  }
+
+  render(state) {
+    if (!state) return;
+    const running = state.status === 'discovering' || state.status === 'crawling';
+    this.startBtn.disabled = running || !this.origin;
+    this.cancelBtn.disabled = !running;
+
+    const done = (state.pages || []).length;
+    const total = state.total || 0;
+    let label = STATUS_LABELS[state.status] || state.status;
+    if (state.status === 'crawling' || (total > 0 && !running)) label += ` · ${done} of ${total} pages`;
+    const badSitemaps = (state.sitemaps || []).filter((s) => !s.ok || s.malformed || s.oversize).length;
+    if (badSitemaps > 0) label += ` · ${badSitemaps} problem sitemap${badSitemaps === 1 ? '' : 's'} (didn’t load, malformed or oversize)`;
+    if (state.error) label += ` · ${state.error}`;
+    this.progressLabelEl.textContent = label;
+    this.progressFillEl.style.width = `${total > 0 ? Math.round((done / total) * 100) : 0}%`;
+    this.progressSectionEl.style.display = 'block';
+
+    if (!state.summary || done === 0) {
+      this.dashboardEl.style.display = 'none';
+      return;
+    }
+    this.renderSegments(state.summary.segments, done, state.summary.estimatedPages || 0);
+    this.renderCommonIssues(state.summary.commonIssues, done);
+    this.renderWorstPages(state.summary.worstPages, state.pages);
+    this.dashboardEl.style.display = 'block';
+  }
+
+  renderSegments(segments, total, estimated) {
+    const rows = SEGMENT_ROWS.map((row) => {
+      const count = segments[row.key] || 0;
+      const pct = total > 0 ? Math.round((count / total) * 100) : 0;
+      return `
+        <div class="dist-row"${row.key === 'not_rendered' ? ' title="The server HTML didn’t load, so there is nothing to score."' : ''}>
+          <span>${row.label}</span>
+          <div class="dist-bar"><div class="dist-fill ${row.cls}" style="width:${pct}%"></div></div>
+          <span class="dist-count">${count}</span>
+        </div>`;
+    }).join('');
+    // Pages never analyzed with the popup have no rendered page to compare
+    // against; their segment comes from the server HTML alone.
+    const note = estimated > 0
+      ? `<div class="dist-note muted">${estimated} of ${total} estimated from the server HTML alone. Analyze a page with the popup to score it against its rendered version.</div>`
+      : '';
+    this.segmentDistEl.innerHTML = rows + note;
+  }
+
+  renderCommonIssues(issues, total) {
+    if (!issues || issues.length === 0) {
+      this.commonIssuesEl.innerHTML = '<div class="empty">No issues found.</div>';
+      return;
+    }
+    const rows = issues.map((i) => `
+      <tr>
+        <td><span class="sev ${i.severity}"></span>${this.escape(ISSUE_LABELS[i.type] || i.type)}</td>
+        <td class="num">${i.count}</td>
+        <td class="muted">${Math.round((i.count / total) * 100)}%</td>
+      </tr>`).join('');
+    this.commonIssuesEl.innerHTML = `
+      <table>
+        <thead><tr><th>Issue</th><th>Pages</th><th>Share</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+  }
+
+  renderWorstPages(urls, pages) {
+    const byUrl = new Map((pages || []).map((p) => [p.url, p]));
+    const worst = (urls || []).map((u) => byUrl.get(u)).filter(Boolean);
+    if (worst.length === 0) {
+      this.worstPagesEl.innerHTML = '<div class="empty">No problem pages.</div>';
+      return;
+    }
+    const rows = worst.map((p) => {
+      const seg = SEGMENT_ROWS.find((r) => r.key === p.segment);
+      const chip = seg
+        ? `<span class="chip ${seg.cls}"${p.segmentSource === 'server' ? ' title="Estimated from the server HTML alone"' : ''}>${seg.label}${p.segmentSource === 'server' ? ' (est.)' : ''}</span>`
+        : '<span class="chip unknown">Not scored</span>';
+      const issues = p.issues.map((i) => `<span class="sev ${i.severity}"></span>${this.escape(i.message)}`).join('<br>');
+      return `
+        <tr>
+          <td class="url-cell">${this.escape(p.url)}</td>
+          <td>${p.statusCode == null ? '—' : p.statusCode}</td>
+          <td>${chip}</td>
+          <td>${issues}</td>
+        </tr>`;
+    }).join('');
+    this.worstPagesEl.innerHTML = `
+      <table>
+        <thead><tr><th>Page</th><th>HTTP</th><th>Segment</th><th>Issues</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+  }
+
+  escape(s) {
+    return String(s == null ? '' : s).replace(/[<>&"']/g, (c) => (
+      { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+  }
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => new SiteCrawlPage());
+} else {
+  new SiteCrawlPage();
+}
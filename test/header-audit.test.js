@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { auditResponseHeaders, HEADER_AUDIT_FIXES } = require('../shared.js');
+
+const GOOD = { 'content-language': 'en', etag: '"abc"', 'content-encoding': 'br', 'cache-control': 'max-age=600' };
+const types = (findings) => findings.map((f) => f.type);
+
+test('well-configured headers produce no findings', () => {
+  assert.deepEqual(auditResponseHeaders(GOOD, { htmlLang: 'en-GB', bodyLength: 50000 }), []);
+});
+
+test('a missing language and a bad Last-Modified are both flagged', () => {
+  assert.deepEqual(types(auditResponseHeaders({ 'last-modified': 'garbage' }, { bodyLength: 0 })), ['no_page_language', 'invalid_last_modified']);
+  const future = new Date(Date.now() + 86400000).toUTCString();
+  assert.deepEqual(types(auditResponseHeaders({ ...GOOD, 'last-modified': future }, { htmlLang: 'en' })), ['invalid_last_modified']);
+});
+
+test('Content-Language must agree with <html lang>', () => {
+  assert.deepEqual(types(auditResponseHeaders({ ...GOOD, 'content-language': 'de' }, { htmlLang: 'en' })), ['content_language_mismatch']);
+  assert.deepEqual(types(auditResponseHeaders({ ...GOOD, 'content-language': 'de, en' }, { htmlLang: 'en-US' })), []);
+});
+
+test('dynamic rendering needs Vary: User-Agent', () => {
+  const ctx = { htmlLang: 'en', dynamicRendering: ['GPTBot'] };
+  assert.deepEqual(types(auditResponseHeaders({ ...GOOD, vary: 'Accept-Encoding' }, ctx)), ['vary_user_agent_missing']);
+  assert.deepEqual(types(auditResponseHeaders({ ...GOOD, vary: 'Accept-Encoding, User-Agent' }, ctx)), []);
+});
+
+test('long cache lifetimes and old cached copies are stale', () => {
+  const ctx = { htmlLang: 'en' };
+  assert.deepEqual(types(auditResponseHeaders({ ...GOOD, 'cache-control': 'public, s-maxage=2592000' }, ctx)), ['cache_stale_for_bots']);
+  assert.deepEqual(types(auditResponseHeaders({ ...GOOD, 'cache-control': 'private, max-age=2592000' }, ctx)), []);
+  assert.deepEqual(types(auditResponseHeaders({ ...GOOD, age: String(3 * 86400) }, ctx)), ['cache_stale_for_bots']);
+});
+
+test('large uncompressed HTML is flagged', () => {
+  const headers = { ...GOOD, 'content-encoding': undefined };
+  assert.deepEqual(types(auditResponseHeaders(headers, { htmlLang: 'en', bodyLength: 50000 })), ['no_compression']);
+  assert.deepEqual(types(auditResponseHeaders(headers, { htmlLang: 'en', bodyLength: 2000 })), []);
+});
+
+test('Retry-After sent to bots names every rate-limited bot', () => {
+  const [finding] = auditResponseHeaders(GOOD, {
+    htmlLang: 'en',
+    botResponses: [{ name: 'GPTBot', status: 429, retryAfter: '120' }, { name: 'ClaudeBot', retryAfter: '60' }, { name: 'PerplexityBot' }]
+  });
+  assert.equal(finding.type, 'bot_retry_after');
+  assert.equal(finding.message, 'GPTBot, ClaudeBot told to retry later');
+  assert.match(finding.impact, /Retry-After: 120 on HTTP 429/);
+});
+
+test('every finding has a fix', () => {
+  const findings = auditResponseHeaders({ 'cache-control': 'max-age=9999999', 'last-modified': 'garbage' }, {
+    dynamicRendering: ['GPTBot'], bodyLength: 50000, botResponses: [{ name: 'GPTBot', retryAfter: '1' }]
+  });
+  const seen = types(findings).concat(types(auditResponseHeaders({ 'content-language': 'de' }, { htmlLang: 'en' })));
+  assert.deepEqual([...new Set(seen)].sort(), Object.keys(HEADER_AUDIT_FIXES).sort());
+});
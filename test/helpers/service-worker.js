@@ -0,0 +1,84 @@
+// Loads background.js into a fresh VM context with an in-memory stand-in for
+// the chrome.* APIs it touches, so service worker helpers can run under
+// node:test. Tests supply `fetch`; the fake declarativeNetRequest keeps the
+// session rules in `sw.sessionRules` so a fetch stub can apply them the way
+// Chrome would.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function fakeEvent() {
+  const listeners = [];
+  return { listeners, addListener: (fn) => listeners.push(fn) };
+}
+
+function fakeStorageArea() {
+  const data = {};
+  return {
+    data,
+    get: async (keys) => {
+      if (keys == null) return { ...data };
+      const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const out = {};
+      for (const k of list) if (k in data) out[k] = data[k];
+      return out;
+    },
+    set: async (items) => { Object.assign(data, items); },
+    remove: async (keys) => { [].concat(keys).forEach((k) => delete data[k]); }
+  };
+}
+
+function loadServiceWorker({ fetch }) {
+  const sw = { sessionRules: [] };
+  const chrome = {
+    action: { setBadgeBackgroundColor: async () => {}, setBadgeText: async () => {}, setTitle: async () => {} },
+    alarms: { onAlarm: fakeEvent(), create: async () => {}, clear: async () => true, get: async () => null },
+    declarativeNetRequest: {
+      getSessionRules: async () => sw.sessionRules.slice(),
+      updateSessionRules: async ({ removeRuleIds = [], addRules = [] }) => {
+        sw.sessionRules = sw.sessionRules.filter((r) => !removeRuleIds.includes(r.id)).concat(addRules);
+      }
+    },
+    notifications: { onClicked: fakeEvent(), create: async () => {}, clear: async () => true },
+    runtime: { onMessage: fakeEvent(), getURL: (p) => `chrome-extension://test/${p}` },
+    scripting: { executeScript: async () => [] },
+    storage: { local: fakeStorageArea(), session: fakeStorageArea() },
+    tabs: { onUpdated: fakeEvent(), onRemoved: fakeEvent(), create: async () => {}, reload: async () => {} },
+    webRequest: { onHeadersReceived: fakeEvent() }
+  };
+
+  const context = vm.createContext({
+    chrome,
+    fetch,
+    console,
+    setTimeout,
+    clearTimeout,
+    performance,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder,
+    AbortController,
+    Blob,
+    Response,
+    DecompressionStream
+  });
+  context.self = context;
+  context.importScripts = (file) => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  };
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8'), context, { filename: 'background.js' });
+  sw.context = context;
+  sw.chrome = chrome;
+  // The User-Agent a request to `url` goes out with under the current rules.
+  sw.userAgentFor = (url) => {
+    const rule = sw.sessionRules.find((r) => r.condition.urlFilter === `|${url}|`);
+    return rule ? rule.action.requestHeaders.find((h) => h.header === 'User-Agent').value : 'Chrome';
+  };
+  return sw;
+}
+
+module.exports = { loadServiceWorker };
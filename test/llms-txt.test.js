@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLlmsTxt, llmsMarkdownUrl, llmsLinkForPage } = require('../shared.js');
+
+const BASE = 'https://example.com/llms.txt';
+
+test('parseLlmsTxt reads the title, summary, sections and links', () => {
+  const parsed = parseLlmsTxt([
+    '# Example',
+    '> Tools for examples.',
+    '',
+    'Some details.',
+    '',
+    '## Docs',
+    '- [Guide](/guide.md): How to start',
+    '- [API](https://example.com/api.md)',
+    '',
+    '## Optional',
+    '- [Blog](/blog)'
+  ].join('\n'), BASE);
+  assert.equal(parsed.valid, true);
+  assert.equal(parsed.title, 'Example');
+  assert.equal(parsed.summary, 'Tools for examples.');
+  assert.deepEqual(parsed.sections.map((s) => [s.title, s.optional, s.linkCount]), [['Docs', false, 2], ['Optional', true, 1]]);
+  assert.deepEqual(parsed.links[0], {
+    title: 'Guide', url: 'https://example.com/guide.md', notes: 'How to start', section: 'Docs', optional: false, line: 6
+  });
+  assert.equal(parsed.links[1].notes, null);
+  assert.equal(parsed.links[2].optional, true);
+});
+
+test('parseLlmsTxt reports each structural error with its line', () => {
+  const parsed = parseLlmsTxt([
+    'Intro without a title',
+    '## Docs',
+    'Loose text',
+    '- not a link',
+    '### Deep heading',
+    '## Empty'
+  ].join('\n'), BASE);
+  assert.equal(parsed.valid, false);
+  assert.deepEqual(parsed.errors.map((e) => e.line), [0, 1, 2, 3, 4, 5]);
+  assert.match(parsed.errors[0].message, /must start with an H1/);
+  assert.match(parsed.errors[4].message, /"Deep heading" needs to be an H2/);
+  assert.match(parsed.errors[5].message, /"Empty" has no links/);
+});
+
+test('parseLlmsTxt ignores headings inside code fences and flags a second H1', () => {
+  const parsed = parseLlmsTxt('# A\n```\n# not a heading\n```\n# B\n', BASE);
+  assert.deepEqual(parsed.errors, [{ line: 4, message: 'Only one H1 is allowed.' }]);
+});
+
+test('an empty file is invalid', () => {
+  assert.deepEqual(parseLlmsTxt('', BASE).errors, [{ line: 0, message: 'The file is empty.' }]);
+});
+
+test('llmsMarkdownUrl appends .md, or index.html.md for directories', () => {
+  assert.equal(llmsMarkdownUrl('https://example.com/docs/page?x=1#top'), 'https://example.com/docs/page.md');
+  assert.equal(llmsMarkdownUrl('https://example.com/docs/'), 'https://example.com/docs/index.html.md');
+});
+
+test('llmsLinkForPage matches a page or its markdown version', () => {
+  const links = [{ url: 'https://example.com/docs/index.html.md' }, { url: 'https://example.com/guide.md' }];
+  assert.equal(llmsLinkForPage(links, 'https://example.com/docs/'), links[0]);
+  assert.equal(llmsLinkForPage(links, 'https://EXAMPLE.com/guide#intro'), links[1]);
+  assert.equal(llmsLinkForPage(links, 'https://example.com/other'), null);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyProbeResponse, simulateByteLimit, DEFAULT_ANALYSIS_SETTINGS } = require('../shared.js');
+
+const words = (n, prefix = 'word') => Array.from({ length: n }, (_, i) => `${prefix}${i}`).join(' ');
+const page = words(500);
+
+test('a failed fetch is fetch_failed and keeps its error', () => {
+  assert.equal(classifyProbeResponse(null, page).status, 'fetch_failed');
+  const out = classifyProbeResponse({ ok: false, error: 'timeout' }, page);
+  assert.equal(out.status, 'fetch_failed');
+  assert.equal(out.error, 'timeout');
+});
+
+test('block status codes are blocked whatever the body', () => {
+  for (const status of [401, 403, 429, 451, 503]) {
+    const out = classifyProbeResponse({ ok: true, status, text: page }, page);
+    assert.equal(out.status, 'blocked', `HTTP ${status}`);
+    assert.equal(out.statusCode, status);
+  }
+});
+
+test('a short challenge page is challenged', () => {
+  const out = classifyProbeResponse({ ok: true, status: 200, text: '<title>Just a moment...</title>' }, page);
+  assert.equal(out.status, 'challenged');
+});
+
+test('the same content is no_cloaking', () => {
+  const out = classifyProbeResponse({ ok: true, status: 200, text: page }, page);
+  assert.equal(out.status, 'no_cloaking');
+  assert.equal(out.similarityToChrome, 1);
+  assert.equal(out.lengthRatio, 1);
+});
+
+test('more or less content than Chrome is flagged', () => {
+  assert.equal(classifyProbeResponse({ ok: true, status: 200, text: page + ' ' + words(500, 'extra') }, page).status, 'dynamic_rendering');
+  assert.equal(classifyProbeResponse({ ok: true, status: 200, text: words(100) }, page).status, 'served_less');
+  assert.equal(classifyProbeResponse({ ok: true, status: 200, text: words(500, 'other') }, page).status, 'served_less');
+});
+
+test('profile thresholds override the defaults', () => {
+  const probe = { ok: true, status: 200, text: page + ' ' + words(50, 'extra') };
+  assert.equal(classifyProbeResponse(probe, page).status, 'no_cloaking');
+  const settings = { ...DEFAULT_ANALYSIS_SETTINGS, probeDynamicRatio: 1.05 };
+  assert.equal(classifyProbeResponse(probe, page, settings).status, 'dynamic_rendering');
+});
+
+test('simulateByteLimit returns null when the page fits', () => {
+  assert.equal(simulateByteLimit('<p>short</p>', 1024), null);
+  assert.equal(simulateByteLimit('<p>short</p>', 0), null);
+});
+
+test('simulateByteLimit cuts at the limit without splitting a character', () => {
+  const html = 'ab€cd';
+  const cut = simulateByteLimit(html, 3);
+  assert.deepEqual(cut, { html: 'ab', totalBytes: 7, keptBytes: 2 });
+  assert.deepEqual(simulateByteLimit(html, 5), { html: 'ab€', totalBytes: 7, keptBytes: 5 });
+});
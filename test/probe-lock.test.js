@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker } = require('./helpers/service-worker');
+
+// A server whose first byte takes `firstByteMs`, recording which UA each
+// request carried. Aborts reject the way fetch does.
+function slowServer(sw, firstByteMs, log) {
+  return (url, init) => new Promise((resolve, reject) => {
+    log.push(sw.userAgentFor(url));
+    const timer = setTimeout(() => resolve(new Response('<html><body>Hello</body></html>', { status: 200 })), firstByteMs);
+    init.signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      const error = new Error('aborted');
+      error.name = 'AbortError';
+      reject(error);
+    });
+  });
+}
+
+test('concurrent probes of a slow page each get their full budget', async () => {
+  const log = [];
+  let sw;
+  sw = loadServiceWorker({ fetch: (url, init) => slowServer(sw, 600, log)(url, init) });
+  const bots = ['GPTBot/1.1', 'ClaudeBot/1.0', 'PerplexityBot/1.0'];
+  // Queued one after another on the URL's request lock, the third bot waits
+  // 1.2s before it sends anything; a clock started before the wait would
+  // abort it at 1.5s.
+  const results = await Promise.all(bots.map((ua) => sw.context.probeUrlAs('https://example.com/', ua, 1500)));
+
+  results.forEach((r) => {
+    assert.equal(r.ok, true, r.error);
+    assert.equal(r.status, 200);
+  });
+  assert.deepEqual(log, bots);
+  assert.equal(sw.sessionRules.length, 0);
+});
+
+test('a probe keeps a plain fetch of the same URL on Chrome\'s UA', async () => {
+  const log = [];
+  let sw;
+  sw = loadServiceWorker({ fetch: (url, init) => slowServer(sw, 50, log)(url, init) });
+  const [probe, plain] = await Promise.all([
+    sw.context.probeUrlAs('https://example.com/', 'GPTBot/1.1', 1000),
+    sw.context.fetchUrl('https://example.com/', 1000)
+  ]);
+  assert.equal(probe.ok, true);
+  assert.equal(plain.ok, true);
+  // Whichever goes first, each request carries its own UA.
+  assert.deepEqual([...log].sort(), ['Chrome', 'GPTBot/1.1']);
+});
+
+test('a probe hop whose redirect details never arrive fails instead of following blind', async () => {
+  const sw = loadServiceWorker({
+    fetch: async (url, init) => (init.redirect === 'manual' ? { type: 'opaqueredirect' } : new Response('x'))
+  });
+  const result = await sw.context.probeUrlAs('https://example.com/old', 'GPTBot/1.1', 3000);
+  assert.equal(result.ok, false);
+  assert.equal(result.error, 'redirect-unresolved');
+  assert.equal(result.redirects.length, 1);
+  assert.equal(result.redirects[0].unresolved, true);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRobots, robotsFromResponse, checkAIBotAccess, ROBOTS_MAX_BYTES } = require('../shared.js');
+
+test('parseRobots groups consecutive User-agent lines and keeps line numbers', () => {
+  const parsed = parseRobots([
+    'User-agent: GPTBot',
+    'User-agent: ClaudeBot',
+    'Disallow: /private # comment',
+    '',
+    'User-agent: *',
+    'Allow: /',
+    'Sitemap: https://example.com/sitemap.xml'
+  ].join('\n'));
+  assert.equal(parsed.groups.length, 2);
+  assert.deepEqual(parsed.groups[0].userAgents, ['GPTBot', 'ClaudeBot']);
+  assert.deepEqual(parsed.groups[0].lines, [0, 1]);
+  assert.deepEqual(parsed.groups[0].rules, [{ type: 'disallow', value: '/private', line: 2 }]);
+  assert.deepEqual(parsed.sitemaps, ['https://example.com/sitemap.xml']);
+  assert.equal(parsed.truncated, false);
+});
+
+test('parseRobots reads only the first 500 KiB', () => {
+  const filler = '# ' + 'x'.repeat(1000) + '\n';
+  const text = 'User-agent: *\n' + filler.repeat(Math.ceil(ROBOTS_MAX_BYTES / filler.length)) + 'Disallow: /\n';
+  const parsed = parseRobots(text);
+  assert.equal(parsed.truncated, true);
+  assert.equal(parsed.groups[0].rules.length, 0);
+});
+
+test('a product token with a version matches its group', () => {
+  const parsed = parseRobots('User-agent: GPTBot/1.1\nDisallow: /\n');
+  const verdict = checkAIBotAccess(parsed, 'GPTBot', '/page');
+  assert.equal(verdict.status, 'blocked');
+  assert.equal(verdict.source, 'specific');
+  assert.equal(verdict.fullBlock, true);
+});
+
+test('repeated groups for one crawler are merged', () => {
+  const parsed = parseRobots('User-agent: ClaudeBot\nDisallow: /a\n\nUser-agent: ClaudeBot\nDisallow: /b\n');
+  assert.equal(checkAIBotAccess(parsed, 'ClaudeBot', '/b/page').status, 'blocked');
+  assert.deepEqual(checkAIBotAccess(parsed, 'ClaudeBot', '/b/page').groupIndexes, [0, 1]);
+});
+
+test('a named group replaces the * group rather than adding to it', () => {
+  const parsed = parseRobots('User-agent: *\nDisallow: /\n\nUser-agent: GPTBot\nDisallow: /admin\n');
+  assert.equal(checkAIBotAccess(parsed, 'GPTBot', '/page').status, 'allowed');
+  assert.equal(checkAIBotAccess(parsed, 'ClaudeBot', '/page').source, 'wildcard');
+  assert.equal(checkAIBotAccess(parsed, 'ClaudeBot', '/page').status, 'blocked');
+});
+
+test('the longest match wins and Allow wins a tie', () => {
+  const parsed = parseRobots('User-agent: *\nDisallow: /shop\nAllow: /shop/public\nDisallow: /x\nAllow: /x\n');
+  assert.equal(checkAIBotAccess(parsed, 'GPTBot', '/shop/cart').status, 'blocked');
+  assert.equal(checkAIBotAccess(parsed, 'GPTBot', '/shop/public/item').status, 'allowed');
+  assert.equal(checkAIBotAccess(parsed, 'GPTBot', '/x').status, 'allowed');
+});
+
+test('wildcards, end anchors and percent-encoding are matched per RFC 9309', () => {
+  const parsed = parseRobots('User-agent: *\nDisallow: /*.pdf$\nDisallow: /caf%C3%A9\n');
+  assert.equal(checkAIBotAccess(parsed, 'GPTBot', '/files/report.pdf').status, 'blocked');
+  assert.equal(checkAIBotAccess(parsed, 'GPTBot', '/files/report.pdf?v=2').status, 'allowed');
+  assert.equal(checkAIBotAccess(parsed, 'GPTBot', '/café').status, 'blocked');
+});
+
+test('robotsFromResponse maps fetch outcomes to availability', () => {
+  const ok = robotsFromResponse({ ok: true, status: 200, text: 'User-agent: *\nDisallow: /\n', redirects: [] });
+  assert.equal(ok.availability, 'available');
+  assert.equal(checkAIBotAccess(ok, 'GPTBot', '/').status, 'blocked');
+
+  const missing = robotsFromResponse({ ok: true, status: 404, text: '', redirects: [] });
+  assert.equal(missing.availability, 'unavailable');
+  assert.equal(checkAIBotAccess(missing, 'GPTBot', '/').status, 'allowed');
+
+  for (const status of [429, 500, 503]) {
+    const down = robotsFromResponse({ ok: true, status, text: '', redirects: [] });
+    assert.equal(down.availability, 'unreachable', `HTTP ${status}`);
+    assert.equal(checkAIBotAccess(down, 'GPTBot', '/').status, 'blocked', `HTTP ${status}`);
+  }
+
+  assert.equal(robotsFromResponse({ ok: false, error: 'timeout' }).availability, 'unreachable');
+  assert.equal(robotsFromResponse({ ok: false, error: 'redirect-loop', redirects: [] }).availability, 'unavailable');
+  const hops = Array.from({ length: 6 }, (_, i) => ({ url: `https://example.com/r${i}`, status: 301 }));
+  assert.equal(robotsFromResponse({ ok: true, status: 200, text: '', redirects: hops }).availability, 'unavailable');
+});
+
+test('every verdict explains itself', () => {
+  const parsed = robotsFromResponse({ ok: true, status: 200, text: 'User-agent: GPTBot\nDisallow: /\n', redirects: [] });
+  const { reasons } = checkAIBotAccess(parsed, 'GPTBot', '/page');
+  assert.ok(reasons.length >= 2);
+  assert.match(reasons[reasons.length - 1], /Disallow: \/ \(line 2\)/);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSitemapXml, isWellFormedXml, sitemapLastmodStats, validateHreflang, parseHreflangLinkHeader } = require('../shared.js');
+
+test('parseSitemapXml reads a urlset with entities and hreflang alternates', () => {
+  const parsed = parseSitemapXml(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+  <url>
+    <loc>https://example.com/search?a=1&amp;b=2</loc>
+    <lastmod>2024-05-01</lastmod>
+    <xhtml:link rel="alternate" hreflang="de" href="https://example.com/de/"/>
+  </url>
+  <url><loc><![CDATA[https://example.com/about]]></loc></url>
+</urlset>`);
+  assert.equal(parsed.type, 'urlset');
+  assert.deepEqual(parsed.entries, [
+    { loc: 'https://example.com/search?a=1&b=2', lastmod: '2024-05-01', alternates: [{ hreflang: 'de', href: 'https://example.com/de/' }] },
+    { loc: 'https://example.com/about', lastmod: null }
+  ]);
+});
+
+test('parseSitemapXml reads a sitemap index', () => {
+  const parsed = parseSitemapXml('<sitemapindex><sitemap><loc>https://example.com/a.xml</loc></sitemap></sitemapindex>');
+  assert.equal(parsed.type, 'index');
+  assert.deepEqual(parsed.entries, [{ loc: 'https://example.com/a.xml', lastmod: null }]);
+  assert.equal(parseSitemapXml('<html></html>').type, 'unknown');
+});
+
+test('isWellFormedXml accepts valid XML and rejects the usual breakages', () => {
+  assert.equal(isWellFormedXml('<?xml version="1.0"?><!-- c --><urlset><url><loc>a&amp;b</loc></url><empty/></urlset>'), true);
+  assert.equal(isWellFormedXml('<urlset><loc><![CDATA[a & <b>]]></loc></urlset>'), true);
+  assert.equal(isWellFormedXml('<urlset><loc>a&b</loc></urlset>'), false, 'unescaped &');
+  assert.equal(isWellFormedXml('<urlset><url></urlset>'), false, 'unclosed tag');
+  assert.equal(isWellFormedXml('<urlset><url></loc></urlset>'), false, 'mismatched tag');
+  assert.equal(isWellFormedXml('<urlset></urlset><urlset></urlset>'), false, 'two roots');
+  assert.equal(isWellFormedXml('<urlset>a < b</urlset>'), false, 'stray <');
+});
+
+test('sitemapLastmodStats counts invalid, future and stale dates', () => {
+  const now = Date.parse('2025-06-01T00:00:00Z');
+  const stats = sitemapLastmodStats([
+    { lastmod: '2025-05-30' },
+    { lastmod: '2025-05-30T10:00:00+02:00' },
+    { lastmod: '05/30/2025' },
+    { lastmod: '2026-01-01' },
+    { lastmod: '2020-01-01' },
+    { lastmod: null }
+  ], now);
+  assert.equal(stats.total, 6);
+  assert.equal(stats.withLastmod, 5);
+  assert.equal(stats.invalid, 1);
+  assert.equal(stats.future, 1);
+  assert.equal(stats.stale, 1);
+  assert.equal(stats.newest, '2026-01-01T00:00:00.000Z');
+  assert.equal(stats.oldest, '2020-01-01T00:00:00.000Z');
+  assert.equal(stats.uniform, false);
+});
+
+test('one lastmod on ten or more entries is uniform', () => {
+  const now = Date.parse('2025-06-01T00:00:00Z');
+  const entries = (n) => Array.from({ length: n }, () => ({ lastmod: '2025-05-30T12:00:00Z' }));
+  assert.equal(sitemapLastmodStats(entries(9), now).uniform, false);
+  assert.equal(sitemapLastmodStats(entries(10), now).uniform, true);
+});
+
+test('validateHreflang accepts language, script and region codes', () => {
+  for (const value of ['en', 'en-GB', 'zh-Hant-TW', 'x-default', 'X-Default', 'fil']) {
+    assert.equal(validateHreflang(value), null, value);
+  }
+});
+
+test('validateHreflang explains what is wrong', () => {
+  assert.match(validateHreflang('en_US'), /hyphen.*en-US/);
+  assert.match(validateHreflang('jp'), /did you mean ja/);
+  assert.match(validateHreflang('en-UK'), /Use GB, not UK/);
+  assert.match(validateHreflang('en-419'), /Numeric region/);
+  assert.match(validateHreflang('xx'), /ISO 639-1/);
+  assert.match(validateHreflang('en-ZZ'), /ISO 3166-1/);
+  assert.match(validateHreflang('en-GB-extra'), /Unexpected “extra”/);
+  assert.equal(validateHreflang(''), 'Empty hreflang');
+});
+
+test('parseHreflangLinkHeader keeps only alternate links with hreflang', () => {
+  const header = '<https://example.com/de/>; rel="alternate"; hreflang="de", ' +
+    '<https://example.com/>; rel=alternate; hreflang=x-default, ' +
+    '<https://example.com/style.css>; rel="preload", ' +
+    '<https://example.com/canonical>; rel="canonical"; hreflang="en"';
+  assert.deepEqual(parseHreflangLinkHeader(header), [
+    { hreflang: 'de', href: 'https://example.com/de/' },
+    { hreflang: 'x-default', href: 'https://example.com/' }
+  ]);
+  assert.deepEqual(parseHreflangLinkHeader(null), []);
+});
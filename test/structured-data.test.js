@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { jsonLdEntities, validateStructuredData } = require('../shared.js');
+
+const block = (...nodes) => ({ format: 'json-ld', entities: jsonLdEntities(nodes) });
+const messages = (result) => result.errors.map((e) => `${e.path}: ${e.message}`);
+
+test('a complete Product validates with a full score', () => {
+  const { blocks, score } = validateStructuredData([block({
+    '@type': 'Product',
+    name: 'Kettle',
+    image: 'https://example.com/kettle.jpg',
+    description: 'Boils water',
+    brand: { '@type': 'Brand', name: 'Acme' },
+    sku: 'K-1',
+    offers: { '@type': 'Offer', price: '19.99', priceCurrency: 'EUR', availability: 'https://schema.org/InStock' }
+  })]);
+  assert.deepEqual(blocks[0].errors, []);
+  assert.deepEqual(blocks[0].warnings, []);
+  assert.equal(score, 100);
+});
+
+test('a Product without offers, review or aggregateRating is an error', () => {
+  const [result] = validateStructuredData([block({ '@type': 'Product', name: 'Kettle' })]).blocks;
+  assert.deepEqual(messages(result), ['Product: needs one of offers, review, aggregateRating']);
+  assert.equal(result.warnings.length, 4);
+  assert.equal(result.score, 60);
+});
+
+test('offer prices and currencies are checked', () => {
+  const [result] = validateStructuredData([block({
+    '@type': 'Product',
+    name: 'Kettle',
+    offers: { '@type': 'Offer', price: '$1,299', priceCurrency: 'euro' }
+  })]).blocks;
+  assert.deepEqual(messages(result), [
+    'Product.offers.price: “$1,299” isn’t a plain number — drop currency symbols and separators',
+    'Product.offers.priceCurrency: “euro” isn’t an ISO 4217 code (e.g. USD)'
+  ]);
+});
+
+test('subtypes are checked as their parent and formats are validated', () => {
+  const [result] = validateStructuredData([block({
+    '@type': 'BlogPosting',
+    headline: 'Hello',
+    datePublished: 'yesterday',
+    image: '/relative.jpg'
+  })]).blocks;
+  assert.deepEqual(messages(result), [
+    'BlogPosting.datePublished: “yesterday” isn’t an ISO 8601 date',
+    'BlogPosting.image: “/relative.jpg” isn’t an absolute URL'
+  ]);
+});
+
+test('a JSON-LD block that is not valid JSON scores 0', () => {
+  const { blocks, score } = validateStructuredData([{ format: 'json-ld', invalid: true }]);
+  assert.equal(blocks[0].score, 0);
+  assert.equal(blocks[0].errors.length, 1);
+  assert.equal(score, 0);
+});
+
+test('fragment @id references must be defined on the page', () => {
+  const article = {
+    '@type': 'Article',
+    headline: 'Hello',
+    publisher: { '@id': 'https://example.com/#org' },
+    author: { '@id': 'https://example.com/#person' }
+  };
+  const org = { '@type': 'Organization', '@id': 'https://example.com/#org', name: 'Example' };
+  const [result] = validateStructuredData([block(article), block(org)]).blocks;
+  assert.deepEqual(messages(result), ['@id: reference to https://example.com/#person isn’t defined on the page']);
+});
+
+test('blocks with no validated types are not scored', () => {
+  const { blocks, score } = validateStructuredData([block({ '@type': 'WebSite', name: 'Example' })]);
+  assert.equal(blocks[0].score, null);
+  assert.deepEqual(blocks[0].types, ['WebSite']);
+  assert.equal(score, null);
+});